@@ -0,0 +1,77 @@
+/**
+ * Cliente de la API compartido por las páginas
+ * Lee la sesión guardada por el login, envía el token de acceso en cada petición y lo renueva con el
+ * refresh token cuando expira. El refresh token cambia en cada renovación, por eso las peticiones que
+ * reciben 401 a la vez comparten una sola renovación: una segunda con el token ya usado fallaría y
+ * cerraría la sesión
+ */
+
+// Sesión guardada por el login (index.html o loginLogic.js)
+function getSession() {
+    const raw = sessionStorage.getItem('trazzaSession') || localStorage.getItem('avocadoSession');
+    return raw ? JSON.parse(raw) : null;
+}
+
+function saveSession(session) {
+    const storage = sessionStorage.getItem('trazzaSession') ? sessionStorage : localStorage;
+    const key = storage === sessionStorage ? 'trazzaSession' : 'avocadoSession';
+    storage.setItem(key, JSON.stringify(session));
+}
+
+// Renovación en curso
+let pendingRefresh = null;
+
+// Renueva el token de acceso con el refresh token de la sesión
+// Si otra petición ya lo renovó (el token guardado no es el que se usó) devuelve la sesión vigente
+function refreshSession(session) {
+    const current = getSession();
+    if (current && current.accessToken !== session.accessToken) {
+        return Promise.resolve(current);
+    }
+    if (!pendingRefresh) {
+        pendingRefresh = (async () => {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: session.refreshToken })
+            });
+            const result = await response.json();
+            if (!result.success) return null;
+            const updated = { ...session, accessToken: result.data.accessToken, refreshToken: result.data.refreshToken };
+            saveSession(updated);
+            return updated;
+        })().finally(() => {
+            pendingRefresh = null;
+        });
+    }
+    return pendingRefresh;
+}
+
+// Llama a la API con el token de la sesión; si expiró, lo renueva una vez
+async function apiRequest(path, options = {}, retry = true) {
+    let session = getSession();
+    if (!session || !session.accessToken) {
+        window.location.href = 'index.html';
+        throw new Error('Sesión no iniciada');
+    }
+
+    const response = await fetch(path, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer ' + session.accessToken,
+            ...(options.headers || {})
+        }
+    });
+
+    if (response.status === 401 && retry && session.refreshToken) {
+        session = await refreshSession(session);
+        if (session) return apiRequest(path, options, false);
+    }
+
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.message || 'Error en la solicitud');
+    }
+    return result;
+}
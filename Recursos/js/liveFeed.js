@@ -0,0 +1,67 @@
+/**
+ * Canal en vivo compartido por las páginas (/api/live)
+ * connectLiveFeed(tipos, onEvent) llama a onEvent(tipo, datos) con cada evento y se reconecta pidiendo los
+ * perdidos (Last-Event-ID); 'reinicio' indica que se perdieron demasiados y hay que recargar todo.
+ * Se lee con fetch porque EventSource no envía el token de la sesión. Usa getSession y refreshSession
+ * de apiClient.js, que debe incluirse antes
+ */
+
+const CONTROL_EVENTS = ['conectado', 'expirado'];
+
+function connectLiveFeed(tipos, onEvent) {
+    let lastEventId = null;
+    let delay = 1000;
+
+    async function connect() {
+        let session = getSession();
+        if (!session || !session.accessToken) return;
+        try {
+            const headers = { 'Authorization': 'Bearer ' + session.accessToken };
+            if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+            const response = await fetch('/api/live?tipos=' + tipos.join(','), { headers });
+            if (response.status === 401 && session.refreshToken) {
+                session = await refreshSession(session);
+                if (!session) {
+                    window.location.href = 'index.html';
+                    return;
+                }
+                return connect();
+            }
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            delay = 1000;
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    const message = { event: 'message', data: '' };
+                    buffer.slice(0, end).split('\n').forEach(line => {
+                        // Las líneas que empiezan con ':' son latidos
+                        const separator = line.indexOf(':');
+                        if (separator <= 0) return;
+                        const field = line.slice(0, separator);
+                        const text = line.slice(separator + 1).replace(/^ /, '');
+                        if (field === 'id') lastEventId = text;
+                        else if (field === 'event') message.event = text;
+                        else if (field === 'data') message.data += text;
+                    });
+                    buffer = buffer.slice(end + 2);
+                    if (message.data && !CONTROL_EVENTS.includes(message.event)) {
+                        onEvent(message.event, JSON.parse(message.data));
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Canal en vivo desconectado:', error.message);
+        }
+        // 'expirado' cierra la conexión: al reconectar se renueva el token
+        setTimeout(connect, delay);
+        delay = Math.min(delay * 2, 30000);
+    }
+
+    connect();
+}
@@ -1,11 +1,4 @@
 document.addEventListener('DOMContentLoaded', () => {
-    // --- CREDENCIALES PRE-ESTABLECIDAS (Hardcoded) ---
-    const CREDENCIALES = {
-        ruc: "20601234567",      // RUC de la empresa
-        usuario: "admin",        // Usuario Super Admin
-        pass: "avocado123"       // Contraseña
-    };
-
     const loginForm = document.getElementById('login-form');
     const rucInput = document.getElementById('input-ruc');
     const errorMsg = document.getElementById('error-msg');
@@ -23,36 +16,42 @@ document.addEventListener('DOMContentLoaded', () => {
         const userIngresado = document.getElementById('input-user').value;
         const passIngresado = document.getElementById('input-pass').value;
 
-        // --- VALIDACIÓN ESTRICTA ---
-        
-        // Comparamos lo que escribió el usuario con las constantes de arriba
-        if (rucIngresado === CREDENCIALES.ruc && 
-            userIngresado === CREDENCIALES.usuario && 
-            passIngresado === CREDENCIALES.pass) {
-            
-            // 1. Guardar sesión simulada
-            localStorage.setItem('avocadoSession', JSON.stringify({
-                isLoggedIn: true,
-                empresaRuc: rucIngresado,
-                usuario: userIngresado,
-                rol: 'SuperAdmin'
-            }));
+        // --- VALIDACIÓN EN EL SERVIDOR ---
+        fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ruc: rucIngresado, username: userIngresado, password: passIngresado })
+        })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.success) {
+                    mostrarError(result.message || "Credenciales incorrectas. Verifica RUC, usuario o contraseña.");
+                    return;
+                }
+
+                // 1. Guardar sesión con los tokens emitidos por el servidor
+                localStorage.setItem('avocadoSession', JSON.stringify({
+                    isLoggedIn: true,
+                    empresaRuc: rucIngresado,
+                    usuario: userIngresado,
+                    rol: result.data.user.role,
+                    accessToken: result.data.accessToken,
+                    refreshToken: result.data.refreshToken
+                }));
 
-            // 2. Efecto visual de carga en el botón
-            const btn = loginForm.querySelector('button');
-            const textoOriginal = btn.innerHTML;
-            btn.innerHTML = '<i class="fa-solid fa-circle-notch fa-spin"></i> Iniciando...';
-            btn.disabled = true; // Evitar doble click
-            
-            // 3. REDIRECCIÓN A USUARIOS.HTML
-            setTimeout(() => {
-                window.location.href = 'usuarios.html'; 
-            }, 1000); // 1 segundo de espera dramática
+                // 2. Efecto visual de carga en el botón
+                const btn = loginForm.querySelector('button');
+                btn.innerHTML = '<i class="fa-solid fa-circle-notch fa-spin"></i> Iniciando...';
+                btn.disabled = true; // Evitar doble click
 
-        } else {
-            // Si algo no coincide, mostramos error
-            mostrarError("Credenciales incorrectas. Verifica RUC, usuario o contraseña.");
-        }
+                // 3. REDIRECCIÓN A USUARIOS.HTML
+                setTimeout(() => {
+                    window.location.href = 'usuarios.html';
+                }, 1000);
+            })
+            .catch(() => {
+                mostrarError("No se pudo conectar con el servidor.");
+            });
     });
 
     function mostrarError(mensaje) {
@@ -1,82 +1,79 @@
 /**
  * Timeline Generator Module for TrazaNet
- * Generates intelligent timeline events based on batch data
+ * Generates timeline events from the recorded data of a batch (browser and Node.js)
  */
 
 const TimelineGenerator = {
     /**
-     * Generates a complete timeline for a batch
-     * @param {Object} batch - Batch data object
-     * @returns {Array} Array of timeline events
+     * Custody stages expected for every batch, in chain order
      */
-    generateTimeline(batch) {
-        const events = [];
-        const batchDate = new Date(batch.date);
+    STAGES: {
+        transporte: { title: 'Transporte Iniciado', icon: 'fa-truck', color: 'bg-blue-500', category: 'logistics' },
+        recepcion: { title: 'Recepción en Planta', icon: 'fa-truck-loading', color: 'bg-cyan-500', category: 'logistics' },
+        empaque: { title: 'Procesamiento y Empaque', icon: 'fa-box', color: 'bg-purple-500', category: 'processing' }
+    },
 
-        // 1. Harvest/Origin Event
-        const harvestDate = this.estimateHarvestDate(batchDate);
-        events.push({
-            title: 'Cosecha Registrada',
-            date: harvestDate,
-            icon: 'fa-leaf',
-            color: 'bg-green-500',
-            desc: this.getOriginDescription(batch),
-            category: 'origin',
-            status: 'completed'
-        });
+    /**
+     * Generates the timeline of a batch from recorded data only.
+     * The same inputs always produce the same events (no random values, offsets or current time).
+     * @param {Object} batch - Batch record (as returned by /api/batch/:id)
+     * @param {Object} sources - Recorded events for the batch
+     * @param {Array} sources.custodia - Custody events (defaults to batch.cadenaCustodia)
+     * @param {Array} sources.auditorias - Audit runs (audit_results records)
+     * @param {Array} sources.ledger - Ledger entries ({ hash, fecha, descripcion })
+     * @returns {Array} Timeline events; dated events first (most recent first), then missing stages
+     */
+    generateTimeline(batch, sources = {}) {
+        const custodia = sources.custodia || batch.cadenaCustodia || [];
+        const auditorias = sources.auditorias || [];
+        const ledger = sources.ledger || [];
+        const events = [];
 
-        // 2. Quality Control at Origin
-        const originQCDate = new Date(harvestDate.getTime() + 1000 * 60 * 60 * 4); // 4 hours after harvest
-        events.push({
-            title: 'Control de Calidad en Origen',
-            date: originQCDate,
-            icon: 'fa-check-circle',
-            color: 'bg-emerald-500',
-            desc: 'Inspección inicial de calidad y clasificación en campo.',
-            category: 'quality',
-            status: 'completed'
-        });
+        // 1. Harvest: stored FECHA_COSECHA and FINCA of the file
+        const cosecha = batch.resumen && batch.resumen.cosecha;
+        if (cosecha && cosecha.desde) {
+            events.push({
+                title: 'Cosecha Registrada',
+                date: new Date(cosecha.desde),
+                icon: 'fa-leaf',
+                color: 'bg-green-500',
+                desc: this.getOriginDescription(batch),
+                category: 'origin',
+                status: 'completed'
+            });
+        } else {
+            events.push(this.missingEvent('Cosecha Registrada', 'fa-leaf', 'origin',
+                'El archivo no registra FECHA_COSECHA.'));
+        }
 
-        // 3. Transportation to Processing Center
-        const transportDate = new Date(harvestDate.getTime() + 1000 * 60 * 60 * 8); // 8 hours after harvest
-        events.push({
-            title: 'Transporte Iniciado',
-            date: transportDate,
-            icon: 'fa-truck',
-            color: 'bg-blue-500',
-            desc: 'Transporte refrigerado hacia centro de procesamiento.',
-            category: 'logistics',
-            status: 'completed'
-        });
+        // 2. Custody stages (transport, reception, packing) as recorded and signed
+        Object.keys(this.STAGES).forEach(stage => {
+            const stageEvents = custodia.filter(event => event.etapa === stage);
+            const config = this.STAGES[stage];
 
-        // 4. Reception at Processing Center
-        const receptionDate = new Date(harvestDate.getTime() + 1000 * 60 * 60 * 24); // 1 day after harvest
-        events.push({
-            title: 'Recepción en Planta',
-            date: receptionDate,
-            icon: 'fa-truck-loading',
-            color: 'bg-cyan-500',
-            desc: 'Lote recibido en centro de distribución y almacenamiento.',
-            category: 'logistics',
-            status: 'completed'
-        });
+            if (stageEvents.length === 0) {
+                events.push(this.missingEvent(config.title, config.icon, config.category, 'Etapa no registrada.'));
+                return;
+            }
 
-        // 5. Processing and Packaging
-        const processingDate = new Date(receptionDate.getTime() + 1000 * 60 * 60 * 6); // 6 hours after reception
-        events.push({
-            title: 'Procesamiento y Empaque',
-            date: processingDate,
-            icon: 'fa-box',
-            color: 'bg-purple-500',
-            desc: 'Selección, limpieza, clasificación y empaque del lote.',
-            category: 'processing',
-            status: 'completed'
+            stageEvents.forEach(event => {
+                events.push({
+                    title: config.title,
+                    date: new Date(event.fecha),
+                    icon: config.icon,
+                    color: config.color,
+                    desc: this.getCustodyDescription(event),
+                    category: config.category,
+                    status: 'completed',
+                    signature: event.firma
+                });
+            });
         });
 
-        // 6. Data Upload Event
+        // 3. Data upload
         events.push({
             title: 'Carga de Datos',
-            date: batchDate,
+            date: new Date(batch.date),
             icon: 'fa-upload',
             color: 'bg-indigo-500',
             desc: `Archivo ${batch.fileName} cargado al sistema TrazaNet.`,
@@ -84,92 +81,115 @@ const TimelineGenerator = {
             status: 'completed'
         });
 
-        // 7. Automated Analysis
-        const analysisDate = new Date(batchDate.getTime() + 1000 * 60 * 2); // 2 mins after upload
-        events.push({
-            title: 'Análisis Automatizado',
-            date: analysisDate,
-            icon: 'fa-robot',
-            color: 'bg-violet-500',
-            desc: 'Procesamiento de datos y análisis de calidad mediante IA.',
-            category: 'system',
-            status: 'completed'
-        });
-
-        // 8. Audit Completed
-        const auditDate = new Date(batchDate.getTime() + 1000 * 60 * 5); // 5 mins after upload
-        const auditResult = batch.simResult || 'Pendiente';
-        const auditColor = this.getAuditColor(auditResult);
-        events.push({
-            title: 'Auditoría Completada',
-            date: auditDate,
-            icon: 'fa-clipboard-check',
-            color: auditColor,
-            desc: `Resultado: ${auditResult}. ${this.getAuditDescription(batch)}`,
-            category: 'audit',
-            status: 'completed',
-            highlight: true
+        // 4. Audit runs
+        auditorias.forEach(audit => {
+            const result = audit.result || audit.resultado || 'Pendiente';
+            const rules = audit.totalReglas
+                ? ` ${audit.reglasCumplidas}/${audit.totalReglas} reglas cumplidas.`
+                : '';
+            events.push({
+                title: audit.certificacion ? `Auditoría ${audit.certificacion}` : 'Auditoría Completada',
+                date: new Date(audit.createdAt),
+                icon: 'fa-clipboard-check',
+                color: this.getAuditColor(result),
+                desc: `Resultado: ${result}.${rules || ' ' + this.getAuditDescription({ ...batch, simResult: result })}`,
+                category: 'audit',
+                status: 'completed',
+                highlight: true
+            });
         });
 
-        // 9. Blockchain Registration (if applicable)
-        if (batch.transactionId && batch.transactionId !== 'Pendiente') {
-            const blockchainDate = new Date(auditDate.getTime() + 1000 * 60 * 3); // 3 mins after audit
+        // 5. Ledger entries (or the transaction recorded with the upload)
+        const entries = ledger.length > 0
+            ? ledger
+            : (batch.transactionId && batch.transactionId !== 'Pendiente'
+                ? [{ hash: batch.transactionId, fecha: batch.date }]
+                : []);
+        entries.forEach(entry => {
             events.push({
                 title: 'Registro en Blockchain',
-                date: blockchainDate,
+                date: new Date(entry.fecha),
                 icon: 'fa-link',
                 color: 'bg-amber-500',
-                desc: `Transacción registrada: ${batch.transactionId.substring(0, 16)}...`,
+                desc: entry.descripcion || `Transacción registrada: ${String(entry.hash).substring(0, 16)}...`,
                 category: 'blockchain',
                 status: 'completed'
             });
-        }
+        });
 
-        // 10. Current Status / Next Steps
-        const nextStepDate = new Date();
+        // 6. Next step (not dated: it has not happened yet)
         const nextStep = this.getNextStep(batch);
-        events.push({
+        const pending = {
             title: nextStep.title,
-            date: nextStepDate,
+            date: null,
             icon: nextStep.icon,
             color: nextStep.color,
             desc: nextStep.desc,
             category: 'next',
             status: 'pending'
-        });
+        };
 
-        // Sort events by date (most recent first)
-        return events.sort((a, b) => b.date - a.date);
+        // Sort dated events (most recent first); ties keep the chain order above
+        const dated = events
+            .map((event, index) => ({ event, index }))
+            .filter(item => item.event.date)
+            .sort((a, b) => (b.event.date - a.event.date) || (b.index - a.index))
+            .map(item => item.event);
+        const missing = events.filter(event => !event.date);
+
+        return [pending, ...dated, ...missing];
     },
 
     /**
-     * Estimates harvest date based on upload date
-     * @param {Date} uploadDate - Date when file was uploaded
-     * @returns {Date} Estimated harvest date
+     * Builds the placeholder of a stage that was not recorded
+     * @returns {Object} Timeline event with status 'missing' and no date
      */
-    estimateHarvestDate(uploadDate) {
-        // Typically 2-3 days before upload
-        const daysBeforeUpload = 2 + Math.random(); // 2-3 days
-        return new Date(uploadDate.getTime() - daysBeforeUpload * 24 * 60 * 60 * 1000);
+    missingEvent(title, icon, category, desc) {
+        return {
+            title,
+            date: null,
+            icon,
+            color: 'bg-gray-500',
+            desc,
+            category,
+            status: 'missing'
+        };
     },
 
     /**
-     * Gets origin description based on batch data
+     * Gets origin description from the farms and harvest dates stored for the batch
      * @param {Object} batch - Batch data object
      * @returns {string} Origin description
      */
     getOriginDescription(batch) {
-        const origins = [
-            'Finca El Paraíso, Zona Cafetera',
-            'Cooperativa Agrícola San José',
-            'Hacienda Los Andes, Valle del Cauca',
-            'Finca La Esperanza, Antioquia',
-            'Productores Asociados del Norte'
-        ];
+        const resumen = batch.resumen || {};
+        const fincas = resumen.fincas || [];
+        const cosecha = resumen.cosecha || {};
+        const origin = fincas.length ? `Finca${fincas.length > 1 ? 's' : ''} ${fincas.join(', ')}` : 'Finca no registrada';
+        const range = cosecha.hasta && cosecha.hasta.substring(0, 10) !== cosecha.desde.substring(0, 10)
+            ? ` entre ${cosecha.desde.substring(0, 10)} y ${cosecha.hasta.substring(0, 10)}`
+            : '';
+        return `${origin}. Cosecha registrada en ${resumen.filas || 0} filas${range}.`;
+    },
 
-        // Use batch ID to consistently select same origin for same batch
-        const index = batch.id ? parseInt(batch.id.substring(0, 8), 16) % origins.length : 0;
-        return `Origen verificado: ${origins[index]}`;
+    /**
+     * Describes a custody event from its recorded data
+     * @param {Object} event - Custody event (/api/batch/:id/events)
+     * @returns {string} Event description
+     */
+    getCustodyDescription(event) {
+        const datos = event.datos || {};
+        const by = event.registradoPor ? ` Registrado por ${event.registradoPor.usuario}.` : '';
+        switch (event.etapa) {
+            case 'transporte':
+                return `Vehículo ${datos.vehiculo}, temperatura ${datos.temperaturaC} °C.${by}`;
+            case 'recepcion':
+                return `${datos.pesoRecibidoKg} kg recibidos, sello ${String(datos.condicionSello).toLowerCase()}.${by}`;
+            case 'empaque':
+                return `${datos.totalCajas} cajas (${datos.pesoTotalKg} kg), materia seca ${datos.materiaSecaPct}%.${by}`;
+            default:
+                return by.trim();
+        }
     },
 
     /**
@@ -262,31 +282,77 @@ const TimelineGenerator = {
         }
     },
 
+    /**
+     * Escapes text before inserting it into HTML
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Formats an event date; undated events show their status instead
+     * @param {Object} event - Event object
+     * @param {Object} options - { timeZone } for server-side rendering
+     * @returns {string} Formatted date
+     */
+    formatDate(event, options = {}) {
+        if (!event.date) {
+            return event.status === 'missing' ? 'Sin registrar' : 'Pendiente';
+        }
+        const date = new Date(event.date);
+        const zone = options.timeZone ? { timeZone: options.timeZone } : {};
+        return `${date.toLocaleDateString('es-ES', zone)} ${date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit', ...zone })}`;
+    },
+
     /**
      * Formats a timeline event for HTML rendering
      * @param {Object} event - Event object
      * @param {number} index - Event index
+     * @param {Object} options - { theme: 'light' | 'dark', timeZone }
      * @returns {string} HTML string
      */
-    formatEventHTML(event, index) {
+    formatEventHTML(event, index, options = {}) {
+        const dark = options.theme === 'dark';
         const isHighlight = event.highlight ? 'ring-2 ring-indigo-300' : '';
-        const isPending = event.status === 'pending' ? 'opacity-75' : '';
+        const isPending = event.status !== 'completed' ? 'opacity-75' : '';
+        const card = dark ? 'bg-white/5 border-white/10' : 'bg-white border-slate-100 shadow-sm';
+        const titleColor = dark ? 'text-gray-200' : 'text-slate-800';
+        const textColor = dark ? 'text-gray-400' : 'text-slate-600';
+        const badge = {
+            pending: '<span class="inline-block mt-2 text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full">Pendiente</span>',
+            missing: '<span class="inline-block mt-2 text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded-full">Etapa sin registrar</span>'
+        }[event.status] || '';
+        const border = dark ? 'border-[#011c16]' : 'border-white';
 
         return `
-            <div class="relative flex items-start z-10 ${isPending}">
-                <div class="w-12 h-12 rounded-full ${event.color} border-4 border-white shadow-md flex items-center justify-center text-white shrink-0 ${isHighlight}">
+            <div class="relative flex items-start z-10 ${isPending}" data-index="${index}">
+                <div class="w-12 h-12 rounded-full ${event.color} border-4 ${border} shadow-md flex items-center justify-center text-white shrink-0 ${isHighlight}">
                     <i class="fas ${event.icon} text-sm"></i>
                 </div>
-                <div class="ml-4 bg-white p-4 rounded-xl border border-slate-100 shadow-sm flex-1 ${isHighlight}">
+                <div class="ml-4 p-4 rounded-xl border flex-1 ${card} ${isHighlight}">
                     <div class="flex justify-between items-start mb-1">
-                        <h4 class="font-semibold text-slate-800">${event.title}</h4>
-                        <span class="text-xs text-slate-400">${event.date.toLocaleDateString('es-ES')} ${event.date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}</span>
+                        <h4 class="font-semibold ${titleColor}">${this.escapeHtml(event.title)}</h4>
+                        <span class="text-xs text-slate-400">${this.formatDate(event, options)}</span>
                     </div>
-                    <p class="text-sm text-slate-600">${event.desc}</p>
-                    ${event.status === 'pending' ? '<span class="inline-block mt-2 text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full">Pendiente</span>' : ''}
+                    <p class="text-sm ${textColor}">${this.escapeHtml(event.desc)}</p>
+                    ${badge}
                 </div>
             </div>
         `;
+    },
+
+    /**
+     * Renders a whole timeline as an HTML fragment (browser or server, e.g. reports)
+     * @param {Array} events - Events from generateTimeline
+     * @param {Object} options - { theme: 'light' | 'dark', timeZone }
+     * @returns {string} HTML string
+     */
+    renderHTML(events, options = {}) {
+        return events.map((event, index) => this.formatEventHTML(event, index, options)).join('');
     }
 };
 
@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.12;
 
 /**
  * @title AvocadoTraceContract
@@ -17,36 +17,58 @@ contract AvocadoTraceContract {
     // Ej: 8.0 °C se almacena como 800.
     // =========================================================================
     address public owner; // Dirección del Administrador.
-    
+
     // Parámetros de Calidad/Integridad (Modificables desde administracion_smart_contracts.html)
     uint256 public MAX_TEMP_TRANSPORT_C;     // Umbral de temperatura máxima (°C * 100).
     uint256 public MAX_WEIGHT_DEVIATION_PCT; // Desviación de peso máxima permitida (%).
     uint256 public MIN_DRY_MATTER_PCT;       // Materia seca mínima requerida (%).
 
+    // Roles de los participantes que escriben cada etapa. El administrador los tiene todos.
+    enum Role { None, Transporter, Processor, Packer, Auditor }
+
+    mapping(address => Role) public roles;
+
     // =========================================================================
     // 2. ESTRUCTURAS DE DATOS DE TRAZABILIDAD
     // =========================================================================
-    
+
     // Almacena el resultado final de la auditoría y la causa si falla.
     struct AuditResult {
         bool isCompliant;           // El lote cumple con todos los umbrales (true/false).
         string reason;              // Descripción del hallazgo o "Lote Conforme".
-        uint256 timestamp;          // Momento en que se ejecutó la auditoría.
+        uint256 timestamp;          // Momento en que se ejecutó la auditoría (0 si aún no se audita).
     }
-    
+
     // Almacena datos clave del lote a lo largo de su ciclo de vida.
     struct BatchData {
         string loteId;
         string variety;
         address registeredBy;       // El usuario/wallet que registró el lote inicial (carga.html)
+        uint256 registeredAt;       // Momento del registro inicial (0 si el lote no existe)
+        address currentOwner;       // Propietario actual del lote (transaccion_lote.html)
         uint256 initialWeight;      // Peso inicial registrado (carga.html)
         uint256 finalWeightReceived; // Peso en recepción (registro_procesamiento.html)
         uint256 avgTemperature;     // Temperatura promedio del viaje (registro_transporte.html)
+        uint256 dryMatterPct;       // Materia seca final (registro_empaque.html)
+        uint256 transportedAt;      // Momento de cada etapa (0 si aún no se registra)
+        uint256 receivedAt;
+        uint256 packedAt;
         AuditResult audit;
     }
 
-    // Mapeo para almacenar todos los datos de un lote usando su ID como clave.
-    mapping(string => BatchData) public batches;
+    // Registro de cada cambio de propietario del lote
+    struct OwnershipTransfer {
+        address from;
+        address to;
+        uint256 amountUSD;
+        uint256 timestamp;
+    }
+
+    // Mapeo para almacenar todos los datos de un lote usando su ID como clave (se lee con getBatch).
+    mapping(string => BatchData) private batches;
+
+    // Historial de propietarios de cada lote, del más antiguo al más reciente.
+    mapping(string => OwnershipTransfer[]) private transfers;
 
 
     // =========================================================================
@@ -57,18 +79,31 @@ contract AvocadoTraceContract {
     event BatchRegistered(string indexed loteId, address indexed registrador);
     event BatchAuditCompleted(string indexed loteId, bool compliant, string reason);
     event AssetTransfer(string indexed loteId, address indexed from, address indexed to, uint256 amountUSD);
+    event RoleUpdated(address indexed account, Role role, address indexed by);
 
 
     // =========================================================================
-    // 4. MODIFICADOR Y CONSTRUCTOR
+    // 4. MODIFICADORES Y CONSTRUCTOR
     // =========================================================================
-    
+
     // Modificador que restringe funciones solo al administrador del contrato.
     modifier onlyOwner() {
         require(msg.sender == owner, "Acceso denegado: Solo el administrador puede ejecutar esta funcion.");
         _;
     }
 
+    // Modificador que restringe funciones a quien tenga el rol (o al administrador).
+    modifier onlyRole(Role role) {
+        require(hasRole(msg.sender, role), "Acceso denegado: la cuenta no tiene el rol requerido.");
+        _;
+    }
+
+    // Modificador que exige que el lote esté registrado.
+    modifier batchExists(string memory loteId) {
+        require(batches[loteId].registeredAt != 0, "Lote no encontrado.");
+        _;
+    }
+
     /**
      * @notice Constructor del contrato. Se ejecuta una sola vez al desplegar.
      * @param initialMaxTemp Umbral de temperatura inicial (ej. 800).
@@ -84,69 +119,111 @@ contract AvocadoTraceContract {
 
 
     // =========================================================================
-    // 5. FUNCIONES DE REGISTRO DE EVENTOS (Interfaces de Operación)
+    // 5. GESTIÓN DE ROLES (Interfaz: usuarios.html)
     // =========================================================================
-    
+
+    /**
+     * @notice Indica si una cuenta puede escribir como el rol indicado.
+     */
+    function hasRole(address account, Role role) public view returns (bool) {
+        return account == owner || (role != Role.None && roles[account] == role);
+    }
+
+    /**
+     * @notice Asigna un rol a una cuenta (Role.None lo revoca).
+     */
+    function setRole(address account, Role role) public onlyOwner {
+        require(account != address(0), "Cuenta no valida.");
+        roles[account] = role;
+        emit RoleUpdated(account, role, msg.sender);
+    }
+
+
+    // =========================================================================
+    // 6. FUNCIONES DE REGISTRO DE EVENTOS (Interfaces de Operación)
+    // =========================================================================
+
     /**
      * @notice Registra los datos iniciales de cosecha del lote. (Pantalla: carga.html)
+     * Solo el administrador o una cuenta con rol puede registrar lotes.
      */
     function registerBatchInitialData(
         string memory loteId,
         string memory variety,
         uint256 initialWeight
     ) public {
-        require(batches[loteId].timestamp == 0, "Lote ya registrado."); // Evita doble registro inicial
-
-        batches[loteId] = BatchData({
-            loteId: loteId,
-            variety: variety,
-            registeredBy: msg.sender,
-            initialWeight: initialWeight,
-            finalWeightReceived: 0, // Se actualizará después
-            avgTemperature: 0,      // Se actualizará después
-            audit: AuditResult(false, "Pendiente de Auditoria", block.timestamp)
-        });
+        require(msg.sender == owner || roles[msg.sender] != Role.None, "Acceso denegado: la cuenta no tiene un rol asignado.");
+        require(bytes(loteId).length > 0, "ID de lote requerido.");
+        require(batches[loteId].registeredAt == 0, "Lote ya registrado."); // Evita doble registro inicial
+
+        BatchData storage batch = batches[loteId];
+        batch.loteId = loteId;
+        batch.variety = variety;
+        batch.registeredBy = msg.sender;
+        batch.registeredAt = block.timestamp;
+        batch.currentOwner = msg.sender;
+        batch.initialWeight = initialWeight;
+        batch.audit = AuditResult(false, "Pendiente de Auditoria", 0);
 
         emit BatchRegistered(loteId, msg.sender);
     }
-    
+
     /**
      * @notice Registra los datos de transporte. (Pantalla: registro_transporte.html)
      */
     function updateTransportData(
         string memory loteId,
         uint256 avgTemperature
-    ) public {
-        require(batches[loteId].timestamp != 0, "Lote no encontrado.");
-        batches[loteId].avgTemperature = avgTemperature;
-        // La auditoría se disparará con la función 'evaluateBatch' después del procesamiento
+    ) public onlyRole(Role.Transporter) batchExists(loteId) {
+        BatchData storage batch = batches[loteId];
+        batch.avgTemperature = avgTemperature;
+        batch.transportedAt = block.timestamp;
+        // La auditoría se dispara con la recepción, cuando ya hay pesos que comparar
     }
 
     /**
-     * @notice Registra los datos de recepción y dispara la primera evaluación de peso. (Pantalla: registro_procesamiento.html)
+     * @notice Registra los datos de recepción y evalúa temperatura y peso. (Pantalla: registro_procesamiento.html)
      */
     function updateReceptionData(
         string memory loteId,
         uint256 finalWeightReceived
-    ) public {
-        require(batches[loteId].timestamp != 0, "Lote no encontrado.");
-        batches[loteId].finalWeightReceived = finalWeightReceived;
-        
-        // Ejecutar auditoría inicial (Temperatura y Desviación de Peso)
-        evaluateBatch(loteId, 0, finalWeightReceived, 0); 
+    ) public onlyRole(Role.Processor) batchExists(loteId) {
+        BatchData storage batch = batches[loteId];
+        require(finalWeightReceived > 0, "Peso recibido requerido.");
+        batch.finalWeightReceived = finalWeightReceived;
+        batch.receivedAt = block.timestamp;
+
+        _evaluate(loteId);
+    }
+
+    /**
+     * @notice Registra el empaque con la materia seca final y evalúa el lote completo. (Pantalla: registro_empaque.html)
+     * El lote puede empacarse en varias tandas; se guarda la materia seca de la última.
+     */
+    function recordPackingData(
+        string memory loteId,
+        uint256 dryMatterPct
+    ) public onlyRole(Role.Packer) batchExists(loteId) {
+        BatchData storage batch = batches[loteId];
+        require(batch.receivedAt != 0, "El lote aun no tiene recepcion registrada.");
+        require(dryMatterPct > 0 && dryMatterPct <= 100, "Materia seca fuera de rango.");
+        batch.dryMatterPct = dryMatterPct;
+        batch.packedAt = block.timestamp;
+
+        _evaluate(loteId);
     }
-    
+
     // =========================================================================
-    // 6. FUNCIÓN DE GOBERNANZA (Interfaz: administracion_smart_contracts.html)
+    // 7. FUNCIÓN DE GOBERNANZA (Interfaz: administracion_smart_contracts.html)
     // =========================================================================
-    
+
     /**
      * @notice Permite al administrador actualizar todos los parámetros clave.
      * Esta es la función que se llama al pulsar "Actualizar Parámetros en Blockchain".
      */
     function setThresholds(
-        uint256 newMaxTemp, 
-        uint256 newMaxWeightDev, 
+        uint256 newMaxTemp,
+        uint256 newMaxWeightDev,
         uint256 newMinDryMatter
     ) public onlyOwner {
         MAX_TEMP_TRANSPORT_C = newMaxTemp;
@@ -155,104 +232,139 @@ contract AvocadoTraceContract {
 
         emit ThresholdsUpdated(msg.sender, newMaxTemp, newMaxWeightDev, newMinDryMatter);
     }
-    
+
     // =========================================================================
-    // 7. FUNCIÓN CENTRAL DE AUDITORÍA (Motor de Reglas)
+    // 8. FUNCIÓN CENTRAL DE AUDITORÍA (Motor de Reglas)
     // =========================================================================
 
     /**
-     * @notice Ejecuta la auditoría del lote contra todos los umbrales establecidos en el contrato.
-     * Simula la lógica detrás de analisis_falla.html.
+     * @notice Vuelve a auditar el lote con los datos guardados y los umbrales vigentes.
+     * Simula la lógica detrás de analisis_falla.html. Solo auditores (o el administrador).
      */
-    function evaluateBatch(
-        string memory loteId,
-        uint256 avgTemperatureC_Input, // Requerido para la auditoría de transporte
-        uint256 finalWeightReceived_Input, // Requerido para la auditoría de peso
-        uint256 finalDryMatterPct_Input // Requerido para la auditoría de empaque (registro_empaque.html)
-    ) public {
-        
-        BatchData storage batch = batches[loteId];
-        bool compliant = true;
-        string memory reason = "Lote Conforme. Cumple con todos los SC.";
+    function evaluateBatch(string memory loteId) public onlyRole(Role.Auditor) batchExists(loteId) {
+        _evaluate(loteId);
+    }
 
-        // Usar datos almacenados si no se proporcionan explícitamente (para auditorías parciales)
-        uint256 avgTemp = (avgTemperatureC_Input != 0) ? avgTemperatureC_Input : batch.avgTemperature;
-        uint256 initialWeight = batch.initialWeight;
-        uint256 finalWeight = (finalWeightReceived_Input != 0) ? finalWeightReceived_Input : batch.finalWeightReceived;
+    /**
+     * @notice Evalúa cada etapa registrada contra su umbral; el motivo lista todas las fallas encontradas.
+     */
+    function _evaluate(string memory loteId) private {
+        BatchData storage batch = batches[loteId];
+        string memory failures = "";
 
-        // -----------------------------------------------------------
         // AUDITORÍA 1: TEMPERATURA (Desde registro_transporte.html)
-        // -----------------------------------------------------------
-        if (avgTemp > MAX_TEMP_TRANSPORT_C) {
-            compliant = false;
-            reason = "FALLA: Temperatura promedio excedida. Umbral MAX: " ;
-            // El resto del string se concatenaría en el front-end por simplicidad en Solidity.
+        if (batch.transportedAt != 0 && batch.avgTemperature > MAX_TEMP_TRANSPORT_C) {
+            failures = _append(failures, string.concat(
+                "Temperatura promedio ", _decimal(batch.avgTemperature), " C excede el maximo de ",
+                _decimal(MAX_TEMP_TRANSPORT_C), " C"
+            ));
         }
 
-        // -----------------------------------------------------------
         // AUDITORÍA 2: DESVIACIÓN DE PESO (Desde registro_procesamiento.html)
-        // -----------------------------------------------------------
-        uint256 weightDeviation;
-        if (initialWeight > 0 && finalWeight > 0) {
-            // weightDeviation = abs(initialWeight - finalWeight) * 100 / initialWeight
-            // Dado que Solidity no maneja floats fácilmente, usamos enteros y multiplicamos/dividimos.
-            
-            // Simulación de desviación absoluta
-            uint256 difference;
-            if (initialWeight > finalWeight) {
-                difference = initialWeight - finalWeight;
-            } else {
-                difference = finalWeight - initialWeight;
-            }
-            
-            // Cálculo de porcentaje de desviación (difference * 100 / initialWeight)
-            weightDeviation = (difference * 100 * 100) / initialWeight; // x100 para mantener precisión
-            
-            if (compliant && weightDeviation > (MAX_WEIGHT_DEVIATION_PCT * 100)) { // Comparar con umbral (tambien x100)
-                compliant = false;
-                reason = "FALLA: Desviación de peso entre etapas excedida. Lote rechazado.";
+        if (batch.initialWeight > 0 && batch.receivedAt != 0) {
+            uint256 difference = batch.initialWeight > batch.finalWeightReceived
+                ? batch.initialWeight - batch.finalWeightReceived
+                : batch.finalWeightReceived - batch.initialWeight;
+            uint256 weightDeviation = (difference * 100 * 100) / batch.initialWeight; // % x100
+            if (weightDeviation > MAX_WEIGHT_DEVIATION_PCT * 100) {
+                failures = _append(failures, string.concat(
+                    unicode"Desviación de peso ", _decimal(weightDeviation), "% excede el maximo de ",
+                    _toString(MAX_WEIGHT_DEVIATION_PCT), "%"
+                ));
             }
         }
-        
-        // -----------------------------------------------------------
+
         // AUDITORÍA 3: MATERIA SECA FINAL (Desde registro_empaque.html)
-        // -----------------------------------------------------------
-        if (compliant && finalDryMatterPct_Input > 0 && finalDryMatterPct_Input < MIN_DRY_MATTER_PCT) {
-            compliant = false;
-            reason = "FALLA: Materia seca final insuficiente. No apto para exportación.";
+        if (batch.packedAt != 0 && batch.dryMatterPct < MIN_DRY_MATTER_PCT) {
+            failures = _append(failures, string.concat(
+                "Materia seca ", _toString(batch.dryMatterPct), "% bajo el minimo de ",
+                _toString(MIN_DRY_MATTER_PCT), "%"
+            ));
         }
 
+        bool compliant = bytes(failures).length == 0;
+        string memory reason = compliant
+            ? "Lote Conforme. Cumple con todos los SC."
+            : string.concat("FALLA: ", failures);
+
         // Actualizar el estado del lote en la Blockchain
         batch.audit = AuditResult(compliant, reason, block.timestamp);
 
         // Emitir evento
         emit BatchAuditCompleted(loteId, compliant, reason);
     }
-    
+
     // =========================================================================
-    // 8. FUNCIÓN DE TRANSACCIÓN DE PROPIEDAD (Interfaz: transaccion_lote.html)
+    // 9. FUNCIÓN DE TRANSACCIÓN DE PROPIEDAD (Interfaz: transaccion_lote.html)
     // =========================================================================
-    
+
     /**
-     * @notice Simula la transferencia de propiedad del activo digital (NFT/Lote) y el registro del valor.
-     * Esta función es fundamental para la pantalla transaccion_lote.html.
+     * @notice Transfiere la propiedad del lote y registra el valor de la operación en su historial.
+     * Puede transferir el propietario actual o el administrador (custodio de las billeteras de TrazaNet).
      */
     function transferAsset(
-        string memory loteId, 
+        string memory loteId,
         address newOwner,
         uint256 amountUSD
-    ) public {
-        require(batches[loteId].timestamp != 0, "Lote no encontrado.");
-        
-        // Lógica de transferencia simulada: 
-        // En un contrato NFT real, se llamaría a 'transferFrom(msg.sender, newOwner, tokenId)'
-
-        // 1. Simular cambio de 'propietario' o registro de la transferencia.
-        // Aquí solo registramos el evento para la trazabilidad financiera.
-
-        // 2. Emitir el evento de transferencia financiera/propiedad.
-        emit AssetTransfer(loteId, msg.sender, newOwner, amountUSD);
-        
-        // Nota: En un sistema real de pagos, el 'amountUSD' sería el valor en tokens/criptomonedas.
+    ) public batchExists(loteId) {
+        BatchData storage batch = batches[loteId];
+        address previousOwner = batch.currentOwner;
+        require(msg.sender == previousOwner || msg.sender == owner, "Acceso denegado: solo el propietario del lote puede transferirlo.");
+        require(newOwner != address(0), "Destino no valido.");
+        require(newOwner != previousOwner, "El destino ya es el propietario del lote.");
+
+        batch.currentOwner = newOwner;
+        transfers[loteId].push(OwnershipTransfer(previousOwner, newOwner, amountUSD, block.timestamp));
+
+        emit AssetTransfer(loteId, previousOwner, newOwner, amountUSD);
+    }
+
+    /**
+     * @notice Datos completos de un lote (registeredAt es 0 si no existe).
+     */
+    function getBatch(string memory loteId) public view returns (BatchData memory) {
+        return batches[loteId];
+    }
+
+    /**
+     * @notice Cantidad de transferencias registradas de un lote.
+     */
+    function getTransferCount(string memory loteId) public view returns (uint256) {
+        return transfers[loteId].length;
+    }
+
+    /**
+     * @notice Transferencia del historial de un lote (0 es la más antigua).
+     */
+    function getTransfer(string memory loteId, uint256 index) public view returns (OwnershipTransfer memory) {
+        require(index < transfers[loteId].length, "Transferencia no encontrada.");
+        return transfers[loteId][index];
+    }
+
+    // =========================================================================
+    // 10. UTILIDADES DE TEXTO PARA LOS MOTIVOS DE AUDITORÍA
+    // =========================================================================
+
+    function _append(string memory list, string memory item) private pure returns (string memory) {
+        return bytes(list).length == 0 ? item : string.concat(list, "; ", item);
+    }
+
+    // Entero x100 con dos decimales (ej. 750 -> "7.50")
+    function _decimal(uint256 value) private pure returns (string memory) {
+        uint256 cents = value % 100;
+        return string.concat(_toString(value / 100), cents < 10 ? ".0" : ".", _toString(cents));
+    }
+
+    function _toString(uint256 value) private pure returns (string memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 temp = value; temp != 0; temp /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            digits--;
+            buffer[digits] = bytes1(uint8(48 + (value % 10)));
+            value /= 10;
+        }
+        return string(buffer);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,12 @@
+/**
+ * Nodo EVM local para desarrollo (npm run chain): http://127.0.0.1:8545, chainId 31337
+ * Funciona sin conexión; el servidor compila y despliega AvocadoTraceContract con lib/evmChain.js
+ * cuando TRAZANET_CHAIN_BACKEND=evm. El estado del nodo se pierde al detenerlo
+ */
+module.exports = {
+    networks: {
+        hardhat: {
+            chainId: 31337
+        }
+    }
+};
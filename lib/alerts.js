@@ -0,0 +1,385 @@
+/**
+ * Alertas de incidentes de los lotes
+ * Se generan a partir de las auditorías (por reglas, simulaciones y del contrato) que no cumplen, de las
+ * excursiones de temperatura de la telemetría, de las recepciones con el sello violado o una desviación
+ * de peso y de los empaques con materia seca bajo el mínimo, y avanzan por los estados abierta → reconocida → investigación → resuelta / cerrada con plazos
+ * (SLA) para reconocerlas y resolverlas según su severidad
+ */
+
+// Estados de una alerta
+const ALERT_STATES = {
+    abierta: 'Abierta',
+    reconocida: 'Reconocida',
+    investigacion: 'En investigación',
+    resuelta: 'Resuelta',
+    cerrada: 'Cerrada'
+};
+
+// Estados a los que puede pasar una alerta desde cada estado; una alerta resuelta puede reabrirse
+// para investigarla de nuevo y una cerrada ya no cambia
+const TRANSITIONS = {
+    abierta: ['reconocida', 'investigacion', 'resuelta', 'cerrada'],
+    reconocida: ['investigacion', 'resuelta', 'cerrada'],
+    investigacion: ['resuelta', 'cerrada'],
+    resuelta: ['investigacion', 'cerrada'],
+    cerrada: []
+};
+
+// Estados de una alerta que todavía requiere atención
+const ACTIVE_STATES = ['abierta', 'reconocida', 'investigacion'];
+// Estados que terminan el plazo de resolución
+const FINAL_STATES = ['resuelta', 'cerrada'];
+
+// Tipos de alerta según el incidente que la genera
+const ALERT_TYPES = {
+    'auditoria-reglas': 'Auditoría por reglas no conforme',
+    simulacion: 'Simulación de auditoría no conforme',
+    temperatura: 'Temperatura de transporte excedida',
+    sello: 'Sello de seguridad comprometido',
+    'desviacion-peso': 'Desviación de peso entre etapas',
+    'materia-seca': 'Materia seca insuficiente',
+    'auditoria-contrato': 'Auditoría del contrato no conforme'
+};
+
+const SEVERITIES = {
+    alta: 'Alta',
+    media: 'Media'
+};
+
+// Horas para reconocer y para resolver una alerta desde que se detecta, por severidad
+const SLA_HOURS = {
+    alta: { reconocer: 1, resolver: 24 },
+    media: { reconocer: 4, resolver: 72 }
+};
+
+// Resultados de una auditoría por reglas o simulación que generan alerta
+const AUDIT_FAILURES = {
+    Descarte: { severidad: 'alta', incidente: 'Lote descartado en auditoría' },
+    Hallazgo: { severidad: 'media', incidente: 'Hallazgo de auditoría' }
+};
+
+// Fallas que informa el contrato, reconocidas por el motivo de la auditoría
+const CONTRACT_FAILURES = [
+    { patron: /temperatura/i, tipo: 'temperatura', severidad: 'media', incidente: 'Temperatura de transporte excedida' },
+    { patron: /peso/i, tipo: 'desviacion-peso', severidad: 'alta', incidente: 'Desviación de peso entre etapas' },
+    { patron: /materia seca/i, tipo: 'materia-seca', severidad: 'alta', incidente: 'Materia seca insuficiente' }
+];
+
+const UNKNOWN_FAILURE = { tipo: 'auditoria-contrato', severidad: 'alta', incidente: 'Auditoría del contrato no conforme' };
+
+/**
+ * Construye la alerta de un evento BatchAuditCompleted no conforme
+ * @param {Object} event - Evento indexado del contrato
+ * @param {Object} batch - { archivo, fincas } del lote (puede ser null si el lote no se resolvió)
+ * @returns {Object|null} Alerta a crear o null si el evento no la genera
+ */
+function alertFromContractAudit(event, batch) {
+    if (event.evento !== 'BatchAuditCompleted' || event.datos.conforme) return null;
+
+    const failure = CONTRACT_FAILURES.find(item => item.patron.test(event.datos.motivo)) || UNKNOWN_FAILURE;
+    return {
+        ruc: event.ruc,
+        origen: 'contrato',
+        origenId: event.id,
+        loteId: event.loteId,
+        tipo: failure.tipo,
+        severidad: failure.severidad,
+        estado: 'abierta',
+        fecha: event.fecha,
+        incidente: failure.incidente,
+        mensaje: event.datos.motivo,
+        archivo: batch ? batch.archivo : null,
+        fincas: batch ? batch.fincas : [],
+        evidencia: {
+            evento: event.evento,
+            contrato: event.contrato,
+            bloque: event.bloque,
+            transaccion: event.transaccion
+        },
+        historial: [{ estado: 'abierta', fecha: event.fecha, usuario: null, comentario: null }]
+    };
+}
+
+// Función para describir una excursión de temperatura en el mensaje de la alerta
+function excursionMessage(excursion) {
+    const estado = excursion.enCurso ? 'en curso' : `durante ${excursion.minutos} min`;
+    return `Excursión de temperatura ${estado}${excursion.vehiculo ? ` en el vehículo ${excursion.vehiculo}` : ''}: ` +
+        `máxima ${excursion.maximoC} °C sobre el umbral de ${excursion.umbralC} °C`;
+}
+
+/**
+ * Construye la alerta de una excursión de temperatura de la telemetría
+ * @param {Object} excursion - Excursión guardada (telemetry.createExcursion)
+ * @param {Object} batch - { archivo, fincas } del lote
+ * @returns {Object} Alerta a crear
+ */
+function alertFromExcursion(excursion, batch) {
+    return {
+        ruc: excursion.ruc,
+        origen: 'telemetria',
+        origenId: excursion.id,
+        loteId: excursion.loteId,
+        tipo: 'temperatura',
+        severidad: excursion.severidad,
+        estado: 'abierta',
+        fecha: excursion.inicio,
+        incidente: 'Excursión de temperatura en transporte',
+        mensaje: excursionMessage(excursion),
+        archivo: batch.archivo,
+        fincas: batch.fincas,
+        versionUmbrales: excursion.versionUmbrales,
+        evidencia: excursionEvidence(excursion),
+        historial: [{ estado: 'abierta', fecha: excursion.detectadaEn, usuario: null, comentario: null }]
+    };
+}
+
+// Función para armar la evidencia de una excursión (se actualiza mientras sigue en curso)
+function excursionEvidence(excursion) {
+    return {
+        excursionId: excursion.id,
+        vehiculo: excursion.vehiculo,
+        inicio: excursion.inicio,
+        fin: excursion.fin,
+        minutos: excursion.minutos,
+        maximoC: excursion.maximoC,
+        umbralC: excursion.umbralC,
+        enCurso: excursion.enCurso,
+        dispositivos: excursion.dispositivos,
+        transaccion: excursion.transaccion
+    };
+}
+
+/**
+ * Construye la alerta de una auditoría por reglas o de una simulación con Descarte o Hallazgo
+ * @param {Object} audit - Auditoría guardada (audits.record): { id, result, origen, certificacion?, reglas?, transaccion }
+ * @param {Object} batch - { loteId, ruc, archivo, fincas } del lote
+ * @returns {Object|null} Alerta a crear o null si la auditoría fue conforme
+ */
+function alertFromAudit(audit, batch) {
+    const failure = AUDIT_FAILURES[audit.result];
+    if (!failure) return null;
+
+    const incumplidas = (audit.reglas || []).filter(regla => !regla.cumple);
+    const mensaje = audit.origen === 'reglas'
+        ? `Auditoría ${audit.certificacion}: ${audit.result} (${incumplidas.length} de ${audit.reglas.length} reglas incumplidas)`
+        : `Simulación de auditoría: ${audit.result}`;
+    return {
+        ruc: batch.ruc,
+        origen: 'auditoria',
+        origenId: audit.id,
+        loteId: batch.loteId,
+        tipo: audit.origen === 'reglas' ? 'auditoria-reglas' : 'simulacion',
+        severidad: failure.severidad,
+        estado: 'abierta',
+        fecha: audit.createdAt,
+        incidente: failure.incidente,
+        mensaje,
+        archivo: batch.archivo,
+        fincas: batch.fincas,
+        versionUmbrales: audit.versionUmbrales,
+        evidencia: {
+            auditoriaId: audit.id,
+            resultado: audit.result,
+            certificacionId: audit.certificacionId || null,
+            reglasIncumplidas: incumplidas.map(regla => ({ id: regla.id, descripcion: regla.descripcion, totalIncumplidas: regla.totalIncumplidas })),
+            transaccion: audit.transaccion
+        },
+        historial: [{ estado: 'abierta', fecha: audit.createdAt, usuario: null, comentario: null }]
+    };
+}
+
+/**
+ * Construye las alertas de una recepción: sello violado o ausente y desviación de peso sobre el umbral
+ * @param {Object} event - Evento de recepción guardado (batchEvents.create)
+ * @param {Object} batch - { ruc, archivo, fincas } del lote
+ * @param {Object} umbrales - Umbrales vigentes ({ maxDesviacionPesoPct, version })
+ * @returns {Array} Alertas a crear (vacío si la recepción no tiene fallas)
+ */
+function alertsFromReception(event, batch, umbrales) {
+    const { datos } = event;
+    const detectada = new Date().toISOString();
+    const base = {
+        ruc: batch.ruc,
+        origen: 'custodia',
+        loteId: event.loteId,
+        estado: 'abierta',
+        fecha: event.fecha,
+        archivo: batch.archivo,
+        fincas: batch.fincas,
+        versionUmbrales: umbrales.version,
+        historial: [{ estado: 'abierta', fecha: detectada, usuario: null, comentario: null }]
+    };
+    const evidencia = {
+        secuencia: event.secuencia,
+        registradoPor: event.registradoPor.usuario,
+        firma: event.firma,
+        transaccion: event.transaccion
+    };
+    const alerts = [];
+
+    if (datos.condicionSello !== 'Intacto') {
+        alerts.push({
+            ...base,
+            origenId: `${event.id}:sello`,
+            tipo: 'sello',
+            severidad: 'alta',
+            incidente: 'Sello de seguridad comprometido',
+            mensaje: `Lote recibido con el sello ${datos.condicionSello.toLowerCase()}`,
+            evidencia: { ...evidencia, condicionSello: datos.condicionSello }
+        });
+    }
+
+    const desviacion = datos.diferenciaPesoPct === null ? null : Math.abs(datos.diferenciaPesoPct);
+    if (desviacion !== null && desviacion > umbrales.maxDesviacionPesoPct) {
+        alerts.push({
+            ...base,
+            origenId: `${event.id}:peso`,
+            tipo: 'desviacion-peso',
+            // El doble del umbral es una pérdida (o un agregado) que no se explica por merma
+            severidad: desviacion >= 2 * umbrales.maxDesviacionPesoPct ? 'alta' : 'media',
+            incidente: 'Desviación de peso entre etapas',
+            mensaje: `Peso recibido ${datos.pesoRecibidoKg} kg frente a ${datos.pesoDeclaradoKg} kg declarados ` +
+                `(${datos.diferenciaPesoPct}%, máximo ${umbrales.maxDesviacionPesoPct}%)`,
+            evidencia: {
+                ...evidencia,
+                pesoDeclaradoKg: datos.pesoDeclaradoKg,
+                pesoRecibidoKg: datos.pesoRecibidoKg,
+                diferenciaPesoPct: datos.diferenciaPesoPct,
+                umbralPct: umbrales.maxDesviacionPesoPct
+            }
+        });
+    }
+
+    return alerts;
+}
+
+/**
+ * Construye la alerta de un empaque con la materia seca bajo el mínimo de la versión de umbrales vigente
+ * @param {Object} event - Evento de empaque guardado (batchEvents.create)
+ * @param {Object} batch - { ruc, archivo, fincas } del lote
+ * @returns {Array} Alertas a crear (vacío si el empaque cumple)
+ */
+function alertsFromPacking(event, batch) {
+    const { datos } = event;
+    if (datos.cumpleMateriaSeca !== false) return [];
+
+    return [{
+        ruc: batch.ruc,
+        origen: 'custodia',
+        origenId: `${event.id}:materia-seca`,
+        loteId: event.loteId,
+        tipo: 'materia-seca',
+        severidad: 'alta',
+        estado: 'abierta',
+        fecha: event.fecha,
+        incidente: 'Materia seca insuficiente',
+        mensaje: `Empaque con ${datos.materiaSecaPct}% de materia seca, mínimo ${datos.minMateriaSecaPct}%`,
+        archivo: batch.archivo,
+        fincas: batch.fincas,
+        versionUmbrales: datos.versionUmbrales,
+        evidencia: {
+            secuencia: event.secuencia,
+            registradoPor: event.registradoPor.usuario,
+            firma: event.firma,
+            transaccion: event.transaccion,
+            materiaSecaPct: datos.materiaSecaPct,
+            minMateriaSecaPct: datos.minMateriaSecaPct
+        },
+        historial: [{ estado: 'abierta', fecha: new Date().toISOString(), usuario: null, comentario: null }]
+    }];
+}
+
+// Función para leer un comentario opcional (null si no se envió, undefined si no es texto)
+function readComment(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'string' ? value.trim() || null : undefined;
+}
+
+/**
+ * Valida un cambio de estado de una alerta
+ * @param {Object} alert - Alerta actual
+ * @param {Object} body - { estado, comentario } (el comentario es obligatorio para resolver o cerrar)
+ * @returns {string|null} Mensaje de error o null si el cambio es válido
+ */
+function validateStatusChange(alert, body) {
+    if (!ALERT_STATES[body.estado]) {
+        return `Estado no válido. Use: ${Object.keys(ALERT_STATES).join(', ')}`;
+    }
+    if (body.estado === alert.estado) {
+        return `La alerta ya está en estado ${body.estado}`;
+    }
+    if (!TRANSITIONS[alert.estado].includes(body.estado)) {
+        const permitidos = TRANSITIONS[alert.estado];
+        return `Una alerta ${ALERT_STATES[alert.estado].toLowerCase()} no puede pasar a ${body.estado}` +
+            (permitidos.length ? `. Estados permitidos: ${permitidos.join(', ')}` : '');
+    }
+    const comentario = readComment(body.comentario);
+    if (comentario === undefined) {
+        return 'El comentario debe ser texto';
+    }
+    if (FINAL_STATES.includes(body.estado) && !comentario) {
+        return `Indique en el comentario por qué la alerta queda ${body.estado}`;
+    }
+    return null;
+}
+
+/**
+ * Plazos de una alerta: reconocerla (sale de abierta) y resolverla (resuelta o cerrada)
+ * Los plazos corren desde que se detectó la alerta con la severidad que tiene ahora
+ * @param {Object} alert - Alerta con su historial
+ * @param {string} ahora - Fecha ISO
+ * @returns {Object} { reconocerAntes, resolverAntes, reconocidaEn, resueltaEn,
+ *   reconocimiento, resolucion ('pendiente' | 'cumplido' | 'vencido'), vencida }
+ */
+function slaStatus(alert, ahora) {
+    const historial = alert.historial || [];
+    const detectada = historial.length ? historial[0].fecha : alert.fecha;
+    const horas = SLA_HOURS[alert.severidad] || SLA_HOURS.media;
+    const plazo = value => new Date(new Date(detectada).getTime() + value * 60 * 60 * 1000).toISOString();
+
+    const cambios = historial.filter(entrada => entrada.estado && (!entrada.accion || entrada.accion === 'estado'));
+    const reconocida = cambios.find(entrada => entrada.estado !== 'abierta');
+    const resuelta = [...cambios].reverse().find(entrada => FINAL_STATES.includes(entrada.estado));
+    const reconocerAntes = plazo(horas.reconocer);
+    const resolverAntes = plazo(horas.resolver);
+
+    const estadoPlazo = (cumplida, limite) => {
+        if (cumplida) return cumplida.fecha <= limite ? 'cumplido' : 'vencido';
+        return ahora > limite ? 'vencido' : 'pendiente';
+    };
+    const reconocimiento = estadoPlazo(reconocida, reconocerAntes);
+    // Una alerta reabierta vuelve a tener pendiente la resolución
+    const resolucion = FINAL_STATES.includes(alert.estado) ? estadoPlazo(resuelta, resolverAntes) : estadoPlazo(null, resolverAntes);
+
+    return {
+        reconocerAntes,
+        resolverAntes,
+        reconocidaEn: reconocida ? reconocida.fecha : null,
+        resueltaEn: FINAL_STATES.includes(alert.estado) && resuelta ? resuelta.fecha : null,
+        reconocimiento,
+        resolucion,
+        vencida: ACTIVE_STATES.includes(alert.estado) && (
+            (alert.estado === 'abierta' && reconocimiento === 'vencido') || resolucion === 'vencido'
+        )
+    };
+}
+
+module.exports = {
+    ALERT_STATES,
+    TRANSITIONS,
+    ACTIVE_STATES,
+    FINAL_STATES,
+    ALERT_TYPES,
+    SEVERITIES,
+    SLA_HOURS,
+    alertFromContractAudit,
+    alertFromAudit,
+    alertsFromReception,
+    alertsFromPacking,
+    alertFromExcursion,
+    excursionMessage,
+    excursionEvidence,
+    readComment,
+    validateStatusChange,
+    slaStatus
+};
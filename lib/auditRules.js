@@ -0,0 +1,239 @@
+/**
+ * Motor de reglas de auditoría
+ * Evalúa las reglas de una certificación contra las filas de medición guardadas de un lote
+ */
+
+const { COLUMN_FIELDS } = require('./batchRows');
+const { CATEGORIES, normalizeStatus, resolveCategory } = require('./qualityMapping');
+
+// Tipos de regla admitidos
+const RULE_TYPES = {
+    maximo: 'Valor máximo por fila (campo, max)',
+    minimo: 'Valor mínimo por fila (campo, min)',
+    rango: 'Valor dentro de un rango por fila (campo, min, max)',
+    porcentaje: 'Porcentaje de filas de una categoría o estado (categoria | estado, operador, valor)',
+    requeridos: 'Campos obligatorios presentes en cada fila (campos)'
+};
+
+// Severidad: una regla crítica incumplida descarta el lote; una menor deja un hallazgo
+const SEVERITIES = ['critica', 'menor'];
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+const NUMERIC_COLUMNS = ['PESO_NETO_KG', 'NUM_FRUTOS', 'CALIBRE', 'TEMPERATURA_C'];
+
+// Máximo de filas incumplidas que se devuelven por regla (el total siempre se informa)
+const MAX_OFFENDING_ROWS = 100;
+
+// Función para resolver el nombre de columna (acepta TEMPERATURA_C o temperaturaC)
+function resolveColumn(value) {
+    const key = String(value || '').trim();
+    if (COLUMN_FIELDS[key.toUpperCase()]) return key.toUpperCase();
+    return Object.keys(COLUMN_FIELDS).find(column => COLUMN_FIELDS[column] === key) || null;
+}
+
+// Función para convertir a número un límite de la regla
+function toLimit(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Función para generar la descripción legible de una regla
+function describeRule(rule) {
+    switch (rule.tipo) {
+        case 'maximo':
+            return `${rule.campo} máx. ${rule.max} por fila`;
+        case 'minimo':
+            return `${rule.campo} mín. ${rule.min} por fila`;
+        case 'rango':
+            return `${rule.campo} entre ${rule.min} y ${rule.max}`;
+        case 'porcentaje':
+            return `% ${rule.categoria || rule.estado} ${rule.operador} ${rule.valor}`;
+        case 'requeridos':
+            return `Campos requeridos: ${rule.campos.join(', ')}`;
+        default:
+            return rule.tipo;
+    }
+}
+
+/**
+ * Valida y normaliza las reglas de una certificación
+ * @param {Array} rules - Reglas recibidas
+ * @returns {Object} { rules } normalizadas o { error } con el motivo
+ */
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+        return { error: 'Las reglas deben enviarse como una lista' };
+    }
+
+    const normalized = [];
+    for (let index = 0; index < rules.length; index++) {
+        const input = rules[index] || {};
+        const position = `Regla ${index + 1}`;
+        const rule = {
+            id: input.id || `regla-${index + 1}`,
+            tipo: input.tipo,
+            severidad: input.severidad || 'critica'
+        };
+
+        if (!RULE_TYPES[rule.tipo]) {
+            return { error: `${position}: el tipo debe ser uno de ${Object.keys(RULE_TYPES).join(', ')}` };
+        }
+        if (!SEVERITIES.includes(rule.severidad)) {
+            return { error: `${position}: la severidad debe ser una de ${SEVERITIES.join(', ')}` };
+        }
+
+        if (rule.tipo === 'maximo' || rule.tipo === 'minimo' || rule.tipo === 'rango') {
+            rule.campo = resolveColumn(input.campo);
+            if (!NUMERIC_COLUMNS.includes(rule.campo)) {
+                return { error: `${position}: el campo debe ser una columna numérica (${NUMERIC_COLUMNS.join(', ')})` };
+            }
+            if (rule.tipo !== 'minimo') rule.max = toLimit(input.max);
+            if (rule.tipo !== 'maximo') rule.min = toLimit(input.min);
+            if ([rule.min, rule.max].some(limit => limit !== undefined && (limit === null || Number.isNaN(limit)))) {
+                return { error: `${position}: los límites min/max deben ser numéricos` };
+            }
+            if (rule.tipo === 'rango' && rule.min > rule.max) {
+                return { error: `${position}: min no puede ser mayor que max` };
+            }
+        }
+
+        if (rule.tipo === 'porcentaje') {
+            if (input.categoria) {
+                rule.categoria = resolveCategory(input.categoria);
+                if (!rule.categoria) {
+                    return { error: `${position}: la categoría debe ser una de ${CATEGORIES.join(', ')}` };
+                }
+            } else if (input.estado) {
+                rule.estado = normalizeStatus(input.estado);
+            } else {
+                return { error: `${position}: se requiere categoria o estado` };
+            }
+            rule.operador = input.operador || '<=';
+            rule.valor = toLimit(input.valor);
+            if (!OPERATORS[rule.operador]) {
+                return { error: `${position}: el operador debe ser uno de ${Object.keys(OPERATORS).join(' ')}` };
+            }
+            if (rule.valor === null || Number.isNaN(rule.valor) || rule.valor < 0 || rule.valor > 100) {
+                return { error: `${position}: el valor debe ser un porcentaje entre 0 y 100` };
+            }
+        }
+
+        if (rule.tipo === 'requeridos') {
+            const campos = Array.isArray(input.campos) ? input.campos.map(resolveColumn) : [];
+            if (campos.length === 0 || campos.includes(null)) {
+                return { error: `${position}: campos debe listar columnas del archivo (${Object.keys(COLUMN_FIELDS).join(', ')})` };
+            }
+            rule.campos = campos;
+        }
+
+        rule.descripcion = input.descripcion || describeRule(rule);
+        normalized.push(rule);
+    }
+
+    const ids = normalized.map(rule => rule.id);
+    if (new Set(ids).size !== ids.length) {
+        return { error: 'Los ids de las reglas deben ser únicos' };
+    }
+
+    return { rules: normalized };
+}
+
+// Función para evaluar una regla por fila; devuelve las filas que la incumplen
+function offendingRows(rows, rule) {
+    if (rule.tipo === 'requeridos') {
+        return rows
+            .map(row => ({ row, faltantes: rule.campos.filter(column => row[COLUMN_FIELDS[column]] === null || row[COLUMN_FIELDS[column]] === undefined) }))
+            .filter(item => item.faltantes.length > 0)
+            .map(item => ({ fila: item.row.fila, loteId: item.row.loteId, campos: item.faltantes }));
+    }
+
+    const field = COLUMN_FIELDS[rule.campo];
+    // Las filas sin valor no se evalúan aquí; para exigirlo se usa una regla 'requeridos'
+    return rows
+        .filter(row => row[field] !== null && row[field] !== undefined)
+        .filter(row => (rule.max !== undefined && row[field] > rule.max) || (rule.min !== undefined && row[field] < rule.min))
+        .map(row => ({ fila: row.fila, loteId: row.loteId, campo: rule.campo, valor: row[field] }));
+}
+
+// Función para evaluar una regla de porcentaje sobre las filas que cuentan (sin cuarentena)
+function evaluatePercentage(rows, rule) {
+    const counted = rows.filter(row => !row.cuarentena);
+    const matches = counted.filter(row => (rule.categoria
+        ? row.categoria === rule.categoria
+        : normalizeStatus(row.calidadStatus) === rule.estado));
+    const porcentaje = counted.length ? parseFloat((matches.length / counted.length * 100).toFixed(2)) : 0;
+
+    return {
+        cumple: OPERATORS[rule.operador](porcentaje, rule.valor),
+        valorObservado: porcentaje,
+        filas: matches.map(row => ({ fila: row.fila, loteId: row.loteId, calidadStatus: row.calidadStatus, categoria: row.categoria }))
+    };
+}
+
+/**
+ * Evalúa las reglas de una certificación contra las filas de un lote
+ * El resultado es determinista: mismas filas y reglas producen el mismo dictamen
+ * @param {Array} rows - Mediciones normalizadas del lote (con categoria y cuarentena)
+ * @param {Array} rules - Reglas normalizadas con normalizeRules
+ * @returns {Object} { resultado, totalReglas, reglasCumplidas, porcentajeCumplimiento, filasEvaluadas, reglas }
+ */
+function evaluateRules(rows, rules) {
+    const reglas = rules.map(rule => {
+        let cumple;
+        let valorObservado = null;
+        let filas;
+
+        if (rule.tipo === 'porcentaje') {
+            ({ cumple, valorObservado, filas } = evaluatePercentage(rows, rule));
+            // Solo son "filas incumplidas" las que empujan el porcentaje fuera del límite
+            if (cumple) filas = [];
+        } else {
+            filas = offendingRows(rows, rule);
+            cumple = filas.length === 0;
+        }
+
+        return {
+            id: rule.id,
+            tipo: rule.tipo,
+            descripcion: rule.descripcion,
+            severidad: rule.severidad,
+            cumple,
+            valorObservado,
+            totalIncumplidas: filas.length,
+            filasIncumplidas: filas.slice(0, MAX_OFFENDING_ROWS)
+        };
+    });
+
+    const fallidas = reglas.filter(regla => !regla.cumple);
+    let resultado = 'Conforme';
+    if (fallidas.some(regla => regla.severidad === 'critica')) {
+        resultado = 'Descarte';
+    } else if (fallidas.length > 0) {
+        resultado = 'Hallazgo';
+    }
+
+    const reglasCumplidas = reglas.length - fallidas.length;
+    return {
+        resultado,
+        totalReglas: reglas.length,
+        reglasCumplidas,
+        porcentajeCumplimiento: reglas.length ? parseFloat((reglasCumplidas / reglas.length * 100).toFixed(2)) : 100,
+        filasEvaluadas: rows.length,
+        reglas
+    };
+}
+
+module.exports = {
+    RULE_TYPES,
+    SEVERITIES,
+    MAX_OFFENDING_ROWS,
+    normalizeRules,
+    evaluateRules
+};
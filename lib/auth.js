@@ -0,0 +1,145 @@
+/**
+ * Autenticación de TrazaNet
+ * Hash de contraseñas con scrypt y tokens de sesión firmados (JWT HS256)
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const INVITE_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const RESET_TOKEN_TTL_SECONDS = 60 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_COST = 16384;
+
+// Error de autenticación con el código HTTP a devolver
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+/**
+ * Genera el hash de una contraseña
+ * @param {string} password - Contraseña en texto plano
+ * @returns {string} Hash con formato scrypt$costo$sal$hash
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN, { N: SCRYPT_COST }).toString('hex');
+    return `scrypt$${SCRYPT_COST}$${salt}$${hash}`;
+}
+
+/**
+ * Verifica una contraseña contra su hash en tiempo constante
+ * @param {string} password - Contraseña en texto plano
+ * @param {string} stored - Hash generado con hashPassword
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+    const [scheme, cost, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length, { N: Number(cost) });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Función para codificar en base64url
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+// Función para firmar con HMAC-SHA256
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Firma un token de acceso
+ * @param {Object} claims - Datos del token (sub, sid, ruc, role...)
+ * @param {string} secret - Clave de firma
+ * @param {number} ttlSeconds - Vigencia en segundos
+ * @returns {string} Token JWT HS256
+ */
+function signToken(claims, secret, ttlSeconds = ACCESS_TOKEN_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+}
+
+/**
+ * Verifica la firma y la vigencia de un token
+ * @param {string} token - Token JWT HS256
+ * @param {string} secret - Clave de firma
+ * @returns {Object} Claims del token
+ * @throws {AuthError} Si el token es inválido o expiró
+ */
+function verifyToken(token, secret) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new AuthError('Token inválido');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AuthError('Firma de token inválida');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthError('Token inválido');
+    }
+
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+        throw new AuthError('Token expirado');
+    }
+    return claims;
+}
+
+// Función para generar un token opaco (refresh token)
+function generateOpaqueToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Función para guardar solo el hash de un token opaco
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Extrae el token del encabezado Authorization: Bearer <token>
+ * @param {Object} req - Request de Express
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_SECONDS,
+    INVITE_TOKEN_TTL_SECONDS,
+    RESET_TOKEN_TTL_SECONDS,
+    MIN_PASSWORD_LENGTH,
+    AuthError,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    generateOpaqueToken,
+    hashToken,
+    getBearerToken
+};
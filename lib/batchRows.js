@@ -0,0 +1,214 @@
+/**
+ * Filas de medición por lote
+ * Normaliza las filas validadas del archivo de conteo, calcula estadísticas y resuelve consultas
+ */
+
+// Columnas del archivo de conteo y el campo normalizado correspondiente
+const COLUMN_FIELDS = {
+    LOTE_ID: 'loteId',
+    FECHA_COSECHA: 'fechaCosecha',
+    VARIEDAD: 'variedad',
+    FINCA: 'finca',
+    ESTACION_CONTEO: 'estacionConteo',
+    PESO_NETO_KG: 'pesoNetoKg',
+    NUM_FRUTOS: 'numFrutos',
+    CALIBRE: 'calibre',
+    TEMPERATURA_C: 'temperaturaC',
+    CALIDAD_STATUS: 'calidadStatus'
+};
+
+const NUMERIC_FIELDS = ['pesoNetoKg', 'numFrutos', 'calibre', 'temperaturaC'];
+const TEXT_FILTERS = ['loteId', 'variedad', 'finca', 'estacionConteo', 'calidadStatus'];
+const SORTABLE_FIELDS = ['fila', 'fechaCosecha', ...Object.values(COLUMN_FIELDS)];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Parámetros de consulta de las filas; cada uno admite un solo valor
+const QUERY_PARAMS = [
+    ...TEXT_FILTERS,
+    'calibreMin', 'calibreMax', 'temperaturaMin', 'temperaturaMax', 'pesoMin', 'pesoMax',
+    'fechaDesde', 'fechaHasta', 'sort', 'page', 'limit'
+];
+
+// Error de una consulta inválida (400)
+class RowQueryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RowQueryError';
+        this.status = status;
+    }
+}
+
+// Función para convertir un valor numérico del archivo (admite coma decimal)
+function toNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(String(value).trim().replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+// Función para convertir la fecha de cosecha a ISO
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(String(value).trim().replace(' ', 'T'));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Convierte una fila validada ({ fila, valores }) en una medición tipada
+ * @param {Object} row - Fila devuelta por el parser
+ * @returns {Object} Medición con campos normalizados
+ */
+function normalizeRow(row) {
+    const measurement = { fila: row.fila };
+
+    Object.keys(COLUMN_FIELDS).forEach(column => {
+        const field = COLUMN_FIELDS[column];
+        const value = row.valores[column];
+
+        if (NUMERIC_FIELDS.includes(field)) {
+            measurement[field] = toNumber(value);
+        } else if (field === 'fechaCosecha') {
+            measurement[field] = toIsoDate(value);
+        } else {
+            measurement[field] = value === undefined || value === '' ? null : value;
+        }
+    });
+
+    return measurement;
+}
+
+// Función para redondear a dos decimales
+function round(value) {
+    return value === null ? null : parseFloat(value.toFixed(2));
+}
+
+// Función para contar ocurrencias de un campo
+function distribution(rows, field) {
+    const counts = {};
+    rows.forEach(row => {
+        const key = row[field] === null || row[field] === undefined ? 'Sin dato' : String(row[field]);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Calcula las estadísticas de resumen de un lote
+ * @param {Array} rows - Mediciones normalizadas
+ * @returns {Object} Totales de peso y frutos, temperatura, distribución de calibres y variedades
+ */
+function summarizeRows(rows) {
+    const weights = rows.map(r => r.pesoNetoKg).filter(v => v !== null);
+    const fruits = rows.map(r => r.numFrutos).filter(v => v !== null);
+    const temperatures = rows.map(r => r.temperaturaC).filter(v => v !== null);
+    const harvestDates = rows.map(r => r.fechaCosecha).filter(Boolean).sort();
+
+    const sum = values => values.reduce((acc, v) => acc + v, 0);
+    // Sin Math.min(...values): con cientos de miles de filas excede el límite de argumentos
+    const min = values => values.reduce((acc, v) => (v < acc ? v : acc), Infinity);
+    const max = values => values.reduce((acc, v) => (v > acc ? v : acc), -Infinity);
+    const varietyCounts = distribution(rows, 'variedad');
+
+    return {
+        filas: rows.length,
+        pesoNetoTotalKg: round(sum(weights)),
+        pesoPromedioKg: weights.length ? round(sum(weights) / weights.length) : null,
+        numFrutosTotal: sum(fruits),
+        temperatura: {
+            promedio: temperatures.length ? round(sum(temperatures) / temperatures.length) : null,
+            minima: temperatures.length ? min(temperatures) : null,
+            maxima: temperatures.length ? max(temperatures) : null
+        },
+        distribucionCalibre: distribution(rows, 'calibre'),
+        mezclaVariedades: Object.keys(varietyCounts).map(variedad => ({
+            variedad,
+            filas: varietyCounts[variedad],
+            porcentaje: round(varietyCounts[variedad] / rows.length * 100)
+        })),
+        fincas: Object.keys(distribution(rows, 'finca')),
+        estacionesConteo: Object.keys(distribution(rows, 'estacionConteo')),
+        cosecha: {
+            desde: harvestDates[0] || null,
+            hasta: harvestDates[harvestDates.length - 1] || null
+        }
+    };
+}
+
+/**
+ * Filtra, ordena y pagina las mediciones de un lote
+ * @param {Array} rows - Mediciones normalizadas
+ * @param {Object} query - Parámetros de consulta:
+ *   variedad, finca, estacionConteo, calidadStatus, loteId (coincidencia exacta sin mayúsculas)
+ *   calibreMin, calibreMax, temperaturaMin, temperaturaMax, pesoMin, pesoMax
+ *   fechaDesde, fechaHasta, sort (campo, prefijo '-' para descendente), page, limit
+ * @returns {Object} { total, page, limit, pages, data }
+ * @throws {RowQueryError} 400 si un parámetro se repite (?sort=a&sort=b) o no es texto
+ */
+function queryRows(rows, query = {}) {
+    const invalid = QUERY_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+    if (invalid) {
+        throw new RowQueryError(`${invalid} debe ser un solo valor`);
+    }
+
+    let result = rows.slice();
+
+    TEXT_FILTERS.forEach(field => {
+        if (query[field]) {
+            const expected = String(query[field]).toLowerCase();
+            result = result.filter(row => row[field] !== null && String(row[field]).toLowerCase() === expected);
+        }
+    });
+
+    const ranges = [
+        ['calibre', 'calibreMin', 'calibreMax'],
+        ['temperaturaC', 'temperaturaMin', 'temperaturaMax'],
+        ['pesoNetoKg', 'pesoMin', 'pesoMax']
+    ];
+    ranges.forEach(([field, minKey, maxKey]) => {
+        const min = toNumber(query[minKey]);
+        const max = toNumber(query[maxKey]);
+        if (min !== null) result = result.filter(row => row[field] !== null && row[field] >= min);
+        if (max !== null) result = result.filter(row => row[field] !== null && row[field] <= max);
+    });
+
+    const desde = toIsoDate(query.fechaDesde);
+    const hasta = toIsoDate(query.fechaHasta);
+    if (desde) result = result.filter(row => row.fechaCosecha && row.fechaCosecha >= desde);
+    if (hasta) result = result.filter(row => row.fechaCosecha && row.fechaCosecha <= hasta);
+
+    if (query.sort) {
+        const descending = query.sort.startsWith('-');
+        const field = descending ? query.sort.slice(1) : query.sort;
+        if (SORTABLE_FIELDS.includes(field)) {
+            result.sort((a, b) => {
+                if (a[field] === b[field]) return 0;
+                if (a[field] === null) return 1;
+                if (b[field] === null) return -1;
+                const order = a[field] < b[field] ? -1 : 1;
+                return descending ? -order : order;
+            });
+        }
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const pages = Math.max(Math.ceil(result.length / limit), 1);
+    const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), pages);
+
+    return {
+        total: result.length,
+        page,
+        limit,
+        pages,
+        data: result.slice((page - 1) * limit, page * limit)
+    };
+}
+
+module.exports = {
+    RowQueryError,
+    COLUMN_FIELDS,
+    SORTABLE_FIELDS,
+    normalizeRow,
+    summarizeRows,
+    queryRows
+};
@@ -0,0 +1,189 @@
+/**
+ * Indexador de eventos del contrato AvocadoTraceContract
+ * Consulta los logs del contrato de cada empresa desde el último bloque indexado, los decodifica
+ * y los guarda con su bloque y transacción. El avance de cada empresa queda en la configuración,
+ * por lo que después de reiniciar el servidor la indexación continúa donde quedó
+ */
+
+const { Interface, id: keccakText } = require('ethers');
+
+// Parámetros del contrato, el campo de los umbrales en TrazaNet y su escala en el contrato
+const PARAMETERS = {
+    MAX_TEMP_TRANSPORT_C: { campo: 'maxTempC', escala: 100 },
+    MAX_WEIGHT_DEVIATION_PCT: { campo: 'maxDesviacionPesoPct', escala: 1 },
+    MIN_DRY_MATTER_PCT: { campo: 'minMateriaSecaPct', escala: 1 }
+};
+
+const DEFAULT_BLOCK_RANGE = 2000;
+
+/**
+ * Convierte los umbrales del contrato (en el orden de setThresholds) a los de TrazaNet
+ * @param {Array} values - [temperatura x100, desviación de peso %, materia seca %]
+ * @returns {Object} { maxTempC, maxDesviacionPesoPct, minMateriaSecaPct }
+ */
+function thresholdValues(values) {
+    const thresholds = {};
+    Object.values(PARAMETERS).forEach(({ campo, escala }, index) => {
+        thresholds[campo] = Number(values[index]) / escala;
+    });
+    return thresholds;
+}
+
+// Eventos indexados y cómo se traducen sus argumentos
+const EVENTS = {
+    BatchRegistered: args => ({ registrador: args.registrador }),
+    BatchAuditCompleted: args => ({ conforme: args.compliant, motivo: args.reason }),
+    ThresholdsUpdated: args => ({ por: args.by, ...thresholdValues([args.maxTemp, args.maxWeightDev, args.minDryMatter]) }),
+    AssetTransfer: args => ({ origen: args.from, destino: args.to, montoUSD: Number(args.amountUSD) })
+};
+
+/**
+ * Parámetros que cambian entre dos juegos de umbrales
+ * @param {Object|null} anteriores - Umbrales previos (null si no se conocen)
+ * @param {Object} nuevos - Umbrales nuevos
+ * @returns {Array} [{ parametro, anterior, nuevo }]
+ */
+function parameterChanges(anteriores, nuevos) {
+    return Object.keys(PARAMETERS)
+        .map(parametro => {
+            const { campo } = PARAMETERS[parametro];
+            return { parametro, anterior: anteriores ? anteriores[campo] : null, nuevo: nuevos[campo] };
+        })
+        .filter(change => change.anterior !== change.nuevo);
+}
+
+/**
+ * Crea el indexador sobre los repositorios y el adaptador EVM
+ * @param {Object} repos - Resultado de createRepositories (usa settings, tenants, batches, contractCalls y contractEvents)
+ * @param {Object} evmChain - Resultado de createEvmChain
+ * @param {Object} options - { blockRange, onEvent(event) } onEvent se llama por cada evento nuevo,
+ *   dentro de la transacción que lo guarda
+ * @returns {Object} { sync, cursor }
+ */
+function createContractIndexer(repos, evmChain, options = {}) {
+    const blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+    const provider = evmChain.provider;
+    let contractInterface = null;
+    let running = null;
+
+    // Función para obtener la clave de configuración del avance de una empresa
+    function cursorKey(ruc) {
+        return 'evm-indexer:' + ruc;
+    }
+
+    // Función para resolver el lote de un evento: el loteId indexado llega como su hash keccak256
+    // Primero se busca la llamada que originó la transacción y, si no, entre los lotes de la empresa
+    function resolveBatch(ruc, txHash, loteHash, lookup) {
+        const call = repos.contractCalls.findByTransaction(txHash);
+        if (call && call.referencia && keccakText(call.referencia) === loteHash) {
+            return call.referencia;
+        }
+        if (!lookup.batches) {
+            lookup.batches = new Map(repos.batches.list({ ruc }).map(batch => [keccakText(batch.id), batch.id]));
+        }
+        return lookup.batches.get(loteHash) || null;
+    }
+
+    // Función para indexar los bloques nuevos del contrato de una empresa
+    // Un contrato redesplegado (otra dirección o fecha de despliegue) se indexa desde su bloque de despliegue
+    async function indexTenant(ruc) {
+        const info = evmChain.contractInfo(ruc);
+        if (!info || info.chainId !== evmChain.network.chainId) return 0;
+
+        let cursor = repos.settings.get(cursorKey(ruc));
+        if (!cursor || cursor.contrato !== info.direccion || cursor.desplegadoEn !== info.desplegadoEn) {
+            cursor = { contrato: info.direccion, desplegadoEn: info.desplegadoEn, ultimoBloque: info.bloque - 1 };
+        }
+
+        const latest = await provider.getBlockNumber();
+        const blockTimes = new Map();
+        const lookup = {};
+        let indexados = 0;
+
+        while (cursor.ultimoBloque < latest) {
+            const fromBlock = cursor.ultimoBloque + 1;
+            const toBlock = Math.min(latest, fromBlock + blockRange - 1);
+            const logs = await provider.getLogs({ address: info.direccion, fromBlock, toBlock });
+
+            const events = [];
+            for (const log of logs) {
+                const parsed = contractInterface.parseLog(log);
+                if (!parsed || !EVENTS[parsed.name]) continue;
+
+                if (!blockTimes.has(log.blockNumber)) {
+                    const block = await provider.getBlock(log.blockNumber);
+                    blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000).toISOString());
+                }
+                const loteHash = parsed.args.loteId ? parsed.args.loteId.hash : null;
+                events.push({
+                    ruc,
+                    contrato: info.direccion,
+                    evento: parsed.name,
+                    bloque: log.blockNumber,
+                    hashBloque: log.blockHash,
+                    fecha: blockTimes.get(log.blockNumber),
+                    transaccion: log.transactionHash,
+                    indiceLog: log.index,
+                    loteId: loteHash ? resolveBatch(ruc, log.transactionHash, loteHash, lookup) : null,
+                    datos: { ...(loteHash ? { loteHash } : {}), ...EVENTS[parsed.name](parsed.args) }
+                });
+            }
+
+            const next = { ...cursor, ultimoBloque: toBlock, actualizadoEn: new Date().toISOString() };
+            repos.db.transaction(() => {
+                events.forEach(event => {
+                    const stored = repos.contractEvents.create(event);
+                    if (!stored) return;
+                    indexados++;
+                    if (options.onEvent) options.onEvent(stored);
+                });
+                repos.settings.set(cursorKey(ruc), next);
+            })();
+            cursor = next;
+        }
+
+        return indexados;
+    }
+
+    // Función para indexar los contratos de todas las empresas
+    async function indexAll() {
+        if (!contractInterface) contractInterface = new Interface(evmChain.abi());
+        let indexados = 0;
+        for (const tenant of repos.tenants.list()) {
+            indexados += await indexTenant(tenant.ruc);
+        }
+        return indexados;
+    }
+
+    return {
+        /**
+         * Indexa los bloques nuevos; si hay una indexación en curso, la nueva empieza cuando termine
+         * @returns {Promise<number>} Eventos nuevos guardados
+         */
+        sync() {
+            const pass = (running || Promise.resolve()).catch(() => 0).then(indexAll);
+            running = pass;
+            pass.catch(() => 0).then(() => {
+                if (running === pass) running = null;
+            });
+            return pass;
+        },
+
+        /**
+         * Avance de la indexación de una empresa
+         * @param {string} ruc - RUC de la empresa
+         * @returns {Object|null} { contrato, desplegadoEn, ultimoBloque, actualizadoEn }
+         */
+        cursor(ruc) {
+            return repos.settings.get(cursorKey(ruc));
+        }
+    };
+}
+
+module.exports = {
+    PARAMETERS,
+    EVENTS,
+    thresholdValues,
+    parameterChanges,
+    createContractIndexer
+};
@@ -0,0 +1,257 @@
+/**
+ * Parser CSV para los archivos de conteo de lotes de TrazaNet
+ * Soporta comillas RFC 4180, BOM UTF-8, saltos CRLF y detección automática de delimitador
+ */
+
+// Encabezados del formato de conteo LOTE_ID,...,CALIDAD_STATUS
+const EXPECTED_HEADERS = [
+    'LOTE_ID',
+    'FECHA_COSECHA',
+    'VARIEDAD',
+    'FINCA',
+    'ESTACION_CONTEO',
+    'PESO_NETO_KG',
+    'NUM_FRUTOS',
+    'CALIBRE',
+    'TEMPERATURA_C',
+    'CALIDAD_STATUS'
+];
+
+// Columnas sin las cuales una fila no puede contabilizarse
+const REQUIRED_COLUMNS = ['LOTE_ID', 'CALIDAD_STATUS'];
+
+// Columnas que deben contener un número
+const NUMERIC_COLUMNS = ['PESO_NETO_KG', 'NUM_FRUTOS', 'CALIBRE', 'TEMPERATURA_C'];
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Elimina el BOM UTF-8 del inicio del texto
+ * @param {string} text - Contenido del archivo
+ * @returns {string} Texto sin BOM
+ */
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Detecta el delimitador contando candidatos fuera de comillas en la primera línea
+ * @param {string} text - Contenido del archivo (sin BOM)
+ * @returns {string} Delimitador detectado (',' por defecto)
+ */
+function detectDelimiter(text) {
+    const counts = {};
+    CANDIDATE_DELIMITERS.forEach(d => { counts[d] = 0; });
+
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts[char] !== undefined) {
+            counts[char]++;
+        }
+    }
+
+    return CANDIDATE_DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Convierte el texto CSV en registros según RFC 4180
+ * @param {string} text - Contenido del archivo (sin BOM)
+ * @param {string} delimiter - Delimitador de campos
+ * @returns {Array} Registros con { line, fields, unterminated }
+ */
+function parseRecords(text, delimiter) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const pushRecord = () => {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            pushRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length > 0 || inQuotes) {
+        pushRecord();
+        if (inQuotes) records[records.length - 1].unterminated = true;
+    }
+
+    return records;
+}
+
+/**
+ * Analiza un archivo de conteo y valida cada fila
+ * @param {string} content - Contenido del archivo
+ * @param {Object} options - { delimiter } para forzar un delimitador
+ * @returns {Object} { delimiter, headers, rows, rejected, errors }
+ *   rows: filas válidas como { fila, valores } indexadas por encabezado
+ *   errors: reporte de validación { fila, columna, motivo, nivel }
+ */
+function parseLoteCsv(content, options = {}) {
+    const text = stripBom(String(content));
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const records = parseRecords(text, delimiter)
+        .filter(record => record.fields.some(value => value.trim() !== ''));
+
+    return validateRecords(records, { delimiter });
+}
+
+/**
+ * Valida registros ya separados en campos (CSV u hoja de cálculo)
+ * @param {Array} records - Registros { line, fields, unterminated }; el primero es el encabezado
+ * @param {Object} meta - Datos extra a incluir en el resultado
+ * @returns {Object} { headers, rows, rejected, errors, ...meta }
+ */
+function validateRecords(records, meta = {}) {
+    const errors = [];
+    const rows = [];
+    let rejected = 0;
+
+    if (records.length === 0) {
+        errors.push({ fila: 0, columna: null, motivo: 'El archivo está vacío', nivel: 'error' });
+        return { ...meta, headers: [], rows, rejected, errors };
+    }
+
+    const headerRecord = records[0];
+    const headers = headerRecord.fields.map(h => stripBom(String(h)).trim().toUpperCase());
+
+    REQUIRED_COLUMNS.forEach(column => {
+        if (!headers.includes(column)) {
+            errors.push({
+                fila: headerRecord.line,
+                columna: column,
+                motivo: `Falta la columna obligatoria ${column}`,
+                nivel: 'error'
+            });
+        }
+    });
+
+    if (errors.length > 0) {
+        return { ...meta, headers, rows, rejected, errors };
+    }
+
+    EXPECTED_HEADERS.filter(column => !headers.includes(column)).forEach(column => {
+        errors.push({
+            fila: headerRecord.line,
+            columna: column,
+            motivo: `Columna ${column} ausente en el encabezado`,
+            nivel: 'advertencia'
+        });
+    });
+
+    for (let r = 1; r < records.length; r++) {
+        const record = records[r];
+        const fila = record.line;
+
+        if (record.unterminated) {
+            errors.push({ fila, columna: null, motivo: 'Comillas sin cerrar', nivel: 'error' });
+            rejected++;
+            continue;
+        }
+
+        if (record.fields.length !== headers.length) {
+            errors.push({
+                fila,
+                columna: null,
+                motivo: `Se esperaban ${headers.length} columnas y se encontraron ${record.fields.length}`,
+                nivel: 'error'
+            });
+            rejected++;
+            continue;
+        }
+
+        const valores = {};
+        headers.forEach((header, index) => {
+            const value = record.fields[index];
+            valores[header] = value === null || value === undefined ? '' : String(value).trim();
+        });
+
+        const rowErrors = validateRow(valores, fila);
+        errors.push(...rowErrors);
+
+        if (rowErrors.some(error => error.nivel === 'error')) {
+            rejected++;
+            continue;
+        }
+
+        rows.push({ fila, valores });
+    }
+
+    return { ...meta, headers, rows, rejected, errors };
+}
+
+// Función para validar los campos de una fila
+function validateRow(valores, fila) {
+    const errors = [];
+
+    REQUIRED_COLUMNS.forEach(column => {
+        if (!valores[column]) {
+            errors.push({ fila, columna: column, motivo: 'Valor vacío', nivel: 'error' });
+        }
+    });
+
+    NUMERIC_COLUMNS.forEach(column => {
+        const value = valores[column];
+        if (value === undefined || value === '') return;
+        if (!Number.isFinite(Number(value.replace(',', '.')))) {
+            errors.push({ fila, columna: column, motivo: `Valor no numérico: "${value}"`, nivel: 'advertencia' });
+        }
+    });
+
+    const fecha = valores.FECHA_COSECHA;
+    if (fecha && isNaN(new Date(fecha.replace(' ', 'T')).getTime())) {
+        errors.push({ fila, columna: 'FECHA_COSECHA', motivo: `Fecha inválida: "${fecha}"`, nivel: 'advertencia' });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    EXPECTED_HEADERS,
+    stripBom,
+    detectDelimiter,
+    parseRecords,
+    parseLoteCsv,
+    validateRecords
+};
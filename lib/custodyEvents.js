@@ -0,0 +1,381 @@
+/**
+ * Eventos de la cadena de custodia de un lote (transporte, recepción y empaque)
+ * Valida los datos de cada etapa, el orden entre etapas y firma cada evento
+ * La firma es una atestación del servidor (HMAC con su clave de custodia), no una firma del usuario: prueba que
+ * el evento pasó por TrazaNet y no se alteró después, y registradoPor indica quién lo registró según su sesión
+ */
+
+const crypto = require('crypto');
+
+// Etapas admitidas y el campo de fecha que marca cuándo ocurrió cada una
+const STAGES = {
+    transporte: { nombre: 'Transporte', campoFecha: 'fechaSalida' },
+    recepcion: { nombre: 'Recepción en planta', campoFecha: 'fechaRecepcion' },
+    empaque: { nombre: 'Empaque', campoFecha: 'fechaEmpaque' }
+};
+
+// Etapas que pueden seguir a la última registrada (el empaque puede hacerse en varias tandas)
+// Una recepción provisional (llegada del envío a la planta por GPS) solo admite la recepción con el peso y el sello medidos
+const NEXT_STAGES = {
+    inicio: ['transporte'],
+    transporte: ['recepcion'],
+    recepcionProvisional: ['recepcion'],
+    recepcion: ['empaque'],
+    empaque: ['empaque']
+};
+
+const SEAL_CONDITIONS = ['Intacto', 'Violado', 'Ausente'];
+// Condición del sello de una recepción provisional, hasta que la planta lo revise
+const PENDING_SEAL = 'Pendiente';
+const PLATE_PATTERN = /^[A-Z0-9-]{5,10}$/;
+// Margen para relojes desajustados al rechazar fechas futuras
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Documento de la configuración con las claves de firma de la custodia
+const SIGNING_KEYS_SETTING = 'custody-keys';
+// Clave de los eventos firmados antes de que la custodia tuviera claves propias (sin claveId)
+const LEGACY_KEY_ID = 'legado';
+
+// Error de validación u orden con el código HTTP a devolver
+class CustodyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CustodyError';
+        this.status = status;
+    }
+}
+
+// Función para convertir un valor a número (null si no es válido)
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Función para leer una fecha obligatoria y devolverla en ISO
+function toDate(value, field) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        throw new CustodyError(`${field} debe ser una fecha válida`);
+    }
+    if (date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+        throw new CustodyError(`${field} no puede estar en el futuro`);
+    }
+    return date.toISOString();
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+// Función para validar el evento de transporte
+function validateTransport(input) {
+    const vehiculo = String(input.vehiculo || '').trim().toUpperCase();
+    if (!PLATE_PATTERN.test(vehiculo)) {
+        throw new CustodyError('vehiculo debe ser una placa válida (ej. ABC-123)');
+    }
+    const temperaturaC = toNumber(input.temperaturaC);
+    if (temperaturaC === null || temperaturaC < -30 || temperaturaC > 60) {
+        throw new CustodyError('temperaturaC debe ser un número entre -30 y 60');
+    }
+
+    return {
+        fechaSalida: toDate(input.fechaSalida, 'fechaSalida'),
+        vehiculo,
+        temperaturaC,
+        sincronizadoIoT: input.sincronizadoIoT === true
+    };
+}
+
+// Función para saber si un evento es una recepción provisional
+function isProvisionalReception(event) {
+    return event.etapa === 'recepcion' && event.datos.provisional === true;
+}
+
+// Función para validar la llegada de un envío a la planta: el servidor no mide el peso ni revisa el sello,
+// por eso quedan pendientes y el peso despachado se guarda solo como referencia
+function validateProvisionalReception(input, context) {
+    const pesoDespachadoKg = toNumber(input.pesoDespachadoKg);
+    return {
+        fechaRecepcion: toDate(input.fechaRecepcion, 'fechaRecepcion'),
+        provisional: true,
+        pesoRecibidoKg: null,
+        condicionSello: PENDING_SEAL,
+        pesoDeclaradoKg: context.pesoDeclaradoKg || null,
+        pesoDespachadoKg,
+        envioId: context.envioId,
+        registroAutomatico: true
+    };
+}
+
+// Función para validar la recepción; compara el peso con el declarado en la carga
+// La que registra el servidor al llegar el GPS del envío a la planta (context.envioId) es provisional
+function validateReception(input, context) {
+    if (context.envioId) return validateProvisionalReception(input, context);
+
+    const pesoRecibidoKg = toNumber(input.pesoRecibidoKg);
+    if (pesoRecibidoKg === null || pesoRecibidoKg <= 0) {
+        throw new CustodyError('pesoRecibidoKg debe ser un número mayor que 0');
+    }
+    if (!SEAL_CONDITIONS.includes(input.condicionSello)) {
+        throw new CustodyError(`condicionSello debe ser uno de ${SEAL_CONDITIONS.join(', ')}`);
+    }
+
+    const declarado = context.pesoDeclaradoKg || null;
+    return {
+        fechaRecepcion: toDate(input.fechaRecepcion, 'fechaRecepcion'),
+        pesoRecibidoKg,
+        condicionSello: input.condicionSello,
+        pesoDeclaradoKg: declarado,
+        diferenciaPesoKg: declarado ? round(pesoRecibidoKg - declarado) : null,
+        diferenciaPesoPct: declarado ? round((pesoRecibidoKg - declarado) / declarado * 100) : null,
+        // Un sello violado o ausente obliga a inspeccionar el lote
+        requiereInspeccion: input.condicionSello !== 'Intacto',
+        // La recepción que completa una provisional indica su secuencia y el envío que llegó
+        ...(context.recepcionProvisional ? {
+            confirmaSecuencia: context.recepcionProvisional.secuencia,
+            envioId: context.recepcionProvisional.datos.envioId
+        } : {})
+    };
+}
+
+// Función para validar el empaque; el peso empacado no puede superar el recibido
+// Una materia seca bajo el mínimo de la versión de umbrales vigente no impide registrar el empaque que ya
+// ocurrió: queda marcada en cumpleMateriaSeca y el servidor la alerta
+function validatePacking(input, context) {
+    const materiaSecaPct = toNumber(input.materiaSecaPct);
+    if (materiaSecaPct === null || materiaSecaPct < 0 || materiaSecaPct > 100) {
+        throw new CustodyError('materiaSecaPct debe ser un porcentaje entre 0 y 100');
+    }
+
+    const lotes = Array.isArray(input.lotesComerciales) ? input.lotesComerciales : [];
+    if (lotes.length === 0) {
+        throw new CustodyError('lotesComerciales debe incluir al menos un lote');
+    }
+
+    const lotesComerciales = lotes.map((lote, index) => {
+        const posicion = `lotesComerciales[${index}]`;
+        const id = String((lote && lote.id) || '').trim();
+        const calibre = toNumber(lote && lote.calibre);
+        const pesoCajaKg = toNumber(lote && lote.pesoCajaKg);
+        const numCajas = toNumber(lote && lote.numCajas);
+
+        if (!id) throw new CustodyError(`${posicion}: id es requerido`);
+        if (calibre === null || calibre <= 0) throw new CustodyError(`${posicion}: calibre debe ser un número mayor que 0`);
+        if (pesoCajaKg === null || pesoCajaKg <= 0) throw new CustodyError(`${posicion}: pesoCajaKg debe ser mayor que 0`);
+        if (numCajas === null || numCajas <= 0 || !Number.isInteger(numCajas)) {
+            throw new CustodyError(`${posicion}: numCajas debe ser un entero mayor que 0`);
+        }
+        return { id, calibre, pesoCajaKg, numCajas, pesoKg: round(pesoCajaKg * numCajas) };
+    });
+
+    const ids = lotesComerciales.map(lote => lote.id);
+    if (new Set(ids).size !== ids.length) {
+        throw new CustodyError('Los ids de los lotes comerciales deben ser únicos');
+    }
+
+    const pesoTotalKg = round(lotesComerciales.reduce((acc, lote) => acc + lote.pesoKg, 0));
+    if (context.pesoRecibidoKg && context.pesoEmpacadoKg + pesoTotalKg > context.pesoRecibidoKg) {
+        throw new CustodyError(
+            `El peso empacado (${round(context.pesoEmpacadoKg + pesoTotalKg)} kg) supera el peso recibido (${context.pesoRecibidoKg} kg)`
+        );
+    }
+
+    return {
+        fechaEmpaque: toDate(input.fechaEmpaque, 'fechaEmpaque'),
+        lotesComerciales,
+        totalCajas: lotesComerciales.reduce((acc, lote) => acc + lote.numCajas, 0),
+        pesoTotalKg,
+        materiaSecaPct,
+        minMateriaSecaPct: context.minMateriaSecaPct,
+        cumpleMateriaSeca: materiaSecaPct >= context.minMateriaSecaPct,
+        versionUmbrales: context.versionUmbrales,
+        observaciones: String(input.observaciones || '').trim()
+    };
+}
+
+const VALIDATORS = {
+    transporte: validateTransport,
+    recepcion: validateReception,
+    empaque: validatePacking
+};
+
+/**
+ * Construye el contexto de validación a partir del resumen del lote, sus eventos previos y los umbrales vigentes
+ * @param {Object|null} resumen - Resumen de las mediciones del lote (summarizeRows)
+ * @param {Array} events - Eventos ya registrados, en orden
+ * @param {Object} version - Versión de umbrales vigente de la empresa ({ version, umbrales })
+ * @returns {Object} { recepcionProvisional, minMateriaSecaPct, versionUmbrales, pesoDeclaradoKg, pesoRecibidoKg, pesoEmpacadoKg }
+ */
+function buildContext(resumen, events, version) {
+    const recepcion = [...events].reverse().find(event => event.etapa === 'recepcion' && !isProvisionalReception(event));
+    const last = events[events.length - 1];
+    return {
+        recepcionProvisional: last && isProvisionalReception(last) ? last : null,
+        minMateriaSecaPct: version.umbrales.minMateriaSecaPct,
+        versionUmbrales: version.version,
+        pesoDeclaradoKg: resumen ? resumen.pesoNetoTotalKg : null,
+        pesoRecibidoKg: recepcion ? recepcion.datos.pesoRecibidoKg : null,
+        pesoEmpacadoKg: events
+            .filter(event => event.etapa === 'empaque')
+            .reduce((acc, event) => acc + event.datos.pesoTotalKg, 0)
+    };
+}
+
+/**
+ * Valida los datos de una etapa y el orden respecto del último evento
+ * @param {string} stage - Etapa (transporte, recepcion, empaque)
+ * @param {Object} input - Datos recibidos
+ * @param {Array} events - Eventos ya registrados del lote, en orden
+ * @param {Object} context - Resultado de buildContext
+ * @returns {Object} { datos, fecha } normalizados
+ * @throws {CustodyError} 400 si los datos son inválidos, 409 si la etapa no corresponde
+ */
+function validateEvent(stage, input, events, context) {
+    // Solo claves propias: 'constructor' o 'toString' no son etapas
+    if (!Object.hasOwn(STAGES, stage)) {
+        throw new CustodyError(`etapa debe ser una de ${Object.keys(STAGES).join(', ')}`);
+    }
+
+    const last = events[events.length - 1];
+    const provisional = last && isProvisionalReception(last);
+    const previous = provisional ? 'recepcionProvisional' : last ? last.etapa : 'inicio';
+    const allowed = Object.hasOwn(NEXT_STAGES, previous) ? NEXT_STAGES[previous] : [];
+    if (!allowed.includes(stage)) {
+        const previa = provisional
+            ? `${STAGES.recepcion.nombre} provisional (registre el peso recibido y la condición del sello)`
+            : last ? STAGES[last.etapa].nombre : 'ninguna';
+        throw new CustodyError(
+            `No se puede registrar ${STAGES[stage].nombre} después de: ${previa}. Etapas permitidas: ${allowed.join(', ')}`,
+            409
+        );
+    }
+
+    const datos = VALIDATORS[stage](input || {}, context);
+    const fecha = datos[STAGES[stage].campoFecha];
+    if (last && fecha < last.fecha) {
+        throw new CustodyError(`La fecha del evento no puede ser anterior a la del evento previo (${last.fecha})`, 409);
+    }
+
+    return { datos, fecha };
+}
+
+// Función para serializar los campos firmados en un orden fijo
+function signedPayload(event) {
+    return JSON.stringify([
+        event.loteId,
+        event.secuencia,
+        event.etapa,
+        event.fecha,
+        event.registradoPor.id,
+        event.registradoPor.rol,
+        event.datos,
+        event.firmaAnterior
+    ]);
+}
+
+// Función para agregar una clave nueva al llavero (c1, c2, ...)
+function addKey(keyring) {
+    const id = 'c' + (Object.keys(keyring.claves).filter(key => key !== LEGACY_KEY_ID).length + 1);
+    keyring.claves[id] = { secreto: crypto.randomBytes(32).toString('hex'), creadaEn: new Date().toISOString() };
+    keyring.activa = id;
+    return keyring;
+}
+
+/**
+ * Carga las claves de firma de la custodia y crea la primera si no existen
+ * Son independientes de la clave de los tokens: rotar esa clave para cerrar las sesiones no invalida
+ * las firmas guardadas. Cada evento guarda el ID de la clave con que se firmó
+ * @param {Object} settings - Repositorio de configuración
+ * @param {string} legacySecret - Clave con la que se firmaron los eventos sin claveId (se guarda como 'legado')
+ * @returns {Object} { activa, claves: { id: { secreto, creadaEn } } }
+ */
+function loadSigningKeys(settings, legacySecret) {
+    return settings.update(SIGNING_KEYS_SETTING, current => {
+        const keyring = current || { activa: null, claves: {} };
+        if (legacySecret && !keyring.claves[LEGACY_KEY_ID]) {
+            keyring.claves[LEGACY_KEY_ID] = { secreto: legacySecret, creadaEn: new Date().toISOString() };
+        }
+        return keyring.activa ? keyring : addKey(keyring);
+    });
+}
+
+/**
+ * Rota la clave de firma: los eventos nuevos se firman con una clave nueva y las anteriores se
+ * conservan para verificar los eventos que firmaron
+ * @param {Object} settings - Repositorio de configuración
+ * @returns {Object} Llavero actualizado
+ */
+function rotateSigningKey(settings) {
+    return settings.update(SIGNING_KEYS_SETTING, current => addKey(current || { activa: null, claves: {} }));
+}
+
+/**
+ * Firma un evento con la clave de custodia del servidor (HMAC-SHA256)
+ * Es una atestación del servidor sobre el evento y el usuario que lo registró, no una firma con una clave del
+ * usuario: quien tenga la clave puede firmar a nombre de cualquiera. Incluye la firma del evento anterior,
+ * por lo que alterar un evento invalida los siguientes
+ * @param {Object} event - Evento sin firma
+ * @param {string} secret - Clave de firma
+ * @returns {string} Firma hexadecimal
+ */
+function signEvent(event, secret) {
+    return crypto.createHmac('sha256', secret).update(signedPayload(event)).digest('hex');
+}
+
+/**
+ * Verifica la firma de cada evento, con la clave que indica su claveId, y su enlace con el anterior
+ * @param {Array} events - Eventos en orden de secuencia
+ * @param {Object} keyring - Claves de firma (loadSigningKeys)
+ * @returns {Array} Eventos con firmaValida (false si la clave del evento no existe)
+ */
+function verifyChain(events, keyring) {
+    const claves = (keyring && keyring.claves) || {};
+    let previous = null;
+    return events.map(event => {
+        const clave = claves[event.claveId || LEGACY_KEY_ID];
+        const firmaValida = Boolean(clave) && event.firma === signEvent(event, clave.secreto) &&
+            event.firmaAnterior === previous;
+        previous = event.firma;
+        return { ...event, firmaValida };
+    });
+}
+
+/**
+ * Resume la cadena de custodia para guardarla en el registro del lote
+ * @param {Array} events - Eventos en orden
+ * @returns {Object} { etapaActual, totalEventos, etapas, ultimoEvento }
+ */
+function summarizeCustody(events) {
+    const last = events[events.length - 1];
+    return {
+        etapaActual: last ? last.etapa : null,
+        recepcionProvisional: !!last && isProvisionalReception(last),
+        totalEventos: events.length,
+        etapas: [...new Set(events.map(event => event.etapa))],
+        ultimoEvento: last ? {
+            secuencia: last.secuencia,
+            etapa: last.etapa,
+            fecha: last.fecha,
+            registradoPor: last.registradoPor.usuario,
+            firma: last.firma
+        } : null
+    };
+}
+
+module.exports = {
+    STAGES,
+    NEXT_STAGES,
+    SEAL_CONDITIONS,
+    PENDING_SEAL,
+    SIGNING_KEYS_SETTING,
+    LEGACY_KEY_ID,
+    CustodyError,
+    isProvisionalReception,
+    buildContext,
+    validateEvent,
+    loadSigningKeys,
+    rotateSigningKey,
+    signEvent,
+    verifyChain,
+    summarizeCustody
+};
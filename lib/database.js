@@ -0,0 +1,502 @@
+/**
+ * Base de datos embebida de TrazaNet (SQLite)
+ * Abre la conexión, crea el esquema y ejecuta las migraciones pendientes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Esquema: cada migración se aplica una sola vez y queda registrada en schema_migrations
+const MIGRATIONS = [
+    {
+        id: '001-esquema-inicial',
+        up(db) {
+            db.exec(`
+                CREATE TABLE batches (
+                    id TEXT PRIMARY KEY,
+                    processed_by TEXT,
+                    date TEXT NOT NULL,
+                    status TEXT,
+                    sim_result TEXT,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_batches_processed_by ON batches (processed_by);
+                CREATE INDEX idx_batches_date ON batches (date);
+                CREATE INDEX idx_batches_status ON batches (status);
+                CREATE INDEX idx_batches_sim_result ON batches (sim_result);
+
+                CREATE TABLE batch_rows (
+                    batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+                    fila INTEGER NOT NULL,
+                    lote_id TEXT,
+                    fecha_cosecha TEXT,
+                    variedad TEXT,
+                    finca TEXT,
+                    estacion_conteo TEXT,
+                    peso_neto_kg REAL,
+                    num_frutos REAL,
+                    calibre REAL,
+                    temperatura_c REAL,
+                    calidad_status TEXT,
+                    categoria TEXT,
+                    cuarentena INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (batch_id, fila)
+                );
+                CREATE INDEX idx_batch_rows_categoria ON batch_rows (batch_id, categoria);
+
+                CREATE TABLE certifications (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+
+                CREATE TABLE audit_results (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+                    result TEXT,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_audit_results_batch ON audit_results (batch_id, created_at);
+                CREATE INDEX idx_audit_results_result ON audit_results (result);
+
+                CREATE TABLE settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+            `);
+        }
+    },
+    {
+        id: '003-usuarios-y-sesiones',
+        up(db) {
+            db.exec(`
+                CREATE TABLE users (
+                    id TEXT PRIMARY KEY,
+                    ruc TEXT NOT NULL,
+                    username TEXT NOT NULL,
+                    password_hash TEXT NOT NULL,
+                    name TEXT,
+                    email TEXT,
+                    role TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'Activo',
+                    wallet_address TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT,
+                    last_login_at TEXT,
+                    UNIQUE (ruc, username)
+                );
+                CREATE INDEX idx_users_ruc ON users (ruc);
+
+                CREATE TABLE sessions (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                    refresh_hash TEXT NOT NULL UNIQUE,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    revoked_at TEXT
+                );
+                CREATE INDEX idx_sessions_user ON sessions (user_id);
+            `);
+        }
+    },
+    {
+        id: '004-tokens-de-usuario',
+        up(db) {
+            db.exec(`
+                CREATE TABLE user_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                    purpose TEXT NOT NULL,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    used_at TEXT
+                );
+                CREATE INDEX idx_user_tokens_user ON user_tokens (user_id, purpose);
+            `);
+        }
+    },
+    {
+        // Cada lote y certificación pertenece a una empresa (RUC); los usuarios ya tenían RUC
+        id: '005-empresas',
+        up(db) {
+            db.exec(`
+                CREATE TABLE tenants (
+                    ruc TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'Activa',
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+
+                ALTER TABLE batches ADD COLUMN ruc TEXT;
+                CREATE INDEX idx_batches_ruc ON batches (ruc, date);
+                ALTER TABLE certifications ADD COLUMN ruc TEXT;
+                CREATE INDEX idx_certifications_ruc ON certifications (ruc);
+
+                INSERT INTO tenants (ruc, name, created_at)
+                    SELECT DISTINCT ruc, 'Empresa ' || ruc, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM users;
+
+                UPDATE batches SET ruc = (SELECT users.ruc FROM users WHERE users.id = batches.processed_by)
+                    WHERE ruc IS NULL;
+            `);
+        }
+    },
+    {
+        // Cadena de custodia: transporte, recepción y empaque de cada lote
+        id: '006-eventos-de-custodia',
+        up(db) {
+            db.exec(`
+                CREATE TABLE batch_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+                    sequence INTEGER NOT NULL,
+                    stage TEXT NOT NULL,
+                    occurred_at TEXT NOT NULL,
+                    recorded_at TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    prev_signature TEXT,
+                    signature TEXT NOT NULL,
+                    UNIQUE (batch_id, sequence)
+                );
+                CREATE INDEX idx_batch_events_stage ON batch_events (stage, occurred_at);
+            `);
+        }
+    },
+    {
+        // Ledger de solo anexado: las entradas y los bloques no se pueden modificar ni borrar
+        id: '007-ledger',
+        up(db) {
+            db.exec(`
+                CREATE TABLE ledger_entries (
+                    seq INTEGER PRIMARY KEY,
+                    hash TEXT NOT NULL UNIQUE,
+                    prev_hash TEXT NOT NULL UNIQUE,
+                    type TEXT NOT NULL,
+                    ruc TEXT,
+                    ref_id TEXT,
+                    actor TEXT,
+                    payload TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                );
+                CREATE INDEX idx_ledger_entries_ruc ON ledger_entries (ruc, type, seq);
+                CREATE INDEX idx_ledger_entries_ref ON ledger_entries (ref_id, seq);
+
+                CREATE TABLE ledger_blocks (
+                    number INTEGER PRIMARY KEY,
+                    hash TEXT NOT NULL UNIQUE,
+                    prev_hash TEXT NOT NULL UNIQUE,
+                    merkle_root TEXT NOT NULL,
+                    first_seq INTEGER NOT NULL,
+                    last_seq INTEGER NOT NULL,
+                    created_at TEXT NOT NULL
+                );
+
+                CREATE TRIGGER ledger_entries_no_update BEFORE UPDATE ON ledger_entries
+                BEGIN SELECT RAISE(ABORT, 'El ledger es de solo anexado'); END;
+                CREATE TRIGGER ledger_entries_no_delete BEFORE DELETE ON ledger_entries
+                BEGIN SELECT RAISE(ABORT, 'El ledger es de solo anexado'); END;
+                CREATE TRIGGER ledger_blocks_no_update BEFORE UPDATE ON ledger_blocks
+                BEGIN SELECT RAISE(ABORT, 'El ledger es de solo anexado'); END;
+                CREATE TRIGGER ledger_blocks_no_delete BEFORE DELETE ON ledger_blocks
+                BEGIN SELECT RAISE(ABORT, 'El ledger es de solo anexado'); END;
+            `);
+        }
+        },
+    {
+        // Llamadas al contrato en la red EVM: se encolan con el evento y se envían en orden
+        id: '008-llamadas-al-contrato',
+        up(db) {
+            db.exec(`
+                CREATE TABLE contract_calls (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    ref_id TEXT,
+                    method TEXT NOT NULL,
+                    args TEXT NOT NULL,
+                    ledger_hash TEXT,
+                    status TEXT NOT NULL,
+                    contract TEXT,
+                    tx_hash TEXT,
+                    block_number INTEGER,
+                    gas_used TEXT,
+                    error TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+                CREATE INDEX idx_contract_calls_status ON contract_calls (status, id);
+                CREATE INDEX idx_contract_calls_ref ON contract_calls (ruc, ref_id, id);
+            `);
+        }
+    },
+    {
+        // Eventos emitidos por el contrato (índice reanudable) y alertas generadas a partir de ellos
+        id: '009-eventos-del-contrato',
+        up(db) {
+            db.exec(`
+                CREATE TABLE contract_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    contract TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    block_number INTEGER NOT NULL,
+                    block_hash TEXT NOT NULL,
+                    block_time TEXT NOT NULL,
+                    tx_hash TEXT NOT NULL,
+                    log_index INTEGER NOT NULL,
+                    batch_id TEXT,
+                    args TEXT NOT NULL,
+                    indexed_at TEXT NOT NULL,
+                    UNIQUE (block_hash, log_index)
+                );
+                CREATE INDEX idx_contract_events_ruc ON contract_events (ruc, name, block_number);
+                CREATE INDEX idx_contract_events_batch ON contract_events (batch_id);
+
+                CREATE TABLE alerts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    source TEXT NOT NULL,
+                    source_id TEXT NOT NULL,
+                    batch_id TEXT,
+                    type TEXT NOT NULL,
+                    severity TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    UNIQUE (source, source_id)
+                );
+                CREATE INDEX idx_alerts_ruc ON alerts (ruc, status, severity);
+                CREATE INDEX idx_alerts_batch ON alerts (batch_id);
+            `);
+        }
+    },
+    {
+        // Versiones de los umbrales del contrato: propuesta, aprobación, activación y reversión
+        id: '010-versiones-de-umbrales',
+        up(db) {
+            db.exec(`
+                CREATE TABLE threshold_versions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    version INTEGER NOT NULL,
+                    status TEXT NOT NULL,
+                    activate_at TEXT,
+                    activated_at TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    UNIQUE (ruc, version)
+                );
+                CREATE INDEX idx_threshold_versions_status ON threshold_versions (status, activate_at);
+                CREATE INDEX idx_threshold_versions_active ON threshold_versions (ruc, activated_at);
+            `);
+        }
+    },
+    {
+        // Telemetría de la cadena de frío: lecturas de los termógrafos y excursiones de temperatura por envío
+        // (lote y vehículo; vehicle es '' si la lectura no lo indica y el lote no tiene transporte registrado)
+        id: '011-telemetria',
+        up(db) {
+            db.exec(`
+                CREATE TABLE telemetry_readings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+                    vehicle TEXT NOT NULL,
+                    device_id TEXT NOT NULL,
+                    recorded_at TEXT NOT NULL,
+                    temperature REAL NOT NULL,
+                    humidity REAL,
+                    received_at TEXT NOT NULL,
+                    UNIQUE (ruc, device_id, recorded_at)
+                );
+                CREATE INDEX idx_telemetry_readings_shipment ON telemetry_readings (batch_id, vehicle, recorded_at);
+                CREATE INDEX idx_telemetry_readings_ruc ON telemetry_readings (ruc, recorded_at);
+
+                CREATE TABLE telemetry_excursions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+                    vehicle TEXT NOT NULL,
+                    started_at TEXT NOT NULL,
+                    ended_at TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    UNIQUE (batch_id, vehicle, started_at)
+                );
+                CREATE INDEX idx_telemetry_excursions_ruc ON telemetry_excursions (ruc, started_at);
+            `);
+        }
+    },
+    {
+        // Envíos con su ruta planificada, los lotes que llevan y las posiciones del GPS del camión
+        id: '012-envios',
+        up(db) {
+            db.exec(`
+                CREATE TABLE shipments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    vehicle TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    departed_at TEXT NOT NULL,
+                    eta TEXT NOT NULL,
+                    delivered_at TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_shipments_ruc ON shipments (ruc, status, departed_at);
+
+                CREATE TABLE shipment_batches (
+                    shipment_id INTEGER NOT NULL REFERENCES shipments (id) ON DELETE CASCADE,
+                    batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+                    PRIMARY KEY (shipment_id, batch_id)
+                );
+                CREATE INDEX idx_shipment_batches_batch ON shipment_batches (batch_id);
+
+                CREATE TABLE shipment_positions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    shipment_id INTEGER NOT NULL REFERENCES shipments (id) ON DELETE CASCADE,
+                    recorded_at TEXT NOT NULL,
+                    lat REAL NOT NULL,
+                    lng REAL NOT NULL,
+                    speed REAL,
+                    heading REAL,
+                    accuracy REAL,
+                    received_at TEXT NOT NULL,
+                    UNIQUE (shipment_id, recorded_at)
+                );
+            `);
+        }
+    },
+    {
+        id: '013-notificaciones',
+        up(db) {
+            db.exec(`
+                CREATE TABLE notification_subscriptions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    scope TEXT NOT NULL,
+                    user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+                    role TEXT,
+                    channel TEXT NOT NULL,
+                    mode TEXT NOT NULL,
+                    active INTEGER NOT NULL DEFAULT 1,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_notification_subscriptions_ruc ON notification_subscriptions (ruc, active);
+
+                CREATE TABLE notification_deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT NOT NULL,
+                    subscription_id INTEGER REFERENCES notification_subscriptions (id) ON DELETE SET NULL,
+                    user_id TEXT,
+                    channel TEXT NOT NULL,
+                    destination TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at TEXT,
+                    read_at TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_notification_deliveries_due ON notification_deliveries (status, next_attempt_at);
+                CREATE INDEX idx_notification_deliveries_ruc ON notification_deliveries (ruc, status, created_at);
+                CREATE INDEX idx_notification_deliveries_inbox ON notification_deliveries (user_id, channel, status, created_at);
+            `);
+        }
+    },
+    {
+        id: '014-eventos-en-vivo',
+        up(db) {
+            // AUTOINCREMENT: los IDs no se reutilizan después de depurar eventos antiguos, así un
+            // Last-Event-ID nunca apunta a un evento distinto del que recibió el cliente
+            db.exec(`
+                CREATE TABLE live_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    ruc TEXT,
+                    user_id TEXT,
+                    type TEXT NOT NULL,
+                    permission TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_live_events_ruc ON live_events (ruc, id);
+                CREATE INDEX idx_live_events_created ON live_events (created_at);
+            `);
+        }
+    }
+];
+
+/**
+ * Abre (o crea) la base de datos y aplica las migraciones de esquema pendientes
+ * @param {string} file - Ruta del archivo SQLite (':memory:' para pruebas)
+ * @returns {Database} Conexión de better-sqlite3
+ */
+function openDatabase(file) {
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.pragma('busy_timeout = 5000');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            id TEXT PRIMARY KEY,
+            applied_at TEXT NOT NULL
+        );
+    `);
+
+    const applied = new Set(db.prepare('SELECT id FROM schema_migrations').all().map(row => row.id));
+    const markApplied = db.prepare('INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)');
+
+    MIGRATIONS.filter(migration => !applied.has(migration.id)).forEach(migration => {
+        db.transaction(() => {
+            migration.up(db);
+            markApplied.run(migration.id, new Date().toISOString());
+        })();
+        console.log(`🗄️  Migración aplicada: ${migration.id}`);
+    });
+
+    return db;
+}
+
+/**
+ * Indica si una migración de datos ya se ejecutó
+ * @param {Database} db - Conexión
+ * @param {string} id - Identificador de la migración
+ * @returns {boolean}
+ */
+function hasMigration(db, id) {
+    return !!db.prepare('SELECT 1 FROM schema_migrations WHERE id = ?').get(id);
+}
+
+/**
+ * Registra una migración de datos como aplicada
+ * @param {Database} db - Conexión
+ * @param {string} id - Identificador de la migración
+ */
+function markMigration(db, id) {
+    db.prepare('INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)').run(id, new Date().toISOString());
+}
+
+module.exports = {
+    openDatabase,
+    hasMigration,
+    markMigration
+};
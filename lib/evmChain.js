@@ -0,0 +1,352 @@
+/**
+ * Adaptador EVM del contrato AvocadoTraceContract
+ * Compila avocado_trace_contract.sol con solc, despliega un contrato por empresa en el nodo configurado
+ * y envía en orden las llamadas encoladas en contract_calls; si el nodo no responde quedan pendientes
+ * y se reintentan en el siguiente envío. Una llamada que falla por otro motivo queda fallida tras maxAttempts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const { Contract, ContractFactory, JsonRpcProvider, Network, Wallet } = require('ethers');
+
+const CONTRACT_FILE = path.join(__dirname, '..', 'avocado_trace_contract.sol');
+const CONTRACT_NAME = 'AvocadoTraceContract';
+
+// Nodo de desarrollo local (npm run chain) y su cuenta #0, pública y solo válida en esa red
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_CHAIN_ID = 31337;
+const DEV_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Intentos de una llamada (con el nodo disponible) antes de darla por fallida
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Funciones del contrato que el servidor puede encolar
+const METHODS = [
+    'registerBatchInitialData',
+    'updateTransportData',
+    'updateReceptionData',
+    'recordPackingData',
+    'evaluateBatch',
+    'setThresholds',
+    'transferAsset'
+];
+
+/**
+ * Compila el contrato con el compilador de solc-js (no requiere conexión)
+ * @param {string} file - Ruta del archivo .sol
+ * @returns {Object} { abi, bytecode, codigoSha256, compilador }
+ */
+function compileContract(file = CONTRACT_FILE) {
+    const source = fs.readFileSync(file, 'utf8');
+    const fileName = path.basename(file);
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: 'Solidity',
+        sources: { [fileName]: { content: source } },
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    })));
+
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length) {
+        throw new Error(`No se pudo compilar ${fileName}: ` + errors.map(error => error.formattedMessage).join('\n'));
+    }
+
+    const compiled = output.contracts[fileName][CONTRACT_NAME];
+    return {
+        abi: compiled.abi,
+        bytecode: '0x' + compiled.evm.bytecode.object,
+        codigoSha256: crypto.createHash('sha256').update(source).digest('hex'),
+        compilador: solc.version()
+    };
+}
+
+/**
+ * Convierte un valor decimal al entero sin signo que guarda el contrato (ej. 8.5 °C x100 = 850)
+ * Los valores negativos se envían como 0: el contrato usa uint256
+ * @param {number} value - Valor decimal
+ * @param {number} factor - Multiplicador (1 para porcentajes enteros)
+ * @returns {number}
+ */
+function toUint(value, factor = 1) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number * factor) : 0;
+}
+
+// Error del contrato desplegado de una empresa que ya no corresponde al código, a la red o al nodo
+// configurados; las llamadas quedan pendientes hasta que se autorice un despliegue nuevo
+class ContractMismatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContractMismatchError';
+    }
+}
+
+// Función para obtener el motivo de una reversión del contrato (null si el error no es una reversión)
+function revertReason(error) {
+    if (error.code !== 'CALL_EXCEPTION') return null;
+    return error.reason || error.shortMessage || 'Transacción revertida por el contrato';
+}
+
+/**
+ * Crea el adaptador sobre los repositorios
+ * @param {Object} repos - Resultado de createRepositories (usa settings y contractCalls)
+ * @param {Object} options - { rpcUrl, chainId, privateKey, contractFile, initialThresholds(ruc), allowRedeploy, maxAttempts }
+ *   initialThresholds devuelve los argumentos del constructor para el contrato de una empresa; allowRedeploy
+ *   autoriza reemplazar un contrato que ya no corresponde (ver contractFor)
+ * @returns {Object} { network, account, provider, abi, enqueue, processQueue, contractInfo }
+ */
+function createEvmChain(repos, options = {}) {
+    const rpcUrl = options.rpcUrl || DEFAULT_RPC_URL;
+    const chainId = parseInt(options.chainId, 10) || DEFAULT_CHAIN_ID;
+    const contractFile = options.contractFile || CONTRACT_FILE;
+    const initialThresholds = options.initialThresholds || (() => [800, 5, 20]);
+    const allowRedeploy = options.allowRedeploy === true;
+    const maxAttempts = parseInt(options.maxAttempts, 10) || DEFAULT_MAX_ATTEMPTS;
+
+    // Red fija: sin detección, un nodo caído devuelve error de inmediato en lugar de reintentar
+    // Sin caché de consultas: dos envíos seguidos deben leer cada uno el nonce vigente
+    const network = Network.from(chainId);
+    const provider = new JsonRpcProvider(rpcUrl, network, { staticNetwork: network, cacheTimeout: -1 });
+    provider.pollingInterval = 1000;
+    const wallet = new Wallet(options.privateKey || DEV_PRIVATE_KEY, provider);
+
+    let compiled = null;
+    let running = null;
+
+    // Función para compilar el contrato una sola vez por proceso
+    function getCompiled() {
+        if (!compiled) compiled = compileContract(contractFile);
+        return compiled;
+    }
+
+    // Función para obtener la clave de configuración del contrato de una empresa
+    function contractKey(ruc) {
+        return 'evm-contract:' + ruc;
+    }
+
+    // Función para saber por qué el contrato desplegado de una empresa ya no se puede usar (null si se puede)
+    async function mismatchReason(info, build) {
+        if (info.chainId !== chainId) return `se desplegó en la red ${info.chainId} y la configurada es ${chainId}`;
+        if (info.codigoSha256 !== build.codigoSha256) return 'el código fuente del contrato cambió desde su despliegue';
+        if (await provider.getCode(info.direccion) === '0x') return 'el nodo no tiene su código (la red se reinició)';
+        return null;
+    }
+
+    // Función para obtener el contrato de una empresa; lo despliega la primera vez
+    // Si el desplegado ya no corresponde no despliega otro en silencio: guarda el desajuste (contractInfo) y las
+    // llamadas quedan pendientes, salvo con allowRedeploy. Un contrato nuevo empieza sin lotes (ver ensureRegistration)
+    async function contractFor(ruc, cache) {
+        if (cache.has(ruc)) return cache.get(ruc);
+        const build = getCompiled();
+
+        const info = repos.settings.get(contractKey(ruc));
+        const motivo = info ? await mismatchReason(info, build) : null;
+        if (info && !motivo) {
+            const contract = new Contract(info.direccion, build.abi, wallet);
+            cache.set(ruc, contract);
+            return contract;
+        }
+        if (info && !allowRedeploy) {
+            if (!info.desajuste || info.desajuste.motivo !== motivo) {
+                repos.settings.set(contractKey(ruc), { ...info, desajuste: { motivo, detectadoEn: new Date().toISOString() } });
+                console.log(`⚠️ Contrato de ${ruc} en ${info.direccion} no utilizable: ${motivo}`);
+            }
+            throw new ContractMismatchError(
+                `El contrato de ${ruc} en ${info.direccion} no se puede usar: ${motivo}. ` +
+                'Para desplegar uno nuevo reinicie el servidor con TRAZANET_EVM_REDEPLOY=1'
+            );
+        }
+        if (info) {
+            console.log(`⚠️ Contrato de ${ruc} en ${info.direccion} no utilizable (${motivo}); se desplegará uno nuevo`);
+        }
+
+        const args = initialThresholds(ruc);
+        const contract = await new ContractFactory(build.abi, build.bytecode, wallet).deploy(...args);
+        const receipt = await contract.deploymentTransaction().wait();
+        const direccion = await contract.getAddress();
+        repos.settings.set(contractKey(ruc), {
+            direccion,
+            chainId,
+            propietario: wallet.address,
+            transaccion: receipt.hash,
+            bloque: receipt.blockNumber,
+            umbralesIniciales: args,
+            codigoSha256: build.codigoSha256,
+            compilador: build.compilador,
+            desplegadoEn: new Date().toISOString(),
+            anterior: info ? info.direccion : null
+        });
+        console.log(`📜 Contrato ${CONTRACT_NAME} de ${ruc} desplegado en ${direccion} (bloque ${receipt.blockNumber})`);
+
+        cache.set(ruc, contract);
+        return contract;
+    }
+
+    // Función para volver a registrar en un contrato nuevo un lote registrado en uno anterior, con los mismos
+    // datos, antes de enviar su llamada (encola el registro y lo envía en el acto)
+    async function ensureRegistration(call, contrato, cache) {
+        if (!call.referencia || call.metodo === 'registerBatchInitialData') return;
+        const { desplegadoEn } = repos.settings.get(contractKey(call.ruc));
+        if (repos.contractCalls.hasRegistration(call.referencia, call.ruc, desplegadoEn)) return;
+        const anterior = repos.contractCalls.lastRegistration(call.referencia, call.ruc);
+        if (!anterior) return;
+
+        const registro = repos.contractCalls.create({
+            ruc: call.ruc,
+            tipo: anterior.tipo,
+            referencia: anterior.referencia,
+            metodo: anterior.metodo,
+            argumentos: anterior.argumentos,
+            transaccionLedger: anterior.transaccionLedger
+        });
+        console.log(`📜 Lote ${call.referencia} registrado de nuevo en el contrato ${contrato} (llamada #${registro.id})`);
+        await send(registro, cache);
+    }
+
+    // Función para enviar una llamada y guardar su recibo
+    // Una llamada ya enviada (estado enviada) solo se vuelve a consultar, no se reenvía
+    async function send(call, cache) {
+        const contract = await contractFor(call.ruc, cache);
+        const contrato = await contract.getAddress();
+        await ensureRegistration(call, contrato, cache);
+
+        let receipt = null;
+        if (call.estado === 'enviada' && call.transaccion && call.contrato === contrato) {
+            receipt = await provider.getTransactionReceipt(call.transaccion);
+        }
+
+        // Una llamada encolada para una versión anterior del contrato (otra firma) no puede enviarse
+        if (!receipt && !contract.interface.getFunction(call.metodo, call.argumentos)) {
+            repos.contractCalls.markResult(call.id, {
+                estado: 'revertida',
+                contrato,
+                error: `El contrato desplegado no tiene ${call.metodo} con ${call.argumentos.length} argumentos`
+            });
+            console.log(`⚠️ Llamada ${call.metodo} (#${call.id}) descartada: no corresponde al contrato desplegado`);
+            return;
+        }
+
+        try {
+            if (!receipt) {
+                const tx = await contract[call.metodo](...call.argumentos);
+                repos.contractCalls.markSent(call.id, { contrato, transaccion: tx.hash });
+                receipt = await tx.wait();
+            }
+        } catch (error) {
+            const reason = revertReason(error);
+            if (!reason) throw error;
+            repos.contractCalls.markResult(call.id, {
+                estado: 'revertida',
+                contrato,
+                transaccion: error.receipt ? error.receipt.hash : null,
+                bloque: error.receipt ? error.receipt.blockNumber : null,
+                error: reason
+            });
+            console.log(`⚠️ Llamada ${call.metodo} (#${call.id}) revertida por el contrato: ${reason}`);
+            return;
+        }
+
+        repos.contractCalls.markResult(call.id, {
+            estado: receipt.status === 1 ? 'confirmada' : 'revertida',
+            contrato,
+            transaccion: receipt.hash,
+            bloque: receipt.blockNumber,
+            gasUsado: receipt.gasUsed.toString(),
+            error: receipt.status === 1 ? null : 'Transacción revertida por el contrato'
+        });
+    }
+
+    // Función para enviar en orden todas las llamadas pendientes; se detiene en el primer error
+    // Con el nodo caído no se cuenta el intento. Una llamada que falla maxAttempts veces con el nodo
+    // disponible queda fallida y no bloquea las siguientes; un contrato desajustado las detiene a todas
+    async function sendPending() {
+        await provider.getBlockNumber();
+
+        const cache = new Map();
+        let enviadas = 0;
+        let call;
+        while ((call = repos.contractCalls.nextPending())) {
+            try {
+                await send(call, cache);
+                enviadas++;
+            } catch (error) {
+                if (error instanceof ContractMismatchError) throw error;
+                const mensaje = error.shortMessage || error.message;
+                if (call.intentos + 1 < maxAttempts) {
+                    repos.contractCalls.markFailedAttempt(call.id, mensaje);
+                    throw error;
+                }
+                repos.contractCalls.markFailed(call.id, mensaje);
+                console.log(`⚠️ Llamada ${call.metodo} (#${call.id}) fallida después de ${call.intentos + 1} intentos: ${mensaje}`);
+            }
+        }
+        return enviadas;
+    }
+
+    return {
+        network: { rpcUrl, chainId },
+
+        account: wallet.address,
+
+        // Proveedor JSON-RPC del nodo (lo usa el indexador de eventos)
+        provider,
+
+        // ABI del contrato compilado
+        abi() {
+            return getCompiled().abi;
+        },
+
+        /**
+         * Encola una llamada al contrato (dentro de la transacción en curso, si la hay)
+         * @param {Object} call - { ruc, tipo, referencia, metodo, argumentos, transaccionLedger }
+         * @returns {Object} Llamada pendiente con su id
+         */
+        enqueue(call) {
+            if (!METHODS.includes(call.metodo)) {
+                throw new Error(`Función del contrato no válida: ${call.metodo}`);
+            }
+            return repos.contractCalls.create(call);
+        },
+
+        /**
+         * Envía las llamadas pendientes; si hay un envío en curso, el nuevo empieza cuando termine
+         * (los envíos nunca se cruzan, así el nonce de la cuenta y el orden de las llamadas se respetan)
+         * @returns {Promise<number>} Llamadas procesadas
+         */
+        processQueue() {
+            const pass = (running || Promise.resolve()).catch(() => 0).then(sendPending);
+            running = pass;
+            pass.catch(() => 0).then(() => {
+                if (running === pass) running = null;
+            });
+            return pass;
+        },
+
+        /**
+         * Datos del despliegue del contrato de una empresa
+         * @param {string} ruc - RUC de la empresa
+         * @returns {Object|null} { direccion, chainId, transaccion, bloque, ..., desajuste } o null si aún no se desplegó
+         *   desajuste ({ motivo, detectadoEn }) indica que el contrato ya no se puede usar y las llamadas esperan
+         */
+        contractInfo(ruc) {
+            return repos.settings.get(contractKey(ruc));
+        }
+    };
+}
+
+module.exports = {
+    CONTRACT_FILE,
+    CONTRACT_NAME,
+    DEFAULT_RPC_URL,
+    DEFAULT_CHAIN_ID,
+    METHODS,
+    DEFAULT_MAX_ATTEMPTS,
+    ContractMismatchError,
+    compileContract,
+    toUint,
+    createEvmChain
+};
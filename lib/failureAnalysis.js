@@ -0,0 +1,397 @@
+/**
+ * Análisis de causa raíz de las fallas de un lote
+ * Reúne la auditoría por reglas con las filas del archivo que la incumplen, las excursiones de temperatura,
+ * el sello en la recepción, la desviación de peso entre etapas y la materia seca del empaque, y ordena las causas probables indicando
+ * la etapa de custodia en que se originó cada una
+ */
+
+const { isProvisionalReception } = require('./custodyEvents');
+
+// Etapas en que se puede originar una falla, en el orden en que recorre el lote
+const ANALYSIS_STAGES = {
+    cosecha: 'Cosecha y conteo',
+    transporte: 'Transporte',
+    recepcion: 'Recepción en planta',
+    empaque: 'Empaque'
+};
+
+// Puntaje base de cada causa (0 a 100); se suma un agravante según su magnitud
+const BASE_SCORES = {
+    critica: 60,
+    menor: 30,
+    excursionAlta: 70,
+    excursionMedia: 45,
+    selloViolado: 80,
+    selloAusente: 65,
+    peso: 50,
+    materiaSeca: 55
+};
+
+// Función para obtener la última recepción con el peso y el sello medidos (la provisional no los tiene)
+function measuredReception(events) {
+    return [...events].reverse().find(event => event.etapa === 'recepcion' && !isProvisionalReception(event)) || null;
+}
+
+// Las filas incumplidas se consideran concentradas si una estación o finca reúne esta proporción
+const CONCENTRATION_SHARE = 0.6;
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+// Función para describir el valor esperado de una regla de la certificación
+function expectedValue(rule) {
+    if (!rule) return null;
+    switch (rule.tipo) {
+        case 'maximo':
+            return `≤ ${rule.max}`;
+        case 'minimo':
+            return `≥ ${rule.min}`;
+        case 'rango':
+            return `${rule.min} – ${rule.max}`;
+        case 'porcentaje':
+            return `${rule.operador} ${rule.valor}%`;
+        case 'requeridos':
+            return 'Campos presentes';
+        default:
+            return null;
+    }
+}
+
+// Función para describir el valor detectado de una regla evaluada
+function detectedValue(regla, filas) {
+    if (regla.tipo === 'porcentaje') return `${regla.valorObservado}%`;
+    if (regla.cumple) return 'Cumple';
+    if (regla.tipo === 'requeridos') return `${regla.totalIncumplidas} filas incompletas`;
+
+    const valores = filas.map(fila => fila.valor).filter(valor => typeof valor === 'number');
+    if (valores.length === 0) return `${regla.totalIncumplidas} filas`;
+    const extremo = regla.tipo === 'minimo' ? Math.min(...valores) : Math.max(...valores);
+    return `${extremo} (${regla.totalIncumplidas} filas)`;
+}
+
+// Función para contar las filas por un campo, de mayor a menor
+function countBy(filas, field) {
+    const counts = {};
+    filas.forEach(fila => {
+        const key = fila[field] || 'Sin dato';
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([valor, filasIncumplidas]) => ({ valor, filasIncumplidas }))
+        .sort((a, b) => b.filasIncumplidas - a.filasIncumplidas || a.valor.localeCompare(b.valor));
+}
+
+/**
+ * Ubica las filas incumplidas de una regla en el archivo: estación de conteo, finca y fecha de cosecha
+ * @param {Object} regla - Regla evaluada de la auditoría (con filasIncumplidas)
+ * @param {Map} rowsByNumber - Filas del lote por número de fila
+ * @returns {Object} { filas, porEstacion, porFinca, desde, hasta, concentracion }
+ */
+function locateOffendingRows(regla, rowsByNumber) {
+    const filas = (regla.filasIncumplidas || []).map(item => {
+        const row = rowsByNumber.get(item.fila) || {};
+        return {
+            ...item,
+            finca: row.finca || null,
+            estacionConteo: row.estacionConteo || null,
+            fechaCosecha: row.fechaCosecha || null
+        };
+    });
+    const fechas = filas.map(fila => fila.fechaCosecha).filter(Boolean).sort();
+    const porEstacion = countBy(filas, 'estacionConteo');
+    const porFinca = countBy(filas, 'finca');
+
+    // Una estación o finca que reúne la mayoría de las filas apunta a un origen puntual
+    let concentracion = null;
+    if (filas.length > 1) {
+        const [estacion] = porEstacion;
+        const [finca] = porFinca;
+        const concentrated = item => item.valor !== 'Sin dato' && item.filasIncumplidas / filas.length >= CONCENTRATION_SHARE;
+        if (concentrated(estacion)) {
+            concentracion = { campo: 'estacionConteo', valor: estacion.valor, filas: estacion.filasIncumplidas, de: filas.length };
+        } else if (concentrated(finca)) {
+            concentracion = { campo: 'finca', valor: finca.valor, filas: finca.filasIncumplidas, de: filas.length };
+        }
+    }
+
+    return {
+        filas,
+        porEstacion,
+        porFinca,
+        desde: fechas[0] || null,
+        hasta: fechas[fechas.length - 1] || null,
+        concentracion
+    };
+}
+
+// Función para armar las reglas evaluadas y las causas de una auditoría por reglas
+function analyzeAudit(audit, rules, rows) {
+    const rowsByNumber = new Map((rows || []).map(row => [row.fila, row]));
+    const rulesById = new Map((rules || []).map(rule => [rule.id, rule]));
+    const causas = [];
+
+    const reglas = (audit.reglas || []).map(regla => {
+        const ubicacion = locateOffendingRows(regla, rowsByNumber);
+        const evaluada = {
+            id: regla.id,
+            tipo: regla.tipo,
+            descripcion: regla.descripcion,
+            severidad: regla.severidad,
+            cumple: regla.cumple,
+            valorEsperado: expectedValue(rulesById.get(regla.id)),
+            valorDetectado: detectedValue(regla, ubicacion.filas),
+            totalIncumplidas: regla.totalIncumplidas,
+            ...(regla.cumple ? {} : ubicacion)
+        };
+        if (regla.cumple) return evaluada;
+
+        const proporcion = audit.filasEvaluadas ? Math.min(regla.totalIncumplidas / audit.filasEvaluadas, 1) : 0;
+        const lugar = ubicacion.concentracion
+            ? `, concentrada en ${ubicacion.concentracion.valor} (${ubicacion.concentracion.filas} de ${ubicacion.concentracion.de} filas)`
+            : '';
+        causas.push({
+            tipo: 'regla',
+            etapa: 'cosecha',
+            detectadaEn: 'cosecha',
+            puntaje: Math.round(BASE_SCORES[regla.severidad === 'critica' ? 'critica' : 'menor'] + 30 * proporcion),
+            descripcion: `Regla "${regla.descripcion}" incumplida en ${regla.totalIncumplidas} de ${audit.filasEvaluadas} filas${lugar}`,
+            evidencia: {
+                auditoriaId: audit.id,
+                reglaId: regla.id,
+                transaccion: audit.transaccion,
+                concentracion: ubicacion.concentracion
+            }
+        });
+        return evaluada;
+    });
+
+    return { reglas, causas };
+}
+
+// Función para armar las causas de las excursiones de temperatura del transporte
+function analyzeExcursions(excursiones) {
+    return excursiones.map(excursion => ({
+        tipo: 'temperatura',
+        etapa: 'transporte',
+        detectadaEn: 'transporte',
+        puntaje: Math.min(
+            Math.round(BASE_SCORES[excursion.severidad === 'alta' ? 'excursionAlta' : 'excursionMedia'] + Math.min(excursion.minutos / 6, 20)),
+            100
+        ),
+        descripcion: `Excursión de temperatura${excursion.vehiculo ? ` en el vehículo ${excursion.vehiculo}` : ''}: ` +
+            `${excursion.maximoC} °C durante ${excursion.minutos} min (umbral ${excursion.umbralC} °C)`,
+        evidencia: {
+            excursionId: excursion.id,
+            alertaId: excursion.alertaId || null,
+            inicio: excursion.inicio,
+            fin: excursion.fin,
+            transaccion: excursion.transaccion
+        }
+    }));
+}
+
+/**
+ * Pesos del lote en cada etapa y la desviación de cada tramo
+ * @param {Object} batch - Lote con su resumen (peso declarado en el archivo)
+ * @param {Array} events - Eventos de custodia en orden
+ * @param {number} umbralPct - Desviación máxima entre etapas
+ * @returns {Object} { declaradoKg, recibidoKg, empacadoKg, tramos: [{ desde, hasta, diferenciaKg, diferenciaPct, umbralPct, excede }] }
+ */
+function weightStages(batch, events, umbralPct) {
+    const recepcion = measuredReception(events);
+    const empaques = events.filter(event => event.etapa === 'empaque');
+    const declaradoKg = recepcion && recepcion.datos.pesoDeclaradoKg !== null
+        ? recepcion.datos.pesoDeclaradoKg
+        : (batch.resumen ? batch.resumen.pesoNetoTotalKg : null);
+    const recibidoKg = recepcion ? recepcion.datos.pesoRecibidoKg : null;
+    const empacadoKg = empaques.length ? round(empaques.reduce((acc, event) => acc + event.datos.pesoTotalKg, 0)) : null;
+
+    const tramo = (desde, hasta, inicial, final) => {
+        if (!inicial || final === null) return null;
+        const diferenciaPct = round((final - inicial) / inicial * 100);
+        return {
+            desde,
+            hasta,
+            diferenciaKg: round(final - inicial),
+            diferenciaPct,
+            umbralPct,
+            excede: Math.abs(diferenciaPct) > umbralPct
+        };
+    };
+
+    return {
+        declaradoKg,
+        recibidoKg,
+        empacadoKg,
+        // El empaque puede hacerse en varias tandas: su diferencia incluye la fruta aún sin empacar
+        tramos: [
+            tramo('cosecha', 'recepcion', declaradoKg, recibidoKg),
+            tramo('recepcion', 'empaque', recibidoKg, empacadoKg)
+        ].filter(Boolean)
+    };
+}
+
+// Función para armar las causas de la recepción: sello comprometido y peso fuera del umbral
+function analyzeReception(recepcion, peso) {
+    const causas = [];
+    if (!recepcion) return causas;
+
+    const evidencia = { secuencia: recepcion.secuencia, firma: recepcion.firma, transaccion: recepcion.transaccion };
+    if (recepcion.datos.condicionSello !== 'Intacto') {
+        causas.push({
+            tipo: 'sello',
+            // El sello se coloca al cargar: si llega comprometido, se rompió durante el transporte
+            etapa: 'transporte',
+            detectadaEn: 'recepcion',
+            puntaje: BASE_SCORES[recepcion.datos.condicionSello === 'Violado' ? 'selloViolado' : 'selloAusente'],
+            descripcion: `Sello de seguridad ${recepcion.datos.condicionSello.toLowerCase()} al recibir el lote`,
+            evidencia: { ...evidencia, condicionSello: recepcion.datos.condicionSello }
+        });
+    }
+
+    const transporte = peso.tramos.find(item => item.desde === 'cosecha');
+    if (transporte && transporte.excede) {
+        const exceso = Math.abs(transporte.diferenciaPct) / (transporte.umbralPct || 1) - 1;
+        causas.push({
+            tipo: 'peso',
+            etapa: 'transporte',
+            detectadaEn: 'recepcion',
+            puntaje: Math.round(BASE_SCORES.peso + Math.min(exceso * 20, 40)),
+            descripcion: `Desviación de peso de ${transporte.diferenciaPct}% entre la carga (${peso.declaradoKg} kg) ` +
+                `y la recepción (${peso.recibidoKg} kg), máximo ${transporte.umbralPct}%`,
+            evidencia: { ...evidencia, diferenciaKg: transporte.diferenciaKg, diferenciaPct: transporte.diferenciaPct }
+        });
+    }
+    return causas;
+}
+
+// Función para armar la causa de los empaques con la materia seca bajo el mínimo de su versión de umbrales
+// La materia seca mide la madurez de la fruta: la falla se origina en la cosecha y se detecta al empacar
+function analyzePacking(events) {
+    const fallidos = events.filter(event => event.etapa === 'empaque' && event.datos.cumpleMateriaSeca === false);
+    if (fallidos.length === 0) return [];
+
+    const peor = fallidos.reduce((min, event) => (event.datos.materiaSecaPct < min.datos.materiaSecaPct ? event : min));
+    const { materiaSecaPct, minMateriaSecaPct } = peor.datos;
+    const faltante = (minMateriaSecaPct - materiaSecaPct) / (minMateriaSecaPct || 1);
+    return [{
+        tipo: 'materia-seca',
+        etapa: 'cosecha',
+        detectadaEn: 'empaque',
+        puntaje: Math.round(BASE_SCORES.materiaSeca + Math.min(faltante * 100, 40)),
+        descripcion: `Materia seca de ${materiaSecaPct}% al empacar, bajo el mínimo de ${minMateriaSecaPct}%` +
+            (fallidos.length > 1 ? ` (${fallidos.length} empaques)` : ''),
+        evidencia: {
+            secuencia: peor.secuencia,
+            firma: peor.firma,
+            transaccion: peor.transaccion,
+            materiaSecaPct,
+            minMateriaSecaPct,
+            versionUmbrales: peor.datos.versionUmbrales
+        }
+    }];
+}
+
+// Función para calificar el puntaje de una causa
+function probability(puntaje) {
+    if (puntaje >= 70) return 'alta';
+    if (puntaje >= 40) return 'media';
+    return 'baja';
+}
+
+/**
+ * Genera el análisis de causa raíz de un lote
+ * Las causas se ordenan por puntaje; a igual puntaje primero la de la etapa más temprana
+ * @param {Object} input - { batch, rows, audit (auditoría por reglas o null), rules (reglas de su certificación),
+ *   events (custodia en orden), excursions, thresholds ({ maxDesviacionPesoPct }), alerts }
+ * @returns {Object} { lote, auditoria, temperatura, sello, peso, causas, etapaOrigen, etapas, conclusion, alertas }
+ */
+function analyzeFailure({ batch, rows, audit, rules, events, excursions, thresholds, alerts }) {
+    const stageOrder = Object.keys(ANALYSIS_STAGES);
+    const { reglas, causas: reglaCausas } = audit ? analyzeAudit(audit, rules, rows) : { reglas: [], causas: [] };
+    const recepcion = measuredReception(events);
+    const peso = weightStages(batch, events, thresholds.maxDesviacionPesoPct);
+
+    const causas = [...reglaCausas, ...analyzeExcursions(excursions), ...analyzeReception(recepcion, peso), ...analyzePacking(events)]
+        .sort((a, b) => b.puntaje - a.puntaje || stageOrder.indexOf(a.etapa) - stageOrder.indexOf(b.etapa))
+        .map((causa, index) => ({ posicion: index + 1, ...causa, probabilidad: probability(causa.puntaje) }));
+    const principal = causas[0] || null;
+    const registradas = new Set(['cosecha', ...events.map(event => event.etapa)]);
+
+    return {
+        lote: {
+            id: batch.id,
+            archivo: batch.fileName,
+            fincas: batch.resumen ? batch.resumen.fincas : [],
+            etapaActual: batch.custodia ? batch.custodia.etapaActual : null,
+            resultado: batch.simResult || null
+        },
+        auditoria: audit ? {
+            id: audit.id,
+            certificacionId: audit.certificacionId,
+            certificacion: audit.certificacion,
+            resultado: audit.result,
+            fecha: audit.createdAt,
+            porcentajeCumplimiento: audit.porcentajeCumplimiento,
+            filasEvaluadas: audit.filasEvaluadas,
+            versionUmbrales: audit.versionUmbrales,
+            transaccion: audit.transaccion,
+            reglas
+        } : null,
+        temperatura: {
+            excursiones: excursions.map(excursion => ({
+                id: excursion.id,
+                vehiculo: excursion.vehiculo,
+                inicio: excursion.inicio,
+                fin: excursion.fin,
+                minutos: excursion.minutos,
+                maximoC: excursion.maximoC,
+                umbralC: excursion.umbralC,
+                severidad: excursion.severidad,
+                enCurso: excursion.enCurso,
+                alertaId: excursion.alertaId || null
+            }))
+        },
+        sello: recepcion ? {
+            condicion: recepcion.datos.condicionSello,
+            fecha: recepcion.fecha,
+            requiereInspeccion: recepcion.datos.requiereInspeccion,
+            registradoPor: recepcion.registradoPor.usuario,
+            secuencia: recepcion.secuencia,
+            firma: recepcion.firma
+        } : null,
+        peso,
+        causas,
+        etapaOrigen: principal ? principal.etapa : null,
+        etapas: stageOrder.map(etapa => {
+            const propias = causas.filter(causa => causa.etapa === etapa);
+            return {
+                etapa,
+                nombre: ANALYSIS_STAGES[etapa],
+                registrada: registradas.has(etapa),
+                causas: propias.length,
+                puntajeMaximo: propias.length ? propias[0].puntaje : 0
+            };
+        }),
+        conclusion: principal
+            ? `Causa más probable: ${principal.descripcion}. Se originó en la etapa de ${ANALYSIS_STAGES[principal.etapa].toLowerCase()}` +
+                (principal.detectadaEn !== principal.etapa ? ` y se detectó en ${ANALYSIS_STAGES[principal.detectadaEn].toLowerCase()}` : '')
+            : 'No se encontraron fallas en los datos registrados del lote',
+        alertas: alerts.map(alert => ({
+            id: alert.id,
+            tipo: alert.tipo,
+            severidad: alert.severidad,
+            estado: alert.estado,
+            mensaje: alert.mensaje
+        }))
+    };
+}
+
+module.exports = {
+    ANALYSIS_STAGES,
+    expectedValue,
+    locateOffendingRows,
+    weightStages,
+    analyzeFailure
+};
@@ -0,0 +1,426 @@
+/**
+ * Verificación de integridad contra el ledger
+ * Recalcula los hashes de las entradas y bloques, del archivo cargado y de las filas de un lote,
+ * y compara el registro del lote con lo anclado para señalar el campo o archivo que cambió
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GENESIS_HASH, canonicalJson, hashEntry, hashBlock, merkleRoot } = require('./ledger');
+const { COLUMN_FIELDS, normalizeRow } = require('./batchRows');
+const { parseLoteCsv } = require('./csvParser');
+const { isSpreadsheet, parseLoteWorkbook } = require('./spreadsheetParser');
+const custody = require('./custodyEvents');
+
+// Campos de cada fila que entran en el hash de las filas del lote
+const ROW_FIELDS = ['fila', ...Object.values(COLUMN_FIELDS), 'categoria', 'cuarentena'];
+// Máximo de diferencias por fila que se informan (el total siempre se informa)
+const MAX_ROW_DIFFERENCES = 100;
+// Tipos de entrada cuya referencia es un lote
+const BATCH_ENTRY_TYPES = ['carga', 'custodia', 'auditoria', 'transferencia'];
+
+/**
+ * SHA-256 de un archivo en disco
+ * @param {string} file - Ruta del archivo
+ * @returns {string} Hash hexadecimal
+ */
+function sha256File(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * SHA-256 de las filas de medición de un lote (mismo contenido, mismo hash)
+ * @param {Array} rows - Mediciones normalizadas con categoria y cuarentena
+ * @returns {string} Hash hexadecimal
+ */
+function digestRows(rows) {
+    const projected = rows.map(row => {
+        const values = {};
+        ROW_FIELDS.forEach(field => {
+            values[field] = row[field] === undefined ? null : row[field];
+        });
+        return values;
+    });
+    return crypto.createHash('sha256').update(canonicalJson(projected)).digest('hex');
+}
+
+// Función para comparar dos valores y devolver las rutas de los campos que difieren
+function diffValues(expected, actual, prefix) {
+    if (canonicalJson(expected) === canonicalJson(actual)) return [];
+
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(expected) && isObject(actual)) {
+        const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+        return keys.flatMap(key => diffValues(expected[key], actual[key], `${prefix}.${key}`));
+    }
+    return [{ campo: prefix, esperado: expected === undefined ? null : expected, actual: actual === undefined ? null : actual }];
+}
+
+// Función para releer las filas del archivo original y señalar qué fila y campo cambiaron en la base de datos
+function diffRowsWithFile(file, batch, rows) {
+    const parsed = isSpreadsheet(file, batch.fileName)
+        ? parseLoteWorkbook(file, { sheet: batch.validacion ? batch.validacion.hoja : undefined })
+        : parseLoteCsv(fs.readFileSync(file, 'utf8'));
+    const fromFile = parsed.rows.map(normalizeRow);
+    const differences = [];
+
+    if (fromFile.length !== rows.length) {
+        differences.push({ campo: 'filas', esperado: fromFile.length, actual: rows.length });
+    }
+    const byRow = new Map(rows.map(row => [row.fila, row]));
+    fromFile.forEach(expected => {
+        const actual = byRow.get(expected.fila);
+        if (!actual) {
+            differences.push({ campo: `filas[${expected.fila}]`, esperado: 'presente', actual: null });
+            return;
+        }
+        Object.values(COLUMN_FIELDS).forEach(field => {
+            if (expected[field] !== actual[field]) {
+                differences.push({ campo: `filas[${expected.fila}].${field}`, esperado: expected[field], actual: actual[field] });
+            }
+        });
+    });
+    return differences;
+}
+
+/**
+ * Crea el verificador sobre los repositorios
+ * @param {Object} repos - Resultado de createRepositories
+ * @param {Object} options - { uploadsDir } carpeta de archivos cargados, { signingKeys } claves de firma de la
+ *   custodia si la base todavía no las tiene (verify-ledger.js sobre una base anterior a las claves de custodia)
+ * @returns {Object} { verifyBatch, verifyLedger }
+ */
+function createVerifier(repos, options = {}) {
+    // Función para revisar que los lotes y archivos de las entradas sigan existiendo. Un lote eliminado con
+    // su entrada de eliminación es una advertencia; sin ella, el lote se borró sin dejar rastro
+    function checkReferences(entries, discrepancias, advertencias) {
+        const eliminaciones = new Map(entries.filter(entry => entry.tipo === 'eliminacion').map(entry => [entry.referencia, entry]));
+        const batches = new Map();
+        const findBatch = id => {
+            if (!batches.has(id)) batches.set(id, repos.batches.findById(id));
+            return batches.get(id);
+        };
+
+        entries.filter(entry => BATCH_ENTRY_TYPES.includes(entry.tipo)).forEach(entry => {
+            const batch = findBatch(entry.referencia);
+            const ubicacion = { secuencia: entry.secuencia, transaccion: entry.hash };
+            if (!batch) {
+                const eliminacion = eliminaciones.get(entry.referencia);
+                if (eliminacion) {
+                    advertencias.push({ ambito: 'lote', ...ubicacion, mensaje: `El lote ${entry.referencia} de esta entrada (${entry.tipo}) se eliminó en la entrada #${eliminacion.secuencia}` });
+                } else {
+                    discrepancias.push({ ambito: 'lote', ...ubicacion, campo: 'referencia', esperado: entry.referencia, actual: null, mensaje: `El lote ${entry.referencia} de esta entrada (${entry.tipo}) no existe y no hay entrada de eliminación` });
+                }
+                return;
+            }
+            if (entry.tipo === 'carga' && entry.datos.sha256Archivo) {
+                const file = batch.savedFileName ? path.join(options.uploadsDir, batch.savedFileName) : null;
+                if (!file || !fs.existsSync(file)) {
+                    discrepancias.push({ ambito: 'archivo', ...ubicacion, archivo: batch.savedFileName || null, campo: 'sha256Archivo', esperado: entry.datos.sha256Archivo, actual: null, mensaje: `El archivo del lote ${batch.id} no existe en uploads/` });
+                }
+            }
+        });
+    }
+
+    // Función para verificar una entrada: su hash, su enlace con la anterior y el bloque que la contiene
+    function checkEntry(entry, blockCache) {
+        const problemas = [];
+        const recalculado = hashEntry(entry);
+        if (recalculado !== entry.hash) {
+            problemas.push({ campo: 'hash', esperado: entry.hash, actual: recalculado, mensaje: 'El contenido de la entrada no coincide con su hash' });
+        }
+
+        const previous = entry.secuencia > 1 ? repos.ledger.findEntryBySequence(entry.secuencia - 1) : null;
+        const hashAnterior = previous ? previous.hash : GENESIS_HASH;
+        if (entry.hashAnterior !== hashAnterior) {
+            problemas.push({ campo: 'hashAnterior', esperado: hashAnterior, actual: entry.hashAnterior, mensaje: 'La entrada no enlaza con la anterior' });
+        }
+
+        const block = repos.ledger.findBlockForEntry(entry.secuencia);
+        if (block) {
+            if (!blockCache.has(block.numero)) blockCache.set(block.numero, checkBlock(block));
+            blockCache.get(block.numero).forEach(problema => problemas.push({ ...problema, bloque: block.numero }));
+        }
+        return problemas.map(problema => ({ ambito: 'ledger', transaccion: entry.hash, secuencia: entry.secuencia, ...problema }));
+    }
+
+    // Función para verificar la raíz Merkle y el hash de un bloque
+    function checkBlock(block) {
+        const problemas = [];
+        const raiz = merkleRoot(repos.ledger.entriesInBlock(block).map(entry => entry.hash));
+        if (raiz !== block.raizMerkle) {
+            problemas.push({ campo: 'raizMerkle', esperado: block.raizMerkle, actual: raiz, mensaje: `Las entradas del bloque #${block.numero} no coinciden con su raíz Merkle` });
+        }
+        const hash = hashBlock(block);
+        if (hash !== block.hash) {
+            problemas.push({ campo: 'hashBloque', esperado: block.hash, actual: hash, mensaje: `La cabecera del bloque #${block.numero} no coincide con su hash` });
+        }
+        return problemas;
+    }
+
+    // Función para comparar los datos de la carga anclados con el registro, el archivo y las filas del lote
+    function checkUpload(batch, carga, discrepancias, advertencias) {
+        if (!carga) {
+            discrepancias.push({ ambito: 'registro', campo: 'transactionId', esperado: null, actual: batch.transactionId || null, mensaje: 'El lote no tiene entrada de carga en el ledger' });
+            return;
+        }
+        if (batch.transactionId !== carga.hash) {
+            discrepancias.push({ ambito: 'registro', campo: 'transactionId', esperado: carga.hash, actual: batch.transactionId || null, mensaje: 'El ID de transacción del lote no apunta a su entrada de carga' });
+        }
+
+        const anclado = carga.datos;
+        const campos = [
+            ['fileName', anclado.archivo, batch.fileName],
+            ['date', anclado.fechaCarga || carga.fecha, batch.date]
+        ];
+        if (anclado.tamanoBytes !== undefined) campos.push(['size', anclado.tamanoBytes, batch.size]);
+        if (anclado.mapeoVersion !== undefined) campos.push(['mapeoCalidad.version', anclado.mapeoVersion, batch.mapeoCalidad ? batch.mapeoCalidad.version : null]);
+        campos.forEach(([campo, esperado, actual]) => {
+            const valor = actual === undefined ? null : actual;
+            if (esperado !== valor) {
+                discrepancias.push({ ambito: 'registro', campo, esperado, actual: valor, mensaje: `El campo ${campo} del lote fue modificado` });
+            }
+        });
+        if (anclado.calidadFruta !== undefined) {
+            diffValues(anclado.calidadFruta, batch.calidadFruta, 'calidadFruta').forEach(diferencia => {
+                discrepancias.push({ ambito: 'registro', ...diferencia, mensaje: `El campo ${diferencia.campo} del lote fue modificado` });
+            });
+        }
+
+        // Archivo original en uploads/
+        const file = batch.savedFileName ? path.join(options.uploadsDir, batch.savedFileName) : null;
+        let archivoIntegro = false;
+        if (!anclado.sha256Archivo) {
+            advertencias.push({ ambito: 'archivo', mensaje: 'La carga se registró sin hash del archivo (lote anterior al ledger)' });
+        } else if (!file || !fs.existsSync(file)) {
+            discrepancias.push({ ambito: 'archivo', archivo: batch.savedFileName || null, campo: 'sha256Archivo', esperado: anclado.sha256Archivo, actual: null, mensaje: 'El archivo cargado no existe en uploads/' });
+        } else {
+            const actual = sha256File(file);
+            archivoIntegro = actual === anclado.sha256Archivo;
+            if (!archivoIntegro) {
+                discrepancias.push({ ambito: 'archivo', archivo: batch.savedFileName, campo: 'sha256Archivo', esperado: anclado.sha256Archivo, actual, mensaje: 'El archivo cargado fue modificado' });
+            }
+        }
+
+        // Filas de medición guardadas
+        const rows = repos.batches.findRows(batch.id);
+        if (!anclado.sha256Filas) {
+            advertencias.push({ ambito: 'filas', mensaje: 'La carga se registró sin hash de las filas (lote anterior al ledger)' });
+            return;
+        }
+        const actual = rows ? digestRows(rows) : null;
+        if (actual === anclado.sha256Filas) return;
+
+        // Con el archivo íntegro se puede señalar la fila y el campo modificados
+        const diferencias = archivoIntegro && rows ? diffRowsWithFile(file, batch, rows) : [];
+        if (diferencias.length === 0) {
+            discrepancias.push({
+                ambito: 'filas', campo: 'sha256Filas', esperado: anclado.sha256Filas, actual,
+                mensaje: rows ? 'Las filas del lote fueron modificadas (categoría o cuarentena)' : 'Las filas del lote fueron eliminadas'
+            });
+            return;
+        }
+        diferencias.slice(0, MAX_ROW_DIFFERENCES).forEach(diferencia => {
+            discrepancias.push({ ambito: 'filas', ...diferencia, mensaje: `El valor de ${diferencia.campo} no coincide con el archivo` });
+        });
+        if (diferencias.length > MAX_ROW_DIFFERENCES) {
+            discrepancias.push({ ambito: 'filas', campo: 'filas', mensaje: `${diferencias.length - MAX_ROW_DIFFERENCES} diferencias más en las filas` });
+        }
+    }
+
+    // Función para comparar los eventos de custodia con sus firmas y con sus entradas en el ledger
+    function checkCustody(batch, entries, discrepancias, advertencias) {
+        const keyring = repos.settings.get(custody.SIGNING_KEYS_SETTING) || options.signingKeys;
+        const events = custody.verifyChain(repos.batchEvents.listByBatch(batch.id), keyring);
+        const anclados = new Map(entries.map(entry => [entry.datos.secuencia, entry]));
+
+        events.forEach(event => {
+            if (!event.firmaValida) {
+                discrepancias.push({ ambito: 'custodia', evento: event.secuencia, campo: 'firma', mensaje: `La firma del evento #${event.secuencia} (${event.etapa}) no es válida` });
+            }
+            const entry = anclados.get(event.secuencia);
+            anclados.delete(event.secuencia);
+            if (!entry) {
+                if (event.transaccion) {
+                    discrepancias.push({ ambito: 'custodia', evento: event.secuencia, campo: 'transaccion', actual: event.transaccion, mensaje: `El evento #${event.secuencia} no tiene su entrada en el ledger` });
+                } else {
+                    advertencias.push({ ambito: 'custodia', evento: event.secuencia, mensaje: `El evento #${event.secuencia} se registró antes del ledger` });
+                }
+                return;
+            }
+            diffValues(
+                { etapa: entry.datos.etapa, fecha: entry.datos.fecha, datos: entry.datos.datos, firma: entry.datos.firma, claveId: entry.datos.claveId || null, transaccion: entry.hash },
+                { etapa: event.etapa, fecha: event.fecha, datos: event.datos, firma: event.firma, claveId: event.claveId, transaccion: event.transaccion },
+                `custodia[${event.secuencia}]`
+            ).forEach(diferencia => {
+                discrepancias.push({ ambito: 'custodia', evento: event.secuencia, transaccion: entry.hash, ...diferencia, mensaje: `El campo ${diferencia.campo} no coincide con el ledger` });
+            });
+        });
+
+        anclados.forEach(entry => {
+            discrepancias.push({ ambito: 'custodia', evento: entry.datos.secuencia, transaccion: entry.hash, mensaje: `El evento #${entry.datos.secuencia} (${entry.datos.etapa}) fue eliminado` });
+        });
+
+        const resumen = custody.summarizeCustody(events);
+        const guardado = batch.custodia || custody.summarizeCustody([]);
+        ['etapaActual', 'totalEventos'].forEach(campo => {
+            if (resumen[campo] !== guardado[campo]) {
+                discrepancias.push({ ambito: 'registro', campo: `custodia.${campo}`, esperado: resumen[campo], actual: guardado[campo], mensaje: `El campo custodia.${campo} del lote no coincide con sus eventos` });
+            }
+        });
+    }
+
+    // Función para comparar el último resultado de auditoría del lote y el historial con el ledger
+    // Las excursiones de la telemetría quedan como hallazgos en el historial pero no cambian el resultado del lote
+    function checkAudits(batch, entries, discrepancias, advertencias) {
+        const dictamenes = entries.filter(entry => entry.datos.origen !== 'telemetria');
+        const ultima = dictamenes[dictamenes.length - 1];
+        if (!ultima) {
+            if (batch.simResult) {
+                advertencias.push({ ambito: 'auditoria', mensaje: 'El resultado de auditoría del lote es anterior al ledger' });
+            }
+        } else {
+            [['simResult', ultima.datos.resultado, batch.simResult], ['lastSimulation', ultima.fecha, batch.lastSimulation]]
+                .filter(([, esperado, actual]) => esperado !== actual)
+                .forEach(([campo, esperado, actual]) => {
+                    discrepancias.push({ ambito: 'auditoria', campo, esperado, actual: actual === undefined ? null : actual, transaccion: ultima.hash, mensaje: `El campo ${campo} del lote no coincide con la última auditoría registrada` });
+                });
+        }
+
+        const reglas = entries.filter(entry => entry.datos.origen === 'reglas');
+        const ultimaReglas = reglas[reglas.length - 1];
+        if (ultimaReglas && batch.ultimaAuditoria) {
+            diffValues(
+                { certificacionId: ultimaReglas.datos.certificacionId, resultado: ultimaReglas.datos.resultado, porcentajeCumplimiento: ultimaReglas.datos.porcentajeCumplimiento, transaccion: ultimaReglas.hash },
+                { certificacionId: batch.ultimaAuditoria.certificacionId, resultado: batch.ultimaAuditoria.resultado, porcentajeCumplimiento: batch.ultimaAuditoria.porcentajeCumplimiento, transaccion: batch.ultimaAuditoria.transaccion },
+                'ultimaAuditoria'
+            ).forEach(diferencia => {
+                discrepancias.push({ ambito: 'auditoria', transaccion: ultimaReglas.hash, ...diferencia, mensaje: `El campo ${diferencia.campo} del lote no coincide con el ledger` });
+            });
+        }
+
+        const porHash = new Map(entries.map(entry => [entry.hash, entry]));
+        let sinTransaccion = 0;
+        repos.audits.listByBatch(batch.id).forEach(audit => {
+            if (!audit.transaccion) {
+                sinTransaccion++;
+                return;
+            }
+            const entry = porHash.get(audit.transaccion);
+            if (!entry) {
+                discrepancias.push({ ambito: 'auditoria', auditoriaId: audit.id, campo: 'transaccion', actual: audit.transaccion, mensaje: `La auditoría ${audit.id} apunta a una transacción que no existe` });
+            } else if (entry.datos.resultado !== audit.result) {
+                discrepancias.push({ ambito: 'auditoria', auditoriaId: audit.id, campo: 'result', esperado: entry.datos.resultado, actual: audit.result, transaccion: entry.hash, mensaje: `El resultado de la auditoría ${audit.id} fue modificado` });
+            }
+        });
+        if (sinTransaccion > 0) {
+            advertencias.push({ ambito: 'auditoria', mensaje: `${sinTransaccion} auditorías se registraron antes del ledger` });
+        }
+    }
+
+    // Función para comparar el propietario del lote con la última transferencia registrada
+    function checkTransfers(batch, entries, discrepancias) {
+        const ultima = entries[entries.length - 1];
+        const esperado = ultima ? { wallet: ultima.datos.destino, transaccion: ultima.hash } : null;
+        const actual = batch.propietario ? { wallet: batch.propietario.wallet, transaccion: batch.propietario.transaccion } : null;
+        diffValues(esperado, actual, 'propietario').forEach(diferencia => {
+            discrepancias.push({ ambito: 'transferencia', ...diferencia, mensaje: 'El propietario del lote no coincide con la última transferencia registrada' });
+        });
+    }
+
+    return {
+        /**
+         * Verifica un lote contra sus entradas del ledger
+         * @param {Object} batch - Registro del lote
+         * @returns {Object} { loteId, verificado, verificadoEn, transacciones, discrepancias, advertencias }
+         */
+        verifyBatch(batch) {
+            const entries = repos.ledger.listByReference(batch.id, batch.ruc);
+            const porTipo = tipo => entries.filter(entry => entry.tipo === tipo);
+            const discrepancias = [];
+            const advertencias = [];
+
+            const blockCache = new Map();
+            entries.forEach(entry => discrepancias.push(...checkEntry(entry, blockCache)));
+
+            checkUpload(batch, porTipo('carga')[0], discrepancias, advertencias);
+            checkCustody(batch, porTipo('custodia'), discrepancias, advertencias);
+            checkAudits(batch, porTipo('auditoria'), discrepancias, advertencias);
+            checkTransfers(batch, porTipo('transferencia'), discrepancias);
+
+            return {
+                loteId: batch.id,
+                archivo: batch.fileName,
+                verificado: discrepancias.length === 0,
+                verificadoEn: new Date().toISOString(),
+                transacciones: entries.length,
+                discrepancias,
+                advertencias
+            };
+        },
+
+        /**
+         * Verifica la cadena completa: secuencia, hash y enlace de cada entrada, raíz Merkle, hash y enlace de cada
+         * bloque, y que los lotes y archivos de las entradas sigan existiendo
+         * @returns {Object} { valido, entradas, bloques, pendientes, discrepancias, advertencias }
+         */
+        verifyLedger() {
+            const discrepancias = [];
+            const advertencias = [];
+            const entries = repos.ledger.entriesAfter(0);
+
+            let previous = null;
+            entries.forEach(entry => {
+                const secuencia = previous ? previous.secuencia + 1 : 1;
+                if (entry.secuencia !== secuencia) {
+                    discrepancias.push({ ambito: 'ledger', secuencia: entry.secuencia, campo: 'secuencia', esperado: secuencia, actual: entry.secuencia, mensaje: 'Faltan entradas en la secuencia' });
+                }
+                const hashAnterior = previous ? previous.hash : GENESIS_HASH;
+                if (entry.hashAnterior !== hashAnterior) {
+                    discrepancias.push({ ambito: 'ledger', secuencia: entry.secuencia, transaccion: entry.hash, campo: 'hashAnterior', esperado: hashAnterior, actual: entry.hashAnterior, mensaje: 'La entrada no enlaza con la anterior' });
+                }
+                const recalculado = hashEntry(entry);
+                if (recalculado !== entry.hash) {
+                    discrepancias.push({ ambito: 'ledger', secuencia: entry.secuencia, transaccion: entry.hash, campo: 'hash', esperado: entry.hash, actual: recalculado, mensaje: 'El contenido de la entrada no coincide con su hash' });
+                }
+                previous = entry;
+            });
+
+            const blocks = repos.ledger.listAllBlocks();
+            let previousBlock = null;
+            blocks.forEach(block => {
+                const esperado = {
+                    numero: previousBlock ? previousBlock.numero + 1 : 1,
+                    hashAnterior: previousBlock ? previousBlock.hash : GENESIS_HASH,
+                    primeraSecuencia: previousBlock ? previousBlock.ultimaSecuencia + 1 : 1
+                };
+                Object.keys(esperado)
+                    .filter(campo => block[campo] !== esperado[campo])
+                    .forEach(campo => {
+                        discrepancias.push({ ambito: 'bloque', bloque: block.numero, campo, esperado: esperado[campo], actual: block[campo], mensaje: `El bloque #${block.numero} no enlaza con el anterior` });
+                    });
+                checkBlock(block).forEach(problema => discrepancias.push({ ambito: 'bloque', bloque: block.numero, ...problema }));
+                previousBlock = block;
+            });
+
+            checkReferences(entries, discrepancias, advertencias);
+
+            return {
+                valido: discrepancias.length === 0,
+                verificadoEn: new Date().toISOString(),
+                entradas: entries.length,
+                bloques: blocks.length,
+                pendientes: entries.length - (previousBlock ? previousBlock.ultimaSecuencia : 0),
+                discrepancias,
+                advertencias
+            };
+        }
+    };
+}
+
+module.exports = {
+    sha256File,
+    digestRows,
+    createVerifier
+};
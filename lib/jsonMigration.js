@@ -0,0 +1,124 @@
+/**
+ * Migración única de los archivos JSON anteriores a la base de datos
+ * Importa uploads-history.json, certifications.json, quality-mapping.json y batch-rows/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasMigration, markMigration } = require('./database');
+const { parseLoteCsv } = require('./csvParser');
+const { isSpreadsheet, parseLoteWorkbook } = require('./spreadsheetParser');
+const { normalizeRow } = require('./batchRows');
+const { DEFAULT_MAPPINGS, createClassifier } = require('./qualityMapping');
+
+const MIGRATION_ID = '002-importar-json';
+
+// Función para leer un archivo JSON si existe
+function readJsonFile(file) {
+    if (!file || !fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Error al leer ${path.basename(file)} durante la migración:`, error);
+        return null;
+    }
+}
+
+/**
+ * Completa los campos de registros con formatos anteriores (filename, uploadDate, txHash)
+ * @param {Object} record - Registro del historial JSON
+ * @returns {Object} Registro con id, fileName, date y transactionId
+ */
+function normalizeLegacyBatch(record) {
+    return {
+        ...record,
+        id: String(record.id),
+        fileName: record.fileName || record.filename || null,
+        date: record.date || record.uploadDate || new Date(0).toISOString(),
+        transactionId: record.transactionId || record.txHash || null,
+        processedBy: record.processedBy || null
+    };
+}
+
+// Función para reconstruir las filas de un lote a partir de su archivo en uploads/
+function rowsFromUploadedFile(record, uploadsDir, classify) {
+    if (!record.savedFileName) return null;
+    const file = path.join(uploadsDir, path.basename(record.savedFileName));
+    if (!fs.existsSync(file)) return null;
+
+    try {
+        const parsed = isSpreadsheet(file, record.fileName)
+            ? parseLoteWorkbook(file)
+            : parseLoteCsv(fs.readFileSync(file, 'utf8'));
+
+        return parsed.rows.map(row => {
+            const categoria = classify(row.valores.CALIDAD_STATUS) || 'Hallazgo';
+            return { ...normalizeRow(row), categoria, cuarentena: false };
+        });
+    } catch (error) {
+        console.error(`No se pudieron reconstruir las filas de ${record.savedFileName}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Importa los datos JSON una sola vez; las siguientes ejecuciones no hacen nada
+ * @param {Object} repos - Repositorios creados con createRepositories
+ * @param {Object} files - { historyFile, certificationsFile, qualityMappingFile, batchRowsDir, uploadsDir }
+ * @param {Object} defaults - { certifications } a sembrar si no hay certificaciones que importar
+ * @returns {Object|null} Conteo de elementos importados o null si ya se había migrado
+ */
+function importLegacyJson(repos, files, defaults = {}) {
+    const { db } = repos;
+    if (hasMigration(db, MIGRATION_ID)) {
+        return null;
+    }
+
+    const history = readJsonFile(files.historyFile) || [];
+    const certifications = readJsonFile(files.certificationsFile);
+    const qualityMapping = readJsonFile(files.qualityMappingFile);
+    const classify = createClassifier((qualityMapping && qualityMapping.entries) || DEFAULT_MAPPINGS);
+    const summary = { lotes: 0, filas: 0, certificaciones: 0, auditorias: 0 };
+
+    db.transaction(() => {
+        history.forEach(legacy => {
+            const record = normalizeLegacyBatch(legacy);
+            if (repos.batches.findById(record.id)) return;
+
+            const storedRows = readJsonFile(files.batchRowsDir && path.join(files.batchRowsDir, record.id + '.json'));
+            const rows = storedRows || rowsFromUploadedFile(record, files.uploadsDir, classify) || [];
+
+            repos.batches.create(record, rows);
+            summary.lotes++;
+            summary.filas += rows.length;
+
+            if (record.simResult) {
+                repos.audits.record(record.id, {
+                    result: record.simResult,
+                    origen: 'migracion',
+                    createdAt: record.lastSimulation || record.date
+                });
+                summary.auditorias++;
+            }
+        });
+
+        (certifications || defaults.certifications || []).forEach(cert => {
+            if (repos.certifications.findById(cert.id)) return;
+            repos.certifications.create(cert);
+            summary.certificaciones++;
+        });
+
+        if (qualityMapping) {
+            repos.settings.set('quality-mapping', qualityMapping);
+        }
+
+        markMigration(db, MIGRATION_ID);
+    })();
+
+    return summary;
+}
+
+module.exports = {
+    importLegacyJson,
+    normalizeLegacyBatch
+};
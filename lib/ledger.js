@@ -0,0 +1,175 @@
+/**
+ * Ledger local de solo anexado
+ * Cada entrada se encadena con el hash SHA-256 de la anterior y las entradas se agrupan en bloques
+ * con la raíz Merkle de sus hashes; alterar una entrada rompe su hash, el de las siguientes y el de su bloque
+ */
+
+const crypto = require('crypto');
+
+// Tipos de entrada registrados en el ledger
+const ENTRY_TYPES = {
+    carga: 'Carga de archivo',
+    custodia: 'Evento de custodia',
+    auditoria: 'Resultado de auditoría',
+    umbral: 'Cambio de umbrales',
+    transferencia: 'Transferencia de lote',
+    eliminacion: 'Eliminación de lote'
+};
+
+// Hash anterior de la primera entrada y del primer bloque
+const GENESIS_HASH = '0x' + '0'.repeat(64);
+const HASH_PATTERN = /^0x[0-9a-f]{64}$/;
+const DEFAULT_BLOCK_SIZE = 10;
+
+// Función para serializar un valor con las claves ordenadas (mismo contenido, mismo texto)
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+            .join(',') + '}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(text) {
+    return '0x' + crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Calcula el hash de una entrada sobre su contenido y el hash de la entrada anterior
+ * @param {Object} entry - { secuencia, hashAnterior, tipo, ruc, referencia, registradoPor, fecha, datos }
+ * @returns {string} Hash 0x + 64 hex
+ */
+function hashEntry(entry) {
+    return sha256(canonicalJson({
+        secuencia: entry.secuencia,
+        hashAnterior: entry.hashAnterior,
+        tipo: entry.tipo,
+        ruc: entry.ruc,
+        referencia: entry.referencia,
+        registradoPor: entry.registradoPor,
+        fecha: entry.fecha,
+        datos: entry.datos
+    }));
+}
+
+/**
+ * Raíz Merkle de una lista de hashes (el último de un nivel impar se combina consigo mismo)
+ * @param {Array<string>} hashes - Hashes de las entradas en orden
+ * @returns {string}
+ */
+function merkleRoot(hashes) {
+    if (hashes.length === 0) return GENESIS_HASH;
+    let level = hashes;
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(sha256(level[i] + (level[i + 1] || level[i]).substring(2)));
+        }
+        level = next;
+    }
+    return level[0];
+}
+
+/**
+ * Calcula el hash de un bloque sobre su cabecera
+ * @param {Object} block - { numero, hashAnterior, raizMerkle, primeraSecuencia, ultimaSecuencia, fecha }
+ * @returns {string}
+ */
+function hashBlock(block) {
+    return sha256(canonicalJson({
+        numero: block.numero,
+        hashAnterior: block.hashAnterior,
+        raizMerkle: block.raizMerkle,
+        primeraSecuencia: block.primeraSecuencia,
+        ultimaSecuencia: block.ultimaSecuencia,
+        fecha: block.fecha
+    }));
+}
+
+/**
+ * Crea el ledger sobre los repositorios
+ * @param {Object} repos - Resultado de createRepositories (usa db y ledger)
+ * @param {Object} options - { blockSize, onBlock } entradas por bloque y función que recibe cada bloque
+ *   cerrado (dentro de la transacción que lo guarda)
+ * @returns {Object} { append, sealBlock }
+ */
+function createLedger(repos, options = {}) {
+    const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+
+    // Cierra un bloque con las entradas que aún no pertenecen a ninguno
+    const sealBlock = repos.db.transaction(() => {
+        const lastBlock = repos.ledger.lastBlock();
+        const pending = repos.ledger.entriesAfter(lastBlock ? lastBlock.ultimaSecuencia : 0);
+        if (pending.length === 0) return null;
+
+        const block = {
+            numero: lastBlock ? lastBlock.numero + 1 : 1,
+            hashAnterior: lastBlock ? lastBlock.hash : GENESIS_HASH,
+            raizMerkle: merkleRoot(pending.map(entry => entry.hash)),
+            primeraSecuencia: pending[0].secuencia,
+            ultimaSecuencia: pending[pending.length - 1].secuencia,
+            fecha: new Date().toISOString()
+        };
+        block.hash = hashBlock(block);
+        const created = repos.ledger.createBlock(block);
+        if (options.onBlock) options.onBlock(created);
+        return created;
+    });
+
+    const append = repos.db.transaction(input => {
+        if (!ENTRY_TYPES[input.tipo]) {
+            throw new Error(`Tipo de entrada no válido: ${input.tipo}`);
+        }
+
+        const last = repos.ledger.lastEntry();
+        const entry = {
+            secuencia: last ? last.secuencia + 1 : 1,
+            hashAnterior: last ? last.hash : GENESIS_HASH,
+            tipo: input.tipo,
+            ruc: input.ruc || null,
+            referencia: input.referencia ? String(input.referencia) : null,
+            registradoPor: input.registradoPor || null,
+            fecha: input.fecha || new Date().toISOString(),
+            datos: input.datos || {}
+        };
+        const stored = repos.ledger.createEntry({ secuencia: entry.secuencia, hash: hashEntry(entry), ...entry });
+
+        const lastBlock = repos.ledger.lastBlock();
+        if (stored.secuencia - (lastBlock ? lastBlock.ultimaSecuencia : 0) >= blockSize) {
+            sealBlock();
+        }
+        return stored;
+    });
+
+    return {
+        /**
+         * Agrega una entrada al final del ledger (dentro de la transacción en curso, si la hay)
+         * @param {Object} input - { tipo, ruc, referencia, registradoPor, datos, fecha? }
+         * @returns {Object} Entrada con secuencia, hash y hashAnterior
+         */
+        append,
+
+        /**
+         * Cierra un bloque con las entradas pendientes
+         * @returns {Object|null} Bloque creado o null si no había entradas pendientes
+         */
+        sealBlock
+    };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    GENESIS_HASH,
+    HASH_PATTERN,
+    canonicalJson,
+    hashEntry,
+    merkleRoot,
+    hashBlock,
+    createLedger
+};
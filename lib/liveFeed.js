@@ -0,0 +1,233 @@
+/**
+ * Canal en vivo (Server-Sent Events)
+ * Los cambios que muestran el dashboard, el explorador del ledger, el gestor de alertas y el seguimiento
+ * de transporte se guardan como eventos numerados y se envían a las conexiones abiertas de la empresa,
+ * filtrados por el permiso de cada usuario. Un cliente que se reconecta indica el último evento que
+ * recibió (Last-Event-ID) y recibe los que se perdió mientras estuvo desconectado
+ */
+
+const { PERMISSIONS, hasPermission } = require('./permissions');
+
+// Tipos de evento y el permiso requerido para recibirlos
+const EVENT_TYPES = {
+    carga: { descripcion: 'Lote cargado', permiso: PERMISSIONS.VIEW },
+    auditoria: { descripcion: 'Resultado de auditoría de un lote', permiso: PERMISSIONS.VIEW },
+    alerta: { descripcion: 'Alerta creada o actualizada', permiso: PERMISSIONS.VIEW },
+    bloque: { descripcion: 'Bloque del ledger cerrado', permiso: PERMISSIONS.VIEW },
+    posicion: { descripcion: 'Posición o cambio de estado de un envío', permiso: PERMISSIONS.VIEW },
+    notificacion: { descripcion: 'Notificación nueva en la bandeja del usuario', permiso: PERMISSIONS.VIEW }
+};
+
+// Eventos que se reenvían como máximo al reconectarse; si faltan más, el cliente debe recargar sus datos
+const MAX_REPLAY = 1000;
+// Conexiones abiertas por usuario (cada pestaña abre una)
+const MAX_CONNECTIONS_PER_USER = 10;
+// Espera que se sugiere al navegador antes de reconectarse (campo retry del protocolo)
+const RETRY_MS = 3000;
+
+// Error de validación con el código HTTP a devolver
+class LiveFeedError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LiveFeedError';
+        this.status = status;
+    }
+}
+
+/**
+ * Lee los tipos de evento pedidos
+ * @param {string} value - Tipos separados por coma (vacío = todos)
+ * @returns {Array} Tipos
+ * @throws {LiveFeedError} 400 si algún tipo no existe
+ */
+function parseTypes(value) {
+    if (!value) return Object.keys(EVENT_TYPES);
+    const tipos = [...new Set(String(value).split(',').map(tipo => tipo.trim()).filter(Boolean))];
+    const invalid = tipos.filter(tipo => !EVENT_TYPES[tipo]);
+    if (invalid.length || tipos.length === 0) {
+        throw new LiveFeedError(`tipos no válidos: ${invalid.join(', ') || '(vacío)'}. Use: ${Object.keys(EVENT_TYPES).join(', ')}`);
+    }
+    return tipos;
+}
+
+/**
+ * Lee el último evento recibido por el cliente (cabecera Last-Event-ID o parámetro lastEventId)
+ * @param {string} value - ID recibido
+ * @returns {number|null} ID o null si el cliente se conecta por primera vez
+ * @throws {LiveFeedError} 400 si no es un entero no negativo
+ */
+function parseLastEventId(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (!/^\d+$/.test(String(value).trim())) {
+        throw new LiveFeedError('Last-Event-ID debe ser el ID numérico del último evento recibido');
+    }
+    return parseInt(value, 10);
+}
+
+// Función para dar formato de Server-Sent Events a un evento
+function formatEvent(id, evento, datos) {
+    return `id: ${id}\nevent: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`;
+}
+
+/**
+ * Crea el canal en vivo
+ * @param {Object} repos - Repositorios (liveEvents)
+ * @param {Object} options - { retentionHours, validate(client) } validate devuelve el usuario vigente
+ *   de la conexión o null si su sesión ya no es válida (se revisa en cada latido)
+ * @returns {Object} { publish, subscribe, heartbeat, prune, connections }
+ */
+function createLiveFeed(repos, options = {}) {
+    const retentionHours = options.retentionHours || 24;
+    const validate = options.validate || (client => client.user);
+    const clients = new Set();
+    let lastSent = repos.liveEvents.lastId();
+    let scheduled = false;
+
+    // Función para indicar si una conexión recibe un evento: de su empresa (o de todas), con el permiso
+    // requerido, de un tipo que pidió y, si el evento es para un usuario, solo ese usuario
+    function visible(client, event) {
+        return client.tipos.includes(event.tipo) &&
+            (event.ruc === null || event.ruc === client.user.ruc) &&
+            (!event.usuarioId || event.usuarioId === client.user.id) &&
+            hasPermission(client.user.role, event.permiso);
+    }
+
+    // Función para enviar a una conexión los eventos posteriores a su cursor
+    function deliver(client, events) {
+        events.forEach(event => {
+            if (event.id <= client.ultimoId) return;
+            client.ultimoId = event.id;
+            if (visible(client, event)) client.res.write(formatEvent(event.id, event.tipo, event.datos));
+        });
+    }
+
+    // Función para enviar los eventos nuevos a las conexiones abiertas
+    // Se leen de la base: un evento de una transacción que se deshizo nunca se envía
+    function pump() {
+        scheduled = false;
+        let events = repos.liveEvents.listAfter(lastSent);
+        while (events.length) {
+            clients.forEach(client => deliver(client, events));
+            lastSent = events[events.length - 1].id;
+            events = repos.liveEvents.listAfter(lastSent);
+        }
+    }
+
+    function close(client, evento, datos) {
+        if (!clients.delete(client)) return;
+        if (evento) client.res.write(formatEvent(client.ultimoId, evento, datos));
+        client.res.end();
+    }
+
+    return {
+        /**
+         * Publica un evento; se envía cuando termina la transacción en curso (si la hay)
+         * @param {string} tipo - Tipo de EVENT_TYPES
+         * @param {string|null} ruc - Empresa del evento (null = todas)
+         * @param {Object} datos - Datos del evento
+         * @param {string} usuarioId - Solo para este usuario (opcional)
+         * @returns {Object} Evento guardado
+         */
+        publish(tipo, ruc, datos, usuarioId = null) {
+            if (!EVENT_TYPES[tipo]) {
+                throw new Error(`Tipo de evento no válido: ${tipo}`);
+            }
+            const event = repos.liveEvents.create({ tipo, ruc, usuarioId, permiso: EVENT_TYPES[tipo].permiso, datos });
+            if (!scheduled) {
+                scheduled = true;
+                setImmediate(pump);
+            }
+            return event;
+        },
+
+        /**
+         * Abre una conexión: reenvía los eventos posteriores a lastEventId y queda recibiendo los nuevos
+         * Si los eventos perdidos ya se depuraron o son más de MAX_REPLAY se envía 'reinicio' para que
+         * el cliente recargue sus datos. El evento 'conectado' lleva el ID desde el que sigue la conexión
+         * @param {Object} req - Solicitud (se cierra la conexión cuando el cliente se desconecta)
+         * @param {Object} res - Respuesta que queda abierta
+         * @param {Object} params - { user, sessionId, token, tipos, lastEventId }
+         * @throws {LiveFeedError} 429 si el usuario ya tiene MAX_CONNECTIONS_PER_USER conexiones
+         */
+        subscribe(req, res, params) {
+            const abiertas = [...clients].filter(client => client.user.id === params.user.id).length;
+            if (abiertas >= MAX_CONNECTIONS_PER_USER) {
+                throw new LiveFeedError(`Se admiten hasta ${MAX_CONNECTIONS_PER_USER} conexiones en vivo por usuario`, 429);
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                // Sin buffer en proxies como nginx
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${RETRY_MS}\n\n`);
+
+            const client = { ...params, res, ultimoId: repos.liveEvents.lastId(), conectado: new Date().toISOString() };
+            let reinicio = false;
+            if (params.lastEventId !== null) {
+                const primero = repos.liveEvents.firstId();
+                const perdidos = repos.liveEvents.listForTenantAfter(params.user.ruc, params.lastEventId, MAX_REPLAY + 1);
+                reinicio = params.lastEventId > client.ultimoId ||
+                    (primero !== null && params.lastEventId < primero - 1) ||
+                    (primero === null && params.lastEventId < client.ultimoId) ||
+                    perdidos.length > MAX_REPLAY;
+                if (!reinicio) {
+                    const cursor = client.ultimoId;
+                    client.ultimoId = params.lastEventId;
+                    deliver(client, perdidos);
+                    client.ultimoId = cursor;
+                }
+            }
+            res.write(formatEvent(client.ultimoId, reinicio ? 'reinicio' : 'conectado', {
+                ultimoId: client.ultimoId,
+                tipos: client.tipos,
+                reenviados: !reinicio && params.lastEventId !== null
+            }));
+
+            clients.add(client);
+            req.on('close', () => clients.delete(client));
+            return client;
+        },
+
+        /**
+         * Envía un latido a cada conexión (mantiene abiertos los proxies) y cierra las que ya no son válidas
+         * (token vencido, sesión cerrada, usuario o empresa desactivados) con el evento 'expirado'
+         */
+        heartbeat() {
+            clients.forEach(client => {
+                const user = validate(client);
+                if (!user) {
+                    close(client, 'expirado', { message: 'La sesión expiró; renueve el token y vuelva a conectarse' });
+                    return;
+                }
+                client.user = user;
+                client.res.write(': latido\n\n');
+            });
+        },
+
+        /**
+         * Depura los eventos más antiguos que retentionHours
+         * @returns {number} Eventos eliminados
+         */
+        prune() {
+            return repos.liveEvents.deleteBefore(new Date(Date.now() - retentionHours * 60 * 60 * 1000).toISOString());
+        },
+
+        // Conexiones abiertas
+        connections() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    MAX_REPLAY,
+    LiveFeedError,
+    parseTypes,
+    parseLastEventId,
+    formatEvent,
+    createLiveFeed
+};
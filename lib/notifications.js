@@ -0,0 +1,568 @@
+/**
+ * Notificaciones de alertas
+ * Cada usuario (o un administrador para un rol o para la empresa) define reglas que eligen las alertas
+ * por tipo, severidad y finca y el canal por el que se avisan: correo (SMTP), webhook firmado o la bandeja
+ * de la aplicación. Las entregas se envían de inmediato o agrupadas en un resumen periódico; las que fallan
+ * se reintentan con espera exponencial y, agotados los intentos, quedan como fallidas (dead-letter)
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { ALERT_TYPES, SEVERITIES } = require('./alerts');
+
+// Canales de entrega
+const CHANNELS = {
+    email: 'Correo electrónico',
+    webhook: 'Webhook',
+    app: 'Bandeja de la aplicación'
+};
+
+// Modos de envío: cada alerta por separado o un resumen cada intervaloResumenMin minutos
+const MODES = {
+    inmediato: 'Inmediato',
+    resumen: 'Resumen periódico'
+};
+
+// A quién avisa una regla: un usuario, los usuarios activos de un rol o un sistema externo de la empresa (webhook)
+const SCOPES = {
+    usuario: 'Usuario',
+    rol: 'Rol',
+    empresa: 'Empresa'
+};
+
+// Estados de una entrega; 'resumen' espera el envío del resumen de su regla y 'agrupada' ya se incluyó en él
+const DELIVERY_STATES = {
+    pendiente: 'Pendiente de envío',
+    enviada: 'Enviada',
+    fallida: 'Fallida (intentos agotados)',
+    resumen: 'En espera del resumen',
+    agrupada: 'Incluida en un resumen'
+};
+
+const DEFAULT_DIGEST_MINUTES = 60;
+const MAX_DIGEST_MINUTES = 24 * 60;
+// Espera antes del primer reintento; se duplica en cada intento hasta MAX_RETRY_SECONDS
+const DEFAULT_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+const DEFAULT_MAX_ATTEMPTS = 6;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Error de validación o de envío con el código HTTP a devolver
+class NotificationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = status;
+    }
+}
+
+// Función para validar una lista opcional de valores admitidos (vacía = todos)
+function readList(value, field, allowed) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new NotificationError(`${field} debe ser una lista de textos`);
+    }
+    const items = [...new Set(value.map(item => item.trim()))];
+    if (allowed) {
+        const invalid = items.filter(item => !allowed[item]);
+        if (invalid.length) {
+            throw new NotificationError(`${field} no válidos: ${invalid.join(', ')}. Use: ${Object.keys(allowed).join(', ')}`);
+        }
+    }
+    return items;
+}
+
+// Función para validar la URL de un webhook (solo http y https)
+function readWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || ''));
+    } catch (error) {
+        throw new NotificationError('webhook.url debe ser una URL válida');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new NotificationError('webhook.url debe usar http o https');
+    }
+    return url.toString();
+}
+
+/**
+ * Valida una regla de suscripción
+ * En una regla existente el alcance, el destinatario y el canal no cambian
+ * @param {Object} body - { nombre, alcance, usuarioId, rol, canal, modo, intervaloResumenMin,
+ *   eventos, severidades, fincas, webhook: { url }, activa }
+ * @param {Object} current - Regla guardada (null al crearla)
+ * @param {Array} roles - Roles válidos
+ * @returns {Object} Regla normalizada
+ * @throws {NotificationError} 400 si un campo no es válido
+ */
+function validateSubscription(body, current, roles) {
+    const input = { ...(current || {}), ...body };
+    if (current) {
+        ['alcance', 'usuarioId', 'rol', 'canal'].forEach(field => {
+            input[field] = current[field];
+        });
+    }
+
+    if (!CHANNELS[input.canal]) {
+        throw new NotificationError(`canal debe ser uno de ${Object.keys(CHANNELS).join(', ')}`);
+    }
+    const modo = input.modo || 'inmediato';
+    if (!MODES[modo]) {
+        throw new NotificationError(`modo debe ser uno de ${Object.keys(MODES).join(', ')}`);
+    }
+
+    // Los webhooks son de la empresa; el correo y la bandeja avisan a un usuario o a un rol
+    const alcance = input.canal === 'webhook' ? 'empresa' : input.alcance || 'usuario';
+    if (input.canal !== 'webhook' && !['usuario', 'rol'].includes(alcance)) {
+        throw new NotificationError('alcance debe ser usuario o rol');
+    }
+    if (alcance === 'rol' && !roles.includes(input.rol)) {
+        throw new NotificationError(`rol debe ser uno de ${roles.join(', ')}`);
+    }
+
+    const intervalo = input.intervaloResumenMin === undefined || input.intervaloResumenMin === null
+        ? DEFAULT_DIGEST_MINUTES
+        : Number(input.intervaloResumenMin);
+    if (!Number.isInteger(intervalo) || intervalo < 1 || intervalo > MAX_DIGEST_MINUTES) {
+        throw new NotificationError(`intervaloResumenMin debe ser un entero entre 1 y ${MAX_DIGEST_MINUTES}`);
+    }
+
+    const nombre = input.nombre === undefined || input.nombre === null ? '' : input.nombre;
+    if (typeof nombre !== 'string' || nombre.trim().length > 100) {
+        throw new NotificationError('nombre debe ser un texto de hasta 100 caracteres');
+    }
+    if (input.activa !== undefined && typeof input.activa !== 'boolean') {
+        throw new NotificationError('activa debe ser true o false');
+    }
+
+    return {
+        nombre: nombre.trim() || null,
+        alcance,
+        usuarioId: alcance === 'usuario' ? input.usuarioId || null : null,
+        rol: alcance === 'rol' ? input.rol : null,
+        canal: input.canal,
+        modo,
+        intervaloResumenMin: intervalo,
+        eventos: readList(input.eventos, 'eventos', ALERT_TYPES),
+        severidades: readList(input.severidades, 'severidades', SEVERITIES),
+        fincas: readList(input.fincas, 'fincas'),
+        webhook: input.canal === 'webhook'
+            ? { url: readWebhookUrl((input.webhook || {}).url), secreto: (current && current.webhook.secreto) || newWebhookSecret() }
+            : null,
+        activa: input.activa !== false
+    };
+}
+
+function newWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Indica si una alerta cumple los filtros de una regla (un filtro vacío acepta todo)
+ * @param {Object} subscription - Regla
+ * @param {Object} alert - Alerta creada
+ * @returns {boolean}
+ */
+function matchesSubscription(subscription, alert) {
+    const { eventos = [], severidades = [], fincas = [] } = subscription;
+    return (eventos.length === 0 || eventos.includes(alert.tipo)) &&
+        (severidades.length === 0 || severidades.includes(alert.severidad)) &&
+        (fincas.length === 0 || (alert.fincas || []).some(finca => fincas.includes(finca)));
+}
+
+// Función para quitar el secreto del webhook de una regla (solo se muestra al crearla)
+function subscriptionView(subscription) {
+    if (!subscription.webhook) return subscription;
+    const { secreto, ...webhook } = subscription.webhook;
+    return { ...subscription, webhook: { ...webhook, conSecreto: Boolean(secreto) } };
+}
+
+// Datos de una alerta que viajan en la notificación
+function alertSummary(alert) {
+    return {
+        id: alert.id,
+        tipo: alert.tipo,
+        severidad: alert.severidad,
+        estado: alert.estado,
+        origen: alert.origen,
+        loteId: alert.loteId,
+        archivo: alert.archivo,
+        fincas: alert.fincas || [],
+        incidente: alert.incidente,
+        mensaje: alert.mensaje,
+        fecha: alert.fecha
+    };
+}
+
+/**
+ * Asunto y texto de una notificación
+ * @param {string} evento - 'alerta', 'resumen' o 'prueba'
+ * @param {Array} alertas - Alertas resumidas (alertSummary)
+ * @param {string} appUrl - URL pública de la aplicación (opcional) para enlazar el gestor de alertas
+ * @returns {Object} { asunto, texto }
+ */
+function buildMessage(evento, alertas, appUrl) {
+    const enlace = appUrl ? `\n\nGestionar alertas: ${appUrl.replace(/\/+$/, '')}/gestor_alertas_blockchain.html` : '';
+
+    if (evento === 'prueba') {
+        return {
+            asunto: '[TrazaNet] Notificación de prueba',
+            texto: 'Esta es una notificación de prueba de TrazaNet: la regla está configurada correctamente.' + enlace
+        };
+    }
+
+    if (evento === 'resumen') {
+        const lineas = alertas.map(alerta =>
+            `- [${alerta.severidad}] ${alerta.incidente} — lote ${alerta.loteId || '(desconocido)'}: ${alerta.mensaje}`);
+        return {
+            asunto: `[TrazaNet] Resumen: ${alertas.length} ${alertas.length === 1 ? 'alerta nueva' : 'alertas nuevas'}`,
+            texto: `Alertas detectadas desde el último resumen:\n\n${lineas.join('\n')}` + enlace
+        };
+    }
+
+    const [alerta] = alertas;
+    return {
+        asunto: `[TrazaNet] Alerta ${alerta.severidad}: ${alerta.incidente} (lote ${alerta.loteId || 'desconocido'})`,
+        texto: [
+            alerta.incidente,
+            alerta.mensaje,
+            '',
+            `Lote: ${alerta.loteId || '(desconocido)'}${alerta.archivo ? ` (${alerta.archivo})` : ''}`,
+            `Fincas: ${alerta.fincas.length ? alerta.fincas.join(', ') : '(sin dato)'}`,
+            `Severidad: ${alerta.severidad}`,
+            `Detectada: ${alerta.fecha}`
+        ].join('\n') + enlace
+    };
+}
+
+/**
+ * Firma el cuerpo de un webhook: HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto de la regla
+ * @param {string} secret - Secreto de la regla
+ * @param {string} timestamp - Segundos desde epoch (cabecera X-TrazaNet-Timestamp)
+ * @param {string} body - Cuerpo JSON tal como se envía
+ * @returns {string} Firma en hexadecimal
+ */
+function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Segundos de espera antes del intento siguiente al número intentos
+function retryDelay(intentos, baseSeconds) {
+    return Math.min(baseSeconds * 2 ** (intentos - 1), MAX_RETRY_SECONDS);
+}
+
+/**
+ * Crea el servicio de notificaciones
+ * @param {Object} repos - Repositorios (notifications, users, db)
+ * @param {Object} options - { smtp: { host, port, secure, user, password, from }, appUrl, retrySeconds,
+ *   maxAttempts, sendEmail(message), sendWebhook(request), onInbox(delivery) } (los transportes se pueden
+ *   reemplazar en pruebas; onInbox recibe cada notificación que llega a la bandeja de la aplicación)
+ * @returns {Object} { notifyAlert, sendTest, retry, flushDigests, processQueue }
+ */
+function createNotifier(repos, options = {}) {
+    const smtp = options.smtp || {};
+    const retrySeconds = options.retrySeconds || DEFAULT_RETRY_SECONDS;
+    const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    let mailer = null;
+    let running = null;
+
+    // Función para enviar un correo por el servidor SMTP configurado (el transporte se crea una vez)
+    async function sendEmail(message) {
+        if (!smtp.host) {
+            throw new NotificationError('SMTP no configurado (TRAZANET_SMTP_HOST)', 503);
+        }
+        if (!mailer) {
+            mailer = nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port || 587,
+                secure: Boolean(smtp.secure),
+                auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+            });
+        }
+        const info = await mailer.sendMail({
+            from: smtp.from || 'TrazaNet <no-reply@trazanet.local>',
+            to: message.to,
+            subject: message.subject,
+            text: message.text
+        });
+        return info.messageId;
+    }
+
+    // Función para enviar un webhook; una respuesta fuera de 2xx cuenta como fallo
+    async function sendWebhook(request) {
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: request.body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new NotificationError(`El webhook respondió ${response.status}`, 502);
+        }
+        return `HTTP ${response.status}`;
+    }
+
+    const transports = {
+        email: options.sendEmail || sendEmail,
+        webhook: options.sendWebhook || sendWebhook
+    };
+
+    // Función para obtener los destinatarios de una regla: [{ canal, destino, usuarioId }]
+    // Los usuarios inactivos o de otra empresa no reciben avisos; el correo requiere que el usuario tenga email
+    function recipients(subscription) {
+        if (subscription.canal === 'webhook') {
+            return [{ canal: 'webhook', destino: subscription.webhook.url, usuarioId: null }];
+        }
+
+        let users = [];
+        if (subscription.alcance === 'usuario') {
+            const user = repos.users.findById(subscription.usuarioId);
+            users = user && user.ruc === subscription.ruc ? [user] : [];
+        } else {
+            users = repos.users.list({ ruc: subscription.ruc, role: subscription.rol, limit: 500 }).data;
+        }
+
+        return users
+            .filter(user => user.status === 'Activo' && (subscription.canal === 'app' || user.email))
+            .map(user => ({
+                canal: subscription.canal,
+                destino: subscription.canal === 'app' ? user.id : user.email,
+                usuarioId: user.id
+            }));
+    }
+
+    // Función para registrar una entrega; las de la bandeja quedan enviadas al guardarse
+    function deliver(subscription, recipient, evento, alertas, estado) {
+        const fecha = new Date().toISOString();
+        const inbox = recipient.canal === 'app';
+        const delivery = repos.notifications.createDelivery({
+            ruc: subscription.ruc,
+            suscripcionId: subscription.id,
+            usuarioId: recipient.usuarioId,
+            canal: recipient.canal,
+            destino: recipient.destino,
+            estado: estado || (inbox ? 'enviada' : 'pendiente'),
+            proximoIntento: estado || inbox ? null : fecha,
+            evento,
+            alertas,
+            ...buildMessage(evento, alertas, options.appUrl),
+            enviadaEn: inbox && !estado ? fecha : null
+        });
+        if (delivery.estado === 'enviada' && options.onInbox) options.onInbox(delivery);
+        return delivery;
+    }
+
+    // Función para programar el envío de las entregas pendientes después de la transacción que las creó
+    function scheduleQueue() {
+        setImmediate(() => {
+            processQueue().catch(error => console.error('❌ Error al enviar notificaciones:', error.message));
+        });
+    }
+
+    // Función para enviar una entrega por su canal
+    async function send(delivery) {
+        if (delivery.canal === 'email') {
+            return transports.email({ to: delivery.destino, subject: delivery.asunto, text: delivery.texto });
+        }
+
+        const subscription = delivery.suscripcionId ? repos.notifications.findSubscription(delivery.suscripcionId) : null;
+        if (!subscription || !subscription.webhook) {
+            throw new NotificationError('La regla del webhook ya no existe', 410);
+        }
+        const body = JSON.stringify({
+            evento: delivery.evento,
+            entregaId: delivery.id,
+            ruc: delivery.ruc,
+            fecha: delivery.fecha,
+            alertas: delivery.alertas
+        });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        return transports.webhook({
+            url: delivery.destino,
+            body,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TrazaNet-Notificaciones',
+                'X-TrazaNet-Evento': delivery.evento,
+                'X-TrazaNet-Entrega': String(delivery.id),
+                'X-TrazaNet-Timestamp': timestamp,
+                'X-TrazaNet-Firma': 'sha256=' + signWebhook(subscription.webhook.secreto, timestamp, body)
+            }
+        });
+    }
+
+    // Función para enviar las entregas pendientes cuyo intento ya llegó
+    // Una entrega que falla se reintenta con espera exponencial; sin intentos restantes queda fallida
+    async function sendPending() {
+        let processed = 0;
+        let due = repos.notifications.listDue(new Date().toISOString());
+        while (due.length) {
+            for (const delivery of due) {
+                const intentos = delivery.intentos + 1;
+                try {
+                    const respuesta = await send(delivery);
+                    repos.notifications.updateDelivery(delivery.id, {
+                        estado: 'enviada',
+                        intentos,
+                        proximoIntento: null,
+                        enviadaEn: new Date().toISOString(),
+                        respuesta: respuesta ? String(respuesta) : null,
+                        error: null
+                    });
+                } catch (error) {
+                    // Sin regla no hay con qué firmar: no tiene sentido reintentar
+                    const agotada = intentos >= maxAttempts || error.status === 410;
+                    repos.notifications.updateDelivery(delivery.id, {
+                        estado: agotada ? 'fallida' : 'pendiente',
+                        intentos,
+                        proximoIntento: agotada ? null : new Date(Date.now() + retryDelay(intentos, retrySeconds) * 1000).toISOString(),
+                        error: error.message
+                    });
+                    if (agotada) {
+                        console.error(`❌ Notificación #${delivery.id} (${delivery.canal} a ${delivery.destino}) fallida tras ${intentos} intentos: ${error.message}`);
+                    } else {
+                        console.log(`⚠️ Notificación #${delivery.id} (${delivery.canal}) no enviada, intento ${intentos} de ${maxAttempts}: ${error.message}`);
+                    }
+                }
+                processed++;
+            }
+            due = repos.notifications.listDue(new Date().toISOString());
+            // Las que fallaron quedan con un intento futuro y no vuelven a aparecer en esta pasada
+        }
+        return processed;
+    }
+
+    /**
+     * Envía las entregas pendientes; si hay un envío en curso, el nuevo empieza cuando termine
+     * @returns {Promise<number>} Entregas procesadas
+     */
+    function processQueue() {
+        const pass = (running || Promise.resolve()).catch(() => 0).then(sendPending);
+        running = pass;
+        pass.catch(() => 0).then(() => {
+            if (running === pass) running = null;
+        });
+        return pass;
+    }
+
+    return {
+        /**
+         * Registra las entregas de una alerta recién creada según las reglas activas de su empresa
+         * Se llama dentro de la transacción que crea la alerta; el envío empieza cuando termina
+         * Cada destino recibe la alerta una sola vez (primero por las reglas de envío inmediato)
+         * @param {Object} alert - Alerta creada
+         * @returns {Array} Entregas registradas
+         */
+        notifyAlert(alert) {
+            const seen = new Set();
+            const alertas = [alertSummary(alert)];
+            const deliveries = [];
+
+            repos.notifications.listActiveSubscriptions(alert.ruc)
+                .filter(subscription => matchesSubscription(subscription, alert))
+                .forEach(subscription => {
+                    recipients(subscription).forEach(recipient => {
+                        const key = `${recipient.canal}:${recipient.destino}`;
+                        if (seen.has(key)) return;
+                        seen.add(key);
+                        deliveries.push(deliver(
+                            subscription, recipient, 'alerta', alertas, subscription.modo === 'resumen' ? 'resumen' : null
+                        ));
+                    });
+                });
+
+            if (deliveries.some(delivery => delivery.estado === 'pendiente')) scheduleQueue();
+            return deliveries;
+        },
+
+        /**
+         * Envía una notificación de prueba a los destinatarios de una regla, sin esperar el resumen
+         * @param {Object} subscription - Regla
+         * @returns {Promise<Array>} Entregas con su resultado
+         */
+        async sendTest(subscription) {
+            const targets = recipients(subscription);
+            if (targets.length === 0) {
+                throw new NotificationError('La regla no tiene destinatarios activos (usuarios inactivos o sin correo)', 409);
+            }
+            const deliveries = targets.map(recipient => deliver(subscription, recipient, 'prueba', []));
+            await processQueue();
+            return deliveries.map(delivery => repos.notifications.findDelivery(delivery.id));
+        },
+
+        /**
+         * Vuelve a encolar una entrega fallida con los intentos en cero
+         * @param {Object} delivery - Entrega fallida
+         * @returns {Object} Entrega pendiente
+         * @throws {NotificationError} 409 si la entrega no está fallida
+         */
+        retry(delivery) {
+            if (delivery.estado !== 'fallida') {
+                throw new NotificationError(`Solo se reintentan entregas fallidas (estado: ${delivery.estado})`, 409);
+            }
+            const updated = repos.notifications.updateDelivery(delivery.id, {
+                estado: 'pendiente',
+                intentos: 0,
+                proximoIntento: new Date().toISOString()
+            });
+            scheduleQueue();
+            return updated;
+        },
+
+        /**
+         * Agrupa en un resumen las alertas que esperan en cada regla y destino cuando la más antigua
+         * cumple el intervalo de la regla
+         * @param {string} ahora - Fecha ISO
+         * @returns {number} Resúmenes registrados
+         */
+        flushDigests: repos.db.transaction((ahora = new Date().toISOString()) => {
+            const groups = new Map();
+            repos.notifications.listWaiting().forEach(item => {
+                const key = `${item.suscripcionId}:${item.canal}:${item.destino}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(item);
+            });
+
+            let created = 0;
+            let pending = false;
+            groups.forEach(items => {
+                const subscription = repos.notifications.findSubscription(items[0].suscripcionId);
+                const minutos = subscription ? subscription.intervaloResumenMin : DEFAULT_DIGEST_MINUTES;
+                const desde = new Date(new Date(ahora).getTime() - minutos * 60 * 1000).toISOString();
+                if (items[0].fecha > desde) return;
+
+                const alertas = items.flatMap(item => item.alertas);
+                const resumen = deliver(
+                    subscription || { ruc: items[0].ruc, id: null },
+                    { canal: items[0].canal, destino: items[0].destino, usuarioId: items[0].usuarioId },
+                    'resumen',
+                    alertas
+                );
+                items.forEach(item => repos.notifications.updateDelivery(item.id, { estado: 'agrupada', resumenId: resumen.id }));
+                pending = pending || resumen.estado === 'pendiente';
+                created++;
+            });
+
+            if (pending) scheduleQueue();
+            return created;
+        }),
+
+        processQueue
+    };
+}
+
+module.exports = {
+    CHANNELS,
+    MODES,
+    SCOPES,
+    DELIVERY_STATES,
+    NotificationError,
+    validateSubscription,
+    matchesSubscription,
+    subscriptionView,
+    buildMessage,
+    signWebhook,
+    retryDelay,
+    createNotifier
+};
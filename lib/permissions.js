@@ -0,0 +1,79 @@
+/**
+ * Roles y permisos de TrazaNet
+ * Los roles coinciden con los de usuarios.html; cada ruta de la API exige un permiso
+ */
+
+const PERMISSIONS = {
+    VIEW: 'view',
+    UPLOAD: 'upload',
+    DELETE: 'delete',
+    MANAGE_CERTIFICATIONS: 'manage_certifications',
+    RUN_AUDIT: 'run_audit',
+    CHANGE_THRESHOLDS: 'change_thresholds',
+    TRANSFER: 'transfer',
+    MANAGE_USERS: 'manage_users',
+    MANAGE_TENANTS: 'manage_tenants'
+};
+
+const PERMISSION_DESCRIPTIONS = {
+    view: 'Consultar lotes, historial, trazabilidad y reportes',
+    upload: 'Cargar archivos de conteo',
+    delete: 'Eliminar lotes del historial',
+    manage_certifications: 'Crear, editar y eliminar certificaciones',
+    run_audit: 'Ejecutar auditorías y registrar resultados',
+    change_thresholds: 'Modificar umbrales, mapeos de calidad y políticas',
+    transfer: 'Transferir la propiedad de lotes',
+    manage_users: 'Administrar usuarios y asignar roles',
+    manage_tenants: 'Crear y suspender empresas (solo SuperAdmin)'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permisos por rol (Admin tiene acceso total dentro de su empresa; Visor es de solo lectura)
+const ROLE_PERMISSIONS = {
+    SuperAdmin: ALL_PERMISSIONS,
+    Admin: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.MANAGE_TENANTS),
+    Calidad: [PERMISSIONS.VIEW, PERMISSIONS.UPLOAD, PERMISSIONS.RUN_AUDIT],
+    Recolector: [PERMISSIONS.VIEW, PERMISSIONS.UPLOAD],
+    Visor: [PERMISSIONS.VIEW]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Indica si un rol tiene un permiso
+ * @param {string} role - Rol del usuario
+ * @param {string} permission - Permiso de PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Middleware que exige un permiso al usuario autenticado (req.user)
+ * @param {string} permission - Permiso de PERMISSIONS
+ * @returns {Function} Middleware de Express que responde 403 si falta el permiso
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (req.user && hasPermission(req.user.role, permission)) {
+            return next();
+        }
+
+        res.status(403).json({
+            success: false,
+            message: `Acceso denegado: el rol ${req.user ? req.user.role : 'anónimo'} no tiene el permiso "${permission}"`,
+            permisoRequerido: permission
+        });
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_DESCRIPTIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    hasPermission,
+    requirePermission
+};
@@ -0,0 +1,99 @@
+/**
+ * Mapeo de estados de calidad
+ * Traduce los valores de CALIDAD_STATUS del archivo a Conforme / Hallazgo / Descarte
+ */
+
+const CATEGORIES = ['Conforme', 'Hallazgo', 'Descarte'];
+
+// Políticas para valores que no están en la tabla de mapeo
+const UNKNOWN_POLICIES = {
+    rechazar: 'Rechazar el archivo completo',
+    cuarentena: 'Excluir la fila del conteo y dejarla en cuarentena',
+    hallazgo: 'Contar la fila como hallazgo'
+};
+
+const DEFAULT_UNKNOWN_POLICY = 'hallazgo';
+
+// Mapeo histórico que estaba fijo en /api/upload
+const DEFAULT_MAPPINGS = [
+    { valor: 'OK', categoria: 'Conforme' },
+    { valor: 'CONFORME', categoria: 'Conforme' },
+    { valor: 'ALERTA', categoria: 'Hallazgo' },
+    { valor: 'HALLAZGO', categoria: 'Hallazgo' },
+    { valor: 'DESCARTE', categoria: 'Descarte' },
+    { valor: 'NO_ADMITIDA', categoria: 'Descarte' },
+    { valor: 'RECHAZADO', categoria: 'Descarte' }
+];
+
+/**
+ * Normaliza un valor de estado: sin tildes, en mayúsculas y con '_' como separador
+ * @param {string} value - Valor original (ej. "No admitida", "Rechazádo")
+ * @returns {string} Valor normalizado (ej. "NO_ADMITIDA", "RECHAZADO")
+ */
+function normalizeStatus(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toUpperCase()
+        .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Busca la categoría canónica aceptando mayúsculas/minúsculas y tildes
+ * @param {string} value - Categoría recibida
+ * @returns {string|null} Categoría de CATEGORIES o null si no existe
+ */
+function resolveCategory(value) {
+    const normalized = normalizeStatus(value);
+    return CATEGORIES.find(category => normalizeStatus(category) === normalized) || null;
+}
+
+/**
+ * Crea una función de clasificación a partir de la tabla de mapeo
+ * @param {Array} mappings - Entradas { valor, categoria }
+ * @returns {Function} (rawStatus) => categoría o null si el valor es desconocido
+ */
+function createClassifier(mappings) {
+    const table = new Map();
+    mappings.forEach(entry => table.set(normalizeStatus(entry.valor), entry.categoria));
+    return rawStatus => table.get(normalizeStatus(rawStatus)) || null;
+}
+
+/**
+ * Clasifica las filas del archivo aplicando la política para estados desconocidos
+ * @param {Array} rows - Filas { fila, valores } del parser
+ * @param {Function} classify - Función creada con createClassifier
+ * @param {string} policy - Clave de UNKNOWN_POLICIES
+ * @returns {Object} { clasificadas: [{ fila, categoria }], desconocidos: [{ fila, valor }] }
+ *   Con 'cuarentena' las filas desconocidas quedan con categoria null; con 'hallazgo' como Hallazgo
+ */
+function classifyRows(rows, classify, policy) {
+    const clasificadas = [];
+    const desconocidos = [];
+
+    rows.forEach(row => {
+        const valor = row.valores.CALIDAD_STATUS;
+        let categoria = classify(valor);
+
+        if (!categoria) {
+            desconocidos.push({ fila: row.fila, valor });
+            categoria = policy === 'hallazgo' ? 'Hallazgo' : null;
+        }
+
+        clasificadas.push({ fila: row.fila, categoria });
+    });
+
+    return { clasificadas, desconocidos };
+}
+
+module.exports = {
+    CATEGORIES,
+    UNKNOWN_POLICIES,
+    DEFAULT_UNKNOWN_POLICY,
+    DEFAULT_MAPPINGS,
+    normalizeStatus,
+    resolveCategory,
+    createClassifier,
+    classifyRows
+};
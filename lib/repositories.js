@@ -0,0 +1,2156 @@
+/**
+ * Repositorios de TrazaNet sobre SQLite
+ * server.js solo accede a los datos a través de estas interfaces
+ */
+
+// Columnas de batch_rows y su campo en la medición normalizada
+const ROW_COLUMNS = {
+    fila: 'fila',
+    lote_id: 'loteId',
+    fecha_cosecha: 'fechaCosecha',
+    variedad: 'variedad',
+    finca: 'finca',
+    estacion_conteo: 'estacionConteo',
+    peso_neto_kg: 'pesoNetoKg',
+    num_frutos: 'numFrutos',
+    calibre: 'calibre',
+    temperatura_c: 'temperaturaC',
+    calidad_status: 'calidadStatus',
+    categoria: 'categoria'
+};
+
+// Función para convertir una fila de batch_rows en medición
+function rowToMeasurement(row) {
+    const measurement = {};
+    Object.keys(ROW_COLUMNS).forEach(column => {
+        measurement[ROW_COLUMNS[column]] = row[column];
+    });
+    measurement.cuarentena = row.cuarentena === 1;
+    return measurement;
+}
+
+/**
+ * Repositorio de lotes (cargas) y sus filas de medición
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createBatchRepository(db) {
+    const insertBatch = db.prepare(`
+        INSERT INTO batches (id, ruc, processed_by, date, status, sim_result, data)
+        VALUES (@id, @ruc, @processedBy, @date, @status, @simResult, @data)
+    `);
+    const updateBatch = db.prepare(`
+        UPDATE batches SET processed_by = @processedBy, date = @date, status = @status,
+            sim_result = @simResult, data = @data
+        WHERE id = @id
+    `);
+    const insertRow = db.prepare(`
+        INSERT INTO batch_rows (batch_id, fila, lote_id, fecha_cosecha, variedad, finca, estacion_conteo,
+            peso_neto_kg, num_frutos, calibre, temperatura_c, calidad_status, categoria, cuarentena)
+        VALUES (@batchId, @fila, @loteId, @fechaCosecha, @variedad, @finca, @estacionConteo,
+            @pesoNetoKg, @numFrutos, @calibre, @temperaturaC, @calidadStatus, @categoria, @cuarentena)
+    `);
+    const selectById = db.prepare('SELECT data, ruc FROM batches WHERE id = ?');
+    const selectByFile = db.prepare("SELECT data, ruc FROM batches WHERE json_extract(data, '$.savedFileName') = ? AND ruc = ?");
+    const selectRows = db.prepare('SELECT * FROM batch_rows WHERE batch_id = ? ORDER BY fila');
+    const countRows = db.prepare('SELECT COUNT(*) AS total FROM batch_rows WHERE batch_id = ?');
+    const deleteById = db.prepare('DELETE FROM batches WHERE id = ?');
+
+    const toParams = record => ({
+        id: record.id,
+        ruc: record.ruc || null,
+        processedBy: record.processedBy || null,
+        date: record.date,
+        status: record.status || null,
+        simResult: record.simResult || null,
+        data: JSON.stringify(record)
+    });
+
+    // El RUC se guarda en su columna y se agrega al registro al leerlo
+    const toBatch = row => ({ ...JSON.parse(row.data), ruc: row.ruc });
+
+    const insertRows = (batchId, rows) => {
+        rows.forEach(row => insertRow.run({
+            batchId,
+            fila: row.fila,
+            loteId: row.loteId,
+            fechaCosecha: row.fechaCosecha,
+            variedad: row.variedad,
+            finca: row.finca,
+            estacionConteo: row.estacionConteo,
+            pesoNetoKg: row.pesoNetoKg,
+            numFrutos: row.numFrutos,
+            calibre: row.calibre,
+            temperaturaC: row.temperaturaC,
+            calidadStatus: row.calidadStatus,
+            categoria: row.categoria === undefined ? null : row.categoria,
+            cuarentena: row.cuarentena ? 1 : 0
+        }));
+    };
+
+    return {
+        /**
+         * Lista lotes, del más reciente al más antiguo
+         * @param {Object} filters - { ruc, processedBy, status, simResult }
+         */
+        list(filters = {}) {
+            const where = [];
+            const params = {};
+            if (filters.ruc) {
+                where.push('ruc = @ruc');
+                params.ruc = String(filters.ruc);
+            }
+            if (filters.processedBy) {
+                where.push('processed_by = @processedBy');
+                params.processedBy = filters.processedBy;
+            }
+            if (filters.status) {
+                where.push('status = @status');
+                params.status = filters.status;
+            }
+            if (filters.simResult) {
+                where.push('sim_result = @simResult');
+                params.simResult = filters.simResult;
+            }
+            const sql = 'SELECT data, ruc FROM batches' +
+                (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+                ' ORDER BY date DESC';
+            return db.prepare(sql).all(params).map(toBatch);
+        },
+
+        /**
+         * Busca un lote por id
+         * @param {string} id - Lote
+         * @param {string} ruc - Empresa; si se indica, un lote de otra empresa se trata como inexistente
+         */
+        findById(id, ruc) {
+            const row = selectById.get(String(id));
+            if (!row || (ruc !== undefined && row.ruc !== String(ruc))) return null;
+            return toBatch(row);
+        },
+
+        // Busca el lote de una empresa al que pertenece un archivo de uploads/
+        findBySavedFileName(savedFileName, ruc) {
+            const row = selectByFile.get(String(savedFileName), String(ruc));
+            return row ? toBatch(row) : null;
+        },
+
+        /**
+         * Crea un lote y sus filas en una sola transacción
+         * @param {Object} record - Registro de carga
+         * @param {Array} rows - Mediciones normalizadas (opcional)
+         */
+        create: db.transaction((record, rows = []) => {
+            insertBatch.run(toParams(record));
+            insertRows(record.id, rows);
+            return record;
+        }),
+
+        /**
+         * Aplica cambios parciales al registro del lote
+         * @returns {Object|null} Registro actualizado o null si no existe
+         */
+        update: db.transaction((id, changes) => {
+            const row = selectById.get(String(id));
+            if (!row) return null;
+            const record = { ...toBatch(row), ...changes };
+            updateBatch.run(toParams(record));
+            return record;
+        }),
+
+        // Elimina el lote; sus filas y auditorías se borran en cascada
+        remove(id) {
+            return deleteById.run(String(id)).changes > 0;
+        },
+
+        // Devuelve las filas de medición del lote o null si no se almacenaron
+        findRows(id) {
+            if (countRows.get(String(id)).total === 0) return null;
+            return selectRows.all(String(id)).map(rowToMeasurement);
+        },
+
+        replaceRows: db.transaction((id, rows) => {
+            db.prepare('DELETE FROM batch_rows WHERE batch_id = ?').run(String(id));
+            insertRows(String(id), rows);
+        })
+    };
+}
+
+/**
+ * Repositorio de certificaciones
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createCertificationRepository(db) {
+    const insertCert = db.prepare(`
+        INSERT INTO certifications (id, ruc, name, created_at, data) VALUES (@id, @ruc, @name, @createdAt, @data)
+    `);
+    const updateCert = db.prepare('UPDATE certifications SET name = @name, data = @data WHERE id = @id');
+    const selectByTenant = db.prepare('SELECT data, ruc FROM certifications WHERE ruc = ? ORDER BY created_at, rowid');
+    const selectById = db.prepare('SELECT data, ruc FROM certifications WHERE id = ?');
+    const deleteById = db.prepare('DELETE FROM certifications WHERE id = ? AND ruc = ?');
+    const count = db.prepare('SELECT COUNT(*) AS total FROM certifications');
+
+    const toParams = cert => ({
+        id: cert.id,
+        ruc: cert.ruc || null,
+        name: cert.name,
+        createdAt: cert.createdAt,
+        data: JSON.stringify(cert)
+    });
+    const toCert = row => ({ ...JSON.parse(row.data), ruc: row.ruc });
+
+    return {
+        // Certificaciones de una empresa
+        list(ruc) {
+            return selectByTenant.all(String(ruc)).map(toCert);
+        },
+
+        /**
+         * Busca una certificación por id
+         * @param {string} id - Certificación
+         * @param {string} ruc - Empresa; si se indica, una certificación de otra empresa se trata como inexistente
+         */
+        findById(id, ruc) {
+            const row = selectById.get(id);
+            if (!row || (ruc !== undefined && row.ruc !== String(ruc))) return null;
+            return toCert(row);
+        },
+
+        count() {
+            return count.get().total;
+        },
+
+        create(cert) {
+            insertCert.run(toParams(cert));
+            return cert;
+        },
+
+        update: db.transaction((id, changes) => {
+            const row = selectById.get(id);
+            if (!row) return null;
+            const cert = { ...toCert(row), ...changes };
+            updateCert.run(toParams(cert));
+            return cert;
+        }),
+
+        remove(id, ruc) {
+            return deleteById.run(id, String(ruc)).changes > 0;
+        }
+    };
+}
+
+/**
+ * Repositorio de resultados de auditoría/simulación por lote
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createAuditRepository(db) {
+    const insertResult = db.prepare(`
+        INSERT INTO audit_results (batch_id, result, created_at, data)
+        VALUES (@batchId, @result, @createdAt, @data)
+    `);
+    const selectByBatch = db.prepare('SELECT * FROM audit_results WHERE batch_id = ? ORDER BY created_at DESC, id DESC');
+
+    const toResult = row => ({ id: row.id, batchId: row.batch_id, createdAt: row.created_at, ...JSON.parse(row.data) });
+
+    return {
+        /**
+         * Registra un resultado de auditoría
+         * @param {string} batchId - Lote auditado
+         * @param {Object} data - Contenido del resultado; data.result se indexa
+         */
+        record(batchId, data) {
+            const createdAt = data.createdAt || new Date().toISOString();
+            const info = insertResult.run({
+                batchId: String(batchId),
+                result: data.result || null,
+                createdAt,
+                data: JSON.stringify(data)
+            });
+            return { id: Number(info.lastInsertRowid), batchId: String(batchId), createdAt, ...data };
+        },
+
+        listByBatch(batchId) {
+            return selectByBatch.all(String(batchId)).map(toResult);
+        }
+    };
+}
+
+/**
+ * Repositorio de configuración clave/valor (documentos JSON)
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createSettingsRepository(db) {
+    const selectValue = db.prepare('SELECT value FROM settings WHERE key = ?');
+    const upsertValue = db.prepare(`
+        INSERT INTO settings (key, value, updated_at) VALUES (@key, @value, @updatedAt)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const deleteValue = db.prepare('DELETE FROM settings WHERE key = ?');
+
+    return {
+        get(key) {
+            const row = selectValue.get(key);
+            return row ? JSON.parse(row.value) : null;
+        },
+
+        set(key, value) {
+            upsertValue.run({ key, value: JSON.stringify(value), updatedAt: new Date().toISOString() });
+            return value;
+        },
+
+        remove(key) {
+            return deleteValue.run(key).changes > 0;
+        },
+
+        /**
+         * Lee, modifica y guarda un documento dentro de una transacción
+         * @param {string} key - Clave del documento
+         * @param {Function} fn - Recibe el valor actual y devuelve el nuevo
+         */
+        update: db.transaction((key, fn) => {
+            const row = selectValue.get(key);
+            const next = fn(row ? JSON.parse(row.value) : null);
+            upsertValue.run({ key, value: JSON.stringify(next), updatedAt: new Date().toISOString() });
+            return next;
+        })
+    };
+}
+
+// Campos editables de un usuario y su columna en users
+const USER_COLUMNS = {
+    name: 'name',
+    email: 'email',
+    role: 'role',
+    status: 'status',
+    walletAddress: 'wallet_address',
+    passwordHash: 'password_hash'
+};
+
+// Función para convertir una fila de users en usuario (sin el hash de contraseña)
+function rowToUser(row) {
+    return {
+        id: row.id,
+        ruc: row.ruc,
+        username: row.username,
+        name: row.name,
+        email: row.email,
+        role: row.role,
+        status: row.status,
+        walletAddress: row.wallet_address,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        lastLoginAt: row.last_login_at
+    };
+}
+
+/**
+ * Repositorio de usuarios
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createUserRepository(db) {
+    const insertUser = db.prepare(`
+        INSERT INTO users (id, ruc, username, password_hash, name, email, role, status, wallet_address, created_at)
+        VALUES (@id, @ruc, @username, @passwordHash, @name, @email, @role, @status, @walletAddress, @createdAt)
+    `);
+    const selectById = db.prepare('SELECT * FROM users WHERE id = ?');
+    const selectByLogin = db.prepare('SELECT * FROM users WHERE ruc = ? AND username = ?');
+    const count = db.prepare('SELECT COUNT(*) AS total FROM users');
+    const countByStatus = db.prepare('SELECT status, COUNT(*) AS total FROM users WHERE ruc = ? GROUP BY status');
+    const touchLogin = db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?');
+
+    return {
+        findById(id) {
+            const row = selectById.get(id);
+            return row ? rowToUser(row) : null;
+        },
+
+        /**
+         * Busca un usuario por RUC y nombre de usuario, incluyendo el hash de contraseña
+         * @returns {Object|null} { user, passwordHash }
+         */
+        findCredentials(ruc, username) {
+            const row = selectByLogin.get(String(ruc), String(username));
+            return row ? { user: rowToUser(row), passwordHash: row.password_hash } : null;
+        },
+
+        count() {
+            return count.get().total;
+        },
+
+        /**
+         * Lista usuarios de una empresa con búsqueda y paginación
+         * @param {Object} query - { ruc, search, role, status, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        list(query = {}) {
+            const where = [];
+            const params = {};
+            if (query.ruc) {
+                where.push('ruc = @ruc');
+                params.ruc = String(query.ruc);
+            }
+            if (query.search) {
+                where.push("(name LIKE @search ESCAPE '\\' OR email LIKE @search ESCAPE '\\' OR username LIKE @search ESCAPE '\\')");
+                params.search = '%' + String(query.search).replace(/[\\%_]/g, '\\$&') + '%';
+            }
+            if (query.role) {
+                where.push('role = @role');
+                params.role = query.role;
+            }
+            if (query.status) {
+                where.push('status = @status');
+                params.status = query.status;
+            }
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const filter = where.length ? ' WHERE ' + where.join(' AND ') : '';
+            const total = db.prepare('SELECT COUNT(*) AS total FROM users' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM users' + filter + ' ORDER BY name COLLATE NOCASE, username LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(rowToUser);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        /**
+         * Cuenta los usuarios de una empresa por estado
+         * @param {string} ruc - RUC de la empresa
+         * @returns {Object} { total, activos, pendientes, inactivos }
+         */
+        countByStatus(ruc) {
+            const stats = { total: 0, activos: 0, pendientes: 0, inactivos: 0 };
+            const keys = { Activo: 'activos', Pendiente: 'pendientes', Inactivo: 'inactivos' };
+            countByStatus.all(String(ruc)).forEach(row => {
+                stats.total += row.total;
+                if (keys[row.status]) stats[keys[row.status]] += row.total;
+            });
+            return stats;
+        },
+
+        create(user) {
+            insertUser.run({
+                id: user.id,
+                ruc: user.ruc,
+                username: user.username,
+                passwordHash: user.passwordHash,
+                name: user.name || null,
+                email: user.email || null,
+                role: user.role,
+                status: user.status || 'Activo',
+                walletAddress: user.walletAddress || null,
+                createdAt: user.createdAt || new Date().toISOString()
+            });
+            return this.findById(user.id);
+        },
+
+        /**
+         * Actualiza campos del usuario
+         * @param {string} id - Usuario
+         * @param {Object} changes - { name, email, role, status, walletAddress, passwordHash }
+         * @returns {Object|null} Usuario actualizado o null si no existe
+         */
+        update(id, changes) {
+            const sets = [];
+            const params = { id, updatedAt: new Date().toISOString() };
+            Object.keys(USER_COLUMNS).forEach(field => {
+                if (changes[field] !== undefined) {
+                    sets.push(`${USER_COLUMNS[field]} = @${field}`);
+                    params[field] = changes[field];
+                }
+            });
+            if (sets.length > 0) {
+                db.prepare(`UPDATE users SET ${sets.join(', ')}, updated_at = @updatedAt WHERE id = @id`).run(params);
+            }
+            return this.findById(id);
+        },
+
+        recordLogin(id) {
+            touchLogin.run(new Date().toISOString(), id);
+        }
+    };
+}
+
+/**
+ * Repositorio de sesiones (refresh tokens guardados como hash)
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createSessionRepository(db) {
+    const insertSession = db.prepare(`
+        INSERT INTO sessions (id, user_id, refresh_hash, created_at, expires_at)
+        VALUES (@id, @userId, @refreshHash, @createdAt, @expiresAt)
+    `);
+    const selectById = db.prepare('SELECT * FROM sessions WHERE id = ?');
+    const selectByRefresh = db.prepare('SELECT * FROM sessions WHERE refresh_hash = ?');
+    const rotate = db.prepare('UPDATE sessions SET refresh_hash = ?, expires_at = ? WHERE id = ? AND revoked_at IS NULL');
+    const revoke = db.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+    const revokeByUser = db.prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL');
+
+    const toSession = row => row && ({
+        id: row.id,
+        userId: row.user_id,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at
+    });
+
+    return {
+        create(session) {
+            insertSession.run({ ...session, createdAt: new Date().toISOString() });
+            return toSession(selectById.get(session.id));
+        },
+
+        findById(id) {
+            return toSession(selectById.get(id)) || null;
+        },
+
+        findByRefreshHash(refreshHash) {
+            return toSession(selectByRefresh.get(refreshHash)) || null;
+        },
+
+        // Reemplaza el refresh token de una sesión activa (rotación)
+        rotate(id, refreshHash, expiresAt) {
+            return rotate.run(refreshHash, expiresAt, id).changes > 0;
+        },
+
+        revoke(id) {
+            return revoke.run(new Date().toISOString(), id).changes > 0;
+        },
+
+        revokeAllForUser(userId) {
+            return revokeByUser.run(new Date().toISOString(), userId).changes;
+        }
+    };
+}
+
+/**
+ * Repositorio de empresas (tenants), identificadas por su RUC
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createTenantRepository(db) {
+    const insertTenant = db.prepare(`
+        INSERT INTO tenants (ruc, name, status, created_at) VALUES (@ruc, @name, @status, @createdAt)
+    `);
+    const selectByRuc = db.prepare('SELECT * FROM tenants WHERE ruc = ?');
+    const selectAll = db.prepare(`
+        SELECT tenants.*,
+            (SELECT COUNT(*) FROM users WHERE users.ruc = tenants.ruc) AS usuarios,
+            (SELECT COUNT(*) FROM batches WHERE batches.ruc = tenants.ruc) AS lotes
+        FROM tenants ORDER BY tenants.name COLLATE NOCASE
+    `);
+    const adoptBatches = db.prepare('UPDATE batches SET ruc = ? WHERE ruc IS NULL');
+    const adoptCertifications = db.prepare('UPDATE certifications SET ruc = ? WHERE ruc IS NULL');
+
+    const toTenant = row => row && ({
+        ruc: row.ruc,
+        name: row.name,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        ...(row.usuarios !== undefined ? { usuarios: row.usuarios, lotes: row.lotes } : {})
+    });
+
+    return {
+        // Lista las empresas con su número de usuarios y lotes
+        list() {
+            return selectAll.all().map(toTenant);
+        },
+
+        findByRuc(ruc) {
+            return toTenant(selectByRuc.get(String(ruc))) || null;
+        },
+
+        create(tenant) {
+            insertTenant.run({
+                ruc: String(tenant.ruc),
+                name: tenant.name,
+                status: tenant.status || 'Activa',
+                createdAt: new Date().toISOString()
+            });
+            return this.findByRuc(tenant.ruc);
+        },
+
+        /**
+         * Actualiza nombre o estado de una empresa
+         * @param {string} ruc - Empresa
+         * @param {Object} changes - { name, status }
+         * @returns {Object|null} Empresa actualizada o null si no existe
+         */
+        update(ruc, changes) {
+            const current = this.findByRuc(ruc);
+            if (!current) return null;
+            db.prepare('UPDATE tenants SET name = @name, status = @status, updated_at = @updatedAt WHERE ruc = @ruc').run({
+                ruc: current.ruc,
+                name: changes.name !== undefined ? changes.name : current.name,
+                status: changes.status !== undefined ? changes.status : current.status,
+                updatedAt: new Date().toISOString()
+            });
+            return this.findByRuc(ruc);
+        },
+
+        /**
+         * Asigna a una empresa los lotes y certificaciones que aún no tienen RUC (datos anteriores a las empresas)
+         * @returns {Object} { lotes, certificaciones } asignados
+         */
+        adoptUnassigned: db.transaction(ruc => ({
+            lotes: adoptBatches.run(String(ruc)).changes,
+            certificaciones: adoptCertifications.run(String(ruc)).changes
+        }))
+    };
+}
+
+/**
+ * Repositorio de tokens de un solo uso (invitaciones y restablecimiento de contraseña)
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createUserTokenRepository(db) {
+    const insertToken = db.prepare(`
+        INSERT INTO user_tokens (user_id, purpose, token_hash, created_at, expires_at)
+        VALUES (@userId, @purpose, @tokenHash, @createdAt, @expiresAt)
+    `);
+    const selectByHash = db.prepare('SELECT * FROM user_tokens WHERE token_hash = ?');
+    const markUsed = db.prepare('UPDATE user_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL');
+    const discardForUser = db.prepare('UPDATE user_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL');
+
+    const toToken = row => row && ({
+        id: row.id,
+        userId: row.user_id,
+        purpose: row.purpose,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        usedAt: row.used_at
+    });
+
+    return {
+        // Crea un token e invalida los pendientes del mismo usuario
+        create: db.transaction(token => {
+            const now = new Date().toISOString();
+            discardForUser.run(now, token.userId);
+            insertToken.run({ ...token, createdAt: now });
+            return toToken(selectByHash.get(token.tokenHash));
+        }),
+
+        findByHash(tokenHash) {
+            return toToken(selectByHash.get(tokenHash)) || null;
+        },
+
+        // Marca el token como usado; devuelve false si ya se había usado
+        markUsed(id) {
+            return markUsed.run(new Date().toISOString(), id).changes > 0;
+        },
+
+        discardForUser(userId) {
+            return discardForUser.run(new Date().toISOString(), userId).changes;
+        }
+    };
+}
+
+/**
+ * Repositorio de eventos de custodia de los lotes
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createBatchEventRepository(db) {
+    const insertEvent = db.prepare(`
+        INSERT INTO batch_events (batch_id, sequence, stage, occurred_at, recorded_at, user_id, data, prev_signature, signature)
+        VALUES (@batchId, @sequence, @stage, @occurredAt, @recordedAt, @userId, @data, @prevSignature, @signature)
+    `);
+    const selectByBatch = db.prepare('SELECT * FROM batch_events WHERE batch_id = ? ORDER BY sequence');
+    const countUnkeyed = db.prepare("SELECT COUNT(*) AS total FROM batch_events WHERE json_extract(data, '$.claveId') IS NULL");
+
+    // data guarda los datos de la etapa, el usuario que firmó (nombre y rol al momento del evento),
+    // el ID de la clave de la firma y el hash de su entrada en el ledger
+    const toEvent = row => {
+        const { datos, registradoPor, claveId = null, transaccion = null } = JSON.parse(row.data);
+        return {
+            id: row.id,
+            loteId: row.batch_id,
+            secuencia: row.sequence,
+            etapa: row.stage,
+            fecha: row.occurred_at,
+            registradoEn: row.recorded_at,
+            registradoPor,
+            datos,
+            firmaAnterior: row.prev_signature,
+            firma: row.signature,
+            claveId,
+            transaccion
+        };
+    };
+
+    return {
+        listByBatch(batchId) {
+            return selectByBatch.all(String(batchId)).map(toEvent);
+        },
+
+        // Eventos firmados antes de las claves de custodia (sin claveId)
+        countWithoutKey() {
+            return countUnkeyed.get().total;
+        },
+
+        /**
+         * Agrega un evento firmado al final de la cadena del lote
+         * @param {Object} event - Evento con loteId, secuencia, etapa, fecha, registradoEn, registradoPor, datos, firmas, claveId y transaccion
+         */
+        create(event) {
+            const info = insertEvent.run({
+                batchId: String(event.loteId),
+                sequence: event.secuencia,
+                stage: event.etapa,
+                occurredAt: event.fecha,
+                recordedAt: event.registradoEn,
+                userId: event.registradoPor.id,
+                data: JSON.stringify({ datos: event.datos, registradoPor: event.registradoPor, claveId: event.claveId, transaccion: event.transaccion }),
+                prevSignature: event.firmaAnterior,
+                signature: event.firma
+            });
+            return { id: Number(info.lastInsertRowid), ...event };
+        }
+    };
+}
+
+/**
+ * Crea todos los repositorios sobre una conexión
+ * @param {Database} db - Conexión de better-sqlite3
+ * @returns {Object} { db, batches, batchEvents, certifications, audits, settings, tenants, users, sessions, userTokens }
+ */
+/**
+ * Repositorio del ledger (entradas encadenadas y bloques); solo permite agregar
+ * @param {Database} db - Conexión de better-sqlite3
+ */
+function createLedgerRepository(db) {
+    const insertEntry = db.prepare(`
+        INSERT INTO ledger_entries (seq, hash, prev_hash, type, ruc, ref_id, actor, payload, created_at)
+        VALUES (@seq, @hash, @prevHash, @type, @ruc, @refId, @actor, @payload, @createdAt)
+    `);
+    const insertBlock = db.prepare(`
+        INSERT INTO ledger_blocks (number, hash, prev_hash, merkle_root, first_seq, last_seq, created_at)
+        VALUES (@number, @hash, @prevHash, @merkleRoot, @firstSeq, @lastSeq, @createdAt)
+    `);
+    const selectLastEntry = db.prepare('SELECT * FROM ledger_entries ORDER BY seq DESC LIMIT 1');
+    const selectEntryByHash = db.prepare('SELECT * FROM ledger_entries WHERE hash = ?');
+    const selectEntryBySeq = db.prepare('SELECT * FROM ledger_entries WHERE seq = ?');
+    const selectEntriesAfter = db.prepare('SELECT * FROM ledger_entries WHERE seq > ? ORDER BY seq');
+    const selectEntriesInRange = db.prepare('SELECT * FROM ledger_entries WHERE seq BETWEEN ? AND ? ORDER BY seq');
+    const selectByRef = db.prepare('SELECT * FROM ledger_entries WHERE ref_id = ? AND ruc = ? ORDER BY seq');
+    const selectLastBlock = db.prepare('SELECT * FROM ledger_blocks ORDER BY number DESC LIMIT 1');
+    const selectBlockByNumber = db.prepare('SELECT * FROM ledger_blocks WHERE number = ?');
+    const selectBlockByHash = db.prepare('SELECT * FROM ledger_blocks WHERE hash = ?');
+    const selectBlockForSeq = db.prepare('SELECT * FROM ledger_blocks WHERE ? BETWEEN first_seq AND last_seq');
+    const selectAllBlocks = db.prepare('SELECT * FROM ledger_blocks ORDER BY number');
+    const countSealed = db.prepare('SELECT COUNT(*) AS total FROM ledger_entries WHERE ruc = ? AND seq <= ?');
+
+    const toEntry = row => ({
+        secuencia: row.seq,
+        hash: row.hash,
+        hashAnterior: row.prev_hash,
+        tipo: row.type,
+        ruc: row.ruc,
+        referencia: row.ref_id,
+        registradoPor: row.actor ? JSON.parse(row.actor) : null,
+        fecha: row.created_at,
+        datos: JSON.parse(row.payload)
+    });
+
+    const toBlock = row => ({
+        numero: row.number,
+        hash: row.hash,
+        hashAnterior: row.prev_hash,
+        raizMerkle: row.merkle_root,
+        primeraSecuencia: row.first_seq,
+        ultimaSecuencia: row.last_seq,
+        transacciones: row.last_seq - row.first_seq + 1,
+        fecha: row.created_at
+    });
+
+    return {
+        lastEntry() {
+            const row = selectLastEntry.get();
+            return row ? toEntry(row) : null;
+        },
+
+        findEntry(hash) {
+            const row = selectEntryByHash.get(String(hash).toLowerCase());
+            return row ? toEntry(row) : null;
+        },
+
+        findEntryBySequence(seq) {
+            const row = selectEntryBySeq.get(seq);
+            return row ? toEntry(row) : null;
+        },
+
+        // Entradas posteriores a una secuencia (las que aún no pertenecen a un bloque)
+        entriesAfter(seq) {
+            return selectEntriesAfter.all(seq).map(toEntry);
+        },
+
+        entriesInBlock(block) {
+            return selectEntriesInRange.all(block.primeraSecuencia, block.ultimaSecuencia).map(toEntry);
+        },
+
+        listByReference(refId, ruc) {
+            return selectByRef.all(String(refId), String(ruc)).map(toEntry);
+        },
+
+        /**
+         * Lista entradas, de la más reciente a la más antigua
+         * @param {Object} query - { ruc, tipo, referencia, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        listEntries(query = {}) {
+            const where = [];
+            const params = {};
+            if (query.ruc) {
+                where.push('ruc = @ruc');
+                params.ruc = String(query.ruc);
+            }
+            if (query.tipo) {
+                where.push('type = @type');
+                params.type = query.tipo;
+            }
+            if (query.referencia) {
+                where.push('ref_id = @refId');
+                params.refId = String(query.referencia);
+            }
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const filter = where.length ? ' WHERE ' + where.join(' AND ') : '';
+            const total = db.prepare('SELECT COUNT(*) AS total FROM ledger_entries' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM ledger_entries' + filter + ' ORDER BY seq DESC LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(toEntry);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        /**
+         * Cuenta las entradas confirmadas de una empresa (las que ya están dentro de un bloque cerrado)
+         * @param {string} ruc - RUC de la empresa
+         * @returns {number} Entradas confirmadas
+         */
+        countConfirmed(ruc) {
+            const row = selectLastBlock.get();
+            return row ? countSealed.get(String(ruc), row.last_seq).total : 0;
+        },
+
+        createEntry(entry) {
+            insertEntry.run({
+                seq: entry.secuencia,
+                hash: entry.hash,
+                prevHash: entry.hashAnterior,
+                type: entry.tipo,
+                ruc: entry.ruc,
+                refId: entry.referencia,
+                actor: entry.registradoPor ? JSON.stringify(entry.registradoPor) : null,
+                payload: JSON.stringify(entry.datos),
+                createdAt: entry.fecha
+            });
+            return entry;
+        },
+
+        lastBlock() {
+            const row = selectLastBlock.get();
+            return row ? toBlock(row) : null;
+        },
+
+        /**
+         * Busca un bloque por número o por hash
+         * @param {string|number} ref - Número de bloque o hash 0x...
+         */
+        findBlock(ref) {
+            const row = /^\d+$/.test(String(ref))
+                ? selectBlockByNumber.get(Number(ref))
+                : selectBlockByHash.get(String(ref).toLowerCase());
+            return row ? toBlock(row) : null;
+        },
+
+        // Bloque que contiene una entrada (null si la entrada sigue pendiente)
+        findBlockForEntry(seq) {
+            const row = selectBlockForSeq.get(seq);
+            return row ? toBlock(row) : null;
+        },
+
+        // Todos los bloques en orden, para verificar la cadena completa
+        listAllBlocks() {
+            return selectAllBlocks.all().map(toBlock);
+        },
+
+        /**
+         * Lista bloques, del más reciente al más antiguo
+         * @param {Object} query - { page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        listBlocks(query = {}) {
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 200);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const total = db.prepare('SELECT COUNT(*) AS total FROM ledger_blocks').get().total;
+            const data = db.prepare('SELECT * FROM ledger_blocks ORDER BY number DESC LIMIT ? OFFSET ?')
+                .all(limit, (page - 1) * limit)
+                .map(toBlock);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        createBlock(block) {
+            insertBlock.run({
+                number: block.numero,
+                hash: block.hash,
+                prevHash: block.hashAnterior,
+                merkleRoot: block.raizMerkle,
+                firstSeq: block.primeraSecuencia,
+                lastSeq: block.ultimaSecuencia,
+                createdAt: block.fecha
+            });
+            return { ...block, transacciones: block.ultimaSecuencia - block.primeraSecuencia + 1 };
+        }
+    };
+}
+
+// Estados de una llamada al contrato: pendiente → enviada (esperando recibo) → confirmada o revertida
+// Una llamada que falla sin respuesta del contrato demasiadas veces queda fallida
+function createContractCallRepository(db) {
+    const insertCall = db.prepare(`
+        INSERT INTO contract_calls (ruc, type, ref_id, method, args, ledger_hash, status, created_at, updated_at)
+        VALUES (@ruc, @type, @refId, @method, @args, @ledgerHash, 'pendiente', @createdAt, @createdAt)
+    `);
+    const selectById = db.prepare('SELECT * FROM contract_calls WHERE id = ?');
+    const selectNextPending = db.prepare(
+        "SELECT * FROM contract_calls WHERE status IN ('pendiente', 'enviada') ORDER BY id LIMIT 1"
+    );
+    const selectByRef = db.prepare('SELECT * FROM contract_calls WHERE ref_id = ? AND ruc = ? ORDER BY id');
+    const selectByTx = db.prepare('SELECT * FROM contract_calls WHERE tx_hash = ? ORDER BY id DESC LIMIT 1');
+    const selectRegistration = db.prepare(`
+        SELECT id FROM contract_calls
+        WHERE ref_id = @refId AND ruc = @ruc AND method = 'registerBatchInitialData' AND status NOT IN ('revertida', 'fallida')
+            AND (@since IS NULL OR status != 'confirmada' OR updated_at >= @since)
+        LIMIT 1
+    `);
+    const selectLastRegistration = db.prepare(`
+        SELECT * FROM contract_calls
+        WHERE ref_id = ? AND ruc = ? AND method = 'registerBatchInitialData' AND status = 'confirmada'
+        ORDER BY id DESC LIMIT 1
+    `);
+    const countByStatus = db.prepare('SELECT status, COUNT(*) AS total FROM contract_calls WHERE ruc = ? GROUP BY status');
+    const updateSent = db.prepare(`
+        UPDATE contract_calls SET status = 'enviada', contract = @contract, tx_hash = @txHash,
+            attempts = attempts + 1, error = NULL, updated_at = @updatedAt
+        WHERE id = @id
+    `);
+    const updateResult = db.prepare(`
+        UPDATE contract_calls SET status = @status, contract = @contract, tx_hash = @txHash, block_number = @blockNumber,
+            gas_used = @gasUsed, error = @error, updated_at = @updatedAt
+        WHERE id = @id
+    `);
+    const updateFailedAttempt = db.prepare(
+        'UPDATE contract_calls SET attempts = attempts + 1, error = @error, updated_at = @updatedAt WHERE id = @id'
+    );
+    const updateFailed = db.prepare(
+        "UPDATE contract_calls SET status = 'fallida', attempts = attempts + 1, error = @error, updated_at = @updatedAt WHERE id = @id"
+    );
+
+    const toCall = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        tipo: row.type,
+        referencia: row.ref_id,
+        metodo: row.method,
+        argumentos: JSON.parse(row.args),
+        transaccionLedger: row.ledger_hash,
+        estado: row.status,
+        contrato: row.contract,
+        transaccion: row.tx_hash,
+        bloque: row.block_number,
+        gasUsado: row.gas_used,
+        error: row.error,
+        intentos: row.attempts,
+        fecha: row.created_at,
+        actualizado: row.updated_at
+    });
+
+    return {
+        findById(id) {
+            const row = selectById.get(id);
+            return row ? toCall(row) : null;
+        },
+
+        // La llamada más antigua que falta enviar o confirmar
+        nextPending() {
+            const row = selectNextPending.get();
+            return row ? toCall(row) : null;
+        },
+
+        listByReference(refId, ruc) {
+            return selectByRef.all(String(refId), String(ruc)).map(toCall);
+        },
+
+        findByTransaction(txHash) {
+            const row = selectByTx.get(String(txHash).toLowerCase());
+            return row ? toCall(row) : null;
+        },
+
+        // Indica si el lote ya tiene encolado (o confirmado) su registro inicial en el contrato
+        // Con desde (fecha del despliegue vigente), un registro confirmado antes, en un contrato anterior, no cuenta
+        // (un nodo reiniciado puede desplegar el contrato nuevo en la misma dirección)
+        hasRegistration(refId, ruc, desde = null) {
+            return Boolean(selectRegistration.get({ refId: String(refId), ruc: String(ruc), since: desde }));
+        },
+
+        // Último registro inicial confirmado del lote, en cualquier contrato
+        lastRegistration(refId, ruc) {
+            const row = selectLastRegistration.get(String(refId), String(ruc));
+            return row ? toCall(row) : null;
+        },
+
+        // Cantidad de llamadas de una empresa por estado
+        countByStatus(ruc) {
+            const counts = { pendiente: 0, enviada: 0, confirmada: 0, revertida: 0, fallida: 0 };
+            countByStatus.all(String(ruc)).forEach(row => {
+                counts[row.status] = row.total;
+            });
+            return counts;
+        },
+
+        /**
+         * Lista llamadas, de la más reciente a la más antigua
+         * @param {Object} query - { ruc, tipo, estado, referencia, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        list(query = {}) {
+            const where = [];
+            const params = {};
+            if (query.ruc) {
+                where.push('ruc = @ruc');
+                params.ruc = String(query.ruc);
+            }
+            if (query.tipo) {
+                where.push('type = @type');
+                params.type = query.tipo;
+            }
+            if (query.estado) {
+                where.push('status = @status');
+                params.status = query.estado;
+            }
+            if (query.referencia) {
+                where.push('ref_id = @refId');
+                params.refId = String(query.referencia);
+            }
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const filter = where.length ? ' WHERE ' + where.join(' AND ') : '';
+            const total = db.prepare('SELECT COUNT(*) AS total FROM contract_calls' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM contract_calls' + filter + ' ORDER BY id DESC LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(toCall);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        /**
+         * Encola una llamada al contrato
+         * @param {Object} call - { ruc, tipo, referencia, metodo, argumentos, transaccionLedger }
+         */
+        create(call) {
+            const info = insertCall.run({
+                ruc: String(call.ruc),
+                type: call.tipo,
+                refId: call.referencia ? String(call.referencia) : null,
+                method: call.metodo,
+                args: JSON.stringify(call.argumentos),
+                ledgerHash: call.transaccionLedger || null,
+                createdAt: new Date().toISOString()
+            });
+            return this.findById(info.lastInsertRowid);
+        },
+
+        // La transacción se envió al nodo; falta su recibo
+        markSent(id, { contrato, transaccion }) {
+            updateSent.run({ id, contract: contrato, txHash: transaccion, updatedAt: new Date().toISOString() });
+        },
+
+        // Recibo obtenido: confirmada, o revertida por el contrato (con el motivo en error)
+        markResult(id, { estado, contrato, transaccion = null, bloque = null, gasUsado = null, error = null }) {
+            updateResult.run({
+                id,
+                status: estado,
+                contract: contrato,
+                txHash: transaccion,
+                blockNumber: bloque,
+                gasUsed: gasUsado,
+                error,
+                updatedAt: new Date().toISOString()
+            });
+        },
+
+        // El nodo no respondió; la llamada sigue pendiente para el siguiente intento
+        markFailedAttempt(id, error) {
+            updateFailedAttempt.run({ id, error, updatedAt: new Date().toISOString() });
+        },
+
+        // La llamada agotó sus intentos; ya no se reintenta
+        markFailed(id, error) {
+            updateFailed.run({ id, error, updatedAt: new Date().toISOString() });
+        }
+    };
+}
+
+function createContractEventRepository(db) {
+    const insertEvent = db.prepare(`
+        INSERT OR IGNORE INTO contract_events
+            (ruc, contract, name, block_number, block_hash, block_time, tx_hash, log_index, batch_id, args, indexed_at)
+        VALUES (@ruc, @contract, @name, @blockNumber, @blockHash, @blockTime, @txHash, @logIndex, @batchId, @args, @indexedAt)
+    `);
+    const selectById = db.prepare('SELECT * FROM contract_events WHERE id = ?');
+    const selectByName = db.prepare('SELECT * FROM contract_events WHERE ruc = ? AND name = ? ORDER BY block_number, log_index');
+
+    const toEvent = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        contrato: row.contract,
+        evento: row.name,
+        bloque: row.block_number,
+        hashBloque: row.block_hash,
+        fecha: row.block_time,
+        transaccion: row.tx_hash,
+        indiceLog: row.log_index,
+        loteId: row.batch_id,
+        datos: JSON.parse(row.args),
+        indexadoEn: row.indexed_at
+    });
+
+    return {
+        // Eventos de un tipo, del más antiguo al más reciente
+        listByName(ruc, name) {
+            return selectByName.all(String(ruc), name).map(toEvent);
+        },
+
+        /**
+         * Lista eventos, del más reciente al más antiguo
+         * @param {Object} query - { ruc, evento, loteId, desdeBloque, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        list(query = {}) {
+            const where = [];
+            const params = {};
+            if (query.ruc) {
+                where.push('ruc = @ruc');
+                params.ruc = String(query.ruc);
+            }
+            if (query.evento) {
+                where.push('name = @name');
+                params.name = query.evento;
+            }
+            if (query.loteId) {
+                where.push('batch_id = @batchId');
+                params.batchId = String(query.loteId);
+            }
+            if (query.desdeBloque !== undefined) {
+                where.push('block_number >= @fromBlock');
+                params.fromBlock = query.desdeBloque;
+            }
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const filter = where.length ? ' WHERE ' + where.join(' AND ') : '';
+            const total = db.prepare('SELECT COUNT(*) AS total FROM contract_events' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM contract_events' + filter +
+                ' ORDER BY block_number DESC, log_index DESC LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(toEvent);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        /**
+         * Guarda un evento indexado
+         * @param {Object} event - { ruc, contrato, evento, bloque, hashBloque, fecha, transaccion, indiceLog, loteId, datos }
+         * @returns {Object|null} Evento guardado o null si ya estaba indexado
+         */
+        create(event) {
+            const info = insertEvent.run({
+                ruc: String(event.ruc),
+                contract: event.contrato,
+                name: event.evento,
+                blockNumber: event.bloque,
+                blockHash: event.hashBloque,
+                blockTime: event.fecha,
+                txHash: event.transaccion,
+                logIndex: event.indiceLog,
+                batchId: event.loteId || null,
+                args: JSON.stringify(event.datos),
+                indexedAt: new Date().toISOString()
+            });
+            return info.changes ? toEvent(selectById.get(info.lastInsertRowid)) : null;
+        }
+    };
+}
+
+function createAlertRepository(db) {
+    const insertAlert = db.prepare(`
+        INSERT OR IGNORE INTO alerts (ruc, source, source_id, batch_id, type, severity, status, created_at, updated_at, data)
+        VALUES (@ruc, @source, @sourceId, @batchId, @type, @severity, @status, @createdAt, @createdAt, @data)
+    `);
+    const selectById = db.prepare('SELECT * FROM alerts WHERE id = ?');
+    const selectBySource = db.prepare('SELECT * FROM alerts WHERE source = ? AND source_id = ?');
+    const updateAlert = db.prepare(
+        'UPDATE alerts SET status = @status, severity = @severity, updated_at = @updatedAt, data = @data WHERE id = @id'
+    );
+    const countByStatus = db.prepare(`
+        SELECT status, severity, COUNT(*) AS total FROM alerts WHERE ruc = ? GROUP BY status, severity
+    `);
+    // Las alertas anteriores a resueltaEn usan la fecha de su última actualización
+    const countResolvedSince = db.prepare(`
+        SELECT COUNT(*) AS total FROM alerts
+        WHERE ruc = ? AND status IN ('resuelta', 'cerrada') AND COALESCE(json_extract(data, '$.resueltaEn'), updated_at) >= ?
+    `);
+    const selectActive = db.prepare(
+        "SELECT * FROM alerts WHERE ruc = ? AND status IN ('abierta', 'reconocida', 'investigacion') ORDER BY created_at, id"
+    );
+    const selectActiveByType = db.prepare(`
+        SELECT * FROM alerts WHERE batch_id = ? AND type = ? AND status IN ('abierta', 'reconocida', 'investigacion')
+        ORDER BY created_at, id LIMIT 1
+    `);
+    const selectFincas = db.prepare(`
+        SELECT DISTINCT fincas.value AS finca FROM alerts, json_each(alerts.data, '$.fincas') AS fincas
+        WHERE alerts.ruc = ? ORDER BY fincas.value
+    `);
+
+    // data guarda el incidente, las fincas del lote, la evidencia, el responsable asignado y el historial
+    // de estados, asignaciones y comentarios
+    const toAlert = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        origen: row.source,
+        origenId: row.source_id,
+        loteId: row.batch_id,
+        tipo: row.type,
+        severidad: row.severity,
+        estado: row.status,
+        fecha: row.created_at,
+        actualizado: row.updated_at,
+        ...JSON.parse(row.data)
+    });
+
+    return {
+        /**
+         * Busca una alerta por id
+         * @param {number} id - Alerta
+         * @param {string} ruc - Empresa; una alerta de otra empresa se trata como inexistente
+         */
+        findById(id, ruc) {
+            const row = selectById.get(id);
+            if (!row || (ruc !== undefined && row.ruc !== String(ruc))) return null;
+            return toAlert(row);
+        },
+
+        // Alerta generada por una fuente (origen e id del registro que la originó)
+        findBySource(origen, origenId) {
+            const row = selectBySource.get(origen, String(origenId));
+            return row ? toAlert(row) : null;
+        },
+
+        /**
+         * Lista alertas, de la más reciente a la más antigua
+         * @param {Object} query - { ruc, estado, severidad, tipo, origen, asignadoA, finca, loteId, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        list(query = {}) {
+            const where = [];
+            const params = {};
+            if (query.ruc) {
+                where.push('ruc = @ruc');
+                params.ruc = String(query.ruc);
+            }
+            if (query.estado) {
+                where.push('status = @status');
+                params.status = query.estado;
+            }
+            if (query.severidad) {
+                where.push('severity = @severity');
+                params.severity = query.severidad;
+            }
+            if (query.loteId) {
+                where.push('batch_id = @batchId');
+                params.batchId = String(query.loteId);
+            }
+            if (query.tipo) {
+                where.push('type = @type');
+                params.type = query.tipo;
+            }
+            if (query.origen) {
+                where.push('source = @source');
+                params.source = query.origen;
+            }
+            if (query.asignadoA) {
+                where.push("json_extract(data, '$.asignadoA.id') = @assignee");
+                params.assignee = String(query.asignadoA);
+            }
+            if (query.finca) {
+                where.push("EXISTS (SELECT 1 FROM json_each(alerts.data, '$.fincas') WHERE lower(value) = @finca)");
+                params.finca = String(query.finca).toLowerCase();
+            }
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const filter = where.length ? ' WHERE ' + where.join(' AND ') : '';
+            const total = db.prepare('SELECT COUNT(*) AS total FROM alerts' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM alerts' + filter + ' ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(toAlert);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        // Cantidad de alertas de una empresa por estado y severidad: { abierta: { alta: 2 }, ... }
+        countByStatus(ruc) {
+            const counts = {};
+            countByStatus.all(String(ruc)).forEach(row => {
+                counts[row.status] = { ...counts[row.status], [row.severity]: row.total };
+            });
+            return counts;
+        },
+
+        // Cantidad de alertas de una empresa resueltas o cerradas desde una fecha (ISO)
+        countResolvedSince(ruc, since) {
+            return countResolvedSince.get(String(ruc), since).total;
+        },
+
+        // Alertas de una empresa que todavía requieren atención, de la más antigua a la más reciente
+        listActive(ruc) {
+            return selectActive.all(String(ruc)).map(toAlert);
+        },
+
+        // Alerta activa de un lote por tipo de falla (null si no hay)
+        findActiveByType(batchId, tipo) {
+            const row = selectActiveByType.get(String(batchId), tipo);
+            return row ? toAlert(row) : null;
+        },
+
+        // Fincas de las alertas de una empresa (para los filtros)
+        listFincas(ruc) {
+            return selectFincas.all(String(ruc)).map(row => row.finca);
+        },
+
+        /**
+         * Crea una alerta; una misma fuente genera una sola alerta
+         * @param {Object} alert - { ruc, origen, origenId, loteId, tipo, severidad, estado, fecha, ...datos }
+         * @returns {Object|null} Alerta creada o null si la fuente ya tenía una
+         */
+        create(alert) {
+            const { ruc, origen, origenId, loteId, tipo, severidad, estado, fecha, ...data } = alert;
+            const info = insertAlert.run({
+                ruc: String(ruc),
+                source: origen,
+                sourceId: String(origenId),
+                batchId: loteId || null,
+                type: tipo,
+                severity: severidad,
+                status: estado,
+                createdAt: fecha,
+                data: JSON.stringify(data)
+            });
+            return info.changes ? toAlert(selectById.get(info.lastInsertRowid)) : null;
+        },
+
+        // Cambia el estado de una alerta, su severidad y sus datos (historial)
+        update(id, { estado, severidad, ...data }) {
+            const current = selectById.get(id);
+            if (!current) return null;
+            updateAlert.run({
+                id,
+                status: estado || current.status,
+                severity: severidad || current.severity,
+                updatedAt: new Date().toISOString(),
+                data: JSON.stringify({ ...JSON.parse(current.data), ...data })
+            });
+            return toAlert(selectById.get(id));
+        }
+    };
+}
+
+function createThresholdVersionRepository(db) {
+    const insertVersion = db.prepare(`
+        INSERT INTO threshold_versions (ruc, version, status, activate_at, activated_at, created_at, updated_at, data)
+        VALUES (@ruc, @version, @status, @activateAt, @activatedAt, @createdAt, @createdAt, @data)
+    `);
+    const selectById = db.prepare('SELECT * FROM threshold_versions WHERE id = ?');
+    const selectByVersion = db.prepare('SELECT * FROM threshold_versions WHERE ruc = ? AND version = ?');
+    const selectAll = db.prepare('SELECT * FROM threshold_versions WHERE ruc = ? ORDER BY version DESC');
+    const selectByStatus = db.prepare('SELECT * FROM threshold_versions WHERE ruc = ? AND status = ? ORDER BY version DESC');
+    const selectActive = db.prepare("SELECT * FROM threshold_versions WHERE ruc = ? AND status = 'activa'");
+    const selectActiveAt = db.prepare(`
+        SELECT * FROM threshold_versions
+        WHERE ruc = ? AND status IN ('activa', 'reemplazada') AND activated_at <= ?
+        ORDER BY activated_at DESC, version DESC LIMIT 1
+    `);
+    const selectDue = db.prepare(
+        "SELECT * FROM threshold_versions WHERE status = 'aprobada' AND activate_at <= ? ORDER BY activate_at, version"
+    );
+    const selectLastVersion = db.prepare('SELECT MAX(version) AS version FROM threshold_versions WHERE ruc = ?');
+    const updateVersion = db.prepare(`
+        UPDATE threshold_versions SET status = @status, activate_at = @activateAt, activated_at = @activatedAt,
+            updated_at = @updatedAt, data = @data
+        WHERE id = @id
+    `);
+
+    // data guarda los umbrales, los anteriores, las aprobaciones y el historial de acciones
+    const toVersion = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        version: row.version,
+        estado: row.status,
+        activaDesde: row.activate_at,
+        activadaEn: row.activated_at,
+        creadaEn: row.created_at,
+        actualizada: row.updated_at,
+        ...JSON.parse(row.data)
+    });
+
+    return {
+        findByVersion(ruc, version) {
+            const row = selectByVersion.get(String(ruc), version);
+            return row ? toVersion(row) : null;
+        },
+
+        // Versiones de una empresa, de la más reciente a la más antigua (opcionalmente de un estado)
+        list(ruc, estado) {
+            return (estado ? selectByStatus.all(String(ruc), estado) : selectAll.all(String(ruc))).map(toVersion);
+        },
+
+        // Versión vigente de una empresa
+        findActive(ruc) {
+            const row = selectActive.get(String(ruc));
+            return row ? toVersion(row) : null;
+        },
+
+        // Versión que estaba vigente en una fecha (ISO)
+        findActiveAt(ruc, fecha) {
+            const row = selectActiveAt.get(String(ruc), fecha);
+            return row ? toVersion(row) : null;
+        },
+
+        // Versiones aprobadas de todas las empresas cuya fecha de activación ya llegó, en orden de activación
+        listDue(fecha) {
+            return selectDue.all(fecha).map(toVersion);
+        },
+
+        nextVersion(ruc) {
+            return (selectLastVersion.get(String(ruc)).version || 0) + 1;
+        },
+
+        /**
+         * Crea una versión
+         * @param {Object} version - { ruc, version, estado, activaDesde, activadaEn, fecha, ...datos }
+         * @returns {Object} Versión creada
+         */
+        create(version) {
+            const { ruc, version: numero, estado, activaDesde, activadaEn, fecha, ...data } = version;
+            const info = insertVersion.run({
+                ruc: String(ruc),
+                version: numero,
+                status: estado,
+                activateAt: activaDesde || null,
+                activatedAt: activadaEn || null,
+                createdAt: fecha || new Date().toISOString(),
+                data: JSON.stringify(data)
+            });
+            return toVersion(selectById.get(info.lastInsertRowid));
+        },
+
+        // Cambia el estado, las fechas de activación o los datos de una versión
+        update(id, { estado, activaDesde, activadaEn, ...data }) {
+            const current = selectById.get(id);
+            if (!current) return null;
+            updateVersion.run({
+                id,
+                status: estado || current.status,
+                activateAt: activaDesde !== undefined ? activaDesde : current.activate_at,
+                activatedAt: activadaEn !== undefined ? activadaEn : current.activated_at,
+                updatedAt: new Date().toISOString(),
+                data: JSON.stringify({ ...JSON.parse(current.data), ...data })
+            });
+            return toVersion(selectById.get(id));
+        }
+    };
+}
+
+function createTelemetryRepository(db) {
+    const insertReading = db.prepare(`
+        INSERT OR IGNORE INTO telemetry_readings
+            (ruc, batch_id, vehicle, device_id, recorded_at, temperature, humidity, received_at)
+        VALUES (@ruc, @batchId, @vehicle, @deviceId, @recordedAt, @temperature, @humidity, @receivedAt)
+    `);
+    const selectShipment = db.prepare(
+        'SELECT * FROM telemetry_readings WHERE batch_id = ? AND vehicle = ? ORDER BY recorded_at, id'
+    );
+    const selectShipments = db.prepare(`
+        SELECT vehicle, COUNT(*) AS total, MIN(recorded_at) AS since, MAX(recorded_at) AS until
+        FROM telemetry_readings WHERE batch_id = ? GROUP BY vehicle ORDER BY since
+    `);
+    const selectDevices = db.prepare(
+        'SELECT DISTINCT device_id FROM telemetry_readings WHERE batch_id = ? AND vehicle = ? ORDER BY device_id'
+    );
+    const countSince = db.prepare(`
+        SELECT COUNT(*) AS total, SUM(temperature <= @maxTemp) AS withinLimit, AVG(humidity) AS humidity
+        FROM telemetry_readings WHERE ruc = @ruc AND recorded_at >= @since
+    `);
+    const insertExcursion = db.prepare(`
+        INSERT INTO telemetry_excursions (ruc, batch_id, vehicle, started_at, ended_at, created_at, updated_at, data)
+        VALUES (@ruc, @batchId, @vehicle, @startedAt, @endedAt, @createdAt, @createdAt, @data)
+    `);
+    const selectExcursionById = db.prepare('SELECT * FROM telemetry_excursions WHERE id = ?');
+    const selectOverlappingExcursions = db.prepare(`
+        SELECT * FROM telemetry_excursions
+        WHERE batch_id = @batchId AND vehicle = @vehicle AND started_at <= @endedAt AND ended_at >= @startedAt
+        ORDER BY started_at, id
+    `);
+    const selectExcursionsByBatch = db.prepare(
+        'SELECT * FROM telemetry_excursions WHERE batch_id = ? ORDER BY started_at, id'
+    );
+    const updateExcursion = db.prepare(
+        'UPDATE telemetry_excursions SET started_at = @startedAt, ended_at = @endedAt, updated_at = @updatedAt, data = @data WHERE id = @id'
+    );
+
+    const toReading = row => ({
+        id: row.id,
+        loteId: row.batch_id,
+        vehiculo: row.vehicle || null,
+        dispositivoId: row.device_id,
+        fecha: row.recorded_at,
+        temperaturaC: row.temperature,
+        humedadPct: row.humidity,
+        recibidaEn: row.received_at
+    });
+
+    // data guarda la duración, la temperatura máxima, el umbral, los dispositivos y la alerta y auditoría que generó
+    const toExcursion = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        loteId: row.batch_id,
+        vehiculo: row.vehicle || null,
+        inicio: row.started_at,
+        fin: row.ended_at,
+        detectadaEn: row.created_at,
+        actualizada: row.updated_at,
+        ...JSON.parse(row.data)
+    });
+
+    return {
+        /**
+         * Guarda una lectura; una lectura repetida (mismo dispositivo y fecha) se ignora
+         * @param {Object} reading - { ruc, loteId, vehiculo, dispositivoId, fecha, temperaturaC, humedadPct }
+         * @returns {boolean} true si se guardó
+         */
+        insert(reading) {
+            return insertReading.run({
+                ruc: String(reading.ruc),
+                batchId: String(reading.loteId),
+                vehicle: reading.vehiculo || '',
+                deviceId: reading.dispositivoId,
+                recordedAt: reading.fecha,
+                temperature: reading.temperaturaC,
+                humidity: reading.humedadPct === undefined ? null : reading.humedadPct,
+                receivedAt: new Date().toISOString()
+            }).changes > 0;
+        },
+
+        // Lecturas de un envío (lote y vehículo) ordenadas por fecha
+        listShipment(batchId, vehiculo) {
+            return selectShipment.all(String(batchId), vehiculo || '').map(toReading);
+        },
+
+        // Envíos con lecturas de un lote: [{ vehiculo, lecturas, desde, hasta, dispositivos }]
+        listShipments(batchId) {
+            return selectShipments.all(String(batchId)).map(row => ({
+                vehiculo: row.vehicle || null,
+                lecturas: row.total,
+                desde: row.since,
+                hasta: row.until,
+                dispositivos: selectDevices.all(String(batchId), row.vehicle).map(device => device.device_id)
+            }));
+        },
+
+        // Lecturas de una empresa desde una fecha: total, dentro de la temperatura máxima y humedad promedio
+        countSince(ruc, since, maxTempC) {
+            const row = countSince.get({ ruc: String(ruc), since, maxTemp: maxTempC });
+            return { lecturas: row.total, dentroDelUmbral: row.withinLimit || 0, humedadPromedioPct: row.humidity };
+        },
+
+        // Excursiones de un envío cuyo tramo se cruza con [inicio, fin], de la más antigua a la más reciente
+        listOverlappingExcursions(batchId, vehiculo, inicio, fin) {
+            return selectOverlappingExcursions.all({
+                batchId: String(batchId),
+                vehicle: vehiculo || '',
+                startedAt: inicio,
+                endedAt: fin
+            }).map(toExcursion);
+        },
+
+        // Excursiones de un lote, de la más antigua a la más reciente
+        listExcursions(batchId) {
+            return selectExcursionsByBatch.all(String(batchId)).map(toExcursion);
+        },
+
+        /**
+         * Guarda una excursión detectada
+         * @param {Object} excursion - { ruc, loteId, vehiculo, inicio, fin, ...datos }
+         * @returns {Object} Excursión creada
+         */
+        createExcursion(excursion) {
+            const { ruc, loteId, vehiculo, inicio, fin, ...data } = excursion;
+            const info = insertExcursion.run({
+                ruc: String(ruc),
+                batchId: String(loteId),
+                vehicle: vehiculo || '',
+                startedAt: inicio,
+                endedAt: fin,
+                createdAt: new Date().toISOString(),
+                data: JSON.stringify(data)
+            });
+            return toExcursion(selectExcursionById.get(info.lastInsertRowid));
+        },
+
+        // Extiende una excursión con su nuevo tramo y datos
+        updateExcursion(id, { inicio, fin, ...data }) {
+            const current = selectExcursionById.get(id);
+            if (!current) return null;
+            updateExcursion.run({
+                id,
+                startedAt: inicio || current.started_at,
+                endedAt: fin || current.ended_at,
+                updatedAt: new Date().toISOString(),
+                data: JSON.stringify({ ...JSON.parse(current.data), ...data })
+            });
+            return toExcursion(selectExcursionById.get(id));
+        }
+    };
+}
+
+function createShipmentRepository(db) {
+    const insertShipment = db.prepare(`
+        INSERT INTO shipments (ruc, vehicle, status, departed_at, eta, created_at, updated_at, data)
+        VALUES (@ruc, @vehicle, @status, @departedAt, @eta, @createdAt, @createdAt, @data)
+    `);
+    const insertBatch = db.prepare('INSERT INTO shipment_batches (shipment_id, batch_id) VALUES (?, ?)');
+    const selectById = db.prepare('SELECT * FROM shipments WHERE id = ?');
+    const selectByTenant = db.prepare('SELECT * FROM shipments WHERE id = ? AND ruc = ?');
+    const selectAll = db.prepare('SELECT * FROM shipments WHERE ruc = ? ORDER BY departed_at DESC, id DESC');
+    const selectActiveByBatch = db.prepare(`
+        SELECT shipments.* FROM shipments JOIN shipment_batches ON shipment_batches.shipment_id = shipments.id
+        WHERE shipment_batches.batch_id = ? AND shipments.status != 'entregado'
+    `);
+    const updateShipment = db.prepare(
+        'UPDATE shipments SET status = @status, delivered_at = @deliveredAt, updated_at = @updatedAt, data = @data WHERE id = @id'
+    );
+    const insertPosition = db.prepare(`
+        INSERT OR IGNORE INTO shipment_positions (shipment_id, recorded_at, lat, lng, speed, heading, accuracy, received_at)
+        VALUES (@shipmentId, @recordedAt, @lat, @lng, @speed, @heading, @accuracy, @receivedAt)
+    `);
+    const selectLastPosition = db.prepare(
+        'SELECT * FROM shipment_positions WHERE shipment_id = ? ORDER BY recorded_at DESC, id DESC LIMIT 1'
+    );
+    const selectPositions = db.prepare(`
+        SELECT * FROM shipment_positions
+        WHERE shipment_id = @shipmentId AND recorded_at >= @since AND recorded_at <= @until
+        ORDER BY recorded_at, id
+    `);
+    const countPositions = db.prepare('SELECT COUNT(*) AS total FROM shipment_positions WHERE shipment_id = ?');
+
+    // data guarda los lotes, el conductor, la ruta, la última evaluación, el historial de estados y las recepciones
+    const toShipment = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        vehiculo: row.vehicle,
+        estado: row.status,
+        salida: row.departed_at,
+        llegadaEstimada: row.eta,
+        entregadoEn: row.delivered_at,
+        creado: row.created_at,
+        actualizado: row.updated_at,
+        ...JSON.parse(row.data)
+    });
+
+    const toPosition = row => ({
+        lat: row.lat,
+        lng: row.lng,
+        fecha: row.recorded_at,
+        velocidadKmh: row.speed,
+        rumbo: row.heading,
+        precisionM: row.accuracy,
+        recibidaEn: row.received_at
+    });
+
+    return {
+        /**
+         * Crea un envío y lo enlaza con sus lotes
+         * @param {Object} shipment - { ruc, vehiculo, estado, salida, llegadaEstimada, lotes: [{ loteId }], ...datos }
+         * @returns {Object} Envío creado
+         */
+        create(shipment) {
+            const { ruc, vehiculo, estado, salida, llegadaEstimada, ...data } = shipment;
+            const info = insertShipment.run({
+                ruc: String(ruc),
+                vehicle: vehiculo,
+                status: estado,
+                departedAt: salida,
+                eta: llegadaEstimada,
+                createdAt: new Date().toISOString(),
+                data: JSON.stringify(data)
+            });
+            data.lotes.forEach(lote => insertBatch.run(info.lastInsertRowid, String(lote.loteId)));
+            return toShipment(selectById.get(info.lastInsertRowid));
+        },
+
+        findById(id, ruc) {
+            const row = selectByTenant.get(Number(id), String(ruc));
+            return row ? toShipment(row) : null;
+        },
+
+        // Envíos de una empresa, del más reciente al más antiguo
+        list(ruc) {
+            return selectAll.all(String(ruc)).map(toShipment);
+        },
+
+        // Envío sin entregar que lleva un lote (null si no está en ninguno)
+        findActiveByBatch(batchId) {
+            const row = selectActiveByBatch.get(String(batchId));
+            return row ? toShipment(row) : null;
+        },
+
+        // Actualiza el estado del envío y combina los datos recibidos con los guardados
+        update(id, { estado, entregadoEn, ...data }) {
+            const current = selectById.get(id);
+            if (!current) return null;
+            updateShipment.run({
+                id,
+                status: estado || current.status,
+                deliveredAt: entregadoEn || current.delivered_at,
+                updatedAt: new Date().toISOString(),
+                data: JSON.stringify({ ...JSON.parse(current.data), ...data })
+            });
+            return toShipment(selectById.get(id));
+        },
+
+        /**
+         * Guarda una posición del GPS; una posición repetida (misma fecha) se ignora
+         * @param {number} shipmentId - ID del envío
+         * @param {Object} position - { lat, lng, fecha, velocidadKmh, rumbo, precisionM }
+         * @returns {boolean} true si se guardó
+         */
+        insertPosition(shipmentId, position) {
+            return insertPosition.run({
+                shipmentId,
+                recordedAt: position.fecha,
+                lat: position.lat,
+                lng: position.lng,
+                speed: position.velocidadKmh,
+                heading: position.rumbo,
+                accuracy: position.precisionM,
+                receivedAt: new Date().toISOString()
+            }).changes > 0;
+        },
+
+        lastPosition(shipmentId) {
+            const row = selectLastPosition.get(shipmentId);
+            return row ? toPosition(row) : null;
+        },
+
+        // Recorrido del envío ordenado por fecha, opcionalmente entre dos fechas
+        listPositions(shipmentId, { desde, hasta } = {}) {
+            return selectPositions.all({ shipmentId, since: desde || '', until: hasta || '9999' }).map(toPosition);
+        },
+
+        countPositions(shipmentId) {
+            return countPositions.get(shipmentId).total;
+        }
+    };
+}
+
+function createNotificationRepository(db) {
+    const insertSubscription = db.prepare(`
+        INSERT INTO notification_subscriptions (ruc, scope, user_id, role, channel, mode, active, created_at, updated_at, data)
+        VALUES (@ruc, @scope, @userId, @role, @channel, @mode, @active, @createdAt, @createdAt, @data)
+    `);
+    const selectSubscription = db.prepare('SELECT * FROM notification_subscriptions WHERE id = ?');
+    const selectSubscriptionByTenant = db.prepare('SELECT * FROM notification_subscriptions WHERE id = ? AND ruc = ?');
+    const selectSubscriptions = db.prepare('SELECT * FROM notification_subscriptions WHERE ruc = ? ORDER BY id');
+    const selectUserSubscriptions = db.prepare(`
+        SELECT * FROM notification_subscriptions
+        WHERE ruc = @ruc AND ((scope = 'usuario' AND user_id = @userId) OR (scope = 'rol' AND role = @role))
+        ORDER BY id
+    `);
+    // Las de envío inmediato primero: si un usuario coincide con varias reglas, recibe la alerta de inmediato
+    const selectActiveSubscriptions = db.prepare(`
+        SELECT * FROM notification_subscriptions WHERE ruc = ? AND active = 1
+        ORDER BY CASE mode WHEN 'inmediato' THEN 0 ELSE 1 END, id
+    `);
+    const updateSubscription = db.prepare(`
+        UPDATE notification_subscriptions SET channel = @channel, mode = @mode, active = @active, updated_at = @updatedAt, data = @data
+        WHERE id = @id
+    `);
+    const deleteSubscription = db.prepare('DELETE FROM notification_subscriptions WHERE id = ?');
+    const deleteWaiting = db.prepare("DELETE FROM notification_deliveries WHERE subscription_id = ? AND status = 'resumen'");
+
+    const insertDelivery = db.prepare(`
+        INSERT INTO notification_deliveries (ruc, subscription_id, user_id, channel, destination, status, next_attempt_at, created_at, updated_at, data)
+        VALUES (@ruc, @subscriptionId, @userId, @channel, @destination, @status, @nextAttemptAt, @createdAt, @createdAt, @data)
+    `);
+    const selectDelivery = db.prepare('SELECT * FROM notification_deliveries WHERE id = ?');
+    const selectDeliveryByTenant = db.prepare('SELECT * FROM notification_deliveries WHERE id = ? AND ruc = ?');
+    const selectDue = db.prepare(`
+        SELECT * FROM notification_deliveries WHERE status = 'pendiente' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at, id LIMIT ?
+    `);
+    const selectWaiting = db.prepare("SELECT * FROM notification_deliveries WHERE status = 'resumen' ORDER BY created_at, id");
+    const updateDelivery = db.prepare(`
+        UPDATE notification_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+            updated_at = @updatedAt, data = @data
+        WHERE id = @id
+    `);
+    const countDeliveriesByStatus = db.prepare('SELECT status, COUNT(*) AS total FROM notification_deliveries WHERE ruc = ? GROUP BY status');
+    const countUnread = db.prepare(`
+        SELECT COUNT(*) AS total FROM notification_deliveries
+        WHERE user_id = ? AND channel = 'app' AND status = 'enviada' AND read_at IS NULL
+    `);
+    const markRead = db.prepare(`
+        UPDATE notification_deliveries SET read_at = @readAt
+        WHERE id = @id AND user_id = @userId AND channel = 'app' AND status = 'enviada' AND read_at IS NULL
+    `);
+    const markAllRead = db.prepare(`
+        UPDATE notification_deliveries SET read_at = @readAt
+        WHERE user_id = @userId AND channel = 'app' AND status = 'enviada' AND read_at IS NULL
+    `);
+
+    // data guarda los filtros de la regla (eventos, severidades, fincas), el intervalo del resumen,
+    // el webhook con su secreto, el nombre y quién la creó
+    const toSubscription = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        alcance: row.scope,
+        usuarioId: row.user_id,
+        rol: row.role,
+        canal: row.channel,
+        modo: row.mode,
+        activa: row.active === 1,
+        creada: row.created_at,
+        actualizada: row.updated_at,
+        ...JSON.parse(row.data)
+    });
+
+    // data guarda el evento, las alertas notificadas, el asunto y el texto, el último error y la respuesta del destino
+    const toDelivery = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        suscripcionId: row.subscription_id,
+        usuarioId: row.user_id,
+        canal: row.channel,
+        destino: row.destination,
+        estado: row.status,
+        intentos: row.attempts,
+        proximoIntento: row.next_attempt_at,
+        leidaEn: row.read_at,
+        fecha: row.created_at,
+        actualizada: row.updated_at,
+        ...JSON.parse(row.data)
+    });
+
+    return {
+        /**
+         * Crea una regla de suscripción
+         * @param {Object} subscription - { ruc, alcance, usuarioId, rol, canal, modo, activa, ...datos }
+         * @returns {Object} Regla creada
+         */
+        createSubscription(subscription) {
+            const { ruc, alcance, usuarioId, rol, canal, modo, activa, ...data } = subscription;
+            const info = insertSubscription.run({
+                ruc: String(ruc),
+                scope: alcance,
+                userId: usuarioId || null,
+                role: rol || null,
+                channel: canal,
+                mode: modo,
+                active: activa === false ? 0 : 1,
+                createdAt: new Date().toISOString(),
+                data: JSON.stringify(data)
+            });
+            return toSubscription(selectSubscription.get(info.lastInsertRowid));
+        },
+
+        findSubscription(id, ruc) {
+            const row = ruc === undefined ? selectSubscription.get(id) : selectSubscriptionByTenant.get(id, String(ruc));
+            return row ? toSubscription(row) : null;
+        },
+
+        // Reglas de una empresa; con user, solo las del usuario y las de su rol
+        listSubscriptions(ruc, user = null) {
+            const rows = user
+                ? selectUserSubscriptions.all({ ruc: String(ruc), userId: user.id, role: user.role })
+                : selectSubscriptions.all(String(ruc));
+            return rows.map(toSubscription);
+        },
+
+        listActiveSubscriptions(ruc) {
+            return selectActiveSubscriptions.all(String(ruc)).map(toSubscription);
+        },
+
+        // Actualiza una regla; el alcance no cambia
+        updateSubscription(id, { canal, modo, activa, ...data }) {
+            const current = selectSubscription.get(id);
+            if (!current) return null;
+            updateSubscription.run({
+                id,
+                channel: canal || current.channel,
+                mode: modo || current.mode,
+                active: activa === undefined ? current.active : (activa ? 1 : 0),
+                updatedAt: new Date().toISOString(),
+                data: JSON.stringify({ ...JSON.parse(current.data), ...data })
+            });
+            return toSubscription(selectSubscription.get(id));
+        },
+
+        // Elimina una regla junto con las alertas que esperaban su resumen
+        deleteSubscription(id) {
+            deleteWaiting.run(id);
+            return deleteSubscription.run(id).changes > 0;
+        },
+
+        /**
+         * Registra una entrega
+         * @param {Object} delivery - { ruc, suscripcionId, usuarioId, canal, destino, estado, proximoIntento, ...datos }
+         * @returns {Object} Entrega creada
+         */
+        createDelivery(delivery) {
+            const { ruc, suscripcionId, usuarioId, canal, destino, estado, proximoIntento, ...data } = delivery;
+            const info = insertDelivery.run({
+                ruc: String(ruc),
+                subscriptionId: suscripcionId || null,
+                userId: usuarioId || null,
+                channel: canal,
+                destination: destino,
+                status: estado,
+                nextAttemptAt: proximoIntento || null,
+                createdAt: new Date().toISOString(),
+                data: JSON.stringify(data)
+            });
+            return toDelivery(selectDelivery.get(info.lastInsertRowid));
+        },
+
+        findDelivery(id, ruc) {
+            const row = ruc === undefined ? selectDelivery.get(id) : selectDeliveryByTenant.get(id, String(ruc));
+            return row ? toDelivery(row) : null;
+        },
+
+        // Entregas pendientes cuyo próximo intento ya llegó, de la más antigua a la más reciente
+        listDue(now, limit = 50) {
+            return selectDue.all(now, limit).map(toDelivery);
+        },
+
+        // Alertas que esperan el resumen de su regla
+        listWaiting() {
+            return selectWaiting.all().map(toDelivery);
+        },
+
+        // Actualiza el estado de una entrega y combina los datos recibidos con los guardados
+        updateDelivery(id, { estado, intentos, proximoIntento, ...data }) {
+            const current = selectDelivery.get(id);
+            if (!current) return null;
+            updateDelivery.run({
+                id,
+                status: estado || current.status,
+                attempts: intentos === undefined ? current.attempts : intentos,
+                nextAttemptAt: proximoIntento === undefined ? current.next_attempt_at : proximoIntento,
+                updatedAt: new Date().toISOString(),
+                data: JSON.stringify({ ...JSON.parse(current.data), ...data })
+            });
+            return toDelivery(selectDelivery.get(id));
+        },
+
+        /**
+         * Lista entregas de una empresa, de la más reciente a la más antigua
+         * @param {Object} query - { ruc, estado, canal, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        listDeliveries(query = {}) {
+            const where = ['ruc = @ruc', "status != 'agrupada'"];
+            const params = { ruc: String(query.ruc) };
+            if (query.estado) {
+                where.push('status = @status');
+                params.status = query.estado;
+            }
+            if (query.canal) {
+                where.push('channel = @channel');
+                params.channel = query.canal;
+            }
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const filter = ' WHERE ' + where.join(' AND ');
+            const total = db.prepare('SELECT COUNT(*) AS total FROM notification_deliveries' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM notification_deliveries' + filter + ' ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(toDelivery);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        // Cantidad de entregas de una empresa por estado
+        countDeliveriesByStatus(ruc) {
+            const counts = {};
+            countDeliveriesByStatus.all(String(ruc)).forEach(row => {
+                counts[row.status] = row.total;
+            });
+            return counts;
+        },
+
+        /**
+         * Bandeja de la aplicación de un usuario, de la más reciente a la más antigua
+         * @param {Object} query - { usuarioId, noLeidas, page, limit }
+         * @returns {Object} { total, page, limit, pages, data }
+         */
+        listInbox(query) {
+            const unread = query.noLeidas ? ' AND read_at IS NULL' : '';
+            const filter = ` WHERE user_id = @userId AND channel = 'app' AND status = 'enviada'${unread}`;
+            const params = { userId: String(query.usuarioId) };
+
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            const total = db.prepare('SELECT COUNT(*) AS total FROM notification_deliveries' + filter).get(params).total;
+            const data = db.prepare('SELECT * FROM notification_deliveries' + filter + ' ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset')
+                .all({ ...params, limit, offset: (page - 1) * limit })
+                .map(toDelivery);
+
+            return { total, page, limit, pages: Math.ceil(total / limit), data };
+        },
+
+        countUnread(userId) {
+            return countUnread.get(String(userId)).total;
+        },
+
+        // Marca como leída una notificación de la bandeja del usuario; devuelve false si no existe o ya estaba leída
+        markRead(id, userId) {
+            return markRead.run({ id, userId: String(userId), readAt: new Date().toISOString() }).changes > 0;
+        },
+
+        // Marca como leídas todas las notificaciones de la bandeja del usuario; devuelve cuántas
+        markAllRead(userId) {
+            return markAllRead.run({ userId: String(userId), readAt: new Date().toISOString() }).changes;
+        }
+    };
+}
+
+function createLiveEventRepository(db) {
+    const insertEvent = db.prepare(`
+        INSERT INTO live_events (ruc, user_id, type, permission, created_at, data)
+        VALUES (@ruc, @userId, @type, @permission, @createdAt, @data)
+    `);
+    const selectEvent = db.prepare('SELECT * FROM live_events WHERE id = ?');
+    const selectAfter = db.prepare('SELECT * FROM live_events WHERE id > ? ORDER BY id LIMIT ?');
+    // Eventos de la empresa y los de todas las empresas (ruc nulo, como los bloques del ledger)
+    const selectTenantAfter = db.prepare(`
+        SELECT * FROM live_events WHERE id > @afterId AND (ruc = @ruc OR ruc IS NULL) ORDER BY id LIMIT @limit
+    `);
+    const selectFirstId = db.prepare('SELECT MIN(id) AS id FROM live_events');
+    // El último ID asignado se lee de la secuencia: sigue disponible aunque la tabla quede vacía
+    const selectLastId = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'live_events'");
+    const deleteBefore = db.prepare('DELETE FROM live_events WHERE created_at < ?');
+
+    const toEvent = row => ({
+        id: row.id,
+        ruc: row.ruc,
+        usuarioId: row.user_id,
+        tipo: row.type,
+        permiso: row.permission,
+        fecha: row.created_at,
+        datos: JSON.parse(row.data)
+    });
+
+    return {
+        /**
+         * Guarda un evento del canal en vivo
+         * @param {Object} event - { ruc (null = todas las empresas), usuarioId?, tipo, permiso, datos }
+         * @returns {Object} Evento con su id
+         */
+        create(event) {
+            const info = insertEvent.run({
+                ruc: event.ruc ? String(event.ruc) : null,
+                userId: event.usuarioId || null,
+                type: event.tipo,
+                permission: event.permiso,
+                createdAt: new Date().toISOString(),
+                data: JSON.stringify(event.datos || {})
+            });
+            return toEvent(selectEvent.get(info.lastInsertRowid));
+        },
+
+        // Eventos de todas las empresas posteriores a un ID, en orden
+        listAfter(afterId, limit = 500) {
+            return selectAfter.all(afterId, limit).map(toEvent);
+        },
+
+        // Eventos que puede recibir una empresa posteriores a un ID, en orden
+        listForTenantAfter(ruc, afterId, limit = 500) {
+            return selectTenantAfter.all({ ruc: String(ruc), afterId, limit }).map(toEvent);
+        },
+
+        // ID del evento más antiguo que se conserva (null si no hay eventos)
+        firstId() {
+            return selectFirstId.get().id;
+        },
+
+        // ID del último evento guardado (0 si nunca se guardó uno)
+        lastId() {
+            const row = selectLastId.get();
+            return row ? row.seq : 0;
+        },
+
+        // Elimina los eventos anteriores a una fecha; devuelve cuántos
+        deleteBefore(fecha) {
+            return deleteBefore.run(fecha).changes;
+        }
+    };
+}
+
+function createRepositories(db) {
+    return {
+        db,
+        batches: createBatchRepository(db),
+        batchEvents: createBatchEventRepository(db),
+        certifications: createCertificationRepository(db),
+        audits: createAuditRepository(db),
+        settings: createSettingsRepository(db),
+        tenants: createTenantRepository(db),
+        users: createUserRepository(db),
+        sessions: createSessionRepository(db),
+        userTokens: createUserTokenRepository(db),
+        ledger: createLedgerRepository(db),
+        contractCalls: createContractCallRepository(db),
+        contractEvents: createContractEventRepository(db),
+        alerts: createAlertRepository(db),
+        thresholdVersions: createThresholdVersionRepository(db),
+        telemetry: createTelemetryRepository(db),
+        shipments: createShipmentRepository(db),
+        notifications: createNotificationRepository(db),
+        liveEvents: createLiveEventRepository(db)
+    };
+}
+
+module.exports = {
+    createRepositories,
+    createBatchRepository,
+    createBatchEventRepository,
+    createCertificationRepository,
+    createAuditRepository,
+    createSettingsRepository,
+    createTenantRepository,
+    createUserRepository,
+    createSessionRepository,
+    createUserTokenRepository,
+    createLedgerRepository,
+    createContractCallRepository,
+    createContractEventRepository,
+    createAlertRepository,
+    createThresholdVersionRepository,
+    createTelemetryRepository,
+    createShipmentRepository,
+    createNotificationRepository,
+    createLiveEventRepository
+};
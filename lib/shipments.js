@@ -0,0 +1,306 @@
+/**
+ * Envíos y seguimiento GPS
+ * Valida los envíos (lotes, vehículo, conductor y ruta planificada) y las posiciones del GPS del camión,
+ * calcula el estado del envío a partir de la última posición y detecta la llegada a la geocerca de la planta
+ */
+
+// Estados de un envío
+const SHIPMENT_STATES = {
+    en_transito: 'En tránsito',
+    retrasado: 'Retrasado, pasó la llegada estimada',
+    fuera_de_ruta: 'Fuera de la ruta planificada',
+    entregado: 'Entregado en la planta'
+};
+
+// Radio de la geocerca de llegada y distancia máxima a la ruta planificada (metros) por defecto
+const DEFAULT_ARRIVAL_RADIUS_M = 500;
+const DEFAULT_MAX_DEVIATION_M = 5000;
+// Máximo de lotes por envío y de posiciones por solicitud
+const MAX_BATCHES = 20;
+const MAX_POSITIONS = 1000;
+const PLATE_PATTERN = /^[A-Z0-9-]{5,10}$/;
+// Margen para relojes desajustados al rechazar fechas futuras
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const EARTH_RADIUS_M = 6371000;
+
+// Error de validación o de estado con el código HTTP a devolver
+class ShipmentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ShipmentError';
+        this.status = status;
+    }
+}
+
+// Función para convertir un valor a número (null si no es válido)
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+// Función para leer una fecha y devolverla en ISO (null si es opcional y no se envió)
+function toDate(value, field, { required = true, future = false } = {}) {
+    if (!value && !required) return null;
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        throw new ShipmentError(`${field} debe ser una fecha válida`);
+    }
+    if (!future && date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+        throw new ShipmentError(`${field} no puede estar en el futuro`);
+    }
+    return date.toISOString();
+}
+
+// Función para validar un punto { lat, lng } (con nombre opcional)
+function toPoint(input, field) {
+    const lat = toNumber(input && input.lat);
+    const lng = toNumber(input && input.lng);
+    if (lat === null || lat < -90 || lat > 90 || lng === null || lng < -180 || lng > 180) {
+        throw new ShipmentError(`${field} debe tener lat (-90 a 90) y lng (-180 a 180)`);
+    }
+    const nombre = input.nombre ? String(input.nombre).trim() : null;
+    return nombre ? { nombre, lat, lng } : { lat, lng };
+}
+
+// Función para leer una distancia en metros con su valor por defecto
+function toMeters(value, field, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const meters = toNumber(value);
+    if (meters === null || meters <= 0 || meters > 100000) {
+        throw new ShipmentError(`${field} debe ser un número de metros entre 1 y 100000`);
+    }
+    return meters;
+}
+
+/**
+ * Valida un envío nuevo
+ * @param {Object} input - { lotes: [id | { loteId, pesoKg? }], vehiculo, conductor: { nombre, documento?, telefono? },
+ *   ruta: { origen, destino, puntos?, radioLlegadaM?, desvioMaximoM? }, salida?, llegadaEstimada, temperaturaC? }
+ * @returns {Object} Envío normalizado (vehículo en mayúsculas, fechas ISO)
+ * @throws {ShipmentError} Si falta un campo o un valor no es válido
+ */
+function validateShipment(input) {
+    if (!input || typeof input !== 'object') {
+        throw new ShipmentError('El envío debe ser un objeto');
+    }
+
+    const lotes = Array.isArray(input.lotes) ? input.lotes : [];
+    if (lotes.length === 0 || lotes.length > MAX_BATCHES) {
+        throw new ShipmentError(`lotes debe incluir entre 1 y ${MAX_BATCHES} lotes`);
+    }
+    const normalizados = lotes.map((lote, index) => {
+        const loteId = String((lote && typeof lote === 'object' ? lote.loteId : lote) || '').trim();
+        if (!loteId) throw new ShipmentError(`lotes[${index}]: loteId es requerido`);
+        const pesoKg = lote && typeof lote === 'object' ? toNumber(lote.pesoKg) : null;
+        if (lote && typeof lote === 'object' && lote.pesoKg !== undefined && (pesoKg === null || pesoKg <= 0)) {
+            throw new ShipmentError(`lotes[${index}]: pesoKg debe ser un número mayor que 0`);
+        }
+        return { loteId, pesoKg };
+    });
+    if (new Set(normalizados.map(lote => lote.loteId)).size !== normalizados.length) {
+        throw new ShipmentError('Los lotes del envío no pueden repetirse');
+    }
+
+    const vehiculo = String(input.vehiculo || '').trim().toUpperCase();
+    if (!PLATE_PATTERN.test(vehiculo)) {
+        throw new ShipmentError('vehiculo debe ser una placa válida (ej. ABC-123)');
+    }
+
+    const conductor = typeof input.conductor === 'string' ? { nombre: input.conductor } : (input.conductor || {});
+    const nombre = String(conductor.nombre || '').trim();
+    if (!nombre) {
+        throw new ShipmentError('conductor.nombre es requerido');
+    }
+
+    const ruta = input.ruta || {};
+    const puntos = ruta.puntos === undefined ? [] : ruta.puntos;
+    if (!Array.isArray(puntos)) {
+        throw new ShipmentError('ruta.puntos debe ser una lista de puntos { lat, lng }');
+    }
+
+    const salida = toDate(input.salida || new Date().toISOString(), 'salida');
+    const llegadaEstimada = toDate(input.llegadaEstimada, 'llegadaEstimada', { future: true });
+    if (llegadaEstimada <= salida) {
+        throw new ShipmentError('llegadaEstimada debe ser posterior a la salida');
+    }
+
+    const temperaturaC = toNumber(input.temperaturaC);
+    if (input.temperaturaC !== undefined && (temperaturaC === null || temperaturaC < -30 || temperaturaC > 60)) {
+        throw new ShipmentError('temperaturaC debe ser un número entre -30 y 60');
+    }
+
+    return {
+        lotes: normalizados,
+        vehiculo,
+        conductor: {
+            nombre,
+            documento: conductor.documento ? String(conductor.documento).trim() : null,
+            telefono: conductor.telefono ? String(conductor.telefono).trim() : null
+        },
+        ruta: {
+            origen: toPoint(ruta.origen, 'ruta.origen'),
+            destino: toPoint(ruta.destino, 'ruta.destino'),
+            puntos: puntos.map((punto, index) => toPoint(punto, `ruta.puntos[${index}]`)),
+            radioLlegadaM: toMeters(ruta.radioLlegadaM, 'ruta.radioLlegadaM', DEFAULT_ARRIVAL_RADIUS_M),
+            desvioMaximoM: toMeters(ruta.desvioMaximoM, 'ruta.desvioMaximoM', DEFAULT_MAX_DEVIATION_M)
+        },
+        salida,
+        llegadaEstimada,
+        temperaturaC
+    };
+}
+
+/**
+ * Valida una posición del GPS
+ * @param {Object} input - { lat, lng, fecha?, velocidadKmh?, rumbo?, precisionM? } (sin fecha, la de recepción)
+ * @returns {Object} Posición normalizada
+ * @throws {ShipmentError} Si un valor está fuera de rango
+ */
+function validatePosition(input) {
+    if (!input || typeof input !== 'object') {
+        throw new ShipmentError('La posición debe ser un objeto');
+    }
+    const { lat, lng } = toPoint(input, 'La posición');
+    const fecha = toDate(input.fecha || new Date().toISOString(), 'fecha');
+
+    const optional = (field, min, max) => {
+        if (input[field] === undefined || input[field] === null) return null;
+        const value = toNumber(input[field]);
+        if (value === null || value < min || value > max) {
+            throw new ShipmentError(`${field} debe ser un número entre ${min} y ${max}`);
+        }
+        return value;
+    };
+
+    return {
+        lat,
+        lng,
+        fecha,
+        velocidadKmh: optional('velocidadKmh', 0, 200),
+        rumbo: optional('rumbo', 0, 360),
+        precisionM: optional('precisionM', 0, 10000)
+    };
+}
+
+/**
+ * Valida las posiciones de una solicitud: { posiciones: [...] } o una sola posición
+ * @param {Object} body - Cuerpo de la solicitud
+ * @returns {Array} Posiciones ordenadas por fecha
+ * @throws {ShipmentError} Si no hay posiciones, son más de MAX_POSITIONS o alguna no es válida
+ */
+function validatePositions(body) {
+    const posiciones = body && Array.isArray(body.posiciones) ? body.posiciones : (body && body.lat !== undefined ? [body] : []);
+    if (posiciones.length === 0) {
+        throw new ShipmentError('Envíe una posición { lat, lng, fecha } o una lista en posiciones');
+    }
+    if (posiciones.length > MAX_POSITIONS) {
+        throw new ShipmentError(`Se admiten hasta ${MAX_POSITIONS} posiciones por solicitud`, 413);
+    }
+
+    return posiciones
+        .map((posicion, index) => {
+            try {
+                return validatePosition(posicion);
+            } catch (error) {
+                if (!(error instanceof ShipmentError)) throw error;
+                throw new ShipmentError(`posiciones[${index}]: ${error.message}`);
+            }
+        })
+        .sort((a, b) => a.fecha.localeCompare(b.fecha));
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Distancia sobre la superficie terrestre entre dos puntos (haversine)
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Metros
+ */
+function distanceMeters(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Función para la distancia de un punto a un tramo de la ruta
+// Proyecta en un plano local alrededor del punto (suficiente para tramos de pocos cientos de kilómetros)
+function distanceToSegment(point, start, end) {
+    const scale = Math.cos(toRadians(point.lat));
+    const toXY = p => ({ x: toRadians(p.lng - point.lng) * scale * EARTH_RADIUS_M, y: toRadians(p.lat - point.lat) * EARTH_RADIUS_M });
+    const a = toXY(start);
+    const b = toXY(end);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = dx * dx + dy * dy;
+    const t = length ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / length)) : 0;
+    return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+/**
+ * Distancia de un punto a la ruta planificada (origen, puntos intermedios y destino)
+ * @param {Object} point - { lat, lng }
+ * @param {Object} ruta - Ruta del envío
+ * @returns {number} Metros
+ */
+function distanceToRoute(point, ruta) {
+    const path = [ruta.origen, ...ruta.puntos, ruta.destino];
+    let minimum = Infinity;
+    for (let index = 1; index < path.length; index++) {
+        minimum = Math.min(minimum, distanceToSegment(point, path[index - 1], path[index]));
+    }
+    return minimum;
+}
+
+/**
+ * Estado del envío según una posición
+ * La llegada a la geocerca de destino entrega el envío; alejarse de la ruta más que desvioMaximoM lo deja
+ * fuera de ruta; pasada la llegada estimada queda retrasado
+ * @param {Object} envio - Envío con ruta y llegadaEstimada
+ * @param {Object} posicion - { lat, lng, fecha }
+ * @param {string} ahora - Fecha ISO con la que se evalúa el retraso
+ * @returns {Object} { estado, distanciaDestinoM, distanciaRutaM }
+ */
+function evaluatePosition(envio, posicion, ahora) {
+    const distanciaDestinoM = round(distanceMeters(posicion, envio.ruta.destino));
+    const distanciaRutaM = round(distanceToRoute(posicion, envio.ruta));
+
+    let estado = 'en_transito';
+    if (distanciaDestinoM <= envio.ruta.radioLlegadaM) estado = 'entregado';
+    else if (distanciaRutaM > envio.ruta.desvioMaximoM) estado = 'fuera_de_ruta';
+    else if (ahora > envio.llegadaEstimada) estado = 'retrasado';
+
+    return { estado, distanciaDestinoM, distanciaRutaM };
+}
+
+/**
+ * Estado vigente de un envío: un envío en tránsito pasa a retrasado al vencer su llegada estimada
+ * aunque el GPS no haya enviado posiciones nuevas
+ * @param {Object} envio - Envío guardado
+ * @param {string} ahora - Fecha ISO
+ * @returns {string} Estado de SHIPMENT_STATES
+ */
+function currentState(envio, ahora) {
+    return envio.estado === 'en_transito' && ahora > envio.llegadaEstimada ? 'retrasado' : envio.estado;
+}
+
+module.exports = {
+    SHIPMENT_STATES,
+    MAX_POSITIONS,
+    ShipmentError,
+    validateShipment,
+    validatePosition,
+    validatePositions,
+    distanceMeters,
+    distanceToRoute,
+    evaluatePosition,
+    currentState
+};
@@ -0,0 +1,108 @@
+/**
+ * Lectura de hojas de cálculo (.xlsx/.xls/.ods) con el formato de conteo de lotes
+ * Convierte la hoja elegida en registros y los valida igual que un CSV
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { validateRecords } = require('./csvParser');
+
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods'];
+
+// Firmas binarias: ZIP (xlsx/ods) y OLE2 (xls)
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0]);
+
+/**
+ * Indica si el archivo subido es una hoja de cálculo, por extensión o por firma
+ * @param {string} filePath - Ruta del archivo en disco
+ * @param {string} originalName - Nombre original del archivo
+ * @returns {boolean}
+ */
+function isSpreadsheet(filePath, originalName) {
+    const ext = path.extname(originalName || filePath).toLowerCase();
+    if (SPREADSHEET_EXTENSIONS.includes(ext)) {
+        return true;
+    }
+
+    const header = Buffer.alloc(4);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 4, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return header.equals(ZIP_SIGNATURE) || header.equals(OLE_SIGNATURE);
+}
+
+// Función para formatear las celdas de fecha como en los CSV de conteo
+function formatCell(value) {
+    if (value instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+            `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// Función para convertir una hoja en registros { line, fields } con el número de fila real
+function sheetToRecords(sheet) {
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: true });
+    const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : { s: { r: 0 } };
+
+    return rows
+        .map((fields, index) => ({ line: range.s.r + index + 1, fields: fields.map(formatCell) }))
+        .filter(record => record.fields.some(value => value.trim() !== ''));
+}
+
+// Función para saber si la primera fila con datos contiene CALIDAD_STATUS
+function hasStatusHeader(records) {
+    return records.length > 0 &&
+        records[0].fields.some(value => value.trim().toUpperCase() === 'CALIDAD_STATUS');
+}
+
+/**
+ * Lee un libro y valida la hoja indicada o la primera que tenga CALIDAD_STATUS
+ * @param {string} filePath - Ruta del archivo en disco
+ * @param {Object} options - { sheet } nombre o índice (base 0) de la hoja
+ * @returns {Object} Resultado de validateRecords con { hoja, hojasDisponibles }
+ * @throws {Error} con code 'SHEET_NOT_FOUND' si la hoja pedida no existe
+ */
+function parseLoteWorkbook(filePath, options = {}) {
+    const workbook = XLSX.readFile(filePath, { cellDates: true });
+    const hojasDisponibles = workbook.SheetNames;
+    const meta = { hojasDisponibles };
+
+    let sheetName;
+    if (options.sheet !== undefined && options.sheet !== null && options.sheet !== '') {
+        const byIndex = /^\d+$/.test(String(options.sheet)) ? hojasDisponibles[Number(options.sheet)] : undefined;
+        sheetName = hojasDisponibles.includes(options.sheet) ? options.sheet : byIndex;
+
+        if (!sheetName) {
+            const error = new Error(`La hoja "${options.sheet}" no existe en el libro`);
+            error.code = 'SHEET_NOT_FOUND';
+            error.hojasDisponibles = hojasDisponibles;
+            throw error;
+        }
+
+        return validateRecords(sheetToRecords(workbook.Sheets[sheetName]), { ...meta, hoja: sheetName });
+    }
+
+    // Sin hoja indicada: la primera que tenga el encabezado CALIDAD_STATUS
+    for (const name of hojasDisponibles) {
+        const records = sheetToRecords(workbook.Sheets[name]);
+        if (hasStatusHeader(records)) {
+            return validateRecords(records, { ...meta, hoja: name });
+        }
+    }
+
+    const first = hojasDisponibles[0];
+    const records = first ? sheetToRecords(workbook.Sheets[first]) : [];
+    return validateRecords(records, { ...meta, hoja: first || null });
+}
+
+module.exports = {
+    isSpreadsheet,
+    parseLoteWorkbook
+};
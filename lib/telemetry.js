@@ -0,0 +1,263 @@
+/**
+ * Telemetría de la cadena de frío
+ * Valida las lecturas de los termógrafos (JSON o line protocol de InfluxDB), resume la serie de cada
+ * envío (lote y vehículo) y detecta las excursiones sobre la temperatura máxima de transporte
+ */
+
+// Máximo de lecturas por solicitud
+const MAX_READINGS = 5000;
+// Margen para relojes desajustados al rechazar fechas futuras
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Un hueco mayor entre dos lecturas no cuenta como tiempo sobre el umbral ni une dos excursiones
+const MAX_GAP_MINUTES = 30;
+// Una excursión es de severidad alta si dura al menos esto o supera el umbral por este margen
+const HIGH_SEVERITY_MINUTES = 60;
+const HIGH_SEVERITY_DELTA_C = 2;
+
+// Nombres admitidos en el line protocol para cada campo de la lectura
+const LINE_TAGS = { dispositivo: 'dispositivoId', dispositivoId: 'dispositivoId', lote: 'loteId', loteId: 'loteId', vehiculo: 'vehiculo' };
+const LINE_FIELDS = { temperatura: 'temperaturaC', temperaturaC: 'temperaturaC', humedad: 'humedadPct', humedadPct: 'humedadPct' };
+// Divisor de la marca de tiempo del line protocol para obtener milisegundos según la precisión
+const PRECISIONS = { ns: 1e6, us: 1e3, ms: 1, s: 1e-3 };
+
+// Error de validación con el código HTTP a devolver
+class TelemetryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TelemetryError';
+        this.status = status;
+    }
+}
+
+// Función para convertir un valor a número (null si no es válido)
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+function minutesBetween(desde, hasta) {
+    return (new Date(hasta).getTime() - new Date(desde).getTime()) / 60000;
+}
+
+/**
+ * Valida una lectura
+ * @param {Object} input - { dispositivoId, loteId?, vehiculo?, fecha, temperaturaC, humedadPct? }
+ * @returns {Object} Lectura normalizada (fecha ISO, vehículo en mayúsculas)
+ * @throws {TelemetryError} Si falta un campo o un valor está fuera de rango
+ */
+function validateReading(input) {
+    if (!input || typeof input !== 'object') {
+        throw new TelemetryError('La lectura debe ser un objeto');
+    }
+    const dispositivoId = String(input.dispositivoId || '').trim();
+    if (!dispositivoId || dispositivoId.length > 64) {
+        throw new TelemetryError('dispositivoId es requerido (máximo 64 caracteres)');
+    }
+    const loteId = input.loteId ? String(input.loteId).trim() : null;
+    const vehiculo = input.vehiculo ? String(input.vehiculo).trim().toUpperCase() : null;
+    if (!loteId && !vehiculo) {
+        throw new TelemetryError('Indique loteId o vehiculo');
+    }
+
+    const date = new Date(input.fecha);
+    if (!input.fecha || Number.isNaN(date.getTime())) {
+        throw new TelemetryError('fecha debe ser una fecha válida');
+    }
+    if (date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+        throw new TelemetryError('fecha no puede estar en el futuro');
+    }
+
+    const temperaturaC = toNumber(input.temperaturaC);
+    if (temperaturaC === null || temperaturaC < -40 || temperaturaC > 80) {
+        throw new TelemetryError('temperaturaC debe ser un número entre -40 y 80');
+    }
+    const humedadPct = toNumber(input.humedadPct);
+    if (input.humedadPct !== undefined && input.humedadPct !== null && (humedadPct === null || humedadPct < 0 || humedadPct > 100)) {
+        throw new TelemetryError('humedadPct debe ser un porcentaje entre 0 y 100');
+    }
+
+    return { dispositivoId, loteId, vehiculo, fecha: date.toISOString(), temperaturaC, humedadPct };
+}
+
+/**
+ * Valida un lote de lecturas; las inválidas se informan sin rechazar las demás
+ * @param {Array} lecturas - Lecturas recibidas
+ * @returns {Object} { validas, errores: [{ indice, linea?, error }] }
+ * @throws {TelemetryError} Si no hay lecturas o son más de MAX_READINGS
+ */
+function validateReadings(lecturas) {
+    if (!Array.isArray(lecturas) || lecturas.length === 0) {
+        throw new TelemetryError('Envíe al menos una lectura en lecturas');
+    }
+    if (lecturas.length > MAX_READINGS) {
+        throw new TelemetryError(`Se admiten hasta ${MAX_READINGS} lecturas por solicitud`, 413);
+    }
+
+    const validas = [];
+    const errores = [];
+    lecturas.forEach((input, indice) => {
+        // Las lecturas del line protocol indican su línea para ubicar el error
+        const linea = input && input.linea ? { linea: input.linea } : {};
+        if (input && input.error) {
+            errores.push({ indice, ...linea, error: input.error });
+            return;
+        }
+        try {
+            validas.push({ indice, ...validateReading(input) });
+        } catch (error) {
+            if (!(error instanceof TelemetryError)) throw error;
+            errores.push({ indice, ...linea, error: error.message });
+        }
+    });
+    return { validas, errores };
+}
+
+/**
+ * Convierte lecturas en line protocol de InfluxDB a lecturas JSON
+ * Formato: medicion,dispositivo=TH-01,lote=<id>,vehiculo=ABC-123 temperatura=7.4,humedad=88 1760000000000000000
+ * Sin marca de tiempo se usa el momento de la recepción
+ * @param {string} text - Una lectura por línea (las vacías y las que empiezan con # se ignoran)
+ * @param {string} precision - ns (por defecto), us, ms o s
+ * @returns {Array} Lecturas sin validar; las líneas mal formadas llevan { linea, error }
+ */
+function parseLineProtocol(text, precision = 'ns') {
+    const divisor = PRECISIONS[precision];
+    if (!divisor) {
+        throw new TelemetryError(`precision debe ser una de ${Object.keys(PRECISIONS).join(', ')}`);
+    }
+
+    return String(text || '').split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), linea: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, linea }) => {
+            const [serie, campos, marca] = line.split(/\s+/);
+            if (!campos) return { linea, error: 'Faltan los campos de la lectura' };
+
+            const lectura = { linea };
+            serie.split(',').slice(1).forEach(pair => {
+                const [key, value] = pair.split('=');
+                if (LINE_TAGS[key]) lectura[LINE_TAGS[key]] = value;
+            });
+            campos.split(',').forEach(pair => {
+                const [key, value] = pair.split('=');
+                if (LINE_FIELDS[key]) lectura[LINE_FIELDS[key]] = String(value).replace(/i$/, '');
+            });
+
+            if (marca === undefined) {
+                lectura.fecha = new Date().toISOString();
+                return lectura;
+            }
+            const date = /^\d+$/.test(marca) ? new Date(Math.round(Number(marca) / divisor)) : null;
+            if (!date || Number.isNaN(date.getTime())) {
+                return { linea, error: `La marca de tiempo debe ser un entero en ${precision}` };
+            }
+            lectura.fecha = date.toISOString();
+            return lectura;
+        });
+}
+
+/**
+ * Excursiones de temperatura de la serie de un envío: tramos de lecturas seguidas sobre el umbral
+ * La excursión termina en la primera lectura dentro del umbral; si la serie termina sobre el umbral sigue en curso
+ * @param {Array} lecturas - Lecturas del envío ordenadas por fecha ({ fecha, temperaturaC, dispositivoId })
+ * @param {number} maxTempC - Temperatura máxima de transporte
+ * @returns {Array} [{ inicio, fin, minutos, maximoC, umbralC, lecturas, enCurso, severidad, dispositivos }]
+ */
+function findExcursions(lecturas, maxTempC) {
+    const excursions = [];
+    let current = null;
+
+    const close = (fin, enCurso) => {
+        const minutos = round(minutesBetween(current.inicio, fin));
+        excursions.push({
+            inicio: current.inicio,
+            fin,
+            minutos,
+            maximoC: current.maximoC,
+            umbralC: maxTempC,
+            lecturas: current.lecturas,
+            enCurso,
+            severidad: minutos >= HIGH_SEVERITY_MINUTES || current.maximoC - maxTempC >= HIGH_SEVERITY_DELTA_C ? 'alta' : 'media',
+            dispositivos: [...current.dispositivos]
+        });
+        current = null;
+    };
+
+    lecturas.forEach((lectura, index) => {
+        const previous = lecturas[index - 1];
+        // Un hueco largo corta la excursión en la última lectura sobre el umbral
+        if (current && previous && minutesBetween(previous.fecha, lectura.fecha) > MAX_GAP_MINUTES) {
+            close(previous.fecha, false);
+        }
+
+        if (lectura.temperaturaC > maxTempC) {
+            if (!current) {
+                current = { inicio: lectura.fecha, maximoC: lectura.temperaturaC, lecturas: 0, dispositivos: new Set() };
+            }
+            current.maximoC = Math.max(current.maximoC, lectura.temperaturaC);
+            current.lecturas++;
+            current.dispositivos.add(lectura.dispositivoId);
+        } else if (current) {
+            close(lectura.fecha, false);
+        }
+    });
+    if (current) close(lecturas[lecturas.length - 1].fecha, true);
+
+    return excursions;
+}
+
+/**
+ * Resumen de la serie de un envío
+ * El tiempo sobre el umbral suma los intervalos que empiezan con una lectura sobre el umbral
+ * (sin contar huecos mayores que MAX_GAP_MINUTES)
+ * @param {Array} lecturas - Lecturas del envío ordenadas por fecha
+ * @param {number} maxTempC - Temperatura máxima de transporte
+ * @returns {Object|null} { lecturas, desde, hasta, promedioC, maximoC, minimoC, humedadPromedioPct,
+ *   minutosMonitoreados, minutosSobreUmbral, porcentajeSobreUmbral, umbralC, excursiones } o null sin lecturas
+ */
+function summarizeSeries(lecturas, maxTempC) {
+    if (lecturas.length === 0) return null;
+
+    const temperaturas = lecturas.map(lectura => lectura.temperaturaC);
+    const humedades = lecturas.map(lectura => lectura.humedadPct).filter(value => value !== null && value !== undefined);
+    let minutosMonitoreados = 0;
+    let minutosSobreUmbral = 0;
+    lecturas.slice(1).forEach((lectura, index) => {
+        const previous = lecturas[index];
+        const minutos = minutesBetween(previous.fecha, lectura.fecha);
+        if (minutos > MAX_GAP_MINUTES) return;
+        minutosMonitoreados += minutos;
+        if (previous.temperaturaC > maxTempC) minutosSobreUmbral += minutos;
+    });
+
+    return {
+        lecturas: lecturas.length,
+        desde: lecturas[0].fecha,
+        hasta: lecturas[lecturas.length - 1].fecha,
+        promedioC: round(temperaturas.reduce((acc, value) => acc + value, 0) / temperaturas.length),
+        maximoC: Math.max(...temperaturas),
+        minimoC: Math.min(...temperaturas),
+        humedadPromedioPct: humedades.length ? round(humedades.reduce((acc, value) => acc + value, 0) / humedades.length) : null,
+        minutosMonitoreados: round(minutosMonitoreados),
+        minutosSobreUmbral: round(minutosSobreUmbral),
+        porcentajeSobreUmbral: minutosMonitoreados ? round(minutosSobreUmbral / minutosMonitoreados * 100) : 0,
+        umbralC: maxTempC,
+        excursiones: findExcursions(lecturas, maxTempC).length
+    };
+}
+
+module.exports = {
+    MAX_READINGS,
+    MAX_GAP_MINUTES,
+    TelemetryError,
+    validateReading,
+    validateReadings,
+    parseLineProtocol,
+    findExcursions,
+    summarizeSeries
+};
@@ -0,0 +1,155 @@
+/**
+ * Gobierno de los umbrales del contrato
+ * Cada cambio es una versión: se propone, se aprueba (una o dos aprobaciones según la política
+ * de la empresa), se activa en la fecha indicada y puede revertirse a los valores de una versión anterior
+ */
+
+// Umbrales, su parámetro en el contrato y los valores admitidos
+const THRESHOLD_FIELDS = {
+    maxTempC: { parametro: 'MAX_TEMP_TRANSPORT_C', min: 0, max: 60, entero: false },
+    maxDesviacionPesoPct: { parametro: 'MAX_WEIGHT_DEVIATION_PCT', min: 0, max: 100, entero: true },
+    minMateriaSecaPct: { parametro: 'MIN_DRY_MATTER_PCT', min: 0, max: 100, entero: true }
+};
+
+// Umbrales por defecto: temperatura máxima de transporte (°C), desviación de peso
+// máxima entre etapas (%) y materia seca mínima (%)
+const DEFAULT_THRESHOLDS = { maxTempC: 8, maxDesviacionPesoPct: 5, minMateriaSecaPct: 20 };
+
+// Estados de una versión
+const VERSION_STATES = {
+    propuesta: 'Propuesta, pendiente de aprobación',
+    aprobada: 'Aprobada, pendiente de activación',
+    activa: 'Vigente',
+    reemplazada: 'Reemplazada por una versión posterior',
+    rechazada: 'Rechazada'
+};
+
+// Aprobaciones que puede exigir una empresa; con dos, la versión la aprueban dos administradores distintos
+const APPROVAL_POLICIES = [1, 2];
+
+// Error de validación o de estado con el código HTTP a devolver
+class ThresholdError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ThresholdError';
+        this.status = status;
+    }
+}
+
+/**
+ * Valida los umbrales recibidos; los que no se envían se toman de la base
+ * @param {Object} body - { maxTempC, maxDesviacionPesoPct, minMateriaSecaPct } (al menos uno)
+ * @param {Object} base - Umbrales vigentes
+ * @returns {Object} Umbrales completos
+ * @throws {ThresholdError} 400 si no hay umbrales o alguno está fuera de rango
+ */
+function validateValues(body, base) {
+    const fields = Object.keys(THRESHOLD_FIELDS).filter(field => body[field] !== undefined);
+    if (fields.length === 0) {
+        throw new ThresholdError(`Indique al menos uno de ${Object.keys(THRESHOLD_FIELDS).join(', ')}`);
+    }
+
+    const umbrales = pickThresholds(base);
+    for (const field of fields) {
+        const { min, max, entero } = THRESHOLD_FIELDS[field];
+        const value = Number(body[field]);
+        if (body[field] === null || body[field] === '' || !Number.isFinite(value) ||
+            value < min || value > max || (entero && !Number.isInteger(value))) {
+            throw new ThresholdError(`${field} debe ser un ${entero ? 'entero' : 'número'} entre ${min} y ${max}`);
+        }
+        umbrales[field] = value;
+    }
+    return umbrales;
+}
+
+/**
+ * Lee la fecha de activación de una propuesta
+ * @param {string} value - Fecha ISO (opcional; sin fecha se activa al aprobarse)
+ * @returns {string|null} Fecha ISO o null
+ * @throws {ThresholdError} 400 si la fecha no es válida
+ */
+function validateActivationDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ThresholdError('activaDesde debe ser una fecha válida');
+    }
+    return date.toISOString();
+}
+
+/**
+ * Lee el comentario opcional de una acción sobre las versiones
+ * @param {string} value - Comentario
+ * @returns {string|null}
+ * @throws {ThresholdError} 400 si no es texto
+ */
+function validateComment(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') {
+        throw new ThresholdError('El comentario debe ser texto');
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Verifica que un usuario pueda aprobar o rechazar una versión
+ * @param {Object} version - Versión de thresholdVersions
+ * @param {Object} user - Usuario autenticado
+ * @param {string} accion - 'aprobar' o 'rechazar'
+ * @throws {ThresholdError} 409 si la versión ya no está propuesta o el usuario ya la aprobó,
+ *   403 si quien aprueba es quien la propuso (puede rechazarla para retirarla)
+ */
+function checkReview(version, user, accion) {
+    if (version.estado !== 'propuesta') {
+        throw new ThresholdError(`La versión ${version.version} no está propuesta (estado: ${version.estado})`, 409);
+    }
+    if (accion !== 'aprobar') return;
+
+    if (version.propuestoPor && version.propuestoPor.id === user.id) {
+        throw new ThresholdError(`No puede aprobar la versión ${version.version} que propuso; debe aprobarla otro administrador`, 403);
+    }
+
+    if (version.aprobaciones.some(aprobacion => aprobacion.id === user.id)) {
+        throw new ThresholdError(`Ya aprobó la versión ${version.version}; falta la aprobación de otro administrador`, 409);
+    }
+}
+
+// Función para quedarse solo con los valores de los umbrales
+function pickThresholds(values) {
+    const umbrales = {};
+    Object.keys(THRESHOLD_FIELDS).forEach(field => {
+        umbrales[field] = values[field];
+    });
+    return umbrales;
+}
+
+/**
+ * Umbrales que cambian entre dos juegos de valores
+ * @param {Object|null} anteriores - Umbrales previos
+ * @param {Object} umbrales - Umbrales nuevos
+ * @returns {Array} [{ campo, parametro, anterior, nuevo }]
+ */
+function changedFields(anteriores, umbrales) {
+    return Object.keys(THRESHOLD_FIELDS)
+        .map(campo => ({
+            campo,
+            parametro: THRESHOLD_FIELDS[campo].parametro,
+            anterior: anteriores ? anteriores[campo] : null,
+            nuevo: umbrales[campo]
+        }))
+        .filter(change => change.anterior !== change.nuevo);
+}
+
+module.exports = {
+    THRESHOLD_FIELDS,
+    DEFAULT_THRESHOLDS,
+    VERSION_STATES,
+    APPROVAL_POLICIES,
+    ThresholdError,
+    validateValues,
+    validateActivationDate,
+    validateComment,
+    checkReview,
+    pickThresholds,
+    changedFields
+};
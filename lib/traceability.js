@@ -0,0 +1,215 @@
+/**
+ * Trazabilidad de lotes a partir de datos registrados
+ * Arma la línea de eventos con la cosecha del archivo, la carga y los eventos de custodia,
+ * y reporta como brechas las etapas que no se registraron
+ */
+
+const { STAGES } = require('./custodyEvents');
+
+// Etapas esperadas de un lote, en orden
+const EVENT_TYPES = {
+    cosecha: 'Cosecha',
+    carga: 'Carga de Datos',
+    transporte: 'Transporte',
+    recepcion: 'Recepción',
+    empaque: 'Empaque'
+};
+
+// Función para redondear a dos decimales
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+// Función para agrupar las filas por lote de campo y finca (un evento de cosecha por grupo)
+function harvestEvents(batch, rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = `${row.loteId || ''}|${row.finca || ''}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            const fechas = group.map(row => row.fechaCosecha).filter(Boolean).sort();
+            if (fechas.length === 0) return null;
+
+            const pesos = group.map(row => row.pesoNetoKg).filter(value => value !== null);
+            const { loteId: loteCampo, finca } = group[0];
+            return {
+                tipo: 'cosecha',
+                evento: EVENT_TYPES.cosecha,
+                fecha: fechas[0],
+                loteId: batch.id,
+                loteCampo,
+                finca,
+                archivo: batch.fileName,
+                descripcion: `Cosecha de ${group.length} ${group.length === 1 ? 'registro' : 'registros'}` + (fechas.length > 1 && fechas[0] !== fechas[fechas.length - 1]
+                    ? ` entre ${fechas[0].substring(0, 10)} y ${fechas[fechas.length - 1].substring(0, 10)}`
+                    : ''),
+                ubicacion: finca,
+                origen: 'archivo',
+                detalle: {
+                    filas: group.length,
+                    filasSinFecha: group.length - fechas.length,
+                    fechaHasta: fechas[fechas.length - 1],
+                    pesoNetoKg: pesos.length ? round(pesos.reduce((acc, value) => acc + value, 0)) : null
+                }
+            };
+        })
+        .filter(Boolean);
+}
+
+// Función para describir un evento de custodia
+function describeCustodyEvent(event) {
+    const datos = event.datos;
+    switch (event.etapa) {
+        case 'transporte':
+            return `Salida en vehículo ${datos.vehiculo} a ${datos.temperaturaC} °C`;
+        case 'recepcion':
+            if (datos.provisional) return `Llegada a planta del envío ${datos.envioId}; peso y sello pendientes de registrar`;
+            return `Recepción de ${datos.pesoRecibidoKg} kg, sello ${datos.condicionSello.toLowerCase()}`;
+        case 'empaque':
+            return `${datos.totalCajas} cajas en ${datos.lotesComerciales.length} lotes comerciales (${datos.pesoTotalKg} kg)`;
+        default:
+            return STAGES[event.etapa] ? STAGES[event.etapa].nombre : event.etapa;
+    }
+}
+
+/**
+ * Construye los eventos registrados de un lote y sus etapas faltantes
+ * @param {Object} batch - Registro del lote
+ * @param {Array|null} rows - Mediciones del lote (null si no se almacenaron)
+ * @param {Array} custodyEvents - Eventos de custodia en orden
+ * @returns {Object} { eventos, brechas, fincas }
+ */
+function buildBatchTimeline(batch, rows, custodyEvents) {
+    const fincas = rows ? [...new Set(rows.map(row => row.finca).filter(Boolean))] : [];
+    const eventos = rows ? harvestEvents(batch, rows) : [];
+
+    eventos.push({
+        tipo: 'carga',
+        evento: EVENT_TYPES.carga,
+        fecha: batch.date,
+        loteId: batch.id,
+        archivo: batch.fileName,
+        descripcion: `Archivo ${batch.fileName} cargado al sistema`,
+        ubicacion: 'Sistema TrazaNet',
+        origen: 'carga',
+        registradoPor: batch.processedByUsername || batch.processedBy || null,
+        blockchainTxId: batch.transactionId || null
+    });
+
+    custodyEvents.forEach(event => {
+        eventos.push({
+            tipo: event.etapa,
+            evento: EVENT_TYPES[event.etapa],
+            fecha: event.fecha,
+            loteId: batch.id,
+            archivo: batch.fileName,
+            descripcion: describeCustodyEvent(event),
+            ubicacion: null,
+            origen: 'custodia',
+            registradoPor: event.registradoPor.usuario,
+            secuencia: event.secuencia,
+            firma: event.firma
+        });
+    });
+
+    // Las etapas sin ningún evento se informan como brechas, nunca se rellenan
+    const registradas = new Set(eventos.map(event => event.tipo));
+    const brechas = Object.keys(EVENT_TYPES)
+        .filter(tipo => !registradas.has(tipo))
+        .map(tipo => ({
+            tipo,
+            evento: EVENT_TYPES[tipo],
+            loteId: batch.id,
+            archivo: batch.fileName,
+            fincas,
+            motivo: tipo === 'cosecha'
+                ? (rows ? 'El archivo no tiene FECHA_COSECHA' : 'El lote no tiene filas de medición almacenadas')
+                : 'Etapa no registrada'
+        }));
+
+    return { eventos, brechas, fincas };
+}
+
+/**
+ * Valida los filtros de la consulta de trazabilidad
+ * @param {Object} query - req.query (loteId, evento, finca, fechaDesde, fechaHasta)
+ * @returns {Object} { filters } normalizados o { error }
+ */
+function parseFilters(query = {}) {
+    const filters = {};
+
+    if (query.loteId) filters.loteId = String(query.loteId).trim();
+    if (query.finca) filters.finca = String(query.finca).trim().toLowerCase();
+
+    if (query.evento) {
+        const tipos = String(query.evento).split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+        const invalidos = tipos.filter(tipo => !EVENT_TYPES[tipo]);
+        if (invalidos.length) {
+            return { error: `evento debe ser uno de ${Object.keys(EVENT_TYPES).join(', ')}` };
+        }
+        filters.tipos = tipos;
+    }
+
+    for (const field of ['fechaDesde', 'fechaHasta']) {
+        if (!query[field]) continue;
+        const value = String(query[field]).trim();
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${field} debe ser una fecha válida` };
+        }
+        // Una fecha sin hora en fechaHasta incluye el día completo
+        if (field === 'fechaHasta' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        filters[field] = date.toISOString();
+    }
+
+    return { filters };
+}
+
+/**
+ * Indica si un lote coincide con los filtros de lote y finca
+ * loteId admite el ID del lote en TrazaNet o el LOTE_ID del archivo
+ */
+function matchesBatch(batch, rows, fincas, filters) {
+    if (filters.loteId && batch.id !== filters.loteId &&
+        !(rows || []).some(row => row.loteId === filters.loteId)) {
+        return false;
+    }
+    if (filters.finca && !fincas.some(finca => finca.toLowerCase() === filters.finca)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Filtra eventos por tipo, rango de fechas, finca y lote de campo
+ * @param {Array} eventos - Eventos de buildBatchTimeline
+ * @param {Object} filters - Filtros de parseFilters
+ * @returns {Array}
+ */
+function filterEvents(eventos, filters) {
+    return eventos.filter(event => {
+        if (filters.tipos && !filters.tipos.includes(event.tipo)) return false;
+        if (filters.fechaDesde && event.fecha < filters.fechaDesde) return false;
+        if (filters.fechaHasta && event.fecha > filters.fechaHasta) return false;
+        // Los eventos de cosecha pertenecen a una sola finca y a un lote de campo
+        if (event.tipo === 'cosecha') {
+            if (filters.finca && String(event.finca || '').toLowerCase() !== filters.finca) return false;
+            if (filters.loteId && filters.loteId !== event.loteId && filters.loteId !== event.loteCampo) return false;
+        }
+        return true;
+    });
+}
+
+module.exports = {
+    EVENT_TYPES,
+    buildBatchTimeline,
+    parseFilters,
+    matchesBatch,
+    filterEvents
+};
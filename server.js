@@ -4,6 +4,33 @@ const multer = require('multer');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const { parseLoteCsv } = require('./lib/csvParser');
+const { isSpreadsheet, parseLoteWorkbook } = require('./lib/spreadsheetParser');
+const { normalizeRow, summarizeRows, queryRows, RowQueryError } = require('./lib/batchRows');
+const qualityMapping = require('./lib/qualityMapping');
+const auditRules = require('./lib/auditRules');
+const custody = require('./lib/custodyEvents');
+const traceability = require('./lib/traceability');
+const thresholds = require('./lib/thresholds');
+const telemetry = require('./lib/telemetry');
+const shipments = require('./lib/shipments');
+const { analyzeFailure } = require('./lib/failureAnalysis');
+const notifications = require('./lib/notifications');
+const live = require('./lib/liveFeed');
+const TimelineGenerator = require('./Recursos/js/timelineGenerator');
+const { openDatabase } = require('./lib/database');
+const { createRepositories } = require('./lib/repositories');
+const { createLedger, ENTRY_TYPES, HASH_PATTERN } = require('./lib/ledger');
+const { sha256File, digestRows, createVerifier } = require('./lib/integrity');
+const { createEvmChain, toUint, ContractMismatchError } = require('./lib/evmChain');
+const { createContractIndexer, thresholdValues, parameterChanges, PARAMETERS, EVENTS: CONTRACT_EVENTS } = require('./lib/contractIndexer');
+const {
+    ALERT_STATES, ALERT_TYPES, SEVERITIES, ACTIVE_STATES, FINAL_STATES, alertFromContractAudit, alertFromAudit, alertsFromReception,
+    alertsFromPacking, alertFromExcursion, excursionMessage, excursionEvidence, readComment, validateStatusChange, slaStatus
+} = require('./lib/alerts');
+const { importLegacyJson } = require('./lib/jsonMigration');
+const auth = require('./lib/auth');
+const { PERMISSIONS, PERMISSION_DESCRIPTIONS, ROLE_PERMISSIONS, ROLES, hasPermission, requirePermission } = require('./lib/permissions');
 
 const app = express();
 
@@ -12,9 +39,33 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.static(__dirname)); // Servir archivos estáticos desde la raíz
+// Los archivos cargados y la base de datos solo se entregan por la API, filtrados por empresa
+app.use(['/uploads', '/data'], (req, res) => res.status(404).end());
+// Desde la raíz solo se sirven las páginas y sus recursos. El código del servidor y los archivos de datos
+// (uploads-history.json con el historial de todas las empresas, certifications.json, Lotes/...) no son públicos
+const PUBLIC_EXTENSIONS = new Set(['.html', '.css', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.webp', '.mp4']);
+const PUBLIC_SCRIPTS = ['/Recursos/js/', '/reporte_auditoria_final.js'];
+const serveStatic = express.static(__dirname, { dotfiles: 'ignore' });
+
+function isPublicAsset(urlPath) {
+    // Ruta decodificada y sin segmentos '..' (/Recursos/js/../../server.js)
+    let file;
+    try {
+        file = path.posix.normalize(decodeURIComponent(urlPath));
+    } catch (error) {
+        return false;
+    }
+    if (file === '/') return true;
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.js') return PUBLIC_SCRIPTS.some(prefix => file.startsWith(prefix));
+    return PUBLIC_EXTENSIONS.has(extension);
+}
+
+app.use((req, res, next) => isPublicAsset(req.path) ? serveStatic(req, res, next) : next());
 app.use(cors());
-app.use(bodyParser.json());
+// Límite de 1 MB para los lotes de lecturas de telemetría (JSON o line protocol en text/plain)
+app.use(bodyParser.json({ limit: '1mb' }));
+app.use(bodyParser.text({ type: 'text/plain', limit: '1mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Configuración de Multer para guardar archivos
@@ -37,675 +88,5309 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB máximo
 });
 
-// Archivos para almacenar datos
-const HISTORY_FILE = path.join(__dirname, 'uploads-history.json');
-const CERTIFICATIONS_FILE = path.join(__dirname, 'certifications.json');
+// Base de datos embebida (SQLite) con los lotes, filas, certificaciones y auditorías
+const DB_FILE = process.env.TRAZANET_DB_FILE || path.join(__dirname, 'data', 'trazanet.db');
+const repos = createRepositories(openDatabase(DB_FILE));
 
-// Función para leer el historial
-function readHistory() {
-    if (!fs.existsSync(HISTORY_FILE)) {
-        return [];
+// Canal en vivo (/api/live): cada carga, auditoría, alerta, bloque del ledger y posición de envío se guarda
+// como evento y se envía a las conexiones abiertas. Cada TRAZANET_LIVE_HEARTBEAT_SECONDS se envía un latido
+// y se cierran las conexiones con la sesión vencida; los eventos se conservan TRAZANET_LIVE_RETENTION_HOURS
+// para reenviarlos a los clientes que se reconectan
+const liveFeed = live.createLiveFeed(repos, {
+    retentionHours: parseInt(process.env.TRAZANET_LIVE_RETENTION_HOURS, 10) || 24,
+    validate: validateLiveClient
+});
+setInterval(() => liveFeed.heartbeat(), (parseInt(process.env.TRAZANET_LIVE_HEARTBEAT_SECONDS, 10) || 25) * 1000).unref();
+setInterval(() => {
+    try {
+        const eliminados = liveFeed.prune();
+        if (eliminados) console.log(`📡 ${eliminados} eventos del canal en vivo depurados`);
+    } catch (error) {
+        console.error('❌ Error al depurar eventos del canal en vivo:', error);
     }
+}, 10 * 60 * 1000).unref();
+
+// Ledger de solo anexado: cierra un bloque cada TRAZANET_LEDGER_BLOCK_SIZE entradas
+// y, cada TRAZANET_LEDGER_BLOCK_SECONDS, con las entradas que queden pendientes
+const ledger = createLedger(repos, {
+    blockSize: parseInt(process.env.TRAZANET_LEDGER_BLOCK_SIZE, 10) || 10,
+    // Los bloques reúnen entradas de todas las empresas, como en /api/ledger/blocks
+    onBlock: block => liveFeed.publish('bloque', null, {
+        numero: block.numero,
+        hash: block.hash,
+        transacciones: block.ultimaSecuencia - block.primeraSecuencia + 1,
+        fecha: block.fecha
+    })
+});
+setInterval(() => {
     try {
-        const data = fs.readFileSync(HISTORY_FILE, 'utf8');
-        return JSON.parse(data);
+        ledger.sealBlock();
     } catch (error) {
-        console.error('Error al leer historial:', error);
-        return [];
+        console.error('❌ Error al cerrar bloque del ledger:', error);
     }
-}
+}, (parseInt(process.env.TRAZANET_LEDGER_BLOCK_SECONDS, 10) || 60) * 1000).unref();
 
-// Función para guardar el historial
-function saveHistory(history) {
+// Notificaciones de alertas por correo (servidor SMTP TRAZANET_SMTP_*), webhooks firmados y la bandeja
+// de la aplicación. Cada TRAZANET_NOTIFY_SECONDS se envían los resúmenes que cumplieron su intervalo
+// y se reintentan las entregas fallidas (espera exponencial desde TRAZANET_NOTIFY_RETRY_SECONDS)
+const notifier = notifications.createNotifier(repos, {
+    smtp: {
+        host: process.env.TRAZANET_SMTP_HOST,
+        port: parseInt(process.env.TRAZANET_SMTP_PORT, 10) || 587,
+        secure: process.env.TRAZANET_SMTP_SECURE === 'true',
+        user: process.env.TRAZANET_SMTP_USER,
+        password: process.env.TRAZANET_SMTP_PASSWORD,
+        from: process.env.TRAZANET_SMTP_FROM
+    },
+    appUrl: process.env.TRAZANET_APP_URL,
+    // Las notificaciones nuevas de la bandeja llegan por el canal en vivo solo a su destinatario
+    onInbox: delivery => liveFeed.publish('notificacion', delivery.ruc, {
+        id: delivery.id,
+        evento: delivery.evento,
+        asunto: delivery.asunto,
+        fecha: delivery.fecha
+    }, delivery.usuarioId),
+    retrySeconds: parseInt(process.env.TRAZANET_NOTIFY_RETRY_SECONDS, 10) || undefined,
+    maxAttempts: parseInt(process.env.TRAZANET_NOTIFY_MAX_ATTEMPTS, 10) || undefined
+});
+setInterval(() => {
     try {
-        fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2), 'utf8');
-        return true;
+        notifier.flushDigests();
     } catch (error) {
-        console.error('Error al guardar historial:', error);
-        return false;
+        console.error('❌ Error al preparar los resúmenes de alertas:', error);
     }
+    notifier.processQueue().catch(error => console.error('❌ Error al enviar notificaciones:', error.message));
+}, (parseInt(process.env.TRAZANET_NOTIFY_SECONDS, 10) || 15) * 1000).unref();
+
+// Backend de la cadena (TRAZANET_CHAIN_BACKEND): 'ledger' usa solo el ledger local; 'evm' además llama
+// al contrato AvocadoTraceContract en el nodo TRAZANET_EVM_RPC_URL. El ledger local se mantiene en ambos
+// modos porque la verificación de integridad se hace contra él
+const CHAIN_BACKENDS = ['ledger', 'evm'];
+const CHAIN_BACKEND = (process.env.TRAZANET_CHAIN_BACKEND || 'ledger').toLowerCase();
+if (!CHAIN_BACKENDS.includes(CHAIN_BACKEND)) {
+    throw new Error(`TRAZANET_CHAIN_BACKEND debe ser uno de ${CHAIN_BACKENDS.join(', ')}`);
 }
 
-// Función para leer certificaciones
-function readCertifications() {
-    if (!fs.existsSync(CERTIFICATIONS_FILE)) {
-        // Crear certificaciones por defecto
-        const defaultCerts = [
-            {
-                id: 'globalgap',
-                name: 'Auditoría GlobalG.A.P.',
-                description: 'Certificación de buenas prácticas agrícolas para productos frescos.',
-                rulesCount: 12,
-                externalLink: 'https://www.globalgap.org/',
-                createdAt: new Date().toISOString()
-            },
-            {
-                id: 'clientex',
-                name: 'Certificación Cliente X',
-                description: 'Estándares específicos para el cliente mayorista "Cliente X".',
-                rulesCount: 8,
-                externalLink: '',
-                createdAt: new Date().toISOString()
-            },
-            {
-                id: 'iso22000',
-                name: 'ISO 22000: Seguridad Alimentaria',
-                description: 'Gestión de la seguridad alimentaria en toda la cadena de suministro.',
-                rulesCount: 15,
-                externalLink: 'https://www.iso.org/iso-22000-food-safety-management.html',
-                createdAt: new Date().toISOString()
-            },
-            {
-                id: 'brcgs',
-                name: 'BRCGS Global Standard for Food Safety',
-                description: 'Estándar global para la seguridad alimentaria, calidad y operación.',
-                rulesCount: 10,
-                externalLink: 'https://www.brcgs.com/',
-                createdAt: new Date().toISOString()
-            }
-        ];
-        saveCertifications(defaultCerts);
-        return defaultCerts;
-    }
+const evmChain = CHAIN_BACKEND === 'evm'
+    ? createEvmChain(repos, {
+        rpcUrl: process.env.TRAZANET_EVM_RPC_URL,
+        chainId: process.env.TRAZANET_EVM_CHAIN_ID,
+        privateKey: process.env.TRAZANET_EVM_PRIVATE_KEY,
+        initialThresholds: ruc => contractThresholdArgs(readContractThresholds(ruc)),
+        allowRedeploy: process.env.TRAZANET_EVM_REDEPLOY === '1',
+        maxAttempts: process.env.TRAZANET_EVM_MAX_ATTEMPTS
+    })
+    : null;
+
+// Las llamadas que no se pudieron enviar (nodo caído) se reintentan cada TRAZANET_EVM_RETRY_SECONDS
+if (evmChain) {
+    console.log(`⛓️  Backend de cadena: evm (${evmChain.network.rpcUrl}, chainId ${evmChain.network.chainId}, cuenta ${evmChain.account})`);
+    let nodeDown = false;
+    setInterval(() => {
+        evmChain.processQueue()
+            .then(() => {
+                if (nodeDown) console.log('✅ Nodo EVM disponible; llamadas pendientes enviadas');
+                nodeDown = false;
+            })
+            .catch(error => {
+                if (!nodeDown) {
+                    console.error(error instanceof ContractMismatchError
+                        ? '❌ Llamadas al contrato detenidas: ' + error.message
+                        : '❌ Nodo EVM no disponible, se reintentará: ' + (error.shortMessage || error.message));
+                }
+                nodeDown = true;
+            });
+    }, (parseInt(process.env.TRAZANET_EVM_RETRY_SECONDS, 10) || 30) * 1000).unref();
+}
+
+// Indexador de los eventos del contrato: lee los bloques nuevos cada TRAZANET_EVM_INDEX_SECONDS
+// (y antes de responder las consultas de eventos, parámetros y alertas) y continúa desde el último
+// bloque indexado después de un reinicio
+const contractIndexer = evmChain ? createContractIndexer(repos, evmChain, { onEvent: recordContractAlert }) : null;
+let indexerFailing = false;
+
+// Función para indexar los eventos nuevos del contrato (no hace nada con el backend ledger)
+// Si el nodo no responde se sigue trabajando con lo ya indexado
+async function syncContractEvents() {
+    if (!contractIndexer) return;
     try {
-        const data = fs.readFileSync(CERTIFICATIONS_FILE, 'utf8');
-        return JSON.parse(data);
+        const nuevos = await contractIndexer.sync();
+        if (nuevos) console.log(`🔎 ${nuevos} eventos del contrato indexados`);
+        indexerFailing = false;
     } catch (error) {
-        console.error('Error al leer certificaciones:', error);
-        return [];
+        if (!indexerFailing) console.error('❌ Error al indexar eventos del contrato:', error.shortMessage || error.message);
+        indexerFailing = true;
+    }
+}
+
+if (contractIndexer) {
+    syncContractEvents();
+    setInterval(syncContractEvents, (parseInt(process.env.TRAZANET_EVM_INDEX_SECONDS, 10) || 15) * 1000).unref();
+}
+
+// Archivos JSON de versiones anteriores (solo se leen para la migración inicial)
+const HISTORY_FILE = path.join(__dirname, 'uploads-history.json');
+const CERTIFICATIONS_FILE = path.join(__dirname, 'certifications.json');
+const BATCH_ROWS_DIR = path.join(__dirname, 'batch-rows');
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const QUALITY_MAPPING_FILE = path.join(__dirname, 'quality-mapping.json');
+
+// Certificaciones por defecto para una instalación nueva, con sus reglas de auditoría
+const DEFAULT_CERTIFICATIONS = [
+    {
+        id: 'globalgap',
+        name: 'Auditoría GlobalG.A.P.',
+        description: 'Certificación de buenas prácticas agrícolas para productos frescos.',
+        externalLink: 'https://www.globalgap.org/',
+        rules: [
+            { tipo: 'requeridos', campos: ['LOTE_ID', 'FECHA_COSECHA', 'FINCA', 'CALIDAD_STATUS'] },
+            { tipo: 'porcentaje', categoria: 'Descarte', operador: '<=', valor: 15 },
+            { tipo: 'porcentaje', categoria: 'Hallazgo', operador: '<=', valor: 3, severidad: 'menor' }
+        ]
+    },
+    {
+        id: 'clientex',
+        name: 'Certificación Cliente X',
+        description: 'Estándares específicos para el cliente mayorista "Cliente X".',
+        externalLink: '',
+        rules: [
+            { tipo: 'requeridos', campos: ['LOTE_ID', 'CALIBRE', 'PESO_NETO_KG'] },
+            { tipo: 'rango', campo: 'CALIBRE', min: 12, max: 20 },
+            { tipo: 'porcentaje', categoria: 'Descarte', operador: '<=', valor: 5 }
+        ]
+    },
+    {
+        id: 'iso22000',
+        name: 'ISO 22000: Seguridad Alimentaria',
+        description: 'Gestión de la seguridad alimentaria en toda la cadena de suministro.',
+        externalLink: 'https://www.iso.org/iso-22000-food-safety-management.html',
+        rules: [
+            { tipo: 'requeridos', campos: ['LOTE_ID', 'FECHA_COSECHA', 'ESTACION_CONTEO'] },
+            { tipo: 'maximo', campo: 'TEMPERATURA_C', max: 30, severidad: 'menor' },
+            { tipo: 'porcentaje', categoria: 'Descarte', operador: '<=', valor: 20 },
+            { tipo: 'porcentaje', categoria: 'Hallazgo', operador: '<=', valor: 5, severidad: 'menor' }
+        ]
+    },
+    {
+        id: 'brcgs',
+        name: 'BRCGS Global Standard for Food Safety',
+        description: 'Estándar global para la seguridad alimentaria, calidad y operación.',
+        externalLink: 'https://www.brcgs.com/',
+        rules: [
+            { tipo: 'requeridos', campos: ['LOTE_ID', 'FECHA_COSECHA', 'FINCA', 'ESTACION_CONTEO', 'CALIDAD_STATUS'] },
+            { tipo: 'maximo', campo: 'TEMPERATURA_C', max: 28 },
+            { tipo: 'porcentaje', categoria: 'Descarte', operador: '<=', valor: 10 },
+            { tipo: 'porcentaje', categoria: 'Hallazgo', operador: '<=', valor: 2, severidad: 'menor' }
+        ]
+    }
+].map(cert => {
+    const { rules } = auditRules.normalizeRules(cert.rules);
+    return { ...cert, rules, rulesCount: rules.length, createdAt: new Date().toISOString() };
+});
+
+// Importar una sola vez los datos de los archivos JSON anteriores
+const migrated = importLegacyJson(repos, {
+    historyFile: HISTORY_FILE,
+    certificationsFile: CERTIFICATIONS_FILE,
+    qualityMappingFile: QUALITY_MAPPING_FILE,
+    batchRowsDir: BATCH_ROWS_DIR,
+    uploadsDir: path.join(__dirname, 'uploads')
+}, { certifications: DEFAULT_CERTIFICATIONS });
+
+if (migrated) {
+    console.log(`🗄️  Datos JSON importados: ${migrated.lotes} lotes, ${migrated.filas} filas, ` +
+        `${migrated.certificaciones} certificaciones, ${migrated.auditorias} auditorías`);
+}
+
+// Función para obtener la clave de configuración del mapeo de calidad de una empresa
+function qualityMappingKey(ruc) {
+    return 'quality-mapping:' + ruc;
+}
+
+// Función para leer la tabla de mapeo de estados de calidad de una empresa
+function readQualityMapping(ruc) {
+    const mapping = repos.settings.get(qualityMappingKey(ruc));
+    if (mapping) {
+        return mapping;
     }
+
+    // Crear el mapeo por defecto con los valores que antes estaban fijos en el código
+    const now = new Date().toISOString();
+    const entries = qualityMapping.DEFAULT_MAPPINGS.map((entry, index) => ({
+        id: 'map-' + (index + 1),
+        valor: entry.valor,
+        categoria: entry.categoria,
+        createdAt: now
+    }));
+    return repos.settings.set(qualityMappingKey(ruc), {
+        version: 1,
+        updatedAt: now,
+        entries,
+        politica: qualityMapping.DEFAULT_UNKNOWN_POLICY,
+        versiones: [{ version: 1, fecha: now, entries }]
+    });
 }
 
-// Función para guardar certificaciones
-function saveCertifications(certifications) {
+// Función para guardar la tabla de mapeo de estados de calidad de una empresa
+// Si se indica el cambio ({ accion, registradoPor, datos }) queda registrado en el ledger en la misma transacción
+function saveQualityMapping(ruc, mapping, change) {
     try {
-        fs.writeFileSync(CERTIFICATIONS_FILE, JSON.stringify(certifications, null, 2), 'utf8');
+        repos.db.transaction(() => {
+            repos.settings.set(qualityMappingKey(ruc), mapping);
+            if (change) {
+                ledger.append({
+                    tipo: 'umbral',
+                    ruc,
+                    referencia: 'mapeo-calidad',
+                    registradoPor: change.registradoPor,
+                    datos: { accion: change.accion, version: mapping.version, politica: getUnknownPolicy(mapping), ...change.datos }
+                });
+            }
+        })();
         return true;
     } catch (error) {
-        console.error('Error al guardar certificaciones:', error);
+        console.error('Error al guardar mapeo de calidad:', error);
         return false;
     }
 }
 
-// Función para generar hash de transacción simulado
-function generateTransactionHash() {
-    return '0x' + (Math.random() * 1e32).toString(16).substring(0, 32);
+// Función para publicar una nueva versión del mapeo tras un cambio en las entradas
+function bumpQualityMappingVersion(mapping) {
+    const now = new Date().toISOString();
+    mapping.version += 1;
+    mapping.updatedAt = now;
+    mapping.versiones.push({ version: mapping.version, fecha: now, entries: mapping.entries });
 }
 
-// ===============================================
-// ENDPOINTS DE LA API
-// ===============================================
+// Función para obtener la política de estados desconocidos del mapeo de una empresa
+function getUnknownPolicy(mapping) {
+    return mapping.politica || qualityMapping.DEFAULT_UNKNOWN_POLICY;
+}
 
-// GET /api/health - Verificar que el servidor está funcionando
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'Servidor TrazaNet funcionando correctamente',
-        timestamp: new Date().toISOString()
-    });
+// Función para repartir el mapeo global anterior (con políticas por RUC) entre las empresas
+// La empresa principal hereda la tabla y su historial de versiones
+function migrateLegacyQualityMapping(defaultRuc) {
+    const legacy = repos.settings.get('quality-mapping');
+    if (!legacy) return;
+
+    const { politicas = {}, ...mapping } = legacy;
+    repos.db.transaction(() => {
+        if (!repos.settings.get(qualityMappingKey(defaultRuc))) {
+            repos.settings.set(qualityMappingKey(defaultRuc), {
+                ...mapping,
+                politica: politicas[defaultRuc] || politicas.default || qualityMapping.DEFAULT_UNKNOWN_POLICY
+            });
+        }
+
+        Object.keys(politicas)
+            .filter(ruc => ruc !== defaultRuc && ruc !== 'default' && repos.tenants.findByRuc(ruc))
+            .forEach(ruc => {
+                const tenantMapping = readQualityMapping(ruc);
+                saveQualityMapping(ruc, { ...tenantMapping, politica: politicas[ruc] });
+            });
+
+        repos.settings.remove('quality-mapping');
+    })();
+    console.log(`🗄️  Mapeo de calidad global asignado a la empresa ${defaultRuc}`);
+}
+
+// Empresa principal: la del administrador inicial; recibe los datos anteriores a las empresas
+const DEFAULT_TENANT_RUC = process.env.TRAZANET_ADMIN_RUC || '20601234567';
+if (!repos.tenants.findByRuc(DEFAULT_TENANT_RUC)) {
+    repos.tenants.create({ ruc: DEFAULT_TENANT_RUC, name: process.env.TRAZANET_ADMIN_EMPRESA || 'Empresa principal' });
+}
+
+const adopted = repos.tenants.adoptUnassigned(DEFAULT_TENANT_RUC);
+if (adopted.lotes || adopted.certificaciones) {
+    console.log(`🗄️  Asignados a la empresa ${DEFAULT_TENANT_RUC}: ${adopted.lotes} lotes, ${adopted.certificaciones} certificaciones`);
+}
+migrateLegacyQualityMapping(DEFAULT_TENANT_RUC);
+
+// Completar las certificaciones creadas antes del motor de reglas: las de por defecto reciben sus reglas
+// y las demás quedan sin reglas (su rulesCount anterior era solo un número)
+repos.tenants.list().forEach(tenant => {
+    repos.certifications.list(tenant.ruc)
+        .filter(cert => !Array.isArray(cert.rules))
+        .forEach(cert => {
+            const defaults = DEFAULT_CERTIFICATIONS.find(d => cert.id === d.id || cert.id === `${tenant.ruc}-${d.id}`);
+            const rules = defaults ? defaults.rules : [];
+            repos.certifications.update(cert.id, { rules, rulesCount: rules.length });
+        });
 });
 
-// POST /api/upload - Subir archivo y registrar en historial
-app.post('/api/upload', upload.single('file'), (req, res) => {
+// Registrar en el ledger los lotes cargados antes de que existiera; el ID de transacción simulado
+// se conserva en la entrada y el lote pasa a apuntar a una entrada verificable
+function registerLegacyBatches() {
+    const pendientes = repos.batches.list()
+        .filter(batch => !batch.transactionId || !repos.ledger.findEntry(batch.transactionId))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+    if (pendientes.length === 0) return;
+
+    repos.db.transaction(() => {
+        pendientes.forEach(batch => {
+            const file = batch.savedFileName ? path.join(UPLOADS_DIR, batch.savedFileName) : null;
+            const rows = repos.batches.findRows(batch.id);
+            const entry = ledger.append({
+                tipo: 'carga',
+                ruc: batch.ruc,
+                referencia: batch.id,
+                datos: {
+                    loteId: batch.id,
+                    archivo: batch.fileName,
+                    tamanoBytes: batch.size || null,
+                    fechaCarga: batch.date,
+                    sha256Archivo: file && fs.existsSync(file) ? sha256File(file) : undefined,
+                    sha256Filas: rows ? digestRows(rows) : undefined,
+                    transaccionSimulada: batch.transactionId || null
+                }
+            });
+            repos.batches.update(batch.id, { transactionId: entry.hash });
+        });
+    })();
+    console.log(`⛓️  ${pendientes.length} lotes anteriores registrados en el ledger`);
+}
+registerLegacyBatches();
+
+// Función para crear las certificaciones por defecto de una empresa nueva
+function seedTenantCertifications(ruc) {
+    DEFAULT_CERTIFICATIONS.forEach(cert => {
+        repos.certifications.create({ ...cert, id: `${ruc}-${cert.id}`, ruc, createdAt: new Date().toISOString() });
+    });
+}
+
+// Clave de firma de tokens: variable de entorno o una generada y guardada en la base de datos
+const AUTH_SECRET = process.env.TRAZANET_AUTH_SECRET ||
+    repos.settings.get('auth-secret') ||
+    repos.settings.set('auth-secret', auth.generateOpaqueToken());
+
+// Claves de firma de la custodia, separadas de la de los tokens para que rotarla no invalide las firmas
+// guardadas. Los eventos firmados antes con la clave de los tokens se verifican con la clave 'legado'
+const custodyKeys = custody.loadSigningKeys(repos.settings, repos.batchEvents.countWithoutKey() ? AUTH_SECRET : null);
+console.log(`🔏 Clave de firma de custodia activa: ${custodyKeys.activa}`);
+
+// Verificación de lotes y de la cadena completa contra el ledger (también con `npm run verify`)
+const verifier = createVerifier(repos, { uploadsDir: UPLOADS_DIR });
+
+// Estados de un usuario: Pendiente hasta aceptar la invitación, Inactivo al desactivarlo
+const USER_STATUSES = ['Activo', 'Pendiente', 'Inactivo'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WALLET_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const RUC_PATTERN = /^\d{11}$/;
+const TENANT_STATUSES = ['Activa', 'Suspendida'];
+
+// Función para generar el id de un usuario
+function generateUserId() {
+    return 'user-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+// Crear el administrador inicial (antes fijo en loginLogic.js) si aún no hay usuarios
+if (repos.users.count() === 0) {
+    const adminPassword = process.env.TRAZANET_ADMIN_PASSWORD || 'avocado123';
+    repos.users.create({
+        id: generateUserId(),
+        ruc: DEFAULT_TENANT_RUC,
+        username: 'admin',
+        passwordHash: auth.hashPassword(adminPassword),
+        name: 'Administrador',
+        role: 'SuperAdmin'
+    });
+    if (!process.env.TRAZANET_ADMIN_PASSWORD) {
+        console.warn('⚠️ Usuario admin creado con la contraseña de demostración; defina TRAZANET_ADMIN_PASSWORD o cámbiela.');
+    }
+}
+
+// Rutas de la API que no requieren sesión
+const PUBLIC_API_ROUTES = ['/health', '/auth/login', '/auth/refresh', '/auth/set-password'];
+
+// Middleware: obtener el usuario que actúa a partir del token de acceso
+function authenticate(req, res, next) {
+    if (PUBLIC_API_ROUTES.includes(req.path)) {
+        return next();
+    }
+
     try {
-        if (!req.file) {
-            return res.status(400).json({
+        const token = auth.getBearerToken(req);
+        if (!token) {
+            throw new auth.AuthError('Se requiere iniciar sesión');
+        }
+
+        const claims = auth.verifyToken(token, AUTH_SECRET);
+        const session = repos.sessions.findById(claims.sid);
+        if (!session || session.revokedAt) {
+            throw new auth.AuthError('La sesión fue cerrada');
+        }
+
+        const user = repos.users.findById(claims.sub);
+        if (!user || user.status !== 'Activo') {
+            throw new auth.AuthError('Usuario inactivo o inexistente');
+        }
+
+        const tenant = repos.tenants.findByRuc(user.ruc);
+        if (!tenant || tenant.status !== 'Activa') {
+            throw new auth.AuthError('La empresa del usuario está suspendida', 403);
+        }
+
+        req.user = user;
+        req.tenant = tenant;
+        req.sessionId = session.id;
+        next();
+    } catch (error) {
+        if (error instanceof auth.AuthError) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'No se recibió ningún archivo'
+                message: error.message
             });
         }
+        next(error);
+    }
+}
 
-        const userId = req.body.userId || 'anonymous';
-        const transactionHash = generateTransactionHash();
+// Función para revisar que la sesión de una conexión del canal en vivo siga vigente (token sin vencer,
+// sesión abierta, usuario y empresa activos); devuelve el usuario actualizado o null
+function validateLiveClient(client) {
+    try {
+        auth.verifyToken(client.token, AUTH_SECRET);
+    } catch (error) {
+        return null;
+    }
+    const session = repos.sessions.findById(client.sessionId);
+    const user = repos.users.findById(client.user.id);
+    const tenant = user ? repos.tenants.findByRuc(user.ruc) : null;
+    if (!session || session.revokedAt || !user || user.status !== 'Activo' || !tenant || tenant.status !== 'Activa') {
+        return null;
+    }
+    return user;
+}
 
-        // Leer y analizar el archivo CSV real
-        let totalFrutas = 0;
-        let frutasConformes = 0;
-        let frutasConHallazgos = 0;
-        let frutasNoAdmitidas = 0;
-        const defectos = [];
+// Función para emitir un par de tokens (acceso + refresh) para una sesión
+function issueTokens(user, sessionId) {
+    const refreshToken = auth.generateOpaqueToken();
+    const expiresAt = new Date(Date.now() + auth.REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString();
+    const accessToken = auth.signToken({ sub: user.id, sid: sessionId, ruc: user.ruc, role: user.role }, AUTH_SECRET);
 
-        try {
-            // Leer el contenido del archivo CSV
-            const csvContent = fs.readFileSync(req.file.path, 'utf8');
-            const lines = csvContent.split('\n').filter(line => line.trim() !== '');
-
-            console.log(`📄 Procesando archivo CSV con ${lines.length} líneas`);
-
-            if (lines.length > 1) {
-                // La primera línea son los encabezados
-                const headers = lines[0].split(',').map(h => h.trim());
-                console.log(`📋 Encabezados encontrados: ${headers.join(', ')}`);
-
-                // Buscar el índice de la columna CALIDAD_STATUS
-                const statusIndex = headers.findIndex(h => h.toUpperCase() === 'CALIDAD_STATUS');
-                console.log(`🔍 Índice de CALIDAD_STATUS: ${statusIndex}`);
-
-                // Procesar cada línea de datos (saltando el encabezado)
-                for (let i = 1; i < lines.length; i++) {
-                    const values = lines[i].split(',').map(v => v.trim());
-
-                    // Verificar que la línea tenga suficientes columnas
-                    if (values.length >= headers.length && values.join('').length > 0) {
-                        totalFrutas++;
-
-                        // Obtener el estado de calidad
-                        const status = statusIndex >= 0 ? values[statusIndex].trim().toUpperCase() : 'OK';
-                        console.log(`  Línea ${i}: Status = "${status}"`);
-
-                        if (status === 'OK' || status === 'CONFORME') {
-                            frutasConformes++;
-                        } else if (status === 'ALERTA' || status === 'HALLAZGO') {
-                            frutasConHallazgos++;
-                        } else if (status === 'DESCARTE' || status === 'NO_ADMITIDA' || status === 'RECHAZADO') {
-                            frutasNoAdmitidas++;
-                        } else {
-                            // Si no se reconoce el estado, considerarlo conforme
-                            console.log(`  ⚠️ Estado no reconocido: "${status}", considerando como OK`);
-                            frutasConformes++;
-                        }
-                    }
-                }
-            }
+    return { accessToken, refreshToken, refreshHash: auth.hashToken(refreshToken), expiresAt };
+}
 
-            // Si no se encontraron datos, usar valores por defecto
-            if (totalFrutas === 0) {
-                console.log('⚠️ No se encontraron datos en el CSV, usando valores por defecto');
-                totalFrutas = 1;
-                frutasConformes = 1;
-            }
+// Función para emitir un token de un solo uso ('invite' o 'reset'); solo se guarda su hash
+function issueUserToken(userId, purpose) {
+    const token = auth.generateOpaqueToken();
+    const ttl = purpose === 'invite' ? auth.INVITE_TOKEN_TTL_SECONDS : auth.RESET_TOKEN_TTL_SECONDS;
+    const expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+    repos.userTokens.create({ userId, purpose, tokenHash: auth.hashToken(token), expiresAt });
+    return { token, expiresAt };
+}
 
-            // Calcular porcentajes
-            const porcentajeNoAdmitida = (frutasNoAdmitidas / totalFrutas * 100);
-            const porcentajeHallazgos = (frutasConHallazgos / totalFrutas * 100);
-            const porcentajeConformes = (frutasConformes / totalFrutas * 100);
-
-            // Generar defectos basados en los datos reales
-            if (frutasNoAdmitidas > 0) {
-                defectos.push({
-                    nombre: 'Fruta No Admitida',
-                    cantidad: frutasNoAdmitidas,
-                    severidad: 'No Admitida',
-                    porcentaje: parseFloat(porcentajeNoAdmitida.toFixed(2))
-                });
-            }
+// Función para validar los campos editables de un usuario; devuelve el mensaje de error o null
+function validateUserFields(fields) {
+    if (fields.name !== undefined && !String(fields.name || '').trim()) {
+        return 'El nombre es obligatorio';
+    }
+    if (fields.email !== undefined && !EMAIL_PATTERN.test(String(fields.email || ''))) {
+        return 'Correo electrónico inválido';
+    }
+    if (fields.walletAddress && !WALLET_PATTERN.test(fields.walletAddress)) {
+        return 'La wallet debe ser una dirección 0x de 40 caracteres hexadecimales';
+    }
+    if (fields.role !== undefined && !ROLES.includes(fields.role)) {
+        return `El rol debe ser uno de: ${ROLES.join(', ')}`;
+    }
+    if (fields.status !== undefined && !USER_STATUSES.includes(fields.status)) {
+        return `El estado debe ser uno de: ${USER_STATUSES.join(', ')}`;
+    }
+    return null;
+}
 
-            if (frutasConHallazgos > 0) {
-                defectos.push({
-                    nombre: 'Fruta con Alerta',
-                    cantidad: frutasConHallazgos,
-                    severidad: 'Hallazgo',
-                    porcentaje: parseFloat(porcentajeHallazgos.toFixed(2))
-                });
-            }
+// Función para comprobar si quien actúa puede asignar un rol (target es null al crear un usuario)
+// Devuelve { status, message } si no puede o null si puede
+function checkRoleAssignment(actor, target, role) {
+    if (target && target.id === actor.id) {
+        return { status: 400, message: 'No puede cambiar su propio rol' };
+    }
+    if (role === 'SuperAdmin' && actor.role !== 'SuperAdmin') {
+        return { status: 403, message: 'Solo un SuperAdmin puede asignar el rol SuperAdmin' };
+    }
+    if (target && target.role === 'SuperAdmin' && actor.role !== 'SuperAdmin') {
+        return { status: 403, message: 'Solo un SuperAdmin puede cambiar el rol de otro SuperAdmin' };
+    }
+    return null;
+}
+
+// Función para obtener un usuario administrable por quien actúa (misma empresa, salvo SuperAdmin)
+function findManagedUser(actor, id) {
+    const user = repos.users.findById(id);
+    if (!user || (actor.role !== 'SuperAdmin' && user.ruc !== actor.ruc)) {
+        return null;
+    }
+    return user;
+}
+
+// Función para preparar un usuario nuevo a partir del body; devuelve { error } o { user }
+function prepareNewUser(actor, body) {
+    const fields = {
+        name: body.name,
+        email: body.email,
+        role: body.role || 'Visor',
+        walletAddress: body.walletAddress || null
+    };
+
+    const invalid = validateUserFields(fields);
+    if (invalid) {
+        return { error: { status: 400, message: invalid } };
+    }
+
+    const denied = checkRoleAssignment(actor, null, fields.role);
+    if (denied) {
+        return { error: denied };
+    }
+
+    // Solo un SuperAdmin puede crear usuarios de otra empresa
+    const ruc = actor.role === 'SuperAdmin' && body.ruc ? String(body.ruc).trim() : actor.ruc;
+    if (!repos.tenants.findByRuc(ruc)) {
+        return { error: { status: 404, message: `Empresa ${ruc} no encontrada` } };
+    }
+    const username = String(body.username || fields.email).trim().toLowerCase();
+    if (repos.users.findCredentials(ruc, username)) {
+        return { error: { status: 409, message: `Ya existe el usuario ${username} en el RUC ${ruc}` } };
+    }
+
+    return {
+        user: {
+            ...fields,
+            id: generateUserId(),
+            ruc,
+            username,
+            name: String(fields.name).trim(),
+            email: String(fields.email).trim().toLowerCase()
+        }
+    };
+}
+
+// Función para identificar en el ledger al usuario que registra una entrada
+function ledgerActor(user) {
+    return { id: user.id, usuario: user.username, rol: user.role };
+}
+
+// Función para leer los umbrales vigentes del contrato de una empresa
+function readContractThresholds(ruc) {
+    return repos.settings.get('contract-thresholds:' + ruc) || { ...thresholds.DEFAULT_THRESHOLDS, actualizadoEn: null };
+}
+
+// Aprobaciones que exigen los cambios de umbrales si la empresa no fijó su política
+const DEFAULT_THRESHOLD_APPROVALS = thresholds.APPROVAL_POLICIES.includes(parseInt(process.env.TRAZANET_THRESHOLD_APPROVALS, 10))
+    ? parseInt(process.env.TRAZANET_THRESHOLD_APPROVALS, 10)
+    : 1;
+
+// Función para leer la política de aprobación de umbrales de una empresa
+function readThresholdPolicy(ruc) {
+    return repos.settings.get('threshold-policy:' + ruc) ||
+        { aprobacionesRequeridas: DEFAULT_THRESHOLD_APPROVALS, actualizadoEn: null, actualizadoPor: null };
+}
+
+// Función para obtener la versión vigente de los umbrales de una empresa; la primera vez registra
+// como versión 1 los umbrales que la empresa ya tenía
+function activeThresholdVersion(ruc) {
+    const active = repos.thresholdVersions.findActive(ruc);
+    if (active) return active;
+
+    const actuales = readContractThresholds(ruc);
+    const fecha = actuales.actualizadoEn || new Date().toISOString();
+    return repos.thresholdVersions.create({
+        ruc,
+        version: repos.thresholdVersions.nextVersion(ruc),
+        estado: 'activa',
+        activaDesde: fecha,
+        activadaEn: fecha,
+        fecha,
+        origen: 'inicial',
+        umbrales: thresholds.pickThresholds(actuales),
+        anteriores: null,
+        propuestoPor: null,
+        aprobacionesRequeridas: 0,
+        aprobaciones: [],
+        transaccion: actuales.transaccion || null,
+        historial: [{
+            accion: 'activacion',
+            fecha,
+            usuario: actuales.actualizadoPor || null,
+            comentario: 'Umbrales vigentes al iniciar el control de versiones',
+            transaccion: actuales.transaccion || null
+        }]
+    });
+}
+
+// Función para registrar en el ledger una acción sobre las versiones de umbrales
+function appendThresholdEntry(ruc, user, datos) {
+    return ledger.append({
+        tipo: 'umbral',
+        ruc,
+        referencia: 'umbrales-contrato',
+        registradoPor: user ? ledgerActor(user) : null,
+        datos
+    });
+}
+
+// Función para activar una versión: reemplaza la vigente, guarda los umbrales, registra el cambio en el
+// ledger y encola setThresholds. Se llama dentro de una transacción; user es null en las activaciones programadas
+function activateThresholdVersion(version, user, comentario = null) {
+    const current = activeThresholdVersion(version.ruc);
+    const entry = appendThresholdEntry(version.ruc, user, {
+        accion: 'cambiar-umbrales-contrato',
+        version: version.version,
+        versionAnterior: current.version,
+        ...(version.revierteA ? { revierteA: version.revierteA } : {}),
+        anteriores: current.umbrales,
+        umbrales: version.umbrales
+    });
+    const usuario = user ? user.username : null;
+
+    repos.thresholdVersions.update(current.id, {
+        estado: 'reemplazada',
+        historial: [...current.historial, {
+            accion: 'reemplazo',
+            fecha: entry.fecha,
+            usuario,
+            comentario: `Reemplazada por la versión ${version.version}`,
+            transaccion: entry.hash
+        }]
+    });
+    const activated = repos.thresholdVersions.update(version.id, {
+        estado: 'activa',
+        activadaEn: entry.fecha,
+        anteriores: current.umbrales,
+        transaccion: entry.hash,
+        historial: [...version.historial, { accion: 'activacion', fecha: entry.fecha, usuario, comentario, transaccion: entry.hash }]
+    });
+    repos.settings.set('contract-thresholds:' + version.ruc, {
+        ...version.umbrales,
+        version: version.version,
+        actualizadoEn: entry.fecha,
+        actualizadoPor: usuario,
+        transaccion: entry.hash
+    });
+
+    console.log(`🎚️ Umbrales v${version.version} de ${version.ruc} activos: ` +
+        `${version.umbrales.maxTempC} °C, ${version.umbrales.maxDesviacionPesoPct}% de peso, ${version.umbrales.minMateriaSecaPct}% de materia seca`);
+
+    return {
+        version: activated,
+        call: queueContractCall(version.ruc, {
+            tipo: 'umbral',
+            referencia: 'umbrales-contrato',
+            metodo: 'setThresholds',
+            argumentos: contractThresholdArgs(version.umbrales),
+            transaccionLedger: entry.hash
+        })
+    };
+}
+
+// Función para proponer una versión de umbrales con la política de aprobación vigente de la empresa
+// Se llama dentro de una transacción
+function proposeThresholdVersion(ruc, user, { umbrales, activaDesde, comentario, revierteA }) {
+    const base = activeThresholdVersion(ruc);
+    if (thresholds.changedFields(base.umbrales, umbrales).length === 0) {
+        throw new thresholds.ThresholdError(`Los umbrales propuestos son iguales a los de la versión vigente (${base.version})`, 409);
+    }
+    const version = repos.thresholdVersions.nextVersion(ruc);
+    const entry = appendThresholdEntry(ruc, user, {
+        accion: 'proponer-umbrales',
+        version,
+        versionBase: base.version,
+        ...(revierteA ? { revierteA } : {}),
+        umbrales,
+        activaDesde
+    });
+
+    return repos.thresholdVersions.create({
+        ruc,
+        version,
+        estado: 'propuesta',
+        activaDesde,
+        activadaEn: null,
+        fecha: entry.fecha,
+        origen: revierteA ? 'reversion' : 'propuesta',
+        ...(revierteA ? { revierteA } : {}),
+        versionBase: base.version,
+        umbrales,
+        anteriores: null,
+        propuestoPor: ledgerActor(user),
+        aprobacionesRequeridas: readThresholdPolicy(ruc).aprobacionesRequeridas,
+        aprobaciones: [],
+        transaccion: null,
+        historial: [{ accion: 'propuesta', fecha: entry.fecha, usuario: user.username, comentario, transaccion: entry.hash }]
+    });
+}
+
+// Función para aprobar una versión propuesta; con las aprobaciones completas queda aprobada y,
+// si su fecha de activación ya llegó (o no tiene), se activa. Se llama dentro de una transacción
+function approveThresholdVersion(version, user, comentario = null) {
+    thresholds.checkReview(version, user, 'aprobar');
+
+    const entry = appendThresholdEntry(version.ruc, user, { accion: 'aprobar-umbrales', version: version.version });
+    const aprobaciones = [...version.aprobaciones, { ...ledgerActor(user), fecha: entry.fecha, transaccion: entry.hash }];
+    const completa = aprobaciones.length >= version.aprobacionesRequeridas;
+
+    const approved = repos.thresholdVersions.update(version.id, {
+        estado: completa ? 'aprobada' : 'propuesta',
+        activaDesde: completa ? version.activaDesde || entry.fecha : version.activaDesde,
+        aprobaciones,
+        historial: [...version.historial, { accion: 'aprobacion', fecha: entry.fecha, usuario: user.username, comentario, transaccion: entry.hash }]
+    });
+
+    if (!completa || approved.activaDesde > new Date().toISOString()) {
+        return { version: approved, call: null };
+    }
+    return activateThresholdVersion(approved, user);
+}
+
+// Función para activar las versiones aprobadas cuya fecha de activación ya llegó
+// Devuelve las llamadas al contrato encoladas
+const activateDueThresholds = repos.db.transaction(() => repos.thresholdVersions.listDue(new Date().toISOString())
+    .map(version => activateThresholdVersion(version, null, 'Activación programada').call)
+    .filter(Boolean));
+
+// Las versiones con fecha de activación futura se activan en la revisión siguiente (cada TRAZANET_THRESHOLD_CHECK_SECONDS)
+setInterval(() => {
+    try {
+        const calls = activateDueThresholds();
+        if (calls.length) sendContractCall(calls[calls.length - 1]);
+    } catch (error) {
+        console.error('❌ Error al activar umbrales programados:', error);
+    }
+}, (parseInt(process.env.TRAZANET_THRESHOLD_CHECK_SECONDS, 10) || 30) * 1000).unref();
+
+// Función para convertir los umbrales a los argumentos del contrato (temperatura x100, porcentajes enteros)
+function contractThresholdArgs(umbrales) {
+    return [toUint(umbrales.maxTempC, 100), toUint(umbrales.maxDesviacionPesoPct), toUint(umbrales.minMateriaSecaPct)];
+}
+
+// Función para encolar una llamada al contrato de una empresa (solo con el backend evm)
+// Se llama dentro de la transacción del evento: la llamada queda encolada solo si el evento se guardó
+function queueContractCall(ruc, call) {
+    return evmChain ? evmChain.enqueue({ ruc, ...call }) : null;
+}
+
+// Función para encolar el registro inicial de un lote: variedad con más filas y peso neto declarado (kg x100)
+function queueBatchRegistration(batch, resumen) {
+    const variedades = (resumen && resumen.mezclaVariedades) || [];
+    const principal = variedades.reduce((best, item) => (!best || item.filas > best.filas ? item : best), null);
+    return queueContractCall(batch.ruc, {
+        tipo: 'carga',
+        referencia: batch.id,
+        metodo: 'registerBatchInitialData',
+        argumentos: [batch.id, principal ? principal.variedad : '', toUint(resumen && resumen.pesoNetoTotalKg, 100)],
+        transaccionLedger: batch.transactionId
+    });
+}
+
+// Función para encolar una llamada sobre un lote; los lotes cargados antes del backend evm se registran primero
+function queueBatchCall(batch, call) {
+    if (!evmChain) return null;
+    if (!repos.contractCalls.hasRegistration(batch.id, batch.ruc)) {
+        const rows = batch.resumen ? null : repos.batches.findRows(batch.id);
+        queueBatchRegistration(batch, batch.resumen || (rows ? summarizeRows(rows) : null));
+    }
+    return queueContractCall(batch.ruc, { referencia: batch.id, ...call });
+}
+
+// Función para traducir un evento de custodia a su llamada al contrato
+// Transporte: temperatura x100; recepción: peso recibido x100 (el contrato evalúa la desviación; si el envío
+// tiene telemetría, antes se encola la temperatura promedio medida); empaque: registro de la materia seca en
+// % entero (truncado, para no aprobar por redondeo)
+function custodyContractCall(batch, etapa, datos, transaccionLedger) {
+    if (etapa === 'recepcion') queueTelemetryTemperature(batch, transaccionLedger);
+    const calls = {
+        transporte: () => ({ metodo: 'updateTransportData', argumentos: [batch.id, toUint(datos.temperaturaC, 100)] }),
+        recepcion: () => ({ metodo: 'updateReceptionData', argumentos: [batch.id, toUint(datos.pesoRecibidoKg, 100)] }),
+        empaque: () => ({ metodo: 'recordPackingData', argumentos: [batch.id, Math.floor(datos.materiaSecaPct)] })
+    };
+    return queueBatchCall(batch, { tipo: etapa, transaccionLedger, ...calls[etapa]() });
+}
+
+// Función para enviar las llamadas pendientes y devolver el estado de una (null con el backend ledger)
+// Si el nodo no responde la llamada queda pendiente y se reintenta después
+async function sendContractCall(call) {
+    if (!call) return null;
+    try {
+        await evmChain.processQueue();
+    } catch (error) {
+        console.error('❌ Error al enviar llamadas al contrato:', error.shortMessage || error.message);
+    }
+    return repos.contractCalls.findById(call.id);
+}
+
+// Función para crear la alerta de una auditoría no conforme del contrato
+// Se llama dentro de la transacción del indexador que guarda el evento
+function recordContractAlert(event) {
+    if (event.evento !== 'BatchAuditCompleted') return;
+    const batch = event.loteId ? repos.batches.findById(event.loteId, event.ruc) : null;
+    const resumen = batch ? batch.resumen || summarizeRows(repos.batches.findRows(batch.id)) : null;
+    const alert = alertFromContractAudit(event, batch ? { archivo: batch.fileName, fincas: resumen.fincas } : null);
+    if (!alert) return;
+
+    // El contrato evaluó con los umbrales vigentes al minarse la transacción
+    const version = repos.thresholdVersions.findActiveAt(event.ruc, event.fecha);
+    alert.versionUmbrales = version ? version.version : null;
+
+    // En la recepción o el empaque el servidor ya alertó la desviación de peso o la materia seca que el
+    // contrato confirma: el evento se agrega como evidencia de la alerta activa del lote en lugar de abrir otra
+    const existing = alert.loteId ? repos.alerts.findActiveByType(alert.loteId, alert.tipo) : null;
+    if (existing) {
+        publishAlert(repos.alerts.update(existing.id, {
+            evidencia: { ...existing.evidencia, contrato: alert.evidencia },
+            historial: [...(existing.historial || []), {
+                accion: 'evidencia',
+                fecha: event.fecha,
+                usuario: null,
+                comentario: `El contrato confirmó la falla: ${alert.mensaje}`
+            }]
+        }), 'actualizada');
+        return;
+    }
+    raiseAlert(alert);
+}
+
+// Función para crear una alerta y registrar sus notificaciones (se ignora si su origen ya la generó)
+function raiseAlert(alert) {
+    const created = repos.alerts.create(alert);
+    if (created) {
+        console.log(`🚨 Alerta ${created.severidad} del lote ${created.loteId || '(desconocido)'}: ${created.mensaje}`);
+        const deliveries = notifier.notifyAlert(created);
+        if (deliveries.length) console.log(`📨 Alerta #${created.id}: ${deliveries.length} notificaciones registradas`);
+        publishAlert(created, 'creada');
+    }
+    return created;
+}
+
+// Función para publicar en el canal en vivo una alerta creada o actualizada
+function publishAlert(alert, accion) {
+    liveFeed.publish('alerta', alert.ruc, {
+        accion,
+        alerta: {
+            id: alert.id,
+            tipo: alert.tipo,
+            severidad: alert.severidad,
+            estado: alert.estado,
+            loteId: alert.loteId,
+            archivo: alert.archivo,
+            fincas: alert.fincas,
+            incidente: alert.incidente,
+            mensaje: alert.mensaje,
+            asignadoA: alert.asignadoA || null,
+            fecha: alert.fecha
+        }
+    });
+}
+
+// Función para publicar en el canal en vivo el resultado de una auditoría de un lote
+function publishAudit(batch, audit) {
+    liveFeed.publish('auditoria', batch.ruc, {
+        auditoriaId: audit.id,
+        loteId: batch.id,
+        archivo: batch.fileName,
+        origen: audit.origen,
+        resultado: audit.result,
+        certificacion: audit.certificacion || null,
+        fecha: audit.createdAt,
+        transaccion: audit.transaccion
+    });
+}
+
+// Función para publicar en el canal en vivo el estado y la última posición de un envío
+function publishShipment(envio) {
+    liveFeed.publish('posicion', envio.ruc, {
+        envioId: envio.id,
+        vehiculo: envio.vehiculo,
+        estado: shipments.currentState(envio, new Date().toISOString()),
+        lotes: envio.lotes.map(lote => lote.loteId),
+        posicion: repos.shipments.lastPosition(envio.id),
+        entregadoEn: envio.entregadoEn || null
+    });
+}
+
+// Función para obtener los datos de un lote que acompañan a sus alertas
+function alertBatch(batch) {
+    const rows = batch.resumen ? null : repos.batches.findRows(batch.id);
+    const resumen = batch.resumen || (rows ? summarizeRows(rows) : null);
+    return { ruc: batch.ruc, loteId: batch.id, archivo: batch.fileName, fincas: resumen ? resumen.fincas : [] };
+}
+
+// Función para validar, firmar y encadenar un evento de custodia: entrada 'custodia' del ledger, evento,
+// resumen de custodia del lote y llamada al contrato. Se llama dentro de una transacción
+// context agrega datos que solo indica el servidor (envioId de la recepción automática)
+function recordCustodyEvent(batch, etapa, datos, user, context = {}) {
+    // El peso declarado sale del resumen del lote (los lotes antiguos lo calculan desde sus filas)
+    const rows = batch.resumen ? null : repos.batches.findRows(batch.id);
+    const resumen = batch.resumen || (rows ? summarizeRows(rows) : null);
+
+    const events = repos.batchEvents.listByBatch(batch.id);
+    const { datos: normalizados, fecha } = custody.validateEvent(
+        etapa, datos, events, { ...custody.buildContext(resumen, events, activeThresholdVersion(batch.ruc)), ...context }
+    );
+    const last = events[events.length - 1];
+
+    const unsigned = {
+        loteId: batch.id,
+        secuencia: events.length + 1,
+        etapa,
+        fecha,
+        registradoEn: new Date().toISOString(),
+        registradoPor: { id: user.id, usuario: user.username, rol: user.role },
+        datos: normalizados,
+        firmaAnterior: last ? last.firma : null
+    };
+    const keyring = repos.settings.get(custody.SIGNING_KEYS_SETTING);
+    const claveId = keyring.activa;
+    const firma = custody.signEvent(unsigned, keyring.claves[claveId].secreto);
+    const entry = ledger.append({
+        tipo: 'custodia',
+        ruc: batch.ruc,
+        referencia: batch.id,
+        registradoPor: unsigned.registradoPor,
+        fecha: unsigned.registradoEn,
+        datos: { secuencia: unsigned.secuencia, etapa, fecha, datos: normalizados, firma, claveId }
+    });
+    const created = repos.batchEvents.create({ ...unsigned, firma, claveId, transaccion: entry.hash });
+
+    repos.batches.update(batch.id, { custodia: custody.summarizeCustody([...events, created]) });
+    // La recepción provisional no tiene peso ni sello medidos: las alertas y el contrato esperan a la de la planta
+    if (custody.isProvisionalReception(created)) return { event: created, call: null };
+    if (etapa === 'recepcion') {
+        alertsFromReception(created, alertBatch(batch), readContractThresholds(batch.ruc)).forEach(raiseAlert);
+        closeReceivedShipment(batch, fecha);
+    }
+    if (etapa === 'empaque') alertsFromPacking(created, alertBatch(batch)).forEach(raiseAlert);
+    return { event: created, call: custodyContractCall(batch, etapa, normalizados, entry.hash) };
+}
+
+// Función para obtener el vehículo del último transporte registrado de un lote (null si no tiene)
+function transportVehicle(batchId) {
+    const transporte = repos.batchEvents.listByBatch(batchId).filter(event => event.etapa === 'transporte').pop();
+    return transporte ? transporte.datos.vehiculo : null;
+}
+
+// Función para resolver el envío (lote y vehículo) de una lectura: el lote indicado o, si solo trae
+// vehículo, el lote de la empresa que está en transporte con ese vehículo
+// inTransit() devuelve [{ batch, vehiculo }] de los lotes en transporte (se calcula una vez por solicitud)
+function resolveShipment(ruc, lectura, inTransit) {
+    if (lectura.loteId) {
+        const batch = repos.batches.findById(lectura.loteId, ruc);
+        if (!batch) {
+            throw new telemetry.TelemetryError(`Lote ${lectura.loteId} no encontrado`, 404);
+        }
+        return { batch, vehiculo: lectura.vehiculo || transportVehicle(batch.id) };
+    }
+
+    const shipment = inTransit().find(item => item.vehiculo === lectura.vehiculo);
+    if (!shipment) {
+        throw new telemetry.TelemetryError(`No hay un lote en transporte con el vehículo ${lectura.vehiculo}`, 404);
+    }
+    return shipment;
+}
+
+// Función para registrar una excursión nueva: hallazgo de auditoría en el ledger y en el historial
+// del lote, la excursión y su alerta. Se llama dentro de la transacción de la ingesta
+function recordExcursion(batch, vehiculo, excursion, user) {
+    const versionUmbrales = activeThresholdVersion(batch.ruc).version;
+    const motivo = excursionMessage({ ...excursion, vehiculo });
+    const entry = ledger.append({
+        tipo: 'auditoria',
+        ruc: batch.ruc,
+        referencia: batch.id,
+        registradoPor: ledgerActor(user),
+        datos: {
+            origen: 'telemetria',
+            resultado: 'Hallazgo',
+            motivo,
+            vehiculo,
+            inicio: excursion.inicio,
+            maximoC: excursion.maximoC,
+            umbralC: excursion.umbralC,
+            versionUmbrales
+        }
+    });
+    const audit = repos.audits.record(batch.id, {
+        result: 'Hallazgo',
+        origen: 'telemetria',
+        motivo,
+        vehiculo,
+        excursion,
+        versionUmbrales,
+        registradoPor: user.id,
+        createdAt: entry.fecha,
+        transaccion: entry.hash
+    });
+    publishAudit(batch, audit);
+    const saved = repos.telemetry.createExcursion({
+        ruc: batch.ruc,
+        loteId: batch.id,
+        vehiculo,
+        ...excursion,
+        versionUmbrales,
+        auditoriaId: audit.id,
+        transaccion: entry.hash
+    });
+
+    const alert = raiseAlert(alertFromExcursion(saved, alertBatch(batch)));
+    console.log(`🌡️ Excursión de temperatura en lote ${batch.id}${vehiculo ? ` (${vehiculo})` : ''}: ${excursion.maximoC} °C sobre ${excursion.umbralC} °C`);
+
+    return repos.telemetry.updateExcursion(saved.id, { alertaId: alert ? alert.id : null });
+}
+
+// Función para actualizar una excursión que siguió después de detectarse, junto con su alerta
+function extendExcursion(existing, excursion) {
+    const updated = repos.telemetry.updateExcursion(existing.id, excursion);
+    const alert = updated.alertaId ? repos.alerts.findById(updated.alertaId) : null;
+    if (alert) {
+        publishAlert(repos.alerts.update(alert.id, {
+            // Una alerta solo sube de severidad
+            severidad: alert.severidad === 'alta' ? 'alta' : updated.severidad,
+            mensaje: excursionMessage(updated),
+            evidencia: excursionEvidence(updated)
+        }), 'actualizada');
+    }
+    return updated;
+}
+
+// Función para detectar las excursiones de un envío con la temperatura máxima vigente
+// Una excursión ya guardada cuyo tramo se cruza con la detectada es la misma: una lectura atrasada puede
+// adelantar su inicio o unirla con otra, y se extiende en vez de duplicarse (cada guardada se usa una vez)
+// Devuelve las excursiones nuevas o que cambiaron. Se llama dentro de la transacción de la ingesta
+function detectExcursions(batch, vehiculo, user) {
+    const maxTempC = readContractThresholds(batch.ruc).maxTempC;
+    const lecturas = repos.telemetry.listShipment(batch.id, vehiculo);
+    const usadas = new Set();
+
+    return telemetry.findExcursions(lecturas, maxTempC)
+        .map(excursion => {
+            const existing = repos.telemetry.listOverlappingExcursions(batch.id, vehiculo, excursion.inicio, excursion.fin)
+                .find(candidate => !usadas.has(candidate.id));
+            if (!existing) return recordExcursion(batch, vehiculo, excursion, user);
+            usadas.add(existing.id);
+            const changed = ['inicio', 'fin', 'maximoC', 'enCurso', 'lecturas'].some(field => existing[field] !== excursion[field]);
+            return changed ? extendExcursion(existing, excursion) : null;
+        })
+        .filter(Boolean);
+}
+
+// Función para encolar la temperatura promedio medida en el transporte antes de la recepción,
+// para que el contrato evalúe el lote con la telemetría y no solo con la temperatura declarada
+function queueTelemetryTemperature(batch, transaccionLedger) {
+    const resumen = telemetry.summarizeSeries(
+        repos.telemetry.listShipment(batch.id, transportVehicle(batch.id)),
+        readContractThresholds(batch.ruc).maxTempC
+    );
+    if (!resumen) return null;
+    return queueBatchCall(batch, {
+        tipo: 'transporte',
+        transaccionLedger,
+        metodo: 'updateTransportData',
+        argumentos: [batch.id, toUint(resumen.promedioC, 100)]
+    });
+}
+
+// Función para armar la vista de un envío: estado vigente, última posición del GPS y última lectura del termógrafo
+function shipmentView(envio) {
+    const estado = shipments.currentState(envio, new Date().toISOString());
+    const lecturas = envio.lotes
+        .map(lote => repos.telemetry.listShipment(lote.loteId, envio.vehiculo))
+        .find(serie => serie.length > 0) || [];
+    const ultima = lecturas[lecturas.length - 1];
+    const excursiones = envio.lotes
+        .flatMap(lote => repos.telemetry.listExcursions(lote.loteId))
+        .filter(excursion => excursion.vehiculo === envio.vehiculo);
+
+    return {
+        ...envio,
+        estado,
+        estadoDescripcion: shipments.SHIPMENT_STATES[estado],
+        posicion: repos.shipments.lastPosition(envio.id),
+        temperatura: ultima ? {
+            actualC: ultima.temperaturaC,
+            humedadPct: ultima.humedadPct,
+            fecha: ultima.fecha,
+            excursiones: excursiones.length,
+            excursionEnCurso: excursiones.some(excursion => excursion.enCurso)
+        } : null
+    };
+}
+
+// Función para registrar la recepción provisional de los lotes de un envío que llegó a la geocerca de la planta:
+// la llegada queda firmada con el peso y el sello pendientes hasta que la planta registre los medidos.
+// Un lote que no puede recibirse (por ejemplo, porque ya se registró su recepción) queda informado con su error.
+// Se llama dentro de la transacción de las posiciones
+function receiveShipment(envio, posicion, user) {
+    const recepciones = envio.lotes.map(lote => {
+        const batch = repos.batches.findById(lote.loteId, envio.ruc);
+        if (!batch) return { loteId: lote.loteId, error: 'Lote no encontrado' };
+        try {
+            // Cada recepción en su propio savepoint para que un lote rechazado no deshaga los demás
+            const result = repos.db.transaction(() => recordCustodyEvent(batch, 'recepcion', {
+                fechaRecepcion: posicion.fecha,
+                pesoDespachadoKg: lote.pesoKg
+            }, user, { envioId: envio.id }))();
+            return { loteId: batch.id, secuencia: result.event.secuencia, transaccion: result.event.transaccion, provisional: true };
+        } catch (error) {
+            if (!(error instanceof custody.CustodyError)) throw error;
+            return { loteId: batch.id, error: error.message };
+        }
+    });
+    return { recepciones };
+}
+
+// Función para guardar las posiciones de un envío y actualizar su estado con las que son posteriores
+// a la última conocida; la primera posición dentro de la geocerca de destino lo entrega y registra la recepción
+// Se llama dentro de una transacción
+function trackShipment(envio, posiciones, user) {
+    const anterior = repos.shipments.lastPosition(envio.id);
+    const nuevas = posiciones.filter(posicion => repos.shipments.insertPosition(envio.id, posicion));
+
+    let estado = envio.estado;
+    let evaluacion = envio.evaluacion || null;
+    let llegada = null;
+    const historial = [...envio.historial];
+    // Las posiciones atrasadas completan el recorrido pero no cambian el estado
+    for (const posicion of nuevas.filter(item => !anterior || item.fecha > anterior.fecha)) {
+        const result = shipments.evaluatePosition(envio, posicion, posicion.fecha);
+        evaluacion = { fecha: posicion.fecha, distanciaDestinoM: result.distanciaDestinoM, distanciaRutaM: result.distanciaRutaM };
+        if (result.estado !== estado) {
+            estado = result.estado;
+            historial.push({ estado, fecha: posicion.fecha, lat: posicion.lat, lng: posicion.lng, distanciaRutaM: result.distanciaRutaM });
+        }
+        if (estado === 'entregado') {
+            llegada = posicion;
+            break;
+        }
+    }
+
+    const cambios = { estado, evaluacion, historial };
+    if (llegada) {
+        const recibido = receiveShipment(envio, llegada, user);
+        Object.assign(cambios, { entregadoEn: llegada.fecha, recepciones: recibido.recepciones });
+        console.log(`📍 Envío ${envio.id} (${envio.vehiculo}) llegó a ${envio.ruta.destino.nombre || 'destino'}`);
+    }
+
+    const updated = repos.shipments.update(envio.id, cambios);
+    if (nuevas.length) publishShipment(updated);
+    return {
+        guardadas: nuevas.length,
+        duplicadas: posiciones.length - nuevas.length,
+        envio: updated
+    };
+}
+
+// Función para entregar el envío de un lote cuando la recepción de todos sus lotes se registró a mano
+// (sin que el GPS llegara a la geocerca). Se llama dentro de la transacción del evento de custodia
+function closeReceivedShipment(batch, fecha) {
+    const envio = repos.shipments.findActiveByBatch(batch.id);
+    if (!envio) return null;
+    const pendientes = envio.lotes.filter(lote => {
+        const current = repos.batches.findById(lote.loteId, envio.ruc);
+        return current && current.custodia && current.custodia.etapaActual === 'transporte';
+    });
+    if (pendientes.length > 0) return null;
+
+    const updated = repos.shipments.update(envio.id, {
+        estado: 'entregado',
+        entregadoEn: fecha,
+        historial: [...envio.historial, { estado: 'entregado', fecha, recepcionManual: true }]
+    });
+    publishShipment(updated);
+    return updated;
+}
+
+// Función para construir el reporte de validación que se devuelve y se guarda con la carga
+function buildValidationReport(parsed) {
+    const report = parsed.hoja !== undefined
+        ? { formato: 'hoja de cálculo', hoja: parsed.hoja, hojasDisponibles: parsed.hojasDisponibles }
+        : { formato: 'csv', delimitador: parsed.delimiter };
+
+    return {
+        ...report,
+        encabezados: parsed.headers,
+        filasValidas: parsed.rows.length,
+        filasRechazadas: parsed.rejected,
+        errores: parsed.errors
+    };
+}
+
+// Función para calcular las estadísticas de calidad a partir de las filas clasificadas
+// Las filas en cuarentena (categoria null) no entran en el total
+function aggregateQuality(clasificadas) {
+    let frutasConformes = 0;
+    let frutasConHallazgos = 0;
+    let frutasNoAdmitidas = 0;
+    let frutasCuarentena = 0;
+
+    clasificadas.forEach(row => {
+        if (row.categoria === 'Conforme') {
+            frutasConformes++;
+        } else if (row.categoria === 'Hallazgo') {
+            frutasConHallazgos++;
+        } else if (row.categoria === 'Descarte') {
+            frutasNoAdmitidas++;
+        } else {
+            frutasCuarentena++;
+        }
+    });
+
+    const totalFrutas = clasificadas.length - frutasCuarentena;
+    const porcentajeNoAdmitida = (frutasNoAdmitidas / totalFrutas * 100);
+    const porcentajeHallazgos = (frutasConHallazgos / totalFrutas * 100);
+    const porcentajeConformes = (frutasConformes / totalFrutas * 100);
+
+    // Generar defectos basados en los datos reales
+    const defectos = [];
+    if (frutasNoAdmitidas > 0) {
+        defectos.push({
+            nombre: 'Fruta No Admitida',
+            cantidad: frutasNoAdmitidas,
+            severidad: 'No Admitida',
+            porcentaje: parseFloat(porcentajeNoAdmitida.toFixed(2))
+        });
+    }
+
+    if (frutasConHallazgos > 0) {
+        defectos.push({
+            nombre: 'Fruta con Alerta',
+            cantidad: frutasConHallazgos,
+            severidad: 'Hallazgo',
+            porcentaje: parseFloat(porcentajeHallazgos.toFixed(2))
+        });
+    }
+
+    console.log(`📊 Estadísticas del archivo:`);
+    console.log(`   Total: ${totalFrutas}`);
+    console.log(`   Conformes: ${frutasConformes} (${porcentajeConformes.toFixed(2)}%)`);
+    console.log(`   Hallazgos: ${frutasConHallazgos} (${porcentajeHallazgos.toFixed(2)}%)`);
+    console.log(`   No Admitidas: ${frutasNoAdmitidas} (${porcentajeNoAdmitida.toFixed(2)}%)`);
+    if (frutasCuarentena > 0) {
+        console.log(`   En cuarentena: ${frutasCuarentena}`);
+    }
+
+    return {
+        total: totalFrutas,
+        conformes: frutasConformes,
+        hallazgosMenores: frutasConHallazgos,
+        noAdmitidas: frutasNoAdmitidas,
+        cuarentena: frutasCuarentena,
+        porcentajeNoAdmitida: parseFloat(porcentajeNoAdmitida.toFixed(2)),
+        porcentajeConformes: parseFloat(porcentajeConformes.toFixed(2)),
+        porcentajeHallazgos: parseFloat(porcentajeHallazgos.toFixed(2)),
+        defectos: defectos
+    };
+}
+
+// ===============================================
+// ENDPOINTS DE LA API
+// ===============================================
+
+app.use('/api', authenticate);
+
+// GET /api/health - Verificar que el servidor está funcionando
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        message: 'Servidor TrazaNet funcionando correctamente',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ===============================================
+// ENDPOINTS DE AUTENTICACIÓN
+// ===============================================
+
+// POST /api/auth/login - Iniciar sesión con RUC de empresa, usuario y contraseña
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const { ruc, password } = req.body;
+        const username = req.body.username || req.body.usuario;
+
+        if (!ruc || !username || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere RUC, usuario y contraseña'
+            });
+        }
+
+        const credentials = repos.users.findCredentials(ruc, username);
+        if (!credentials || !auth.verifyPassword(password, credentials.passwordHash)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Credenciales incorrectas. Verifica RUC, usuario o contraseña.'
+            });
+        }
+
+        const user = credentials.user;
+        if (user.status !== 'Activo') {
+            return res.status(403).json({
+                success: false,
+                message: 'El usuario no está activo'
+            });
+        }
+
+        const tenant = repos.tenants.findByRuc(user.ruc);
+        if (!tenant || tenant.status !== 'Activa') {
+            return res.status(403).json({
+                success: false,
+                message: 'La empresa está suspendida'
+            });
+        }
+
+        const sessionId = 'ses-' + auth.generateOpaqueToken().substring(0, 24);
+        const tokens = issueTokens(user, sessionId);
+        repos.sessions.create({
+            id: sessionId,
+            userId: user.id,
+            refreshHash: tokens.refreshHash,
+            expiresAt: tokens.expiresAt
+        });
+        repos.users.recordLogin(user.id);
+
+        console.log(`🔑 Inicio de sesión: ${user.username} (${user.ruc})`);
+
+        res.json({
+            success: true,
+            message: 'Sesión iniciada',
+            data: {
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: auth.ACCESS_TOKEN_TTL_SECONDS,
+                user
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/auth/login:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al iniciar sesión: ' + error.message
+        });
+    }
+});
+
+// POST /api/auth/refresh - Renovar el token de acceso (el refresh token se rota)
+app.post('/api/auth/refresh', (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere refreshToken'
+            });
+        }
+
+        const session = repos.sessions.findByRefreshHash(auth.hashToken(refreshToken));
+        if (!session || session.revokedAt || new Date(session.expiresAt) < new Date()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token inválido o expirado'
+            });
+        }
+
+        const user = repos.users.findById(session.userId);
+        if (!user || user.status !== 'Activo') {
+            repos.sessions.revoke(session.id);
+            return res.status(401).json({
+                success: false,
+                message: 'Usuario inactivo o inexistente'
+            });
+        }
+
+        const tokens = issueTokens(user, session.id);
+        repos.sessions.rotate(session.id, tokens.refreshHash, tokens.expiresAt);
+
+        res.json({
+            success: true,
+            data: {
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: auth.ACCESS_TOKEN_TTL_SECONDS,
+                user
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/auth/refresh:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al renovar la sesión: ' + error.message
+        });
+    }
+});
+
+// POST /api/auth/logout - Cerrar la sesión actual
+app.post('/api/auth/logout', (req, res) => {
+    try {
+        repos.sessions.revoke(req.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Sesión cerrada'
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/auth/logout:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al cerrar sesión: ' + error.message
+        });
+    }
+});
+
+// GET /api/auth/me - Obtener el usuario de la sesión y sus permisos
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...req.user,
+            permisos: ROLE_PERMISSIONS[req.user.role] || []
+        }
+    });
+});
+
+// POST /api/auth/set-password - Definir la contraseña con un token de invitación o de restablecimiento
+app.post('/api/auth/set-password', (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere token y contraseña'
+            });
+        }
+
+        if (String(password).length < auth.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `La contraseña debe tener al menos ${auth.MIN_PASSWORD_LENGTH} caracteres`
+            });
+        }
+
+        const userToken = repos.userTokens.findByHash(auth.hashToken(token));
+        if (!userToken || userToken.usedAt || new Date(userToken.expiresAt) < new Date()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token inválido o expirado'
+            });
+        }
+
+        const user = repos.users.findById(userToken.userId);
+        if (!user || user.status === 'Inactivo') {
+            return res.status(403).json({
+                success: false,
+                message: 'El usuario no está activo'
+            });
+        }
+
+        const updated = repos.db.transaction(() => {
+            if (!repos.userTokens.markUsed(userToken.id)) return null;
+            repos.sessions.revokeAllForUser(user.id);
+            return repos.users.update(user.id, {
+                passwordHash: auth.hashPassword(password),
+                status: 'Activo'
+            });
+        })();
+
+        if (!updated) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token inválido o expirado'
+            });
+        }
+
+        console.log(`🔑 Contraseña definida para ${updated.username} (${userToken.purpose === 'invite' ? 'invitación' : 'restablecimiento'})`);
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Ya puede iniciar sesión.',
+            data: { ruc: updated.ruc, username: updated.username }
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/auth/set-password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al definir la contraseña: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE ROLES Y PERMISOS
+// ===============================================
+
+// GET /api/roles - Obtener los roles y los permisos de cada uno
+app.get('/api/roles', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    res.json({
+        success: true,
+        permisos: PERMISSION_DESCRIPTIONS,
+        data: ROLES.map(role => ({ role, permisos: ROLE_PERMISSIONS[role] }))
+    });
+});
+
+// PUT /api/users/:id/role - Asignar un rol a un usuario
+app.put('/api/users/:id/role', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `El rol debe ser uno de: ${ROLES.join(', ')}`
+            });
+        }
+
+        const target = findManagedUser(req.user, req.params.id);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+        }
+
+        const denied = checkRoleAssignment(req.user, target, role);
+        if (denied) {
+            return res.status(denied.status).json({
+                success: false,
+                message: denied.message
+            });
+        }
+
+        const updated = repos.users.update(target.id, { role });
+        console.log(`🛡️ Rol de ${updated.username} cambiado de ${target.role} a ${role} por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Rol asignado exitosamente',
+            data: updated
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/users/:id/role:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al asignar rol: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE USUARIOS
+// ===============================================
+
+// GET /api/users - Listar usuarios de la empresa con búsqueda y paginación
+app.get('/api/users', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const { search, role, status, page, limit } = req.query;
+        // Solo un SuperAdmin puede consultar otra empresa
+        const ruc = req.user.role === 'SuperAdmin' && req.query.ruc ? req.query.ruc : req.user.ruc;
+
+        const result = repos.users.list({ ruc, search, role, status, page, limit });
+
+        res.json({
+            success: true,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            stats: repos.users.countByStatus(ruc),
+            data: result.data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/users:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener usuarios: ' + error.message
+        });
+    }
+});
+
+// GET /api/users/:id - Obtener un usuario
+app.get('/api/users/:id', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const user = findManagedUser(req.user, req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: user
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/users/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener usuario: ' + error.message
+        });
+    }
+});
+
+// POST /api/users - Crear un usuario activo con contraseña
+app.post('/api/users', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password || String(password).length < auth.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `La contraseña debe tener al menos ${auth.MIN_PASSWORD_LENGTH} caracteres`
+            });
+        }
+
+        const prepared = prepareNewUser(req.user, req.body);
+        if (prepared.error) {
+            return res.status(prepared.error.status).json({
+                success: false,
+                message: prepared.error.message
+            });
+        }
+
+        const user = repos.users.create({
+            ...prepared.user,
+            passwordHash: auth.hashPassword(password),
+            status: 'Activo'
+        });
+        console.log(`👤 Usuario creado: ${user.username} (${user.ruc}) por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Usuario creado exitosamente',
+            data: user
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/users:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear usuario: ' + error.message
+        });
+    }
+});
+
+// POST /api/users/invite - Invitar a un usuario (queda Pendiente hasta definir su contraseña)
+app.post('/api/users/invite', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const prepared = prepareNewUser(req.user, req.body);
+        if (prepared.error) {
+            return res.status(prepared.error.status).json({
+                success: false,
+                message: prepared.error.message
+            });
+        }
+
+        // La contraseña inicial es aleatoria y nadie la conoce: se define con el token de invitación
+        const user = repos.users.create({
+            ...prepared.user,
+            passwordHash: auth.hashPassword(auth.generateOpaqueToken()),
+            status: 'Pendiente'
+        });
+        const invitacion = issueUserToken(user.id, 'invite');
+        console.log(`✉️ Usuario invitado: ${user.username} (${user.ruc}) por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitación creada. Comparta el token para que el usuario defina su contraseña.',
+            data: user,
+            invitacion
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/users/invite:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al invitar usuario: ' + error.message
+        });
+    }
+});
+
+// PUT /api/users/:id - Actualizar nombre, correo, rol, wallet o estado de un usuario
+app.put('/api/users/:id', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const target = findManagedUser(req.user, req.params.id);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+        }
+
+        const changes = {};
+        ['name', 'email', 'role', 'walletAddress', 'status'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        });
+        if (changes.walletAddress === '') changes.walletAddress = null;
+
+        const invalid = validateUserFields(changes);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        if (changes.role !== undefined && changes.role !== target.role) {
+            const denied = checkRoleAssignment(req.user, target, changes.role);
+            if (denied) {
+                return res.status(denied.status).json({
+                    success: false,
+                    message: denied.message
+                });
+            }
+        }
+
+        if (changes.status !== undefined && changes.status !== target.status && target.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'No puede cambiar su propio estado'
+            });
+        }
+
+        if (changes.name !== undefined) changes.name = String(changes.name).trim();
+        if (changes.email !== undefined) changes.email = String(changes.email).trim().toLowerCase();
+
+        const updated = repos.users.update(target.id, changes);
+        if (updated.status !== 'Activo') {
+            repos.sessions.revokeAllForUser(updated.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Usuario actualizado exitosamente',
+            data: updated
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/users/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar usuario: ' + error.message
+        });
+    }
+});
+
+// DELETE /api/users/:id - Desactivar un usuario (se conserva para la trazabilidad de sus cargas)
+app.delete('/api/users/:id', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const target = findManagedUser(req.user, req.params.id);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+        }
+
+        if (target.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'No puede desactivar su propio usuario'
+            });
+        }
+
+        if (target.role === 'SuperAdmin' && req.user.role !== 'SuperAdmin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Solo un SuperAdmin puede desactivar a otro SuperAdmin'
+            });
+        }
+
+        const updated = repos.users.update(target.id, { status: 'Inactivo' });
+        repos.sessions.revokeAllForUser(target.id);
+        repos.userTokens.discardForUser(target.id);
+        console.log(`🚫 Usuario desactivado: ${target.username} por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Usuario desactivado exitosamente',
+            data: updated
+        });
+    } catch (error) {
+        console.error('❌ Error en DELETE /api/users/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al desactivar usuario: ' + error.message
+        });
+    }
+});
+
+// POST /api/users/:id/reset-password - Generar un token para restablecer la contraseña
+app.post('/api/users/:id/reset-password', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
+    try {
+        const target = findManagedUser(req.user, req.params.id);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+        }
+
+        if (target.status === 'Inactivo') {
+            return res.status(400).json({
+                success: false,
+                message: 'El usuario está inactivo; reactívelo antes de restablecer su contraseña'
+            });
+        }
+
+        if (target.role === 'SuperAdmin' && req.user.role !== 'SuperAdmin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Solo un SuperAdmin puede restablecer la contraseña de otro SuperAdmin'
+            });
+        }
+
+        // Un usuario pendiente recibe una nueva invitación en lugar de un restablecimiento
+        const purpose = target.status === 'Pendiente' ? 'invite' : 'reset';
+        const restablecimiento = issueUserToken(target.id, purpose);
+        console.log(`🔁 Restablecimiento de contraseña para ${target.username} solicitado por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Token de restablecimiento generado. Comparta el token con el usuario.',
+            data: target,
+            restablecimiento
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/users/:id/reset-password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al restablecer contraseña: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE EMPRESAS (SOLO SUPERADMIN)
+// ===============================================
+
+// GET /api/tenants - Listar empresas con su número de usuarios y lotes
+app.get('/api/tenants', requirePermission(PERMISSIONS.MANAGE_TENANTS), (req, res) => {
+    try {
+        const tenants = repos.tenants.list();
+
+        res.json({
+            success: true,
+            count: tenants.length,
+            data: tenants
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/tenants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener empresas: ' + error.message
+        });
+    }
+});
+
+// POST /api/tenants - Crear una empresa y, opcionalmente, su primer administrador
+app.post('/api/tenants', requirePermission(PERMISSIONS.MANAGE_TENANTS), (req, res) => {
+    try {
+        const ruc = String(req.body.ruc || '').trim();
+        const name = String(req.body.name || '').trim();
+        const admin = req.body.admin;
+
+        if (!RUC_PATTERN.test(ruc) || !name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere un RUC de 11 dígitos y el nombre de la empresa'
+            });
+        }
+
+        if (repos.tenants.findByRuc(ruc)) {
+            return res.status(409).json({
+                success: false,
+                message: `La empresa ${ruc} ya existe`
+            });
+        }
+
+        if (admin && admin.password && String(admin.password).length < auth.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `La contraseña debe tener al menos ${auth.MIN_PASSWORD_LENGTH} caracteres`
+            });
+        }
+
+        // La empresa, sus certificaciones y su administrador se crean juntos o no se crea nada
+        const result = repos.db.transaction(() => {
+            const tenant = repos.tenants.create({ ruc, name });
+            seedTenantCertifications(ruc);
+
+            if (!admin) {
+                return { tenant };
+            }
+
+            const prepared = prepareNewUser(req.user, { ...admin, role: 'Admin', ruc });
+            if (prepared.error) {
+                throw Object.assign(new Error(prepared.error.message), { status: prepared.error.status });
+            }
+
+            const user = repos.users.create({
+                ...prepared.user,
+                passwordHash: auth.hashPassword(admin.password || auth.generateOpaqueToken()),
+                status: admin.password ? 'Activo' : 'Pendiente'
+            });
+            return {
+                tenant,
+                admin: user,
+                invitacion: admin.password ? undefined : issueUserToken(user.id, 'invite')
+            };
+        })();
+
+        console.log(`🏢 Empresa creada: ${name} (${ruc}) por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Empresa creada exitosamente',
+            data: result.tenant,
+            admin: result.admin,
+            invitacion: result.invitacion
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/tenants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear empresa: ' + error.message
+        });
+    }
+});
+
+// PUT /api/tenants/:ruc - Cambiar el nombre o suspender/reactivar una empresa
+app.put('/api/tenants/:ruc', requirePermission(PERMISSIONS.MANAGE_TENANTS), (req, res) => {
+    try {
+        const { name, status } = req.body;
+
+        if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `El estado debe ser uno de: ${TENANT_STATUSES.join(', ')}`
+            });
+        }
+
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'El nombre de la empresa es obligatorio'
+            });
+        }
+
+        if (status === 'Suspendida' && req.params.ruc === req.user.ruc) {
+            return res.status(400).json({
+                success: false,
+                message: 'No puede suspender su propia empresa'
+            });
+        }
+
+        const updated = repos.tenants.update(req.params.ruc, {
+            name: name !== undefined ? String(name).trim() : undefined,
+            status
+        });
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'Empresa no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Empresa actualizada exitosamente',
+            data: updated
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/tenants/:ruc:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar empresa: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE CARGA E HISTORIAL
+// ===============================================
+
+// POST /api/upload - Subir archivo y registrar en historial
+app.post('/api/upload', requirePermission(PERMISSIONS.UPLOAD), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se recibió ningún archivo'
+            });
+        }
+
+        const userId = req.user.id;
+
+        // Leer y analizar el archivo real (CSV u hoja de cálculo)
+        let parsed;
+        if (isSpreadsheet(req.file.path, req.file.originalname)) {
+            try {
+                parsed = parseLoteWorkbook(req.file.path, { sheet: req.body.sheet });
+            } catch (sheetError) {
+                fs.unlinkSync(req.file.path);
+                if (sheetError.code === 'SHEET_NOT_FOUND') {
+                    return res.status(400).json({
+                        success: false,
+                        message: sheetError.message,
+                        hojasDisponibles: sheetError.hojasDisponibles
+                    });
+                }
+                throw sheetError;
+            }
+            console.log(`📄 Procesando hoja "${parsed.hoja}" con ${parsed.rows.length} filas válidas`);
+        } else {
+            const csvContent = fs.readFileSync(req.file.path, 'utf8');
+            parsed = parseLoteCsv(csvContent);
+            console.log(`📄 Procesando archivo CSV (delimitador "${parsed.delimiter}") con ${parsed.rows.length} filas válidas`);
+        }
+        const validacion = buildValidationReport(parsed);
+
+        if (validacion.errores.length > 0) {
+            console.log(`⚠️ ${validacion.errores.length} observaciones de validación en ${req.file.originalname}`);
+        }
+
+        if (parsed.rows.length === 0) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: 'El archivo no contiene filas válidas',
+                validacion
+            });
+        }
+
+        // Clasificar los estados con la tabla de mapeo vigente y la política de la empresa
+        const mapping = readQualityMapping(req.user.ruc);
+        const politica = getUnknownPolicy(mapping);
+        const { clasificadas, desconocidos } = qualityMapping.classifyRows(
+            parsed.rows,
+            qualityMapping.createClassifier(mapping.entries),
+            politica
+        );
+
+        if (desconocidos.length > 0 && politica === 'rechazar') {
+            fs.unlinkSync(req.file.path);
+            return res.status(422).json({
+                success: false,
+                message: `El archivo contiene ${desconocidos.length} estados de calidad no reconocidos`,
+                mapeoVersion: mapping.version,
+                desconocidos,
+                validacion
+            });
+        }
+
+        desconocidos.forEach(item => {
+            validacion.errores.push({
+                fila: item.fila,
+                columna: 'CALIDAD_STATUS',
+                motivo: `Estado no reconocido: "${item.valor}"` +
+                    (politica === 'cuarentena' ? ', fila en cuarentena' : ', contado como hallazgo'),
+                nivel: 'advertencia'
+            });
+        });
+
+        if (clasificadas.every(row => row.categoria === null)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: 'Todas las filas quedaron en cuarentena por estados no reconocidos',
+                desconocidos,
+                validacion
+            });
+        }
+
+        const calidadFruta = aggregateQuality(clasificadas);
+        const mediciones = parsed.rows.map((row, index) => ({
+            ...normalizeRow(row),
+            categoria: clasificadas[index].categoria,
+            cuarentena: clasificadas[index].categoria === null
+        }));
+
+        // Crear registro de carga
+        const uploadRecord = {
+            id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
+            ruc: req.user.ruc,
+            fileName: req.file.originalname,
+            savedFileName: req.file.filename,
+            size: req.file.size,
+            date: new Date().toISOString(),
+            status: 'Completada',
+            // Hash de la entrada de la carga en el ledger (se asigna al registrarla)
+            transactionId: null,
+            processedBy: userId,
+            processedByUsername: req.user.username,
+            filePath: req.file.path,
+            // Datos de calidad de fruta
+            calidadFruta,
+            // Reporte de validación fila por fila
+            validacion,
+            // Versión del mapeo de estados aplicada y filas con estados desconocidos
+            mapeoCalidad: {
+                version: mapping.version,
+                politicaDesconocidos: politica,
+                desconocidos
+            },
+            // Resumen de las mediciones del lote (detalle en /api/batch/:id/rows)
+            resumen: summarizeRows(mediciones)
+        };
+
+        // Registrar la carga en el ledger y guardar el lote y sus filas en una sola transacción
+        // La entrada incluye el SHA-256 del archivo y de las filas para verificarlos después (/api/verify/batch/:id)
+        // Con el backend evm también se encola el registro del lote en el contrato
+        const call = repos.db.transaction(() => {
+            const entry = ledger.append({
+                tipo: 'carga',
+                ruc: req.user.ruc,
+                referencia: uploadRecord.id,
+                registradoPor: ledgerActor(req.user),
+                fecha: uploadRecord.date,
+                datos: {
+                    loteId: uploadRecord.id,
+                    archivo: uploadRecord.fileName,
+                    tamanoBytes: uploadRecord.size,
+                    sha256Archivo: sha256File(req.file.path),
+                    sha256Filas: digestRows(mediciones),
+                    filas: mediciones.length,
+                    mapeoVersion: mapping.version,
+                    calidadFruta
+                }
+            });
+            uploadRecord.transactionId = entry.hash;
+            repos.batches.create(uploadRecord, mediciones);
+            liveFeed.publish('carga', req.user.ruc, {
+                loteId: uploadRecord.id,
+                archivo: uploadRecord.fileName,
+                fecha: uploadRecord.date,
+                procesadoPor: req.user.username,
+                filas: mediciones.length,
+                fincas: uploadRecord.resumen.fincas,
+                transaccion: entry.hash
+            });
+            return queueBatchRegistration(uploadRecord, uploadRecord.resumen);
+        })();
+
+        console.log(`✅ Archivo subido: ${req.file.originalname} por usuario ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Archivo cargado exitosamente',
+            data: uploadRecord,
+            contrato: await sendContractCall(call)
+        });
+
+    } catch (error) {
+        console.error('❌ Error en /api/upload:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al procesar la carga: ' + error.message
+        });
+    }
+});
+
+// GET /api/history - Obtener historial de cargas
+app.get('/api/history', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        // Si se proporciona userId, filtrar por ese usuario (más reciente primero)
+        const history = repos.batches.list({ ruc: req.user.ruc, processedBy: req.query.userId });
+
+        res.json({
+            success: true,
+            count: history.length,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('❌ Error en /api/history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el historial: ' + error.message
+        });
+    }
+});
+
+// DELETE /api/history/:id - Eliminar un registro del historial; queda registrado en el ledger ({ motivo } opcional)
+app.delete('/api/history/:id', requirePermission(PERMISSIONS.DELETE), (req, res) => {
+    try {
+        const recordId = req.params.id;
+        const record = repos.batches.findById(recordId, req.user.ruc);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        // La eliminación queda en el ledger (quién, cuándo, por qué y el hash del archivo) en la misma transacción
+        // que borra el lote junto con sus filas, eventos y auditorías: la verificación de la cadena distingue
+        // un lote eliminado de uno borrado sin rastro
+        const motivo = req.body && req.body.motivo ? String(req.body.motivo).trim().slice(0, 500) : null;
+        const existeArchivo = Boolean(record.filePath && fs.existsSync(record.filePath));
+        const entry = repos.db.transaction(() => {
+            const created = ledger.append({
+                tipo: 'eliminacion',
+                ruc: record.ruc,
+                referencia: record.id,
+                registradoPor: ledgerActor(req.user),
+                datos: {
+                    loteId: record.id,
+                    archivo: record.fileName,
+                    transaccionCarga: record.transactionId || null,
+                    sha256Archivo: existeArchivo ? sha256File(record.filePath) : null,
+                    motivo
+                }
+            });
+            repos.batches.remove(recordId);
+            return created;
+        })();
+
+        // Eliminar archivo físico si existe
+        if (existeArchivo) {
+            fs.unlinkSync(record.filePath);
+        }
+
+        console.log(`🗑️ Lote ${record.id} eliminado por ${req.user.username} (transacción ${entry.hash})`);
+
+        res.json({
+            success: true,
+            message: 'Registro eliminado exitosamente',
+            transaccion: entry.hash
+        });
+
+    } catch (error) {
+        console.error('❌ Error en DELETE /api/history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar el registro: ' + error.message
+        });
+    }
+});
+
+// GET /api/uploads/:filename - Servir archivo subido
+app.get('/api/uploads/:filename', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    const filename = req.params.filename;
+    const filePath = path.join(__dirname, 'uploads', filename);
+
+    // Seguridad: Evitar Directory Traversal
+    if (!filePath.startsWith(path.join(__dirname, 'uploads'))) {
+        return res.status(403).json({
+            success: false,
+            message: 'Acceso denegado'
+        });
+    }
+
+    // Solo se entregan archivos de lotes de la empresa del usuario
+    if (fs.existsSync(filePath) && repos.batches.findBySavedFileName(filename, req.user.ruc)) {
+        res.sendFile(filePath);
+    } else {
+        res.status(404).json({
+            success: false,
+            message: 'Archivo no encontrado'
+        });
+    }
+});
+
+// POST /api/update-simulation - Actualizar resultado de simulación
+app.post('/api/update-simulation', requirePermission(PERMISSIONS.RUN_AUDIT), (req, res) => {
+    try {
+        const { loteId, simResult } = req.body;
+
+        if (!loteId || !simResult) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere loteId y simResult'
+            });
+        }
+
+        const batch = repos.batches.findById(loteId, req.user.ruc);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        // Registrar el resultado, su alerta si es Descarte o Hallazgo y actualizar el lote en una sola transacción
+        const lastSimulation = new Date().toISOString();
+        const updated = repos.db.transaction(() => {
+            const versionUmbrales = activeThresholdVersion(req.user.ruc).version;
+            const entry = ledger.append({
+                tipo: 'auditoria',
+                ruc: req.user.ruc,
+                referencia: loteId,
+                registradoPor: ledgerActor(req.user),
+                fecha: lastSimulation,
+                datos: { origen: 'simulacion', resultado: simResult, versionUmbrales }
+            });
+            const audit = repos.audits.record(loteId, {
+                result: simResult,
+                origen: 'simulacion',
+                versionUmbrales,
+                registradoPor: req.user.id,
+                createdAt: lastSimulation,
+                transaccion: entry.hash
+            });
+            publishAudit(batch, audit);
+            const alert = alertFromAudit(audit, alertBatch(batch));
+            if (alert) raiseAlert(alert);
+            return repos.batches.update(loteId, { simResult, lastSimulation });
+        })();
+
+        res.json({
+            success: true,
+            message: 'Resultado de simulación actualizado',
+            data: updated
+        });
+
+    } catch (error) {
+        console.error('❌ Error en POST /api/update-simulation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar simulación: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE AUDITORÍA
+// ===============================================
+
+// GET /api/audit/rule-types - Tipos de regla y severidades admitidos en las certificaciones
+app.get('/api/audit/rule-types', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            tipos: auditRules.RULE_TYPES,
+            severidades: auditRules.SEVERITIES
+        }
+    });
+});
+
+// POST /api/audit/run - Evaluar las filas guardadas de un lote contra las reglas de una certificación
+app.post('/api/audit/run', requirePermission(PERMISSIONS.RUN_AUDIT), (req, res) => {
+    try {
+        const { loteId, certificacionId } = req.body;
+
+        if (!loteId || !certificacionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere loteId y certificacionId'
+            });
+        }
+
+        const batch = repos.batches.findById(loteId, req.user.ruc);
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const certification = repos.certifications.findById(certificacionId, req.user.ruc);
+        if (!certification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificación no encontrada'
+            });
+        }
+
+        if (!certification.rules || certification.rules.length === 0) {
+            return res.status(422).json({
+                success: false,
+                message: `La certificación "${certification.name}" no tiene reglas definidas`
+            });
+        }
+
+        const rows = repos.batches.findRows(batch.id);
+        if (!rows) {
+            return res.status(422).json({
+                success: false,
+                message: 'El lote no tiene filas de medición almacenadas'
+            });
+        }
+
+        const evaluacion = auditRules.evaluateRules(rows, certification.rules);
+        const lastSimulation = new Date().toISOString();
+
+        // Registrar el dictamen en el ledger y guardar la auditoría, su alerta y el último resultado del lote en una sola transacción
+        // La auditoría guarda la versión de los umbrales del contrato vigente al evaluarla
+        const audit = repos.db.transaction(() => {
+            const versionUmbrales = activeThresholdVersion(req.user.ruc).version;
+            const entry = ledger.append({
+                tipo: 'auditoria',
+                ruc: req.user.ruc,
+                referencia: batch.id,
+                registradoPor: ledgerActor(req.user),
+                fecha: lastSimulation,
+                datos: {
+                    origen: 'reglas',
+                    certificacionId: certification.id,
+                    resultado: evaluacion.resultado,
+                    porcentajeCumplimiento: evaluacion.porcentajeCumplimiento,
+                    reglasCumplidas: evaluacion.reglasCumplidas,
+                    totalReglas: evaluacion.totalReglas,
+                    filasEvaluadas: evaluacion.filasEvaluadas,
+                    reglas: evaluacion.reglas.map(regla => ({ id: regla.id, cumple: regla.cumple, totalIncumplidas: regla.totalIncumplidas })),
+                    versionUmbrales
+                }
+            });
+            const recorded = repos.audits.record(batch.id, {
+                result: evaluacion.resultado,
+                origen: 'reglas',
+                certificacionId: certification.id,
+                certificacion: certification.name,
+                versionUmbrales,
+                registradoPor: req.user.id,
+                createdAt: lastSimulation,
+                transaccion: entry.hash,
+                ...evaluacion
+            });
+            publishAudit(batch, recorded);
+            const alert = alertFromAudit(recorded, alertBatch(batch));
+            if (alert) raiseAlert(alert);
+            repos.batches.update(batch.id, {
+                simResult: evaluacion.resultado,
+                lastSimulation,
+                ultimaAuditoria: {
+                    certificacionId: certification.id,
+                    resultado: evaluacion.resultado,
+                    porcentajeCumplimiento: evaluacion.porcentajeCumplimiento,
+                    fecha: lastSimulation,
+                    transaccion: entry.hash
+                }
+            });
+            return recorded;
+        })();
+
+        console.log(`🧪 Auditoría ${certification.name} sobre ${batch.fileName}: ${evaluacion.resultado} ` +
+            `(${evaluacion.reglasCumplidas}/${evaluacion.totalReglas} reglas)`);
+
+        res.json({
+            success: true,
+            data: {
+                auditoriaId: audit.id,
+                transaccion: audit.transaccion,
+                versionUmbrales: audit.versionUmbrales,
+                loteId: batch.id,
+                certificacion: { id: certification.id, name: certification.name },
+                fecha: lastSimulation,
+                ...evaluacion
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/audit/run:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al ejecutar la auditoría: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE MAPEO DE ESTADOS DE CALIDAD
+// ===============================================
+
+// GET /api/quality-mappings - Obtener la tabla de mapeo vigente
+app.get('/api/quality-mappings', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const mapping = readQualityMapping(req.user.ruc);
+
+        res.json({
+            success: true,
+            version: mapping.version,
+            updatedAt: mapping.updatedAt,
+            categorias: qualityMapping.CATEGORIES,
+            count: mapping.entries.length,
+            data: mapping.entries
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/quality-mappings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el mapeo: ' + error.message
+        });
+    }
+});
+
+// GET /api/quality-mappings/versions/:version - Obtener una versión anterior del mapeo
+app.get('/api/quality-mappings/versions/:version', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const mapping = readQualityMapping(req.user.ruc);
+
+        const snapshot = mapping.versiones.find(v => v.version === Number(req.params.version));
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versión de mapeo no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: snapshot
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/quality-mappings/versions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la versión del mapeo: ' + error.message
+        });
+    }
+});
+
+// POST /api/quality-mappings - Agregar un valor al mapeo
+app.post('/api/quality-mappings', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const { valor } = req.body;
+        const categoria = qualityMapping.resolveCategory(req.body.categoria);
+
+        if (!valor || !qualityMapping.normalizeStatus(valor)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere el valor de CALIDAD_STATUS'
+            });
+        }
+
+        if (!categoria) {
+            return res.status(400).json({
+                success: false,
+                message: `La categoría debe ser una de: ${qualityMapping.CATEGORIES.join(', ')}`
+            });
+        }
+
+        const mapping = readQualityMapping(req.user.ruc);
+
+        const normalized = qualityMapping.normalizeStatus(valor);
+        const existing = mapping.entries.find(entry => qualityMapping.normalizeStatus(entry.valor) === normalized);
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: `El valor "${valor}" ya está mapeado a ${existing.categoria}`,
+                data: existing
+            });
+        }
+
+        const newEntry = {
+            id: 'map-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            valor: normalized,
+            categoria,
+            createdAt: new Date().toISOString()
+        };
+
+        mapping.entries = [...mapping.entries, newEntry];
+        bumpQualityMappingVersion(mapping);
+
+        if (!saveQualityMapping(req.user.ruc, mapping, {
+            accion: 'agregar-valor',
+            registradoPor: ledgerActor(req.user),
+            datos: { entrada: newEntry }
+        })) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error al guardar el mapeo'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Valor agregado al mapeo',
+            version: mapping.version,
+            data: newEntry
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/quality-mappings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al agregar valor al mapeo: ' + error.message
+        });
+    }
+});
+
+// PUT /api/quality-mappings/:id - Cambiar la categoría de un valor
+app.put('/api/quality-mappings/:id', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const categoria = qualityMapping.resolveCategory(req.body.categoria);
+
+        if (!categoria) {
+            return res.status(400).json({
+                success: false,
+                message: `La categoría debe ser una de: ${qualityMapping.CATEGORIES.join(', ')}`
+            });
+        }
+
+        const mapping = readQualityMapping(req.user.ruc);
+
+        const entryIndex = mapping.entries.findIndex(entry => entry.id === req.params.id);
+        if (entryIndex === -1) {
+            return res.status(404).json({
+                success: false,
+                message: 'Valor de mapeo no encontrado'
+            });
+        }
+
+        const updatedEntry = {
+            ...mapping.entries[entryIndex],
+            categoria,
+            updatedAt: new Date().toISOString()
+        };
+        const categoriaAnterior = mapping.entries[entryIndex].categoria;
+        mapping.entries = mapping.entries.map((entry, index) => (index === entryIndex ? updatedEntry : entry));
+        bumpQualityMappingVersion(mapping);
+
+        if (!saveQualityMapping(req.user.ruc, mapping, {
+            accion: 'cambiar-categoria',
+            registradoPor: ledgerActor(req.user),
+            datos: { entrada: updatedEntry, categoriaAnterior }
+        })) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error al guardar el mapeo'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mapeo actualizado exitosamente',
+            version: mapping.version,
+            data: updatedEntry
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/quality-mappings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar el mapeo: ' + error.message
+        });
+    }
+});
+
+// DELETE /api/quality-mappings/:id - Quitar un valor del mapeo
+app.delete('/api/quality-mappings/:id', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const mapping = readQualityMapping(req.user.ruc);
+
+        const removed = mapping.entries.find(entry => entry.id === req.params.id);
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Valor de mapeo no encontrado'
+            });
+        }
+
+        mapping.entries = mapping.entries.filter(entry => entry.id !== req.params.id);
+        bumpQualityMappingVersion(mapping);
+
+        if (!saveQualityMapping(req.user.ruc, mapping, {
+            accion: 'quitar-valor',
+            registradoPor: ledgerActor(req.user),
+            datos: { entrada: removed }
+        })) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error al guardar el mapeo'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Valor eliminado del mapeo',
+            version: mapping.version
+        });
+    } catch (error) {
+        console.error('❌ Error en DELETE /api/quality-mappings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar valor del mapeo: ' + error.message
+        });
+    }
+});
+
+// GET /api/quality-policy - Obtener la política de estados desconocidos de la empresa
+app.get('/api/quality-policy', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const mapping = readQualityMapping(req.user.ruc);
+
+        res.json({
+            success: true,
+            data: {
+                ruc: req.user.ruc,
+                politica: getUnknownPolicy(mapping),
+                opciones: qualityMapping.UNKNOWN_POLICIES
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/quality-policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la política: ' + error.message
+        });
+    }
+});
+
+// PUT /api/quality-policy - Definir la política de estados desconocidos de la empresa
+app.put('/api/quality-policy', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const { politica } = req.body;
+        const ruc = req.user.ruc;
+
+        if (!qualityMapping.UNKNOWN_POLICIES[politica]) {
+            return res.status(400).json({
+                success: false,
+                message: `La política debe ser una de: ${Object.keys(qualityMapping.UNKNOWN_POLICIES).join(', ')}`
+            });
+        }
+
+        const mapping = readQualityMapping(req.user.ruc);
+        const politicaAnterior = getUnknownPolicy(mapping);
+
+        mapping.politica = politica;
+
+        if (!saveQualityMapping(req.user.ruc, mapping, {
+            accion: 'cambiar-politica',
+            registradoPor: ledgerActor(req.user),
+            datos: { politicaAnterior }
+        })) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error al guardar la política'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Política actualizada exitosamente',
+            data: { ruc, politica }
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/quality-policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar la política: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE CERTIFICACIONES
+// ===============================================
+
+// GET /api/certifications - Obtener todas las certificaciones
+app.get('/api/certifications', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const certifications = repos.certifications.list(req.user.ruc);
+        res.json({
+            success: true,
+            count: certifications.length,
+            data: certifications
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/certifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener certificaciones: ' + error.message
+        });
+    }
+});
+
+// POST /api/certifications - Crear nueva certificación
+app.post('/api/certifications', requirePermission(PERMISSIONS.MANAGE_CERTIFICATIONS), (req, res) => {
+    try {
+        const { name, description, externalLink } = req.body;
+
+        if (!name || !description) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere nombre y descripción'
+            });
+        }
+
+        const { rules, error } = auditRules.normalizeRules(req.body.rules || []);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const newCert = {
+            id: 'cert-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            ruc: req.user.ruc,
+            name,
+            description,
+            rules,
+            rulesCount: rules.length,
+            externalLink: externalLink || '',
+            createdAt: new Date().toISOString()
+        };
+
+        repos.certifications.create(newCert);
+
+        res.json({
+            success: true,
+            message: 'Certificación creada exitosamente',
+            data: newCert
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/certifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear certificación: ' + error.message
+        });
+    }
+});
+
+// PUT /api/certifications/:id - Actualizar certificación
+app.put('/api/certifications/:id', requirePermission(PERMISSIONS.MANAGE_CERTIFICATIONS), (req, res) => {
+    try {
+        const certId = req.params.id;
+        const { name, description, externalLink } = req.body;
+
+        const current = repos.certifications.findById(certId, req.user.ruc);
+
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificación no encontrada'
+            });
+        }
+
+        // Las reglas se reemplazan completas si se envían
+        const { rules, error } = req.body.rules !== undefined
+            ? auditRules.normalizeRules(req.body.rules)
+            : { rules: current.rules || [] };
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const updated = repos.certifications.update(certId, {
+            name: name || current.name,
+            description: description || current.description,
+            rules,
+            rulesCount: rules.length,
+            externalLink: externalLink !== undefined ? externalLink : current.externalLink,
+            updatedAt: new Date().toISOString()
+        });
+
+        res.json({
+            success: true,
+            message: 'Certificación actualizada exitosamente',
+            data: updated
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/certifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar certificación: ' + error.message
+        });
+    }
+});
+
+// DELETE /api/certifications/:id - Eliminar certificación
+app.delete('/api/certifications/:id', requirePermission(PERMISSIONS.MANAGE_CERTIFICATIONS), (req, res) => {
+    try {
+        const certId = req.params.id;
+
+        if (!repos.certifications.remove(certId, req.user.ruc)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificación no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Certificación eliminada exitosamente'
+        });
+    } catch (error) {
+        console.error('❌ Error en DELETE /api/certifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al eliminar certificación: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE DASHBOARD
+// ===============================================
+
+// GET /api/dashboard/stats - Obtener estadísticas del dashboard
+app.get('/api/dashboard/stats', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const history = repos.batches.list({ ruc: req.user.ruc, processedBy: req.query.userId });
+
+        const lotesActivos = history.length;
+        // Entradas del ledger de la empresa que ya están dentro de un bloque cerrado
+        const transaccionesConfirmadas = repos.ledger.countConfirmed(req.user.ruc);
+        // Alertas de severidad alta que todavía requieren atención (de los lotes del usuario si se filtra por userId)
+        const lotes = new Set(history.map(record => record.id));
+        const alertasCriticas = repos.alerts.listActive(req.user.ruc).filter(alert =>
+            alert.severidad === 'alta' && (!req.query.userId || lotes.has(alert.loteId))
+        ).length;
+
+        // Cadena de frío de las últimas 24 horas: % de lecturas dentro de la temperatura máxima y humedad promedio
+        // (null sin lecturas)
+        const desde = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        const frio = repos.telemetry.countSince(req.user.ruc, desde, readContractThresholds(req.user.ruc).maxTempC);
+
+        // % de lotes cuyo registro, archivo, filas y custodia coinciden con el ledger (null sin lotes)
+        const verificados = history.filter(batch => verifier.verifyBatch(batch).verificado).length;
+
+        res.json({
+            success: true,
+            data: {
+                lotesActivos,
+                transaccionesConfirmadas,
+                alertasCriticas,
+                metricas: {
+                    temperatura: frio.lecturas ? parseFloat((frio.dentroDelUmbral / frio.lecturas * 100).toFixed(1)) : null,
+                    humedad: frio.humedadPromedioPct !== null ? parseFloat(frio.humedadPromedioPct.toFixed(1)) : null,
+                    lecturasTelemetria: frio.lecturas,
+                    origenVerificado: history.length ? parseFloat((verificados / history.length * 100).toFixed(1)) : null
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/dashboard/stats:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener estadísticas: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE TRAZABILIDAD
+// ===============================================
+
+// GET /api/traceability - Eventos registrados de los lotes (cosecha del archivo, carga y custodia)
+// Filtros: loteId (ID del lote o LOTE_ID del archivo), evento, finca, fechaDesde, fechaHasta, userId
+app.get('/api/traceability', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const { filters, error } = traceability.parseFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const history = repos.batches.list({ ruc: req.user.ruc, processedBy: req.query.userId });
+        const traceabilityEvents = [];
+        const brechas = [];
+
+        history.forEach(record => {
+            const rows = repos.batches.findRows(record.id);
+            const timeline = traceability.buildBatchTimeline(record, rows, repos.batchEvents.listByBatch(record.id));
+            if (!traceability.matchesBatch(record, rows, timeline.fincas, filters)) return;
+
+            const eventos = traceability.filterEvents(timeline.eventos, filters);
+            traceabilityEvents.push(...eventos);
+
+            // Con un rango de fechas solo se informan las brechas de los lotes con eventos en ese rango
+            if ((filters.fechaDesde || filters.fechaHasta) && eventos.length === 0) return;
+            brechas.push(...timeline.brechas.filter(brecha => !filters.tipos || filters.tipos.includes(brecha.tipo)));
+        });
+
+        // Ordenar por fecha descendente
+        traceabilityEvents.sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+
+        res.json({
+            success: true,
+            count: traceabilityEvents.length,
+            data: traceabilityEvents,
+            brechas
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/traceability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener trazabilidad: ' + error.message
+        });
+    }
+});
+
+// GET /api/batch/:id - Obtener detalles de un lote específico
+app.get('/api/batch/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batchId = req.params.id;
+        const batch = repos.batches.findById(batchId, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        // Lotes anteriores al almacenamiento de filas no tienen resumen guardado
+        const rows = batch.resumen ? null : repos.batches.findRows(batchId);
+        const cadenaCustodia = repos.batchEvents.listByBatch(batchId);
+
+        res.json({
+            success: true,
+            data: { ...batch, ...(rows ? { resumen: summarizeRows(rows) } : {}), cadenaCustodia }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/batch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener lote: ' + error.message
+        });
+    }
+});
+
+// GET /api/batch/:id/rows - Obtener las filas de medición de un lote
+// Filtros: variedad, finca, estacionConteo, calidadStatus, loteId, calibreMin/Max,
+// temperaturaMin/Max, pesoMin/Max, fechaDesde/Hasta; orden: sort=campo|-campo; paginación: page, limit
+app.get('/api/batch/:id/rows', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batchId = req.params.id;
+        const batch = repos.batches.findById(batchId, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const rows = repos.batches.findRows(batchId);
+        if (!rows) {
+            return res.status(404).json({
+                success: false,
+                message: 'El lote no tiene filas de medición almacenadas'
+            });
+        }
+
+        const result = queryRows(rows, req.query);
+
+        res.json({
+            success: true,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            resumen: summarizeRows(rows),
+            data: result.data
+        });
+    } catch (error) {
+        if (error instanceof RowQueryError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en GET /api/batch/:id/rows:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener filas del lote: ' + error.message
+        });
+    }
+});
+
+// GET /api/batch/:id/timeline - Línea de tiempo del lote a partir de los datos registrados
+// format=html devuelve el fragmento renderizado en el servidor (tema=claro|oscuro, zonaHoraria=America/Lima)
+app.get('/api/batch/:id/timeline', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const rows = batch.resumen ? null : repos.batches.findRows(batch.id);
+        const record = rows ? { ...batch, resumen: summarizeRows(rows) } : batch;
+        const events = TimelineGenerator.generateTimeline(record, {
+            custodia: repos.batchEvents.listByBatch(batch.id),
+            auditorias: repos.audits.listByBatch(batch.id),
+            ledger: repos.ledger.listByReference(batch.id, req.user.ruc).map(entry => ({
+                hash: entry.hash,
+                fecha: entry.fecha,
+                descripcion: `${ENTRY_TYPES[entry.tipo]} #${entry.secuencia}: ${entry.hash.substring(0, 18)}...`
+            }))
+        });
+
+        if (req.query.format !== 'html') {
+            return res.json({
+                success: true,
+                count: events.length,
+                data: events
+            });
+        }
+
+        const timeZone = req.query.zonaHoraria || undefined;
+        if (timeZone) {
+            try {
+                new Intl.DateTimeFormat('es-ES', { timeZone });
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Zona horaria no válida: ${timeZone}`
+                });
+            }
+        }
+
+        res.type('html').send(TimelineGenerator.renderHTML(events, {
+            theme: req.query.tema === 'oscuro' ? 'dark' : 'light',
+            timeZone
+        }));
+    } catch (error) {
+        console.error('❌ Error en GET /api/batch/:id/timeline:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar la línea de tiempo: ' + error.message
+        });
+    }
+});
+
+// GET /api/batch/:id/failure-analysis - Análisis de causa raíz de las fallas del lote
+// Usa la última auditoría por reglas (o auditoriaId) con las filas que la incumplen, las excursiones de temperatura,
+// el sello de la recepción y la desviación de peso entre etapas; las causas se ordenan de la más a la menos probable
+app.get('/api/batch/:id/failure-analysis', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const audits = repos.audits.listByBatch(batch.id).filter(audit => audit.origen === 'reglas');
+        const audit = req.query.auditoriaId
+            ? audits.find(item => item.id === parseInt(req.query.auditoriaId, 10))
+            : audits[0];
+        if (req.query.auditoriaId && !audit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auditoría por reglas no encontrada para este lote'
+            });
+        }
+
+        // Las alertas del contrato se indexan antes de cruzarlas con el análisis
+        await syncContractEvents();
+        const rows = repos.batches.findRows(batch.id);
+        const certification = audit ? repos.certifications.findById(audit.certificacionId, req.user.ruc) : null;
+        const analysis = analyzeFailure({
+            batch: batch.resumen || !rows ? batch : { ...batch, resumen: summarizeRows(rows) },
+            rows,
+            audit: audit || null,
+            rules: certification ? certification.rules : [],
+            events: repos.batchEvents.listByBatch(batch.id),
+            excursions: repos.telemetry.listExcursions(batch.id),
+            thresholds: readContractThresholds(batch.ruc),
+            alerts: repos.alerts.list({ ruc: req.user.ruc, loteId: batch.id, limit: 500 }).data
+        });
+
+        res.json({
+            success: true,
+            data: { ...analysis, generadoEn: new Date().toISOString() }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/batch/:id/failure-analysis:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al generar el análisis de falla: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE CADENA DE CUSTODIA
+// ===============================================
+
+// GET /api/batch/:id/events - Cadena de custodia del lote con la verificación de cada firma
+app.get('/api/batch/:id/events', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const events = custody.verifyChain(repos.batchEvents.listByBatch(batch.id), repos.settings.get(custody.SIGNING_KEYS_SETTING));
+
+        res.json({
+            success: true,
+            count: events.length,
+            cadenaValida: events.every(event => event.firmaValida),
+            resumen: custody.summarizeCustody(events),
+            data: events
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/batch/:id/events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la cadena de custodia: ' + error.message
+        });
+    }
+});
+
+// POST /api/batch/:id/events - Registrar una etapa (transporte, recepcion, empaque) firmada por el usuario
+app.post('/api/batch/:id/events', requirePermission(PERMISSIONS.UPLOAD), async (req, res) => {
+    try {
+        const { etapa, datos } = req.body || {};
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        // Validar, firmar y encadenar en una sola transacción para que dos registros simultáneos no se crucen
+        const { event, call } = repos.db.transaction(() => recordCustodyEvent(batch, etapa, datos, req.user))();
+
+        console.log(`🚚 Evento de custodia #${event.secuencia} (${event.etapa}) en lote ${batch.id} por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: `Evento de ${custody.STAGES[etapa].nombre.toLowerCase()} registrado exitosamente`,
+            data: event,
+            contrato: await sendContractCall(call)
+        });
+    } catch (error) {
+        if (error instanceof custody.CustodyError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/batch/:id/events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar el evento: ' + error.message
+        });
+    }
+});
+
+// Función para listar las claves de firma de la custodia sin sus secretos
+function signingKeysView(keyring) {
+    return Object.entries(keyring.claves).map(([id, clave]) => ({
+        id,
+        creadaEn: clave.creadaEn,
+        activa: id === keyring.activa
+    }));
+}
+
+// GET /api/custody/keys - Claves de firma de la custodia (sin los secretos); las claves son de todo el servidor
+app.get('/api/custody/keys', requirePermission(PERMISSIONS.MANAGE_TENANTS), (req, res) => {
+    try {
+        const keyring = repos.settings.get(custody.SIGNING_KEYS_SETTING);
+        res.json({
+            success: true,
+            data: signingKeysView(keyring)
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/custody/keys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las claves de firma: ' + error.message
+        });
+    }
+});
+
+// POST /api/custody/keys/rotate - Firmar los eventos nuevos con una clave nueva; las anteriores se conservan
+// para verificar los eventos que ya firmaron
+app.post('/api/custody/keys/rotate', requirePermission(PERMISSIONS.MANAGE_TENANTS), (req, res) => {
+    try {
+        const keyring = custody.rotateSigningKey(repos.settings);
+
+        console.log(`🔏 Clave de firma de custodia rotada a ${keyring.activa} por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: `Los eventos de custodia nuevos se firman con la clave ${keyring.activa}`,
+            data: signingKeysView(keyring)
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/custody/keys/rotate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al rotar la clave de firma: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE TELEMETRÍA
+// ===============================================
+
+// POST /api/telemetry/readings - Lecturas de los termógrafos de un envío
+// JSON: { lecturas: [{ dispositivoId, loteId?, vehiculo?, fecha, temperaturaC, humedadPct? }] }
+// text/plain: line protocol de InfluxDB, una lectura por línea (?precision=ns|us|ms|s)
+app.post('/api/telemetry/readings', requirePermission(PERMISSIONS.UPLOAD), (req, res) => {
+    try {
+        const lineProtocol = typeof req.body === 'string';
+        const entrada = lineProtocol
+            ? telemetry.parseLineProtocol(req.body, req.query.precision || 'ns')
+            : (req.body || {}).lecturas;
+        const { validas, errores } = telemetry.validateReadings(entrada);
+
+        // Los lotes en transporte se buscan solo si alguna lectura trae vehículo sin lote
+        let enTransporte = null;
+        const inTransit = () => {
+            if (!enTransporte) {
+                enTransporte = repos.batches.list({ ruc: req.user.ruc })
+                    .filter(batch => batch.custodia && batch.custodia.etapaActual === 'transporte')
+                    .map(batch => ({ batch, vehiculo: transportVehicle(batch.id) }));
+            }
+            return enTransporte;
+        };
+
+        const result = repos.db.transaction(() => {
+            const envios = new Map();
+            let guardadas = 0;
+            let duplicadas = 0;
+
+            validas.forEach(({ indice, ...lectura }) => {
+                let shipment;
+                try {
+                    shipment = resolveShipment(req.user.ruc, lectura, inTransit);
+                } catch (error) {
+                    if (!(error instanceof telemetry.TelemetryError)) throw error;
+                    errores.push({ indice, ...(entrada[indice].linea ? { linea: entrada[indice].linea } : {}), error: error.message });
+                    return;
+                }
+
+                const saved = repos.telemetry.insert({ ...lectura, ruc: req.user.ruc, loteId: shipment.batch.id, vehiculo: shipment.vehiculo });
+                if (!saved) {
+                    duplicadas++;
+                    return;
+                }
+                guardadas++;
+                envios.set(`${shipment.batch.id}|${shipment.vehiculo || ''}`, shipment);
+            });
+
+            const excursiones = [];
+            const resumenes = [...envios.values()].map(({ batch, vehiculo }) => {
+                excursiones.push(...detectExcursions(batch, vehiculo, req.user));
+                return {
+                    loteId: batch.id,
+                    vehiculo,
+                    resumen: telemetry.summarizeSeries(
+                        repos.telemetry.listShipment(batch.id, vehiculo),
+                        readContractThresholds(batch.ruc).maxTempC
+                    )
+                };
+            });
+            return { guardadas, duplicadas, envios: resumenes, excursiones };
+        })();
+
+        errores.sort((a, b) => a.indice - b.indice);
+        console.log(`🌡️ Telemetría de ${req.user.username}: ${result.guardadas} lecturas guardadas, ` +
+            `${result.duplicadas} duplicadas, ${errores.length} rechazadas`);
+
+        res.status(result.guardadas > 0 ? 201 : 200).json({
+            success: true,
+            message: `${result.guardadas} lecturas guardadas`,
+            data: {
+                recibidas: entrada.length,
+                guardadas: result.guardadas,
+                duplicadas: result.duplicadas,
+                rechazadas: errores.length,
+                errores,
+                envios: result.envios,
+                excursiones: result.excursiones
+            }
+        });
+    } catch (error) {
+        if (error instanceof telemetry.TelemetryError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/telemetry/readings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar la telemetría: ' + error.message
+        });
+    }
+});
+
+// GET /api/telemetry/batch/:id - Resumen de la telemetría de cada envío del lote y sus excursiones
+app.get('/api/telemetry/batch/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const maxTempC = readContractThresholds(req.user.ruc).maxTempC;
+        const envios = repos.telemetry.listShipments(batch.id).map(envio => ({
+            ...envio,
+            resumen: telemetry.summarizeSeries(repos.telemetry.listShipment(batch.id, envio.vehiculo), maxTempC)
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                loteId: batch.id,
+                umbralC: maxTempC,
+                envios,
+                excursiones: repos.telemetry.listExcursions(batch.id)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/telemetry/batch/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la telemetría: ' + error.message
+        });
+    }
+});
+
+// GET /api/telemetry/batch/:id/readings - Serie de lecturas de un envío del lote (vehiculo, desde, hasta, page, limit)
+app.get('/api/telemetry/batch/:id/readings', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        // Sin vehiculo se usa el del último transporte del lote
+        const vehiculo = req.query.vehiculo ? String(req.query.vehiculo).trim().toUpperCase() : transportVehicle(batch.id);
+        const { desde, hasta } = req.query;
+        const rows = repos.telemetry.listShipment(batch.id, vehiculo)
+            .filter(lectura => (!desde || lectura.fecha >= desde) && (!hasta || lectura.fecha <= hasta));
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const data = rows.slice((page - 1) * limit, page * limit);
+
+        res.json({
+            success: true,
+            loteId: batch.id,
+            vehiculo,
+            count: data.length,
+            total: rows.length,
+            page,
+            limit,
+            pages: Math.ceil(rows.length / limit),
+            data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/telemetry/batch/:id/readings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las lecturas: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE ENVÍOS
+// ===============================================
+
+// GET /api/shipments - Envíos de la empresa con su estado, última posición y temperatura (estado, activos=true)
+app.get('/api/shipments', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const { estado } = req.query;
+        if (estado && !shipments.SHIPMENT_STATES[estado]) {
+            return res.status(400).json({
+                success: false,
+                message: `estado debe ser uno de ${Object.keys(shipments.SHIPMENT_STATES).join(', ')}`
+            });
+        }
+
+        const envios = repos.shipments.list(req.user.ruc).map(shipmentView);
+        const resumen = { porEstado: {}, alertaTemperatura: 0 };
+        Object.keys(shipments.SHIPMENT_STATES).forEach(key => {
+            resumen.porEstado[key] = envios.filter(envio => envio.estado === key).length;
+        });
+        resumen.alertaTemperatura = envios.filter(envio => envio.estado !== 'entregado' &&
+            envio.temperatura && envio.temperatura.excursionEnCurso).length;
+
+        const data = envios.filter(envio => (!estado || envio.estado === estado) &&
+            (req.query.activos !== 'true' || envio.estado !== 'entregado'));
+
+        res.json({
+            success: true,
+            resumen,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/shipments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener los envíos: ' + error.message
+        });
+    }
+});
+
+// POST /api/shipments - Crear un envío con sus lotes, vehículo, conductor y ruta planificada
+// Los lotes sin eventos de custodia registran aquí su transporte (requiere temperaturaC)
+app.post('/api/shipments', requirePermission(PERMISSIONS.UPLOAD), async (req, res) => {
+    try {
+        const input = shipments.validateShipment(req.body);
+
+        const { envio, call } = repos.db.transaction(() => {
+            let call = null;
+            const lotes = input.lotes.map(({ loteId, pesoKg }) => {
+                const batch = repos.batches.findById(loteId, req.user.ruc);
+                if (!batch) {
+                    throw new shipments.ShipmentError(`Lote ${loteId} no encontrado`, 404);
+                }
+                const activo = repos.shipments.findActiveByBatch(batch.id);
+                if (activo) {
+                    throw new shipments.ShipmentError(`El lote ${batch.id} ya viaja en el envío ${activo.id}`, 409);
+                }
+
+                const etapa = batch.custodia ? batch.custodia.etapaActual : null;
+                if (etapa && etapa !== 'transporte') {
+                    throw new shipments.ShipmentError(`El lote ${batch.id} ya pasó el transporte (etapa actual: ${etapa})`, 409);
+                }
+                if (etapa === 'transporte' && transportVehicle(batch.id) !== input.vehiculo) {
+                    throw new shipments.ShipmentError(`El lote ${batch.id} viaja en el vehículo ${transportVehicle(batch.id)}`, 409);
+                }
+                if (!etapa) {
+                    if (input.temperaturaC === null) {
+                        throw new shipments.ShipmentError(`temperaturaC es requerida para registrar el transporte del lote ${batch.id}`);
+                    }
+                    call = recordCustodyEvent(batch, 'transporte', {
+                        fechaSalida: input.salida,
+                        vehiculo: input.vehiculo,
+                        temperaturaC: input.temperaturaC
+                    }, req.user).call || call;
+                }
+
+                // Sin peso indicado, el lote viaja con el peso neto declarado en la carga
+                const rows = batch.resumen ? null : repos.batches.findRows(batch.id);
+                const resumen = batch.resumen || (rows ? summarizeRows(rows) : null);
+                return { loteId: batch.id, archivo: batch.fileName, pesoKg: pesoKg || (resumen ? resumen.pesoNetoTotalKg : null) };
+            });
+
+            const created = repos.shipments.create({
+                ruc: req.user.ruc,
+                vehiculo: input.vehiculo,
+                estado: 'en_transito',
+                salida: input.salida,
+                llegadaEstimada: input.llegadaEstimada,
+                lotes,
+                conductor: input.conductor,
+                ruta: input.ruta,
+                registradoPor: ledgerActor(req.user),
+                evaluacion: null,
+                historial: [{ estado: 'en_transito', fecha: input.salida }],
+                recepciones: []
+            });
+            publishShipment(created);
+            return { envio: created, call };
+        })();
+
+        console.log(`🚛 Envío ${envio.id} (${envio.vehiculo}) creado por ${req.user.username} con ${envio.lotes.length} lotes`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Envío creado exitosamente',
+            data: shipmentView(envio),
+            contrato: await sendContractCall(call)
+        });
+    } catch (error) {
+        if (error instanceof shipments.ShipmentError || error instanceof custody.CustodyError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/shipments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear el envío: ' + error.message
+        });
+    }
+});
+
+// GET /api/shipments/:id - Envío con su ruta, historial de estados y recepciones
+app.get('/api/shipments/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const envio = repos.shipments.findById(req.params.id, req.user.ruc);
+
+        if (!envio) {
+            return res.status(404).json({
+                success: false,
+                message: 'Envío no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { ...shipmentView(envio), posiciones: repos.shipments.countPositions(envio.id) }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/shipments/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el envío: ' + error.message
+        });
+    }
+});
+
+// GET /api/shipments/:id/track - Recorrido del envío (desde, hasta)
+app.get('/api/shipments/:id/track', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const envio = repos.shipments.findById(req.params.id, req.user.ruc);
+
+        if (!envio) {
+            return res.status(404).json({
+                success: false,
+                message: 'Envío no encontrado'
+            });
+        }
+
+        const data = repos.shipments.listPositions(envio.id, { desde: req.query.desde, hasta: req.query.hasta });
+
+        res.json({
+            success: true,
+            envioId: envio.id,
+            vehiculo: envio.vehiculo,
+            ruta: envio.ruta,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/shipments/:id/track:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el recorrido: ' + error.message
+        });
+    }
+});
+
+// POST /api/shipments/:id/positions - Posiciones del GPS del camión
+// { lat, lng, fecha, velocidadKmh?, rumbo?, precisionM? } o { posiciones: [...] }
+app.post('/api/shipments/:id/positions', requirePermission(PERMISSIONS.UPLOAD), async (req, res) => {
+    try {
+        const envio = repos.shipments.findById(req.params.id, req.user.ruc);
+
+        if (!envio) {
+            return res.status(404).json({
+                success: false,
+                message: 'Envío no encontrado'
+            });
+        }
+        if (envio.estado === 'entregado') {
+            return res.status(409).json({
+                success: false,
+                message: `El envío ${envio.id} ya fue entregado (${envio.entregadoEn})`
+            });
+        }
+
+        const posiciones = shipments.validatePositions(req.body);
+        const result = repos.db.transaction(() => trackShipment(envio, posiciones, req.user))();
+
+        res.status(result.guardadas > 0 ? 201 : 200).json({
+            success: true,
+            message: `${result.guardadas} posiciones guardadas`,
+            data: {
+                recibidas: posiciones.length,
+                guardadas: result.guardadas,
+                duplicadas: result.duplicadas,
+                envio: shipmentView(result.envio)
+            }
+        });
+    } catch (error) {
+        if (error instanceof shipments.ShipmentError || error instanceof custody.CustodyError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/shipments/:id/positions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar las posiciones: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DEL LEDGER
+// ===============================================
+
+// Función para agregar a una entrada del ledger el bloque que la contiene (null mientras está pendiente)
+function withBlock(entry) {
+    const block = repos.ledger.findBlockForEntry(entry.secuencia);
+    return { ...entry, bloque: block ? { numero: block.numero, hash: block.hash } : null };
+}
+
+// GET /api/ledger/blocks - Bloques del ledger, del más reciente al más antiguo (page, limit)
+app.get('/api/ledger/blocks', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const result = repos.ledger.listBlocks(req.query);
+        const lastBlock = repos.ledger.lastBlock();
+
+        res.json({
+            success: true,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            pendientes: repos.ledger.entriesAfter(lastBlock ? lastBlock.ultimaSecuencia : 0).length,
+            data: result.data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/ledger/blocks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener los bloques: ' + error.message
+        });
+    }
+});
+
+// GET /api/ledger/blocks/:ref - Bloque por número o hash, con las transacciones de la empresa que contiene
+app.get('/api/ledger/blocks/:ref', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const block = repos.ledger.findBlock(req.params.ref);
+
+        if (!block) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bloque no encontrado'
+            });
+        }
+
+        // Un bloque puede agrupar entradas de varias empresas; solo se muestran las propias
+        const transacciones = repos.ledger.entriesInBlock(block).filter(entry => entry.ruc === req.user.ruc);
+
+        res.json({
+            success: true,
+            data: { ...block, transaccionesEmpresa: transacciones }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/ledger/blocks/:ref:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el bloque: ' + error.message
+        });
+    }
+});
+
+// GET /api/ledger/transactions - Transacciones de la empresa (tipo, loteId, page, limit)
+app.get('/api/ledger/transactions', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const { tipo, loteId } = req.query;
+
+        if (tipo && !ENTRY_TYPES[tipo]) {
+            return res.status(400).json({
+                success: false,
+                message: `tipo debe ser uno de ${Object.keys(ENTRY_TYPES).join(', ')}`
+            });
+        }
+
+        const result = repos.ledger.listEntries({
+            ruc: req.user.ruc,
+            tipo,
+            referencia: loteId,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            tipos: ENTRY_TYPES,
+            data: result.data.map(withBlock)
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/ledger/transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las transacciones: ' + error.message
+        });
+    }
+});
+
+// GET /api/ledger/transactions/:hash - Buscar una transacción por su hash
+app.get('/api/ledger/transactions/:hash', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const hash = String(req.params.hash).toLowerCase();
+
+        if (!HASH_PATTERN.test(hash)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El hash debe tener el formato 0x seguido de 64 caracteres hexadecimales'
+            });
+        }
+
+        // Las transacciones de otra empresa se tratan como inexistentes
+        const entry = repos.ledger.findEntry(hash);
+        if (!entry || entry.ruc !== req.user.ruc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transacción no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: withBlock(entry)
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/ledger/transactions/:hash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la transacción: ' + error.message
+        });
+    }
+});
+
+// GET /api/batch/:id/transfers - Transferencias de propiedad del lote registradas en el ledger
+app.get('/api/batch/:id/transfers', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        const transfers = repos.ledger.listByReference(batch.id, req.user.ruc)
+            .filter(entry => entry.tipo === 'transferencia')
+            .map(withBlock);
+
+        res.json({
+            success: true,
+            count: transfers.length,
+            propietario: batch.propietario || null,
+            data: transfers
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/batch/:id/transfers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las transferencias: ' + error.message
+        });
+    }
+});
+
+// POST /api/batch/:id/transfers - Transferir la propiedad del lote a una billetera ({ destino, montoUSD })
+app.post('/api/batch/:id/transfers', requirePermission(PERMISSIONS.TRANSFER), async (req, res) => {
+    try {
+        const { destino } = req.body || {};
+        const montoUSD = Number(req.body && req.body.montoUSD);
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lote no encontrado'
+            });
+        }
+
+        if (!destino || !WALLET_PATTERN.test(destino)) {
+            return res.status(400).json({
+                success: false,
+                message: 'destino debe ser una dirección de billetera válida (0x + 40 caracteres hexadecimales)'
+            });
+        }
+
+        if (!Number.isFinite(montoUSD) || montoUSD < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'montoUSD debe ser un número mayor o igual a 0'
+            });
+        }
+
+        // Sin transferencias previas el lote pertenece a la empresa que lo cargó
+        const origen = batch.propietario ? batch.propietario.wallet : null;
+        if (origen && origen.toLowerCase() === destino.toLowerCase()) {
+            return res.status(409).json({
+                success: false,
+                message: 'El lote ya pertenece a esa billetera'
+            });
+        }
+
+        const { entry, call } = repos.db.transaction(() => {
+            const created = ledger.append({
+                tipo: 'transferencia',
+                ruc: req.user.ruc,
+                referencia: batch.id,
+                registradoPor: ledgerActor(req.user),
+                datos: { loteId: batch.id, origen, destino, montoUSD }
+            });
+            repos.batches.update(batch.id, {
+                propietario: { wallet: destino, desde: created.fecha, transaccion: created.hash }
+            });
+            return {
+                entry: created,
+                call: queueBatchCall(batch, {
+                    tipo: 'transferencia',
+                    metodo: 'transferAsset',
+                    argumentos: [batch.id, destino.toLowerCase(), toUint(montoUSD)],
+                    transaccionLedger: created.hash
+                })
+            };
+        })();
+
+        console.log(`🔁 Lote ${batch.id} transferido a ${destino} por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Transferencia registrada exitosamente',
+            data: withBlock(entry),
+            contrato: await sendContractCall(call)
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/batch/:id/transfers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al registrar la transferencia: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DEL CONTRATO (EVM)
+// ===============================================
+
+// Estados de una llamada al contrato
+const CONTRACT_CALL_STATES = ['pendiente', 'enviada', 'confirmada', 'revertida', 'fallida'];
+
+// GET /api/contract - Backend de la cadena, contrato de la empresa y estado de sus llamadas
+app.get('/api/contract', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                backend: CHAIN_BACKEND,
+                red: evmChain ? evmChain.network : null,
+                cuenta: evmChain ? evmChain.account : null,
+                contrato: evmChain ? evmChain.contractInfo(req.user.ruc) : null,
+                llamadas: repos.contractCalls.countByStatus(req.user.ruc),
+                umbrales: readContractThresholds(req.user.ruc)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/contract:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el estado del contrato: ' + error.message
+        });
+    }
+});
+
+// GET /api/contract/transactions - Llamadas al contrato de la empresa con su hash y bloque (tipo, estado, loteId, page, limit)
+app.get('/api/contract/transactions', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const { tipo, estado, loteId } = req.query;
+
+        if (estado && !CONTRACT_CALL_STATES.includes(estado)) {
+            return res.status(400).json({
+                success: false,
+                message: `estado debe ser uno de ${CONTRACT_CALL_STATES.join(', ')}`
+            });
+        }
+
+        const result = repos.contractCalls.list({
+            ruc: req.user.ruc,
+            tipo,
+            estado,
+            referencia: loteId,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            backend: CHAIN_BACKEND,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            data: result.data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/contract/transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las llamadas al contrato: ' + error.message
+        });
+    }
+});
+
+// GET /api/contract/thresholds - Umbrales del contrato de la empresa
+app.get('/api/contract/thresholds', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: readContractThresholds(req.user.ruc)
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/contract/thresholds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener los umbrales: ' + error.message
+        });
+    }
+});
+
+// PUT /api/contract/thresholds - Cambiar los umbrales ({ maxTempC, maxDesviacionPesoPct, minMateriaSecaPct, comentario })
+// Propone una versión nueva y responde 202: quien la propone no puede aprobarla, así que se activa cuando otro
+// administrador la aprueba (POST /api/thresholds/versions/:version/approve)
+app.put('/api/contract/thresholds', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const body = req.body || {};
+        const comentario = thresholds.validateComment(body.comentario);
+
+        const version = repos.db.transaction(() => {
+            const umbrales = thresholds.validateValues(body, activeThresholdVersion(req.user.ruc).umbrales);
+            return proposeThresholdVersion(req.user.ruc, req.user, { umbrales, activaDesde: null, comentario });
+        })();
+
+        res.status(202).json({
+            success: true,
+            message: `Versión ${version.version} propuesta; requiere ${version.aprobacionesRequeridas} aprobaciones de otro administrador`,
+            data: readContractThresholds(req.user.ruc),
+            version,
+            contrato: null
+        });
+    } catch (error) {
+        if (error instanceof thresholds.ThresholdError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en PUT /api/contract/thresholds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar los umbrales: ' + error.message
+        });
+    }
+});
+
+// GET /api/contract/events - Eventos indexados del contrato de la empresa, del más reciente al más antiguo
+// (evento, loteId, desdeBloque, page, limit)
+app.get('/api/contract/events', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        const { evento, loteId } = req.query;
+        const eventos = Object.keys(CONTRACT_EVENTS);
+
+        if (evento && !eventos.includes(evento)) {
+            return res.status(400).json({
+                success: false,
+                message: `evento debe ser uno de ${eventos.join(', ')}`
+            });
+        }
+
+        const desdeBloque = req.query.desdeBloque !== undefined ? parseInt(req.query.desdeBloque, 10) : undefined;
+        if (desdeBloque !== undefined && (!Number.isInteger(desdeBloque) || desdeBloque < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'desdeBloque debe ser un entero mayor o igual a 0'
+            });
+        }
+
+        await syncContractEvents();
+        const result = repos.contractEvents.list({
+            ruc: req.user.ruc,
+            evento,
+            loteId,
+            desdeBloque,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            backend: CHAIN_BACKEND,
+            indexacion: contractIndexer ? contractIndexer.cursor(req.user.ruc) : null,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            data: result.data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/contract/events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener los eventos del contrato: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE VERSIONES DE UMBRALES
+// ===============================================
+
+// Función para activar las versiones programadas antes de responder una consulta de umbrales
+async function applyDueThresholds() {
+    const calls = activateDueThresholds();
+    if (calls.length) await sendContractCall(calls[calls.length - 1]);
+}
+
+// Función para leer el número de versión de la ruta (null si no es un entero positivo)
+function readVersionParam(req) {
+    const version = Number(req.params.version);
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// GET /api/thresholds/versions - Versiones de los umbrales de la empresa, de la más reciente a la más antigua (estado)
+app.get('/api/thresholds/versions', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        const { estado } = req.query;
+
+        if (estado && !thresholds.VERSION_STATES[estado]) {
+            return res.status(400).json({
+                success: false,
+                message: `estado debe ser uno de ${Object.keys(thresholds.VERSION_STATES).join(', ')}`
+            });
+        }
+
+        await applyDueThresholds();
+        const vigente = activeThresholdVersion(req.user.ruc);
+        const versiones = repos.thresholdVersions.list(req.user.ruc, estado);
+
+        res.json({
+            success: true,
+            politica: readThresholdPolicy(req.user.ruc),
+            vigente,
+            count: versiones.length,
+            data: versiones
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/thresholds/versions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las versiones de umbrales: ' + error.message
+        });
+    }
+});
+
+// GET /api/thresholds/versions/:version - Una versión de los umbrales con sus aprobaciones e historial
+app.get('/api/thresholds/versions/:version', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        await applyDueThresholds();
+        activeThresholdVersion(req.user.ruc);
+        const numero = readVersionParam(req);
+        const version = numero && repos.thresholdVersions.findByVersion(req.user.ruc, numero);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versión de umbrales no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: version
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/thresholds/versions/:version:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la versión de umbrales: ' + error.message
+        });
+    }
+});
+
+// POST /api/thresholds/versions - Proponer una versión
+// ({ maxTempC, maxDesviacionPesoPct, minMateriaSecaPct, activaDesde, comentario }; los umbrales que no se envían
+// se toman de la versión vigente y sin activaDesde se activa al aprobarse)
+app.post('/api/thresholds/versions', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const body = req.body || {};
+        const activaDesde = thresholds.validateActivationDate(body.activaDesde);
+        const comentario = thresholds.validateComment(body.comentario);
+
+        const version = repos.db.transaction(() => {
+            const umbrales = thresholds.validateValues(body, activeThresholdVersion(req.user.ruc).umbrales);
+            return proposeThresholdVersion(req.user.ruc, req.user, { umbrales, activaDesde, comentario });
+        })();
+
+        console.log(`🎚️ Umbrales v${version.version} propuestos por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: `Versión ${version.version} propuesta; requiere ${version.aprobacionesRequeridas} aprobaciones`,
+            data: version
+        });
+    } catch (error) {
+        if (error instanceof thresholds.ThresholdError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/thresholds/versions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al proponer los umbrales: ' + error.message
+        });
+    }
+});
+
+// POST /api/thresholds/versions/:version/approve - Aprobar una versión propuesta ({ comentario })
+// Con las aprobaciones completas se activa en su fecha (o de inmediato si no tiene o ya pasó)
+app.post('/api/thresholds/versions/:version/approve', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), async (req, res) => {
+    try {
+        const numero = readVersionParam(req);
+        const comentario = thresholds.validateComment((req.body || {}).comentario);
+
+        const result = repos.db.transaction(() => {
+            const version = numero && repos.thresholdVersions.findByVersion(req.user.ruc, numero);
+            return version ? approveThresholdVersion(version, req.user, comentario) : null;
+        })();
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versión de umbrales no encontrada'
+            });
+        }
+
+        const { version, call } = result;
+        const messages = {
+            propuesta: `Aprobación registrada (${version.aprobaciones.length} de ${version.aprobacionesRequeridas})`,
+            aprobada: `Versión ${version.version} aprobada; se activará el ${version.activaDesde}`,
+            activa: `Versión ${version.version} aprobada y activa`
+        };
+
+        res.json({
+            success: true,
+            message: messages[version.estado],
+            data: version,
+            contrato: await sendContractCall(call)
+        });
+    } catch (error) {
+        if (error instanceof thresholds.ThresholdError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/thresholds/versions/:version/approve:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al aprobar los umbrales: ' + error.message
+        });
+    }
+});
+
+// POST /api/thresholds/versions/:version/reject - Rechazar una versión propuesta ({ comentario })
+app.post('/api/thresholds/versions/:version/reject', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const numero = readVersionParam(req);
+        const comentario = thresholds.validateComment((req.body || {}).comentario);
+
+        const version = repos.db.transaction(() => {
+            const current = numero && repos.thresholdVersions.findByVersion(req.user.ruc, numero);
+            if (!current) return null;
+            thresholds.checkReview(current, req.user, 'rechazar');
+
+            const entry = appendThresholdEntry(req.user.ruc, req.user, { accion: 'rechazar-umbrales', version: current.version });
+            return repos.thresholdVersions.update(current.id, {
+                estado: 'rechazada',
+                historial: [...current.historial, { accion: 'rechazo', fecha: entry.fecha, usuario: req.user.username, comentario, transaccion: entry.hash }]
+            });
+        })();
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versión de umbrales no encontrada'
+            });
+        }
+
+        console.log(`🎚️ Umbrales v${version.version} rechazados por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: `Versión ${version.version} rechazada`,
+            data: version
+        });
+    } catch (error) {
+        if (error instanceof thresholds.ThresholdError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/thresholds/versions/:version/reject:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al rechazar los umbrales: ' + error.message
+        });
+    }
+});
+
+// POST /api/thresholds/versions/:version/rollback - Volver a los umbrales de una versión que estuvo vigente
+// ({ comentario }). Crea una versión nueva con esos valores que sigue la política de aprobación como cualquier
+// propuesta: la aprueba otro administrador
+app.post('/api/thresholds/versions/:version/rollback', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const numero = readVersionParam(req);
+        const comentario = thresholds.validateComment((req.body || {}).comentario);
+
+        const version = repos.db.transaction(() => {
+            activeThresholdVersion(req.user.ruc);
+            const target = numero && repos.thresholdVersions.findByVersion(req.user.ruc, numero);
+            if (!target) return null;
+            if (target.estado !== 'reemplazada') {
+                throw new thresholds.ThresholdError(
+                    `Solo se puede volver a una versión que estuvo vigente (la versión ${target.version} está ${target.estado})`, 409
+                );
+            }
+
+            return proposeThresholdVersion(req.user.ruc, req.user, {
+                umbrales: target.umbrales,
+                activaDesde: null,
+                comentario: comentario || `Reversión a la versión ${target.version}`,
+                revierteA: target.version
+            });
+        })();
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versión de umbrales no encontrada'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: `Reversión a la versión ${numero} propuesta como versión ${version.version}; ` +
+                `requiere ${version.aprobacionesRequeridas} aprobaciones de otro administrador`,
+            data: version,
+            contrato: null
+        });
+    } catch (error) {
+        if (error instanceof thresholds.ThresholdError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/thresholds/versions/:version/rollback:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al revertir los umbrales: ' + error.message
+        });
+    }
+});
+
+// GET /api/thresholds/history - Acciones sobre las versiones de umbrales, de la más reciente a la más antigua
+// Cada acción indica quién la hizo, los umbrales anteriores y nuevos de la versión y la entrada del ledger
+app.get('/api/thresholds/history', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        await applyDueThresholds();
+        activeThresholdVersion(req.user.ruc);
+
+        // Las versiones que no llegaron a activarse se comparan con la versión sobre la que se propusieron
+        const versiones = repos.thresholdVersions.list(req.user.ruc);
+        const porNumero = new Map(versiones.map(version => [version.version, version]));
+        const acciones = [];
+        versiones.forEach(version => {
+            const base = porNumero.get(version.versionBase);
+            const anteriores = version.anteriores || (base ? base.umbrales : null);
+            version.historial.forEach(item => acciones.push({
+                version: version.version,
+                ...item,
+                anteriores,
+                umbrales: version.umbrales,
+                cambios: anteriores ? thresholds.changedFields(anteriores, version.umbrales) : []
+            }));
+        });
+        acciones.sort((a, b) => b.fecha.localeCompare(a.fecha) || b.version - a.version);
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const data = acciones.slice((page - 1) * limit, page * limit);
+
+        res.json({
+            success: true,
+            count: data.length,
+            total: acciones.length,
+            page,
+            limit,
+            pages: Math.ceil(acciones.length / limit),
+            data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/thresholds/history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el historial de umbrales: ' + error.message
+        });
+    }
+});
+
+// PUT /api/thresholds/policy - Aprobaciones que exigen los cambios de umbrales ({ aprobacionesRequeridas: 1 | 2 })
+// Las versiones ya propuestas conservan la política con la que se propusieron
+app.put('/api/thresholds/policy', requirePermission(PERMISSIONS.CHANGE_THRESHOLDS), (req, res) => {
+    try {
+        const aprobacionesRequeridas = Number((req.body || {}).aprobacionesRequeridas);
+
+        if (!thresholds.APPROVAL_POLICIES.includes(aprobacionesRequeridas)) {
+            return res.status(400).json({
+                success: false,
+                message: `aprobacionesRequeridas debe ser uno de ${thresholds.APPROVAL_POLICIES.join(', ')}`
+            });
+        }
+
+        const politica = repos.db.transaction(() => {
+            const anterior = readThresholdPolicy(req.user.ruc);
+            const entry = appendThresholdEntry(req.user.ruc, req.user, {
+                accion: 'cambiar-politica-umbrales',
+                anterior: anterior.aprobacionesRequeridas,
+                aprobacionesRequeridas
+            });
+            return repos.settings.set('threshold-policy:' + req.user.ruc, {
+                aprobacionesRequeridas,
+                actualizadoEn: entry.fecha,
+                actualizadoPor: req.user.username,
+                transaccion: entry.hash
+            });
+        })();
+
+        console.log(`🎚️ Política de umbrales de ${req.user.ruc}: ${aprobacionesRequeridas} aprobaciones (por ${req.user.username})`);
+
+        res.json({
+            success: true,
+            message: 'Política de aprobación actualizada',
+            data: politica
+        });
+    } catch (error) {
+        console.error('❌ Error en PUT /api/thresholds/policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al actualizar la política de aprobación: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE PARÁMETROS
+// ===============================================
+
+// Función para armar el historial de cambios de parámetros de una empresa, del más reciente al más antiguo
+// Con el backend evm sale de los eventos ThresholdsUpdated (el valor anterior es el del evento previo
+// o, para el primero, el del despliegue); con el backend ledger, de las entradas de umbrales del ledger
+function parameterHistory(ruc) {
+    const rows = [];
+
+    if (contractIndexer) {
+        const info = evmChain.contractInfo(ruc);
+        const previous = {};
+        repos.contractEvents.listByName(ruc, 'ThresholdsUpdated').forEach(event => {
+            const anteriores = previous[event.contrato] ||
+                (info && info.direccion === event.contrato ? thresholdValues(info.umbralesIniciales) : null);
+            const call = repos.contractCalls.findByTransaction(event.transaccion);
+            const entry = call && call.transaccionLedger ? repos.ledger.findEntry(call.transaccionLedger) : null;
+
+            parameterChanges(anteriores, event.datos).forEach(change => rows.push({
+                fecha: event.fecha,
+                ...change,
+                wallet: event.datos.por,
+                usuario: entry && entry.registradoPor ? entry.registradoPor.usuario : null,
+                version: entry ? entry.datos.version || null : null,
+                transaccion: event.transaccion,
+                bloque: event.bloque,
+                fuente: 'contrato'
+            }));
+            previous[event.contrato] = event.datos;
+        });
+    } else {
+        repos.ledger.listByReference('umbrales-contrato', ruc)
+            .filter(entry => entry.tipo === 'umbral' && entry.datos.accion === 'cambiar-umbrales-contrato')
+            .forEach(entry => {
+                const block = repos.ledger.findBlockForEntry(entry.secuencia);
+                parameterChanges(entry.datos.anteriores, entry.datos.umbrales).forEach(change => rows.push({
+                    fecha: entry.fecha,
+                    ...change,
+                    wallet: null,
+                    usuario: entry.registradoPor ? entry.registradoPor.usuario : null,
+                    version: entry.datos.version || null,
+                    transaccion: entry.hash,
+                    bloque: block ? block.numero : null,
+                    fuente: 'ledger'
+                }));
+            });
+    }
+
+    return rows.reverse();
+}
+
+// GET /api/parameters/history - Cambios de los umbrales del contrato (parametro, page, limit)
+app.get('/api/parameters/history', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        const { parametro } = req.query;
+
+        if (parametro && !PARAMETERS[parametro]) {
+            return res.status(400).json({
+                success: false,
+                message: `parametro debe ser uno de ${Object.keys(PARAMETERS).join(', ')}`
+            });
+        }
+
+        await syncContractEvents();
+        const rows = parameterHistory(req.user.ruc).filter(row => !parametro || row.parametro === parametro);
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const data = rows.slice((page - 1) * limit, page * limit);
+
+        res.json({
+            success: true,
+            backend: CHAIN_BACKEND,
+            umbrales: readContractThresholds(req.user.ruc),
+            count: data.length,
+            total: rows.length,
+            page,
+            limit,
+            pages: Math.ceil(rows.length / limit),
+            data
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/parameters/history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener el historial de parámetros: ' + error.message
+        });
+    }
+});
+
+// ===============================================
+// ENDPOINTS DE ALERTAS
+// ===============================================
+
+// Función para agregar a una alerta el estado de sus plazos
+function alertView(alert, ahora) {
+    return { ...alert, sla: slaStatus(alert, ahora) };
+}
+
+// GET /api/alerts - Alertas de la empresa, de la más reciente a la más antigua, con el estado de sus plazos
+// (estado, severidad, tipo, origen, asignadoA ('me' o ID de usuario), finca, loteId, page, limit)
+app.get('/api/alerts', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
+    try {
+        const { estado, severidad, tipo, origen, finca, loteId } = req.query;
+
+        if (estado && !ALERT_STATES[estado]) {
+            return res.status(400).json({
+                success: false,
+                message: `estado debe ser uno de ${Object.keys(ALERT_STATES).join(', ')}`
+            });
+        }
+        if (severidad && !SEVERITIES[severidad]) {
+            return res.status(400).json({
+                success: false,
+                message: `severidad debe ser una de ${Object.keys(SEVERITIES).join(', ')}`
+            });
+        }
+
+        await syncContractEvents();
+        const result = repos.alerts.list({
+            ruc: req.user.ruc,
+            estado,
+            severidad,
+            tipo,
+            origen,
+            asignadoA: req.query.asignadoA === 'me' ? req.user.id : req.query.asignadoA,
+            finca,
+            loteId,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+
+        // Los indicadores de atención se calculan sobre todas las alertas activas, no solo la página
+        const ahora = new Date().toISOString();
+        const activas = repos.alerts.listActive(req.user.ruc);
+
+        res.json({
+            success: true,
+            resumen: {
+                porEstado: repos.alerts.countByStatus(req.user.ruc),
+                criticas: activas.filter(alert => alert.severidad === 'alta').length,
+                advertencias: activas.filter(alert => alert.severidad === 'media').length,
+                slaVencidas: activas.filter(alert => slaStatus(alert, ahora).vencida).length,
+                sinAsignar: activas.filter(alert => !alert.asignadoA).length,
+                resueltas24h: repos.alerts.countResolvedSince(
+                    req.user.ruc, new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+                ),
+                fincas: repos.alerts.listFincas(req.user.ruc)
+            },
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            data: result.data.map(alert => alertView(alert, ahora))
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/alerts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener las alertas: ' + error.message
+        });
+    }
+});
+
+// GET /api/alerts/assignees - Usuarios activos de la empresa a los que se puede asignar una alerta
+// (con el permiso run_audit); actual marca al usuario autenticado
+app.get('/api/alerts/assignees', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const users = repos.users.list({ ruc: req.user.ruc, status: 'Activo', limit: 500 }).data
+            .filter(user => hasPermission(user.role, PERMISSIONS.RUN_AUDIT));
+
+        res.json({
+            success: true,
+            data: users.map(user => ({
+                id: user.id,
+                usuario: user.username,
+                nombre: user.name,
+                rol: user.role,
+                actual: user.id === req.user.id
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/alerts/assignees:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener los responsables: ' + error.message
+        });
+    }
+});
+
+// GET /api/alerts/:id - Detalle de una alerta con su evidencia, historial y plazos
+app.get('/api/alerts/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const alert = repos.alerts.findById(parseInt(req.params.id, 10), req.user.ruc);
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alerta no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: alertView(alert, new Date().toISOString())
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/alerts/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al obtener la alerta: ' + error.message
+        });
+    }
+});
 
-            console.log(`📊 Estadísticas del archivo:`);
-            console.log(`   Total: ${totalFrutas}`);
-            console.log(`   Conformes: ${frutasConformes} (${porcentajeConformes.toFixed(2)}%)`);
-            console.log(`   Hallazgos: ${frutasConHallazgos} (${porcentajeHallazgos.toFixed(2)}%)`);
-            console.log(`   No Admitidas: ${frutasNoAdmitidas} (${porcentajeNoAdmitida.toFixed(2)}%)`);
+// PUT /api/alerts/:id - Cambiar el estado de una alerta ({ estado, comentario })
+// El comentario es obligatorio para resolverla o cerrarla
+app.put('/api/alerts/:id', requirePermission(PERMISSIONS.RUN_AUDIT), (req, res) => {
+    try {
+        const alert = repos.alerts.findById(parseInt(req.params.id, 10), req.user.ruc);
 
-        } catch (parseError) {
-            console.error('❌ Error al parsear CSV:', parseError);
-            // Si hay error, usar valores por defecto
-            totalFrutas = 1;
-            frutasConformes = 1;
-            frutasConHallazgos = 0;
-            frutasNoAdmitidas = 0;
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alerta no encontrada'
+            });
         }
 
-        // Calcular porcentajes finales
-        const porcentajeNoAdmitida = (frutasNoAdmitidas / totalFrutas * 100);
-
-        // Crear registro de carga
-        const uploadRecord = {
-            id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
-            fileName: req.file.originalname,
-            savedFileName: req.file.filename,
-            size: req.file.size,
-            date: new Date().toISOString(),
-            status: 'Completada',
-            transactionId: transactionHash,
-            processedBy: userId,
-            filePath: req.file.path,
-            // Datos de calidad de fruta
-            calidadFruta: {
-                total: totalFrutas,
-                conformes: frutasConformes,
-                hallazgosMenores: frutasConHallazgos,
-                noAdmitidas: frutasNoAdmitidas,
-                porcentajeNoAdmitida: parseFloat(porcentajeNoAdmitida.toFixed(2)),
-                porcentajeConformes: parseFloat((frutasConformes / totalFrutas * 100).toFixed(2)),
-                porcentajeHallazgos: parseFloat((frutasConHallazgos / totalFrutas * 100).toFixed(2)),
-                defectos: defectos
-            }
-        };
-
-        // Leer historial actual
-        const history = readHistory();
-
-        // Agregar nuevo registro
-        history.push(uploadRecord);
-
-        // Guardar historial actualizado
-        if (!saveHistory(history)) {
-            return res.status(500).json({
+        const body = req.body || {};
+        const error = validateStatusChange(alert, body);
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Error al guardar el historial'
+                message: error
             });
         }
 
-        console.log(`✅ Archivo subido: ${req.file.originalname} por usuario ${userId}`);
+        const fecha = new Date().toISOString();
+        const updated = repos.alerts.update(alert.id, {
+            estado: body.estado,
+            // Fecha de la resolución (se limpia si la alerta se reabre)
+            resueltaEn: FINAL_STATES.includes(body.estado) ? fecha : null,
+            historial: [...(alert.historial || []), {
+                accion: 'estado',
+                estado: body.estado,
+                fecha,
+                usuario: req.user.username,
+                comentario: readComment(body.comentario)
+            }]
+        });
+        publishAlert(updated, 'actualizada');
+
+        console.log(`🚨 Alerta #${alert.id} (${alert.loteId || 'sin lote'}): ${alert.estado} → ${body.estado} por ${req.user.username}`);
 
         res.json({
             success: true,
-            message: 'Archivo cargado exitosamente',
-            data: uploadRecord
+            message: 'Alerta actualizada exitosamente',
+            data: alertView(updated, fecha)
         });
-
     } catch (error) {
-        console.error('❌ Error en /api/upload:', error);
+        console.error('❌ Error en PUT /api/alerts/:id:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al procesar la carga: ' + error.message
+            message: 'Error al actualizar la alerta: ' + error.message
         });
     }
 });
 
-// GET /api/history - Obtener historial de cargas
-app.get('/api/history', (req, res) => {
+// POST /api/alerts/:id/assign - Asignar el responsable de una alerta activa ({ usuarioId }; null la libera)
+// El responsable es un usuario activo de la empresa que puede gestionar alertas
+app.post('/api/alerts/:id/assign', requirePermission(PERMISSIONS.RUN_AUDIT), (req, res) => {
     try {
-        const userId = req.query.userId;
-        let history = readHistory();
+        const alert = repos.alerts.findById(parseInt(req.params.id, 10), req.user.ruc);
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alerta no encontrada'
+            });
+        }
+
+        if (!ACTIVE_STATES.includes(alert.estado)) {
+            return res.status(409).json({
+                success: false,
+                message: `La alerta está ${ALERT_STATES[alert.estado].toLowerCase()}; solo se asignan alertas activas`
+            });
+        }
 
-        // Si se proporciona userId, filtrar por ese usuario
-        if (userId) {
-            history = history.filter(record => record.processedBy === userId);
+        const { usuarioId } = req.body || {};
+        if (usuarioId === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere usuarioId (null para quitar la asignación)'
+            });
+        }
+
+        let asignadoA = null;
+        if (usuarioId !== null && usuarioId !== '') {
+            const user = repos.users.findById(String(usuarioId));
+            if (!user || user.ruc !== req.user.ruc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+            if (user.status !== 'Activo' || !hasPermission(user.role, PERMISSIONS.RUN_AUDIT)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${user.username} no puede gestionar alertas (usuario inactivo o sin el permiso ${PERMISSIONS.RUN_AUDIT})`
+                });
+            }
+            asignadoA = { id: user.id, usuario: user.username, nombre: user.name };
         }
 
-        // Ordenar por fecha (más reciente primero)
-        history.sort((a, b) => new Date(b.date) - new Date(a.date));
+        const fecha = new Date().toISOString();
+        const updated = repos.alerts.update(alert.id, {
+            asignadoA,
+            historial: [...(alert.historial || []), {
+                accion: 'asignacion',
+                fecha,
+                usuario: req.user.username,
+                asignadoA: asignadoA ? asignadoA.usuario : null,
+                comentario: null
+            }]
+        });
+        publishAlert(updated, 'actualizada');
+
+        console.log(`🚨 Alerta #${alert.id} asignada a ${asignadoA ? asignadoA.usuario : '(nadie)'} por ${req.user.username}`);
 
         res.json({
             success: true,
-            count: history.length,
-            data: history
+            message: asignadoA ? `Alerta asignada a ${asignadoA.nombre || asignadoA.usuario}` : 'Asignación eliminada',
+            data: alertView(updated, fecha)
         });
-
     } catch (error) {
-        console.error('❌ Error en /api/history:', error);
+        console.error('❌ Error en POST /api/alerts/:id/assign:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al obtener el historial: ' + error.message
+            message: 'Error al asignar la alerta: ' + error.message
         });
     }
 });
 
-// DELETE /api/history/:id - Eliminar un registro del historial (opcional)
-app.delete('/api/history/:id', (req, res) => {
+// POST /api/alerts/:id/comments - Agregar un comentario al historial de una alerta ({ comentario })
+app.post('/api/alerts/:id/comments', requirePermission(PERMISSIONS.RUN_AUDIT), (req, res) => {
     try {
-        const recordId = req.params.id;
-        let history = readHistory();
-
-        const recordIndex = history.findIndex(record => record.id === recordId);
+        const alert = repos.alerts.findById(parseInt(req.params.id, 10), req.user.ruc);
 
-        if (recordIndex === -1) {
+        if (!alert) {
             return res.status(404).json({
                 success: false,
-                message: 'Registro no encontrado'
+                message: 'Alerta no encontrada'
             });
         }
 
-        // Eliminar archivo físico si existe
-        const record = history[recordIndex];
-        if (record.filePath && fs.existsSync(record.filePath)) {
-            fs.unlinkSync(record.filePath);
+        const comentario = readComment((req.body || {}).comentario);
+        if (!comentario) {
+            return res.status(400).json({
+                success: false,
+                message: 'Se requiere el comentario (texto)'
+            });
+        }
+        if (comentario.length > 2000) {
+            return res.status(400).json({
+                success: false,
+                message: 'El comentario admite hasta 2000 caracteres'
+            });
         }
 
-        // Eliminar del historial
-        history.splice(recordIndex, 1);
-        saveHistory(history);
+        const fecha = new Date().toISOString();
+        const updated = repos.alerts.update(alert.id, {
+            historial: [...(alert.historial || []), {
+                accion: 'comentario',
+                fecha,
+                usuario: req.user.username,
+                comentario
+            }]
+        });
+        publishAlert(updated, 'actualizada');
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Registro eliminado exitosamente'
+            message: 'Comentario agregado',
+            data: alertView(updated, fecha)
         });
-
     } catch (error) {
-        console.error('❌ Error en DELETE /api/history:', error);
+        console.error('❌ Error en POST /api/alerts/:id/comments:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al eliminar el registro: ' + error.message
+            message: 'Error al comentar la alerta: ' + error.message
         });
     }
 });
 
-// GET /api/uploads/:filename - Servir archivo subido
-app.get('/api/uploads/:filename', (req, res) => {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, 'uploads', filename);
+// ===============================================
+// ENDPOINTS DE NOTIFICACIONES
+// ===============================================
 
-    // Seguridad: Evitar Directory Traversal
-    if (!filePath.startsWith(path.join(__dirname, 'uploads'))) {
-        return res.status(403).json({
+// Función para verificar que un usuario pueda modificar una regla: las propias o, con manage_users, cualquiera de la empresa
+function canManageSubscription(user, subscription) {
+    return hasPermission(user.role, PERMISSIONS.MANAGE_USERS) ||
+        (subscription.alcance === 'usuario' && subscription.usuarioId === user.id);
+}
+
+// Función para obtener una regla de la empresa que el usuario puede modificar; responde el error si no
+function findManagedSubscription(req, res) {
+    const subscription = repos.notifications.findSubscription(parseInt(req.params.id, 10), req.user.ruc);
+    if (!subscription || !canManageSubscription(req.user, subscription)) {
+        res.status(404).json({
             success: false,
-            message: 'Acceso denegado'
+            message: 'Regla de notificación no encontrada'
         });
+        return null;
     }
+    return subscription;
+}
 
-    if (fs.existsSync(filePath)) {
-        res.sendFile(filePath);
-    } else {
-        res.status(404).json({
+// GET /api/notifications/subscriptions - Reglas de notificación: todas las de la empresa con manage_users,
+// si no las propias y las de su rol. Incluye el catálogo de eventos, severidades, canales y modos
+app.get('/api/notifications/subscriptions', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const admin = hasPermission(req.user.role, PERMISSIONS.MANAGE_USERS);
+        const subscriptions = repos.notifications.listSubscriptions(req.user.ruc, admin ? null : req.user);
+
+        res.json({
+            success: true,
+            catalogo: {
+                eventos: ALERT_TYPES,
+                severidades: SEVERITIES,
+                canales: notifications.CHANNELS,
+                modos: notifications.MODES,
+                alcances: notifications.SCOPES,
+                roles: ROLES
+            },
+            count: subscriptions.length,
+            data: subscriptions.map(notifications.subscriptionView)
+        });
+    } catch (error) {
+        console.error('❌ Error en GET /api/notifications/subscriptions:', error);
+        res.status(500).json({
             success: false,
-            message: 'Archivo no encontrado'
+            message: 'Error al obtener las reglas de notificación: ' + error.message
         });
     }
 });
 
-// POST /api/update-simulation - Actualizar resultado de simulación
-app.post('/api/update-simulation', (req, res) => {
+// POST /api/notifications/subscriptions - Crear una regla ({ nombre, alcance, usuarioId, rol, canal, modo,
+// intervaloResumenMin, eventos, severidades, fincas, webhook: { url }, activa })
+// Sin manage_users solo se crean reglas propias por correo o bandeja. El secreto del webhook solo se devuelve aquí
+app.post('/api/notifications/subscriptions', requirePermission(PERMISSIONS.VIEW), (req, res) => {
     try {
-        const { loteId, simResult } = req.body;
+        const body = req.body || {};
+        const fields = notifications.validateSubscription({ usuarioId: req.user.id, ...body }, null, ROLES);
 
-        if (!loteId || !simResult) {
-            return res.status(400).json({
+        if (!canManageSubscription(req.user, fields)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Se requiere loteId y simResult'
+                message: `Se requiere el permiso ${PERMISSIONS.MANAGE_USERS} para crear reglas de otros usuarios, de un rol o webhooks`
             });
         }
+        if (fields.alcance === 'usuario') {
+            const user = repos.users.findById(String(fields.usuarioId));
+            if (!user || user.ruc !== req.user.ruc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+            if (fields.canal === 'email' && !user.email) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${user.username} no tiene correo registrado`
+                });
+            }
+            fields.usuarioId = user.id;
+        }
 
-        let history = readHistory();
-        const recordIndex = history.findIndex(record => record.id === loteId);
+        const created = repos.notifications.createSubscription({
+            ruc: req.user.ruc,
+            ...fields,
+            creadaPor: req.user.username
+        });
 
-        if (recordIndex === -1) {
-            return res.status(404).json({
+        console.log(`📨 Regla de notificación #${created.id} (${created.canal}, ${created.modo}) creada por ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Regla de notificación creada',
+            data: created
+        });
+    } catch (error) {
+        if (error instanceof notifications.NotificationError) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Lote no encontrado'
+                message: error.message
             });
         }
+        console.error('❌ Error en POST /api/notifications/subscriptions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear la regla de notificación: ' + error.message
+        });
+    }
+});
 
-        // Actualizar el resultado de simulación
-        history[recordIndex].simResult = simResult;
-        history[recordIndex].lastSimulation = new Date().toISOString();
+// PUT /api/notifications/subscriptions/:id - Modificar los filtros, el modo, la URL del webhook o activar/desactivar una regla
+// El alcance, el destinatario y el canal no cambian
+app.put('/api/notifications/subscriptions/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const subscription = findManagedSubscription(req, res);
+        if (!subscription) return;
 
-        if (!saveHistory(history)) {
-            return res.status(500).json({
-                success: false,
-                message: 'Error al guardar el resultado'
-            });
-        }
+        const fields = notifications.validateSubscription(req.body || {}, subscription, ROLES);
+        const updated = repos.notifications.updateSubscription(subscription.id, {
+            ...fields,
+            actualizadaPor: req.user.username
+        });
 
         res.json({
             success: true,
-            message: 'Resultado de simulación actualizado',
-            data: history[recordIndex]
+            message: 'Regla de notificación actualizada',
+            data: notifications.subscriptionView(updated)
         });
-
     } catch (error) {
-        console.error('❌ Error en POST /api/update-simulation:', error);
+        if (error instanceof notifications.NotificationError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en PUT /api/notifications/subscriptions/:id:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al actualizar simulación: ' + error.message
+            message: 'Error al actualizar la regla de notificación: ' + error.message
         });
     }
 });
 
-// ===============================================
-// ENDPOINTS DE CERTIFICACIONES
-// ===============================================
-
-// GET /api/certifications - Obtener todas las certificaciones
-app.get('/api/certifications', (req, res) => {
+// DELETE /api/notifications/subscriptions/:id - Eliminar una regla (las alertas que esperaban su resumen se descartan)
+app.delete('/api/notifications/subscriptions/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
     try {
-        const certifications = readCertifications();
+        const subscription = findManagedSubscription(req, res);
+        if (!subscription) return;
+
+        repos.notifications.deleteSubscription(subscription.id);
+        console.log(`📨 Regla de notificación #${subscription.id} eliminada por ${req.user.username}`);
+
         res.json({
             success: true,
-            count: certifications.length,
-            data: certifications
+            message: 'Regla de notificación eliminada'
         });
     } catch (error) {
-        console.error('❌ Error en GET /api/certifications:', error);
+        console.error('❌ Error en DELETE /api/notifications/subscriptions/:id:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al obtener certificaciones: ' + error.message
+            message: 'Error al eliminar la regla de notificación: ' + error.message
         });
     }
 });
 
-// POST /api/certifications - Crear nueva certificación
-app.post('/api/certifications', (req, res) => {
+// POST /api/notifications/subscriptions/:id/test - Enviar una notificación de prueba a los destinatarios de la regla
+// Responde cuando termina el primer intento; si falló, la entrega sigue reintentándose
+app.post('/api/notifications/subscriptions/:id/test', requirePermission(PERMISSIONS.VIEW), async (req, res) => {
     try {
-        const { name, description, rulesCount, externalLink } = req.body;
+        const subscription = findManagedSubscription(req, res);
+        if (!subscription) return;
 
-        if (!name || !description) {
-            return res.status(400).json({
+        const deliveries = await notifier.sendTest(subscription);
+        const enviadas = deliveries.filter(delivery => delivery.estado === 'enviada').length;
+
+        res.json({
+            success: enviadas === deliveries.length,
+            message: `${enviadas} de ${deliveries.length} notificaciones de prueba enviadas`,
+            data: deliveries
+        });
+    } catch (error) {
+        if (error instanceof notifications.NotificationError) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Se requiere nombre y descripción'
+                message: error.message
             });
         }
+        console.error('❌ Error en POST /api/notifications/subscriptions/:id/test:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al enviar la notificación de prueba: ' + error.message
+        });
+    }
+});
 
-        const certifications = readCertifications();
-        const newCert = {
-            id: 'cert-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-            name,
-            description,
-            rulesCount: rulesCount || 0,
-            externalLink: externalLink || '',
-            createdAt: new Date().toISOString()
-        };
-
-        certifications.push(newCert);
-        saveCertifications(certifications);
+// GET /api/notifications/inbox - Bandeja del usuario autenticado, de la más reciente a la más antigua
+// (noLeidas=true, page, limit)
+app.get('/api/notifications/inbox', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const result = repos.notifications.listInbox({
+            usuarioId: req.user.id,
+            noLeidas: req.query.noLeidas === 'true',
+            page: req.query.page,
+            limit: req.query.limit
+        });
 
         res.json({
             success: true,
-            message: 'Certificación creada exitosamente',
-            data: newCert
+            noLeidas: repos.notifications.countUnread(req.user.id),
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            data: result.data
         });
     } catch (error) {
-        console.error('❌ Error en POST /api/certifications:', error);
+        console.error('❌ Error en GET /api/notifications/inbox:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al crear certificación: ' + error.message
+            message: 'Error al obtener la bandeja: ' + error.message
         });
     }
 });
 
-// PUT /api/certifications/:id - Actualizar certificación
-app.put('/api/certifications/:id', (req, res) => {
+// POST /api/notifications/inbox/read-all - Marcar como leídas todas las notificaciones de la bandeja
+app.post('/api/notifications/inbox/read-all', requirePermission(PERMISSIONS.VIEW), (req, res) => {
     try {
-        const certId = req.params.id;
-        const { name, description, rulesCount, externalLink } = req.body;
+        const marcadas = repos.notifications.markAllRead(req.user.id);
+
+        res.json({
+            success: true,
+            message: `${marcadas} notificaciones marcadas como leídas`,
+            data: { marcadas }
+        });
+    } catch (error) {
+        console.error('❌ Error en POST /api/notifications/inbox/read-all:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al marcar la bandeja como leída: ' + error.message
+        });
+    }
+});
 
-        let certifications = readCertifications();
-        const certIndex = certifications.findIndex(cert => cert.id === certId);
+// POST /api/notifications/inbox/:id/read - Marcar como leída una notificación de la bandeja
+app.post('/api/notifications/inbox/:id/read', requirePermission(PERMISSIONS.VIEW), (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const delivery = repos.notifications.findDelivery(id, req.user.ruc);
 
-        if (certIndex === -1) {
+        if (!delivery || delivery.canal !== 'app' || delivery.usuarioId !== req.user.id || delivery.estado !== 'enviada') {
             return res.status(404).json({
                 success: false,
-                message: 'Certificación no encontrada'
+                message: 'Notificación no encontrada'
             });
         }
 
-        certifications[certIndex] = {
-            ...certifications[certIndex],
-            name: name || certifications[certIndex].name,
-            description: description || certifications[certIndex].description,
-            rulesCount: rulesCount !== undefined ? rulesCount : certifications[certIndex].rulesCount,
-            externalLink: externalLink !== undefined ? externalLink : certifications[certIndex].externalLink,
-            updatedAt: new Date().toISOString()
-        };
-
-        saveCertifications(certifications);
+        repos.notifications.markRead(id, req.user.id);
 
         res.json({
             success: true,
-            message: 'Certificación actualizada exitosamente',
-            data: certifications[certIndex]
+            message: 'Notificación marcada como leída',
+            data: repos.notifications.findDelivery(id)
         });
     } catch (error) {
-        console.error('❌ Error en PUT /api/certifications:', error);
+        console.error('❌ Error en POST /api/notifications/inbox/:id/read:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al actualizar certificación: ' + error.message
+            message: 'Error al marcar la notificación como leída: ' + error.message
         });
     }
 });
 
-// DELETE /api/certifications/:id - Eliminar certificación
-app.delete('/api/certifications/:id', (req, res) => {
+// GET /api/notifications/deliveries - Entregas de la empresa con su estado, intentos y último error
+// (estado, canal, page, limit); estado=fallida es el registro de las entregas que agotaron los intentos
+app.get('/api/notifications/deliveries', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
     try {
-        const certId = req.params.id;
-        let certifications = readCertifications();
-        const certIndex = certifications.findIndex(cert => cert.id === certId);
+        const { estado, canal } = req.query;
 
-        if (certIndex === -1) {
-            return res.status(404).json({
+        if (estado && !notifications.DELIVERY_STATES[estado]) {
+            return res.status(400).json({
                 success: false,
-                message: 'Certificación no encontrada'
+                message: `estado debe ser uno de ${Object.keys(notifications.DELIVERY_STATES).join(', ')}`
+            });
+        }
+        if (canal && !notifications.CHANNELS[canal]) {
+            return res.status(400).json({
+                success: false,
+                message: `canal debe ser uno de ${Object.keys(notifications.CHANNELS).join(', ')}`
             });
         }
 
-        certifications.splice(certIndex, 1);
-        saveCertifications(certifications);
+        const result = repos.notifications.listDeliveries({
+            ruc: req.user.ruc,
+            estado,
+            canal,
+            page: req.query.page,
+            limit: req.query.limit
+        });
 
         res.json({
             success: true,
-            message: 'Certificación eliminada exitosamente'
+            resumen: repos.notifications.countDeliveriesByStatus(req.user.ruc),
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            pages: result.pages,
+            data: result.data
         });
     } catch (error) {
-        console.error('❌ Error en DELETE /api/certifications:', error);
+        console.error('❌ Error en GET /api/notifications/deliveries:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al eliminar certificación: ' + error.message
+            message: 'Error al obtener las entregas: ' + error.message
         });
     }
 });
 
-// ===============================================
-// ENDPOINTS DE DASHBOARD
-// ===============================================
-
-// GET /api/dashboard/stats - Obtener estadísticas del dashboard
-app.get('/api/dashboard/stats', (req, res) => {
+// POST /api/notifications/deliveries/:id/retry - Reintentar una entrega fallida desde cero
+app.post('/api/notifications/deliveries/:id/retry', requirePermission(PERMISSIONS.MANAGE_USERS), (req, res) => {
     try {
-        const userId = req.query.userId;
-        let history = readHistory();
+        const delivery = repos.notifications.findDelivery(parseInt(req.params.id, 10), req.user.ruc);
 
-        if (userId) {
-            history = history.filter(record => record.processedBy === userId);
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Entrega no encontrada'
+            });
         }
 
-        const lotesActivos = history.length;
-        const transaccionesConfirmadas = history.length * 3; // Simulado: 3 transacciones por lote
-        const alertasCriticas = history.filter(record =>
-            record.calidadFruta && record.calidadFruta.porcentajeNoAdmitida > 20
-        ).length;
+        const updated = notifier.retry(delivery);
+        console.log(`📨 Notificación #${delivery.id} reencolada por ${req.user.username}`);
 
         res.json({
             success: true,
-            data: {
-                lotesActivos,
-                transaccionesConfirmadas,
-                alertasCriticas,
-                metricas: {
-                    temperatura: 95,
-                    humedad: 80,
-                    origenVerificado: 100
-                }
-            }
+            message: 'Entrega encolada para reintento',
+            data: updated
         });
     } catch (error) {
-        console.error('❌ Error en GET /api/dashboard/stats:', error);
+        if (error instanceof notifications.NotificationError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en POST /api/notifications/deliveries/:id/retry:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al obtener estadísticas: ' + error.message
+            message: 'Error al reintentar la entrega: ' + error.message
         });
     }
 });
 
 // ===============================================
-// ENDPOINTS DE TRAZABILIDAD
+// ENDPOINTS DEL CANAL EN VIVO
 // ===============================================
 
-// GET /api/traceability - Obtener datos de trazabilidad
-app.get('/api/traceability', (req, res) => {
+// GET /api/live - Canal en vivo (Server-Sent Events) con los eventos de la empresa que el usuario puede ver
+// (tipos: carga, auditoria, alerta, bloque, posicion, notificacion separados por coma; por defecto todos)
+// Para reconectarse sin perder eventos se envía el ID del último recibido en la cabecera Last-Event-ID
+// (o en el parámetro lastEventId)
+app.get('/api/live', requirePermission(PERMISSIONS.VIEW), (req, res) => {
     try {
-        const userId = req.query.userId;
-        let history = readHistory();
-
-        if (userId) {
-            history = history.filter(record => record.processedBy === userId);
-        }
-
-        // Generar eventos de trazabilidad para cada lote
-        const traceabilityEvents = [];
-
-        history.forEach(record => {
-            const loteId = record.id.substring(0, 8).toUpperCase();
-            const uploadDate = new Date(record.date);
-
-            // Evento 1: Cosecha
-            traceabilityEvents.push({
-                fecha: new Date(uploadDate.getTime() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-                loteId: `AVO-${loteId}`,
-                productoId: 'N/A',
-                evento: 'Cosecha',
-                descripcion: 'Recolección manual de aguacates',
-                ubicacion: 'Finca El Paraíso, México',
-                estadoTx: 'Confirmado',
-                blockchainTxId: generateTransactionHash().substring(0, 12) + '...'
-            });
-
-            // Evento 2: Recepción
-            traceabilityEvents.push({
-                fecha: new Date(uploadDate.getTime() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-                loteId: `AVO-${loteId}`,
-                productoId: 'N/A',
-                evento: 'Recepción',
-                descripcion: 'Lote recibido en centro de procesamiento',
-                ubicacion: 'Centro Procesador Guadalajara',
-                estadoTx: 'Confirmado',
-                blockchainTxId: generateTransactionHash().substring(0, 12) + '...'
-            });
-
-            // Evento 3: Carga de datos
-            traceabilityEvents.push({
-                fecha: record.date,
-                loteId: `AVO-${loteId}`,
-                productoId: 'N/A',
-                evento: 'Carga de Datos',
-                descripcion: `Archivo ${record.fileName} cargado al sistema`,
-                ubicacion: 'Sistema TrazaNet',
-                estadoTx: 'Confirmado',
-                blockchainTxId: record.transactionId.substring(0, 12) + '...'
-            });
-        });
-
-        // Ordenar por fecha descendente
-        traceabilityEvents.sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+        const tipos = live.parseTypes(req.query.tipos);
+        const lastEventId = live.parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
 
-        res.json({
-            success: true,
-            count: traceabilityEvents.length,
-            data: traceabilityEvents
+        liveFeed.subscribe(req, res, {
+            user: req.user,
+            sessionId: req.sessionId,
+            token: auth.getBearerToken(req),
+            tipos,
+            lastEventId
         });
     } catch (error) {
-        console.error('❌ Error en GET /api/traceability:', error);
+        if (error instanceof live.LiveFeedError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error en GET /api/live:', error);
+        if (res.headersSent) return res.end();
         res.status(500).json({
             success: false,
-            message: 'Error al obtener trazabilidad: ' + error.message
+            message: 'Error al abrir el canal en vivo: ' + error.message
         });
     }
 });
 
-// GET /api/batch/:id - Obtener detalles de un lote específico
-app.get('/api/batch/:id', (req, res) => {
+// ===============================================
+// ENDPOINTS DE VERIFICACIÓN
+// ===============================================
+
+// GET /api/verify/batch/:id - Recalcular los hashes del lote, su archivo, sus filas y sus entradas del ledger
+app.get('/api/verify/batch/:id', requirePermission(PERMISSIONS.VIEW), (req, res) => {
     try {
-        const batchId = req.params.id;
-        const history = readHistory();
-        const batch = history.find(record => record.id === batchId);
+        const batch = repos.batches.findById(req.params.id, req.user.ruc);
 
         if (!batch) {
             return res.status(404).json({
@@ -714,15 +5399,21 @@ app.get('/api/batch/:id', (req, res) => {
             });
         }
 
+        const report = verifier.verifyBatch(batch);
+
+        if (!report.verificado) {
+            console.log(`⚠️ Verificación del lote ${batch.id}: ${report.discrepancias.length} discrepancias`);
+        }
+
         res.json({
             success: true,
-            data: batch
+            data: report
         });
     } catch (error) {
-        console.error('❌ Error en GET /api/batch:', error);
+        console.error('❌ Error en GET /api/verify/batch/:id:', error);
         res.status(500).json({
             success: false,
-            message: 'Error al obtener lote: ' + error.message
+            message: 'Error al verificar el lote: ' + error.message
         });
     }
 });
@@ -737,21 +5428,99 @@ app.listen(PORT, () => {
 ║   📡 Puerto: ${PORT}                                         ║
 ║   🌐 URL: http://localhost:${PORT}                           ║
 ║   📁 Directorio de uploads: ./uploads                     ║
-║   📊 Archivo de historial: ./uploads-history.json        ║
+║   🗄️  Base de datos: ${DB_FILE.padEnd(38)}║
 ║                                                           ║
 ║   Endpoints disponibles:                                  ║
 ║   - GET    /api/health                                    ║
+║   - POST   /api/auth/login                                ║
+║   - POST   /api/auth/refresh                              ║
+║   - POST   /api/auth/logout                               ║
+║   - GET    /api/auth/me                                   ║
+║   - POST   /api/auth/set-password                         ║
+║   - GET    /api/roles                                     ║
+║   - PUT    /api/users/:id/role                            ║
+║   - GET    /api/users                                     ║
+║   - GET    /api/users/:id                                 ║
+║   - POST   /api/users                                     ║
+║   - POST   /api/users/invite                              ║
+║   - PUT    /api/users/:id                                 ║
+║   - DELETE /api/users/:id                                 ║
+║   - POST   /api/users/:id/reset-password                  ║
+║   - GET    /api/tenants                                   ║
+║   - POST   /api/tenants                                   ║
+║   - PUT    /api/tenants/:ruc                              ║
 ║   - POST   /api/upload                                    ║
 ║   - GET    /api/history                                   ║
 ║   - POST   /api/update-simulation                         ║
+║   - GET    /api/audit/rule-types                          ║
+║   - POST   /api/audit/run                                 ║
 ║   - DELETE /api/history/:id                               ║
 ║   - GET    /api/certifications                            ║
 ║   - POST   /api/certifications                            ║
 ║   - PUT    /api/certifications/:id                        ║
 ║   - DELETE /api/certifications/:id                        ║
+║   - GET    /api/quality-mappings                          ║
+║   - POST   /api/quality-mappings                          ║
+║   - PUT    /api/quality-mappings/:id                      ║
+║   - DELETE /api/quality-mappings/:id                      ║
+║   - GET    /api/quality-policy                            ║
+║   - PUT    /api/quality-policy                            ║
 ║   - GET    /api/dashboard/stats                           ║
 ║   - GET    /api/traceability                              ║
 ║   - GET    /api/batch/:id                                 ║
+║   - GET    /api/batch/:id/rows                            ║
+║   - GET    /api/batch/:id/timeline                        ║
+║   - GET    /api/batch/:id/failure-analysis                ║
+║   - GET    /api/batch/:id/events                          ║
+║   - POST   /api/batch/:id/events                          ║
+║   - GET    /api/custody/keys                              ║
+║   - POST   /api/custody/keys/rotate                       ║
+║   - GET    /api/batch/:id/transfers                       ║
+║   - POST   /api/batch/:id/transfers                       ║
+║   - POST   /api/telemetry/readings                        ║
+║   - GET    /api/telemetry/batch/:id                       ║
+║   - GET    /api/telemetry/batch/:id/readings              ║
+║   - GET    /api/shipments                                 ║
+║   - POST   /api/shipments                                 ║
+║   - GET    /api/shipments/:id                             ║
+║   - GET    /api/shipments/:id/track                       ║
+║   - POST   /api/shipments/:id/positions                   ║
+║   - GET    /api/ledger/blocks                             ║
+║   - GET    /api/ledger/blocks/:ref                        ║
+║   - GET    /api/ledger/transactions                       ║
+║   - GET    /api/ledger/transactions/:hash                 ║
+║   - GET    /api/contract                                  ║
+║   - GET    /api/contract/transactions                     ║
+║   - GET    /api/contract/thresholds                       ║
+║   - PUT    /api/contract/thresholds                       ║
+║   - GET    /api/contract/events                           ║
+║   - GET    /api/thresholds/versions                       ║
+║   - GET    /api/thresholds/versions/:version              ║
+║   - POST   /api/thresholds/versions                       ║
+║   - POST   /api/thresholds/versions/:version/approve      ║
+║   - POST   /api/thresholds/versions/:version/reject       ║
+║   - POST   /api/thresholds/versions/:version/rollback     ║
+║   - GET    /api/thresholds/history                        ║
+║   - PUT    /api/thresholds/policy                         ║
+║   - GET    /api/parameters/history                        ║
+║   - GET    /api/alerts                                    ║
+║   - GET    /api/alerts/assignees                          ║
+║   - GET    /api/alerts/:id                                ║
+║   - PUT    /api/alerts/:id                                ║
+║   - POST   /api/alerts/:id/assign                         ║
+║   - POST   /api/alerts/:id/comments                       ║
+║   - GET    /api/notifications/subscriptions               ║
+║   - POST   /api/notifications/subscriptions               ║
+║   - PUT    /api/notifications/subscriptions/:id           ║
+║   - DELETE /api/notifications/subscriptions/:id           ║
+║   - POST   /api/notifications/subscriptions/:id/test      ║
+║   - GET    /api/notifications/inbox                       ║
+║   - POST   /api/notifications/inbox/:id/read              ║
+║   - POST   /api/notifications/inbox/read-all              ║
+║   - GET    /api/notifications/deliveries                  ║
+║   - POST   /api/notifications/deliveries/:id/retry        ║
+║   - GET    /api/live                                      ║
+║   - GET    /api/verify/batch/:id                          ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
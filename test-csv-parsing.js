@@ -1,49 +1,52 @@
 const fs = require('fs');
 const path = require('path');
+const { parseLoteCsv } = require('./lib/csvParser');
+const { DEFAULT_MAPPINGS, createClassifier } = require('./lib/qualityMapping');
 
-// Leer el archivo CSV de ejemplo
-const csvPath = path.join(__dirname, 'Lotes', 'LOTE_ID,FECHA_COSECHA,VARIEDAD,FINC.csv');
+// Leer el archivo CSV de ejemplo (se puede indicar otro como argumento)
+const csvPath = process.argv[2] || path.join(__dirname, 'Lotes', 'LOTE_ID,FECHA_COSECHA,VARIEDAD,FINC.csv');
 const csvContent = fs.readFileSync(csvPath, 'utf8');
 
 console.log('=== CONTENIDO DEL CSV ===');
 console.log(csvContent);
 console.log('\n=== ANÁLISIS ===');
 
-const lines = csvContent.split('\n').filter(line => line.trim() !== '');
-console.log(`Total de líneas (incluyendo encabezado): ${lines.length}`);
-console.log(`Total de datos (sin encabezado): ${lines.length - 1}`);
-
-if (lines.length > 1) {
-    const headers = lines[0].split(',').map(h => h.trim());
-    console.log(`\nEncabezados: ${headers.join(', ')}`);
-
-    const statusIndex = headers.findIndex(h => h.toUpperCase() === 'CALIDAD_STATUS');
-    console.log(`Índice de CALIDAD_STATUS: ${statusIndex}`);
+const parsed = parseLoteCsv(csvContent);
+console.log(`Delimitador detectado: "${parsed.delimiter}"`);
+console.log(`Encabezados: ${parsed.headers.join(', ')}`);
+console.log(`Filas válidas: ${parsed.rows.length}`);
+console.log(`Filas rechazadas: ${parsed.rejected}`);
+
+if (parsed.errors.length > 0) {
+    console.log('\n=== VALIDACIÓN ===');
+    parsed.errors.forEach(error => {
+        console.log(`Fila ${error.fila} [${error.nivel}] ${error.columna || '-'}: ${error.motivo}`);
+    });
+}
 
+if (parsed.rows.length > 0) {
     let totalFrutas = 0;
     let frutasConformes = 0;
     let frutasConHallazgos = 0;
     let frutasNoAdmitidas = 0;
 
-    for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',');
-        if (values.length >= headers.length) {
-            totalFrutas++;
-            const status = statusIndex >= 0 ? values[statusIndex].trim().toUpperCase() : 'OK';
-
-            console.log(`Fila ${i}: Status = "${status}"`);
-
-            if (status === 'OK') {
-                frutasConformes++;
-            } else if (status === 'ALERTA' || status === 'HALLAZGO') {
-                frutasConHallazgos++;
-            } else if (status === 'DESCARTE' || status === 'NO_ADMITIDA') {
-                frutasNoAdmitidas++;
-            } else {
-                frutasConformes++;
-            }
+    const classify = createClassifier(DEFAULT_MAPPINGS);
+
+    parsed.rows.forEach(row => {
+        totalFrutas++;
+        const status = row.valores.CALIDAD_STATUS;
+        const categoria = classify(status);
+
+        console.log(`Fila ${row.fila}: Status = "${status}" -> ${categoria || 'no reconocido'}`);
+
+        if (categoria === 'Hallazgo') {
+            frutasConHallazgos++;
+        } else if (categoria === 'Descarte') {
+            frutasNoAdmitidas++;
+        } else {
+            frutasConformes++;
         }
-    }
+    });
 
     console.log(`\n=== RESULTADOS ===`);
     console.log(`Total de frutas: ${totalFrutas}`);
@@ -0,0 +1,212 @@
+/**
+ * Pruebas de AvocadoTraceContract sobre la red local de Hardhat (npm test)
+ * El contrato se compila con el mismo solc que usa el servidor (lib/evmChain.js)
+ */
+
+const assert = require('assert');
+const { network } = require('hardhat');
+const { BrowserProvider, ContractFactory, id: keccakText } = require('ethers');
+const { compileContract } = require('../lib/evmChain');
+
+const Role = { None: 0, Transporter: 1, Processor: 2, Packer: 3, Auditor: 4 };
+
+// Umbrales iniciales: 8.00 °C, 5 % de desviación de peso y 20 % de materia seca
+const THRESHOLDS = [800, 5, 20];
+const LOTE = 'LOTE-001';
+
+describe('AvocadoTraceContract', function () {
+    let compiled;
+    let provider;
+    let admin, transporter, processor, packer, auditor, buyer, stranger;
+    let contract;
+
+    // Función para obtener el contrato conectado con otra cuenta
+    const as = signer => contract.connect(signer);
+
+    // Función para leer los eventos de un tipo en el recibo de una transacción
+    async function eventsIn(tx, name) {
+        const receipt = await tx.wait();
+        return receipt.logs
+            .map(log => contract.interface.parseLog(log))
+            .filter(parsed => parsed && parsed.name === name);
+    }
+
+    async function revertsWith(promise, message) {
+        await assert.rejects(promise, error => {
+            assert.match(error.reason || error.shortMessage || error.message, new RegExp(message));
+            return true;
+        });
+    }
+
+    before(async function () {
+        compiled = compileContract();
+        // Sin caché de consultas: una llamada repetida tras cambiar el estado debe volver a estimarse
+        provider = new BrowserProvider(network.provider, undefined, { cacheTimeout: -1 });
+        [admin, transporter, processor, packer, auditor, buyer, stranger] = await Promise.all(
+            [0, 1, 2, 3, 4, 5, 6].map(index => provider.getSigner(index))
+        );
+    });
+
+    beforeEach(async function () {
+        contract = await new ContractFactory(compiled.abi, compiled.bytecode, admin).deploy(...THRESHOLDS);
+        await contract.waitForDeployment();
+
+        await (await contract.setRole(transporter.address, Role.Transporter)).wait();
+        await (await contract.setRole(processor.address, Role.Processor)).wait();
+        await (await contract.setRole(packer.address, Role.Packer)).wait();
+        await (await contract.setRole(auditor.address, Role.Auditor)).wait();
+    });
+
+    // Registro de un lote de 1000.00 kg por el administrador
+    async function register(loteId = LOTE) {
+        return (await contract.registerBatchInitialData(loteId, 'Hass', 100000)).wait();
+    }
+
+    describe('registro', function () {
+        it('guarda el momento del registro y al registrador como propietario', async function () {
+            const receipt = await register();
+            const block = await provider.getBlock(receipt.blockNumber);
+            const batch = await contract.getBatch(LOTE);
+
+            assert.strictEqual(batch.registeredAt, BigInt(block.timestamp));
+            assert.strictEqual(batch.registeredBy, admin.address);
+            assert.strictEqual(batch.currentOwner, admin.address);
+            assert.strictEqual(batch.audit.timestamp, 0n);
+        });
+
+        it('rechaza el doble registro', async function () {
+            await register();
+            await revertsWith(contract.registerBatchInitialData(LOTE, 'Hass', 1), 'Lote ya registrado');
+        });
+
+        it('solo acepta cuentas con rol', async function () {
+            await revertsWith(as(stranger).registerBatchInitialData(LOTE, 'Hass', 1), 'no tiene un rol asignado');
+            await (await as(transporter).registerBatchInitialData(LOTE, 'Hass', 1)).wait();
+            assert.strictEqual((await contract.getBatch(LOTE)).registeredBy, transporter.address);
+        });
+
+        it('emite BatchRegistered con el hash del id del lote', async function () {
+            const [event] = await eventsIn(await contract.registerBatchInitialData(LOTE, 'Hass', 1), 'BatchRegistered');
+            assert.strictEqual(event.args.loteId.hash, keccakText(LOTE));
+            assert.strictEqual(event.args.registrador, admin.address);
+        });
+    });
+
+    describe('roles', function () {
+        beforeEach(register);
+
+        it('cada etapa solo la escribe su rol', async function () {
+            await revertsWith(as(processor).updateTransportData(LOTE, 500), 'rol requerido');
+            await revertsWith(as(transporter).updateReceptionData(LOTE, 100000), 'rol requerido');
+            await revertsWith(as(processor).recordPackingData(LOTE, 25), 'rol requerido');
+            await revertsWith(as(packer).evaluateBatch(LOTE), 'rol requerido');
+        });
+
+        it('el administrador tiene todos los roles', async function () {
+            for (const role of [Role.Transporter, Role.Processor, Role.Packer, Role.Auditor]) {
+                assert.strictEqual(await contract.hasRole(admin.address, role), true);
+            }
+            assert.strictEqual(await contract.hasRole(stranger.address, Role.None), false);
+        });
+
+        it('solo el administrador asigna roles y Role.None los revoca', async function () {
+            await revertsWith(as(transporter).setRole(stranger.address, Role.Auditor), 'Solo el administrador');
+
+            const [event] = await eventsIn(await contract.setRole(transporter.address, Role.None), 'RoleUpdated');
+            assert.strictEqual(event.args.account, transporter.address);
+            await revertsWith(as(transporter).updateTransportData(LOTE, 500), 'rol requerido');
+        });
+
+        it('las etapas exigen un lote registrado', async function () {
+            await revertsWith(as(transporter).updateTransportData('NO-EXISTE', 500), 'Lote no encontrado');
+            await revertsWith(as(auditor).evaluateBatch('NO-EXISTE'), 'Lote no encontrado');
+        });
+    });
+
+    describe('evaluación', function () {
+        beforeEach(register);
+
+        async function auditOf(tx) {
+            const [event] = await eventsIn(tx, 'BatchAuditCompleted');
+            return { compliant: event.args.compliant, reason: event.args.reason };
+        }
+
+        it('la recepción evalúa con la temperatura y el peso guardados', async function () {
+            await (await as(transporter).updateTransportData(LOTE, 750)).wait();
+            const audit = await auditOf(await as(processor).updateReceptionData(LOTE, 98000));
+
+            assert.deepStrictEqual(audit, { compliant: true, reason: 'Lote Conforme. Cumple con todos los SC.' });
+            const batch = await contract.getBatch(LOTE);
+            assert.strictEqual(batch.finalWeightReceived, 98000n);
+            assert.strictEqual(batch.audit.isCompliant, true);
+            assert.notStrictEqual(batch.receivedAt, 0n);
+        });
+
+        it('informa todas las fallas con sus valores y umbrales', async function () {
+            await (await as(transporter).updateTransportData(LOTE, 1050)).wait();
+            await (await as(processor).updateReceptionData(LOTE, 90000)).wait();
+            const audit = await auditOf(await as(packer).recordPackingData(LOTE, 18));
+
+            assert.strictEqual(audit.compliant, false);
+            assert.strictEqual(audit.reason,
+                'FALLA: Temperatura promedio 10.50 C excede el maximo de 8.00 C; ' +
+                'Desviación de peso 10.00% excede el maximo de 5%; ' +
+                'Materia seca 18% bajo el minimo de 20%');
+        });
+
+        it('el empaque guarda la materia seca y exige la recepción', async function () {
+            await revertsWith(as(packer).recordPackingData(LOTE, 25), 'recepcion');
+            await (await as(processor).updateReceptionData(LOTE, 100000)).wait();
+            await revertsWith(as(packer).recordPackingData(LOTE, 0), 'Materia seca fuera de rango');
+
+            const audit = await auditOf(await as(packer).recordPackingData(LOTE, 25));
+            const batch = await contract.getBatch(LOTE);
+            assert.strictEqual(audit.compliant, true);
+            assert.strictEqual(batch.dryMatterPct, 25n);
+            assert.notStrictEqual(batch.packedAt, 0n);
+        });
+
+        it('el auditor vuelve a evaluar con los umbrales vigentes', async function () {
+            await (await as(transporter).updateTransportData(LOTE, 750)).wait();
+            await (await as(processor).updateReceptionData(LOTE, 100000)).wait();
+            await (await contract.setThresholds(700, 5, 20)).wait();
+
+            const audit = await auditOf(await as(auditor).evaluateBatch(LOTE));
+            assert.strictEqual(audit.compliant, false);
+            assert.match(audit.reason, /Temperatura promedio 7\.50 C excede el maximo de 7\.00 C/);
+        });
+    });
+
+    describe('transferencias', function () {
+        beforeEach(register);
+
+        it('cambia el propietario y guarda el historial', async function () {
+            const [first] = await eventsIn(await contract.transferAsset(LOTE, buyer.address, 1500), 'AssetTransfer');
+            assert.strictEqual(first.args.from, admin.address);
+            assert.strictEqual(first.args.to, buyer.address);
+
+            await (await as(buyer).transferAsset(LOTE, stranger.address, 1800)).wait();
+
+            assert.strictEqual((await contract.getBatch(LOTE)).currentOwner, stranger.address);
+            assert.strictEqual(await contract.getTransferCount(LOTE), 2n);
+            const second = await contract.getTransfer(LOTE, 1);
+            assert.strictEqual(second.from, buyer.address);
+            assert.strictEqual(second.to, stranger.address);
+            assert.strictEqual(second.amountUSD, 1800n);
+            await revertsWith(contract.getTransfer(LOTE, 2), 'Transferencia no encontrada');
+        });
+
+        it('solo transfiere el propietario actual o el administrador', async function () {
+            await (await contract.transferAsset(LOTE, buyer.address, 1500)).wait();
+            await revertsWith(as(stranger).transferAsset(LOTE, stranger.address, 1), 'solo el propietario');
+
+            await (await contract.transferAsset(LOTE, stranger.address, 0)).wait();
+            assert.strictEqual((await contract.getBatch(LOTE)).currentOwner, stranger.address);
+        });
+
+        it('rechaza destinos inválidos', async function () {
+            await revertsWith(contract.transferAsset(LOTE, admin.address, 1), 'ya es el propietario');
+            await revertsWith(contract.transferAsset(LOTE, '0x0000000000000000000000000000000000000000', 1), 'Destino no valido');
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Pruebas del parser CSV de los archivos de conteo (lib/csvParser.js): comillas, BOM, saltos de línea,
+ * detección del delimitador y reporte de errores por fila
+ */
+
+const assert = require('assert');
+const { EXPECTED_HEADERS, detectDelimiter, parseLoteCsv } = require('../lib/csvParser');
+
+const FILA = ['L-001', '2024-03-01', 'Hass', 'Finca Norte', 'E1', '1200.5', '5400', '18', '6.5', 'Aprobado'];
+
+// Función para armar un archivo con el encabezado esperado y las filas indicadas
+function csv(rows, { delimiter = ',', eol = '\n' } = {}) {
+    return [EXPECTED_HEADERS, ...rows].map(row => row.join(delimiter)).join(eol) + eol;
+}
+
+describe('Parser CSV de lotes', function () {
+    describe('formato', function () {
+        it('lee un archivo válido con el delimitador por defecto', function () {
+            const result = parseLoteCsv(csv([FILA]));
+            assert.strictEqual(result.delimiter, ',');
+            assert.deepStrictEqual(result.headers, EXPECTED_HEADERS);
+            assert.strictEqual(result.rows.length, 1);
+            assert.strictEqual(result.rows[0].fila, 2);
+            assert.strictEqual(result.rows[0].valores.PESO_NETO_KG, '1200.5');
+            assert.deepStrictEqual(result.errors, []);
+        });
+
+        it('ignora el BOM UTF-8 del encabezado', function () {
+            const result = parseLoteCsv('﻿' + csv([FILA]));
+            assert.strictEqual(result.headers[0], 'LOTE_ID');
+            assert.strictEqual(result.rows[0].valores.LOTE_ID, 'L-001');
+        });
+
+        it('acepta saltos de línea CRLF sin dejar \\r en los valores', function () {
+            const result = parseLoteCsv(csv([FILA, FILA], { eol: '\r\n' }));
+            assert.deepStrictEqual(result.rows.map(row => row.fila), [2, 3]);
+            assert.strictEqual(result.rows[1].valores.CALIDAD_STATUS, 'Aprobado');
+        });
+
+        it('detecta el punto y coma y el tabulador como delimitador', function () {
+            assert.strictEqual(parseLoteCsv(csv([FILA], { delimiter: ';' })).delimiter, ';');
+            assert.strictEqual(parseLoteCsv(csv([FILA], { delimiter: '\t' })).delimiter, '\t');
+        });
+
+        it('no cuenta los delimitadores entre comillas al detectar', function () {
+            assert.strictEqual(detectDelimiter('"A,B,C";D;E\n'), ';');
+        });
+
+        it('lee campos entre comillas con delimitadores, comillas escapadas y saltos de línea', function () {
+            const fila = [...FILA];
+            fila[3] = '"Finca ""La Esperanza"", sector 2"';
+            fila[4] = '"Estación\nnorte"';
+            const result = parseLoteCsv(csv([fila, FILA]));
+
+            assert.strictEqual(result.rows.length, 2);
+            assert.strictEqual(result.rows[0].valores.FINCA, 'Finca "La Esperanza", sector 2');
+            assert.strictEqual(result.rows[0].valores.ESTACION_CONTEO, 'Estación\nnorte');
+            // La fila siguiente se numera por la línea física en que empieza
+            assert.strictEqual(result.rows[1].fila, 4);
+        });
+
+        it('omite las líneas en blanco', function () {
+            const result = parseLoteCsv(csv([FILA]) + '\n,,,\n\n');
+            assert.strictEqual(result.rows.length, 1);
+            assert.strictEqual(result.rejected, 0);
+        });
+    });
+
+    describe('errores', function () {
+        it('reporta un archivo vacío', function () {
+            const result = parseLoteCsv('');
+            assert.deepStrictEqual(result.errors.map(error => error.motivo), ['El archivo está vacío']);
+        });
+
+        it('rechaza el archivo sin una columna obligatoria', function () {
+            const headers = EXPECTED_HEADERS.filter(header => header !== 'CALIDAD_STATUS');
+            const result = parseLoteCsv([headers, FILA.slice(0, -1)].map(row => row.join(',')).join('\n'));
+
+            assert.strictEqual(result.rows.length, 0);
+            assert.deepStrictEqual(result.errors.map(error => [error.columna, error.nivel]), [['CALIDAD_STATUS', 'error']]);
+        });
+
+        it('advierte las columnas opcionales ausentes sin rechazar las filas', function () {
+            const headers = EXPECTED_HEADERS.filter(header => header !== 'CALIBRE');
+            const fila = FILA.filter((value, index) => EXPECTED_HEADERS[index] !== 'CALIBRE');
+            const result = parseLoteCsv([headers, fila].map(row => row.join(',')).join('\n'));
+
+            assert.strictEqual(result.rows.length, 1);
+            assert.deepStrictEqual(result.errors.map(error => [error.columna, error.nivel]), [['CALIBRE', 'advertencia']]);
+        });
+
+        it('rechaza la fila con comillas sin cerrar', function () {
+            const fila = [...FILA];
+            fila[3] = '"Finca Norte';
+            const result = parseLoteCsv(csv([FILA, fila]));
+
+            assert.strictEqual(result.rows.length, 1);
+            assert.strictEqual(result.rejected, 1);
+            assert.deepStrictEqual(result.errors.map(error => [error.fila, error.motivo]), [[3, 'Comillas sin cerrar']]);
+        });
+
+        it('rechaza la fila con una cantidad distinta de columnas', function () {
+            const result = parseLoteCsv(csv([FILA, FILA.slice(0, 8)]));
+
+            assert.strictEqual(result.rejected, 1);
+            assert.strictEqual(result.errors[0].fila, 3);
+            assert.match(result.errors[0].motivo, /Se esperaban 10 columnas y se encontraron 8/);
+        });
+
+        it('rechaza la fila sin LOTE_ID y advierte valores no numéricos o fechas inválidas', function () {
+            const sinLote = [...FILA];
+            sinLote[0] = '';
+            const dudosa = [...FILA];
+            dudosa[1] = '2024-13-45';
+            dudosa[5] = 'mil';
+            const result = parseLoteCsv(csv([sinLote, dudosa]));
+
+            assert.strictEqual(result.rejected, 1);
+            assert.deepStrictEqual(result.rows.map(row => row.fila), [3]);
+            assert.deepStrictEqual(
+                result.errors.map(error => [error.fila, error.columna, error.nivel]),
+                [[2, 'LOTE_ID', 'error'], [3, 'PESO_NETO_KG', 'advertencia'], [3, 'FECHA_COSECHA', 'advertencia']]
+            );
+        });
+
+        it('acepta la coma decimal en las columnas numéricas', function () {
+            const fila = [...FILA];
+            fila[8] = '"6,5"';
+            const result = parseLoteCsv(csv([fila]));
+            assert.deepStrictEqual(result.errors, []);
+            assert.strictEqual(result.rows[0].valores.TEMPERATURA_C, '6,5');
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Pruebas de la cadena de custodia (lib/custodyEvents.js): orden de las etapas, validación de los datos
+ * de cada etapa y verificación de las firmas encadenadas
+ */
+
+const assert = require('assert');
+const { CustodyError, buildContext, validateEvent, signEvent, verifyChain } = require('../lib/custodyEvents');
+
+const LOTE = 'LOTE-001';
+const USUARIO = { id: 'u-operador', rol: 'operador' };
+const VERSION = { version: 3, umbrales: { minMateriaSecaPct: 21 } };
+const RESUMEN = { pesoNetoTotalKg: 1000 };
+const KEYRING = { activa: 'c1', claves: { c1: { secreto: 'clave-de-pruebas' } } };
+
+const TRANSPORTE = { fechaSalida: '2024-03-01T08:00:00Z', vehiculo: 'abc-123', temperaturaC: 6 };
+const RECEPCION = { fechaRecepcion: '2024-03-01T14:00:00Z', pesoRecibidoKg: 980, condicionSello: 'Intacto' };
+const EMPAQUE = {
+    fechaEmpaque: '2024-03-02T09:00:00Z',
+    materiaSecaPct: 23,
+    lotesComerciales: [{ id: 'EXP-1', calibre: 18, pesoCajaKg: 4, numCajas: 100 }]
+};
+
+// Función para validar un evento y agregarlo firmado a la cadena, como lo hace el servidor
+function registrar(events, etapa, input, extra = {}) {
+    const { datos, fecha } = validateEvent(etapa, input, events, { ...buildContext(RESUMEN, events, VERSION), ...extra });
+    const last = events[events.length - 1];
+    const event = {
+        loteId: LOTE,
+        secuencia: events.length + 1,
+        etapa,
+        fecha,
+        registradoPor: USUARIO,
+        datos,
+        firmaAnterior: last ? last.firma : null,
+        claveId: KEYRING.activa
+    };
+    event.firma = signEvent(event, KEYRING.claves.c1.secreto);
+    events.push(event);
+    return event;
+}
+
+// Función para comprobar que una validación falla con un CustodyError de cierto estado
+function assertCustodyError(fn, status, message) {
+    assert.throws(fn, error => {
+        assert.ok(error instanceof CustodyError);
+        assert.strictEqual(error.status, status);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+describe('Cadena de custodia', function () {
+    describe('orden de las etapas', function () {
+        it('registra transporte, recepción y varios empaques en orden', function () {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            registrar(events, 'recepcion', RECEPCION);
+            registrar(events, 'empaque', EMPAQUE);
+            registrar(events, 'empaque', { ...EMPAQUE, lotesComerciales: [{ id: 'EXP-2', calibre: 20, pesoCajaKg: 4, numCajas: 50 }] });
+
+            assert.deepStrictEqual(events.map(event => event.etapa), ['transporte', 'recepcion', 'empaque', 'empaque']);
+            assert.strictEqual(events[0].datos.vehiculo, 'ABC-123');
+            assert.strictEqual(events[1].datos.diferenciaPesoKg, -20);
+            assert.strictEqual(events[1].datos.requiereInspeccion, false);
+        });
+
+        it('rechaza con 409 una etapa fuera de orden', function () {
+            assertCustodyError(() => validateEvent('recepcion', RECEPCION, [], buildContext(RESUMEN, [], VERSION)), 409);
+            assertCustodyError(() => validateEvent('empaque', EMPAQUE, [], buildContext(RESUMEN, [], VERSION)), 409);
+
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            assertCustodyError(() => registrar(events, 'transporte', TRANSPORTE), 409);
+            assertCustodyError(() => registrar(events, 'empaque', EMPAQUE), 409);
+        });
+
+        it('exige completar la recepción provisional antes de empacar', function () {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            const provisional = registrar(events, 'recepcion', { fechaRecepcion: RECEPCION.fechaRecepcion }, { envioId: 7 });
+            assert.strictEqual(provisional.datos.provisional, true);
+
+            assertCustodyError(() => registrar(events, 'empaque', EMPAQUE), 409, /provisional/);
+
+            const confirmada = registrar(events, 'recepcion', RECEPCION);
+            assert.strictEqual(confirmada.datos.confirmaSecuencia, provisional.secuencia);
+            assert.strictEqual(confirmada.datos.envioId, 7);
+            registrar(events, 'empaque', EMPAQUE);
+        });
+
+        it('rechaza con 409 una fecha anterior a la del evento previo', function () {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            assertCustodyError(() => registrar(events, 'recepcion', { ...RECEPCION, fechaRecepcion: '2024-02-28T10:00:00Z' }), 409);
+        });
+
+        it('rechaza con 400 etapas que no son claves propias', function () {
+            ['constructor', 'toString', '__proto__', 'cosecha'].forEach(etapa => {
+                assertCustodyError(() => validateEvent(etapa, {}, [], buildContext(RESUMEN, [], VERSION)), 400, /etapa debe ser/);
+            });
+        });
+    });
+
+    describe('datos de las etapas', function () {
+        it('valida la placa y la temperatura del transporte', function () {
+            assertCustodyError(() => registrar([], 'transporte', { ...TRANSPORTE, vehiculo: 'A1' }), 400, /vehiculo/);
+            assertCustodyError(() => registrar([], 'transporte', { ...TRANSPORTE, temperaturaC: 75 }), 400, /temperaturaC/);
+        });
+
+        it('marca para inspección una recepción con el sello violado', function () {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            assertCustodyError(() => registrar(events, 'recepcion', { ...RECEPCION, condicionSello: 'Roto' }), 400, /condicionSello/);
+            const recepcion = registrar(events, 'recepcion', { ...RECEPCION, condicionSello: 'Violado' });
+            assert.strictEqual(recepcion.datos.requiereInspeccion, true);
+        });
+
+        it('acepta el empaque con materia seca bajo el mínimo y lo marca', function () {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            registrar(events, 'recepcion', RECEPCION);
+            const empaque = registrar(events, 'empaque', { ...EMPAQUE, materiaSecaPct: 19.5 });
+
+            assert.strictEqual(empaque.datos.cumpleMateriaSeca, false);
+            assert.strictEqual(empaque.datos.minMateriaSecaPct, 21);
+            assert.strictEqual(empaque.datos.versionUmbrales, 3);
+        });
+
+        it('rechaza con 400 un empaque que supera el peso recibido', function () {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            registrar(events, 'recepcion', RECEPCION);
+            registrar(events, 'empaque', EMPAQUE);
+            const excedido = { ...EMPAQUE, lotesComerciales: [{ id: 'EXP-2', calibre: 18, pesoCajaKg: 4, numCajas: 150 }] };
+            assertCustodyError(() => registrar(events, 'empaque', excedido), 400, /supera el peso recibido/);
+        });
+    });
+
+    describe('firmas', function () {
+        // Función para armar una cadena completa de tres eventos
+        function cadena() {
+            const events = [];
+            registrar(events, 'transporte', TRANSPORTE);
+            registrar(events, 'recepcion', RECEPCION);
+            registrar(events, 'empaque', EMPAQUE);
+            return events;
+        }
+
+        it('verifica una cadena intacta', function () {
+            assert.ok(verifyChain(cadena(), KEYRING).every(event => event.firmaValida));
+        });
+
+        it('invalida un evento con los datos alterados', function () {
+            const events = cadena();
+            events[1] = { ...events[1], datos: { ...events[1].datos, pesoRecibidoKg: 1000 } };
+            assert.deepStrictEqual(verifyChain(events, KEYRING).map(event => event.firmaValida), [true, false, true]);
+        });
+
+        it('invalida el evento siguiente a uno eliminado', function () {
+            const events = cadena();
+            events.splice(1, 1);
+            assert.deepStrictEqual(verifyChain(events, KEYRING).map(event => event.firmaValida), [true, false]);
+        });
+
+        it('invalida los eventos firmados con una clave desconocida', function () {
+            const events = cadena();
+            const otroLlavero = { activa: 'c1', claves: { c1: { secreto: 'otra-clave' } } };
+            assert.ok(verifyChain(events, otroLlavero).every(event => !event.firmaValida));
+        });
+    });
+});
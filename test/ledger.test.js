@@ -0,0 +1,111 @@
+/**
+ * Pruebas del ledger (lib/ledger.js) y de su verificación (lib/integrity.js) con una base en memoria
+ * Para simular una manipulación directa de la base se eliminan los triggers de solo anexado
+ */
+
+const assert = require('assert');
+const os = require('os');
+const { openDatabase } = require('../lib/database');
+const { createRepositories } = require('../lib/repositories');
+const { createLedger, hashEntry, GENESIS_HASH } = require('../lib/ledger');
+const { createVerifier } = require('../lib/integrity');
+
+const RUC = '20601234567';
+const ADMIN = { id: 'u-admin', username: 'admin', rol: 'admin' };
+
+describe('Ledger', function () {
+    let repos;
+    let ledger;
+    let verifier;
+
+    // Función para quitar los triggers que impiden modificar el ledger
+    function dropTriggers() {
+        repos.db.exec(`
+            DROP TRIGGER ledger_entries_no_update;
+            DROP TRIGGER ledger_entries_no_delete;
+            DROP TRIGGER ledger_blocks_no_update;
+        `);
+    }
+
+    // Función para listar los campos de las discrepancias de una entrada
+    function camposDe(resultado, secuencia) {
+        return resultado.discrepancias
+            .filter(discrepancia => discrepancia.ambito === 'ledger' && discrepancia.secuencia === secuencia)
+            .map(discrepancia => discrepancia.campo);
+    }
+
+    beforeEach(function () {
+        repos = createRepositories(openDatabase(':memory:'));
+        ledger = createLedger(repos, { blockSize: 3 });
+        verifier = createVerifier(repos, { uploadsDir: os.tmpdir() });
+
+        // Entradas de umbrales: no apuntan a lotes, por lo que la verificación solo revisa la cadena
+        for (let version = 1; version <= 5; version++) {
+            ledger.append({ tipo: 'umbral', ruc: RUC, referencia: `v${version}`, registradoPor: ADMIN, datos: { version } });
+        }
+    });
+
+    it('enlaza cada entrada con la anterior y cierra un bloque cada 3 entradas', function () {
+        const entries = repos.ledger.entriesAfter(0);
+        assert.strictEqual(entries.length, 5);
+        assert.strictEqual(entries[0].hashAnterior, GENESIS_HASH);
+        entries.slice(1).forEach((entry, index) => assert.strictEqual(entry.hashAnterior, entries[index].hash));
+
+        const blocks = repos.ledger.listAllBlocks();
+        assert.strictEqual(blocks.length, 1);
+        assert.strictEqual(blocks[0].ultimaSecuencia, 3);
+
+        const resultado = verifier.verifyLedger();
+        assert.strictEqual(resultado.valido, true);
+        assert.strictEqual(resultado.pendientes, 2);
+    });
+
+    it('rechaza modificar o eliminar entradas y bloques', function () {
+        assert.throws(() => repos.db.prepare("UPDATE ledger_entries SET payload = '{}' WHERE seq = 1").run(), /solo anexado/);
+        assert.throws(() => repos.db.prepare('DELETE FROM ledger_entries WHERE seq = 5').run(), /solo anexado/);
+        assert.throws(() => repos.db.prepare("UPDATE ledger_blocks SET hash = 'x' WHERE number = 1").run(), /solo anexado/);
+        assert.throws(() => repos.db.prepare('DELETE FROM ledger_blocks WHERE number = 1').run(), /solo anexado/);
+    });
+
+    it('detecta el contenido de una entrada modificado', function () {
+        dropTriggers();
+        repos.db.prepare('UPDATE ledger_entries SET payload = ? WHERE seq = 2').run(JSON.stringify({ version: 99 }));
+
+        const resultado = verifier.verifyLedger();
+        assert.strictEqual(resultado.valido, false);
+        assert.deepStrictEqual(camposDe(resultado, 2), ['hash']);
+    });
+
+    it('detecta una entrada eliminada', function () {
+        dropTriggers();
+        repos.db.prepare('DELETE FROM ledger_entries WHERE seq = 4').run();
+
+        const resultado = verifier.verifyLedger();
+        assert.strictEqual(resultado.valido, false);
+        assert.deepStrictEqual(camposDe(resultado, 5), ['secuencia', 'hashAnterior']);
+    });
+
+    it('detecta una entrada reescrita con su hash recalculado por la raíz Merkle y el enlace siguiente', function () {
+        dropTriggers();
+        const original = repos.ledger.findEntryBySequence(2);
+        const alterada = { ...original, datos: { version: 99 } };
+        const hash = hashEntry(alterada);
+        repos.db.prepare('UPDATE ledger_entries SET payload = ?, hash = ? WHERE seq = 2').run(JSON.stringify(alterada.datos), hash);
+
+        const resultado = verifier.verifyLedger();
+        assert.strictEqual(resultado.valido, false);
+        assert.deepStrictEqual(camposDe(resultado, 2), []);
+        assert.deepStrictEqual(camposDe(resultado, 3), ['hashAnterior']);
+        const bloque = resultado.discrepancias.filter(discrepancia => discrepancia.ambito === 'bloque');
+        assert.deepStrictEqual(bloque.map(discrepancia => discrepancia.campo), ['raizMerkle']);
+    });
+
+    it('detecta la cabecera de un bloque modificada', function () {
+        dropTriggers();
+        repos.db.prepare("UPDATE ledger_blocks SET created_at = '2020-01-01T00:00:00.000Z' WHERE number = 1").run();
+
+        const resultado = verifier.verifyLedger();
+        assert.strictEqual(resultado.valido, false);
+        assert.deepStrictEqual(resultado.discrepancias.map(discrepancia => discrepancia.campo), ['hashBloque']);
+    });
+});
@@ -0,0 +1,373 @@
+/**
+ * Pruebas del servicio de notificaciones (lib/notifications.js) con una base en memoria,
+ * un servidor SMTP local y un receptor de webhooks local que verifica la firma
+ */
+
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const { openDatabase } = require('../lib/database');
+const { createRepositories } = require('../lib/repositories');
+const { createNotifier, signWebhook } = require('../lib/notifications');
+
+const RUC = '20601234567';
+// Espera base de los reintentos en las pruebas (50 ms, 100 ms, ...)
+const RETRY_SECONDS = 0.05;
+
+// Servidor SMTP mínimo: guarda cada mensaje recibido y rechaza con 451 los primeros rechazar envíos
+function startSmtpServer() {
+    const smtp = { mensajes: [], intentos: 0, rechazar: 0 };
+    smtp.server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        const reply = line => socket.write(line + '\r\n');
+
+        reply('220 localhost SMTP de pruebas');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        smtp.mensajes.push(data.join('\r\n'));
+                        data = null;
+                        reply('250 2.0.0 Mensaje aceptado');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    smtp.intentos++;
+                    reply(smtp.intentos <= smtp.rechazar ? '451 4.3.0 Intente mas tarde' : '250 2.1.0 Ok');
+                } else if (command === 'RCPT') {
+                    reply('250 2.1.5 Ok');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 Termine con <CRLF>.<CRLF>');
+                } else if (command === 'QUIT') {
+                    reply('221 2.0.0 Adios');
+                    socket.end();
+                } else {
+                    reply('250 Ok');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    return new Promise(resolve => smtp.server.listen(0, '127.0.0.1', () => resolve(smtp)));
+}
+
+// Receptor de webhooks: verifica la firma con el secreto de la regla y responde 401 si no coincide
+function startWebhookReceiver() {
+    const receiver = { recibidos: [], secretos: {}, fallar: 0 };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const timestamp = req.headers['x-trazanet-timestamp'];
+            const secreto = receiver.secretos[req.url];
+            const esperada = 'sha256=' + signWebhook(secreto, timestamp, body);
+            const valida = Boolean(secreto) && req.headers['x-trazanet-firma'] === esperada;
+            receiver.recibidos.push({ ruta: req.url, headers: req.headers, body: JSON.parse(body), valida });
+
+            if (receiver.fallar > 0) {
+                receiver.fallar--;
+                res.writeHead(500);
+                return res.end();
+            }
+            res.writeHead(valida ? 204 : 401);
+            res.end();
+        });
+    });
+    return new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => resolve(receiver)));
+}
+
+// Función para decodificar quoted-printable (cuerpo y encabezados =?UTF-8?Q?...?= de nodemailer)
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const clean = text.replace(/=\r\n/g, '');
+    for (let i = 0; i < clean.length; i++) {
+        const hex = clean.substr(i + 1, 2);
+        if (clean[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(clean[i]));
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+// Función para leer un mensaje recibido por SMTP: encabezados sin plegar y cuerpo decodificado
+function readMessage(raw) {
+    const [head, ...body] = raw.split('\r\n\r\n');
+    const headers = head.replace(/\r\n[ \t]+/g, ' ')
+        .replace(/=\?UTF-8\?Q\?(.*?)\?=\s*/gi, (match, encoded) => decodeQuotedPrintable(encoded.replace(/_/g, ' ')));
+    const texto = /Content-Transfer-Encoding: quoted-printable/i.test(headers) ? decodeQuotedPrintable(body.join('\r\n\r\n')) : body.join('\r\n\r\n');
+    return { headers, texto };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Notificaciones', function () {
+    let repos;
+    let notifier;
+    let smtp;
+    let receiver;
+    let alertId = 0;
+
+    // Función para crear una alerta de la empresa de prueba
+    const newAlert = (datos = {}) => ({
+        id: ++alertId,
+        ruc: RUC,
+        tipo: 'temperatura',
+        severidad: 'alta',
+        estado: 'abierta',
+        origen: 'telemetria',
+        loteId: 'LOTE-001',
+        archivo: 'Lote_El_Roble.csv',
+        fincas: ['El Roble'],
+        incidente: 'Excursión de temperatura',
+        mensaje: `Excursión ${alertId} sobre 8 °C`,
+        fecha: new Date().toISOString(),
+        ...datos
+    });
+
+    // Función para crear una regla; solo una queda activa para que cada prueba controle sus entregas
+    function subscribe(regla) {
+        repos.db.prepare('UPDATE notification_subscriptions SET active = 0').run();
+        return repos.notifications.createSubscription({
+            ruc: RUC,
+            alcance: 'usuario',
+            usuarioId: 'u-notificaciones',
+            rol: null,
+            modo: 'inmediato',
+            intervaloResumenMin: 60,
+            eventos: [],
+            severidades: [],
+            fincas: [],
+            webhook: null,
+            activa: true,
+            ...regla
+        });
+    }
+
+    // Función para registrar un webhook en el receptor con el secreto que debe verificar
+    function webhookSubscription(ruta, secretoReceptor) {
+        const secreto = 'secreto-' + ruta;
+        receiver.secretos['/' + ruta] = secretoReceptor === undefined ? secreto : secretoReceptor;
+        return subscribe({
+            alcance: 'empresa',
+            usuarioId: null,
+            canal: 'webhook',
+            webhook: { url: `http://127.0.0.1:${receiver.server.address().port}/${ruta}`, secreto }
+        });
+    }
+
+    // Función para esperar el envío que notifyAlert programa y procesar la cola después de él
+    async function drain() {
+        await new Promise(resolve => setImmediate(resolve));
+        await notifier.processQueue();
+    }
+
+    before(async function () {
+        smtp = await startSmtpServer();
+        receiver = await startWebhookReceiver();
+        repos = createRepositories(openDatabase(':memory:'));
+        repos.users.create({
+            id: 'u-notificaciones',
+            ruc: RUC,
+            username: 'calidad',
+            passwordHash: 'sin-login',
+            email: 'calidad@trazanet.local',
+            role: 'admin'
+        });
+        notifier = createNotifier(repos, {
+            smtp: { host: '127.0.0.1', port: smtp.server.address().port, from: 'TrazaNet <alertas@trazanet.local>' },
+            retrySeconds: RETRY_SECONDS,
+            maxAttempts: 3
+        });
+    });
+
+    after(async function () {
+        await notifier.processQueue();
+        repos.db.close();
+        smtp.server.close();
+        receiver.server.close();
+    });
+
+    describe('correo', function () {
+        it('envía la alerta al servidor SMTP', async function () {
+            subscribe({ canal: 'email' });
+            const [delivery] = notifier.notifyAlert(newAlert());
+            assert.strictEqual(delivery.estado, 'pendiente');
+            assert.strictEqual(delivery.destino, 'calidad@trazanet.local');
+
+            await drain();
+            const sent = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(sent.estado, 'enviada');
+            assert.strictEqual(sent.intentos, 1);
+
+            const mensaje = readMessage(smtp.mensajes[smtp.mensajes.length - 1]);
+            assert.match(mensaje.headers, /To: calidad@trazanet\.local/);
+            assert.match(mensaje.headers, /Subject: \[TrazaNet\] Alerta alta: Excursión de temperatura \(lote LOTE-001\)/);
+            assert.match(mensaje.texto, /Fincas: El Roble/);
+        });
+
+        it('reintenta con espera exponencial hasta que el servidor acepta', async function () {
+            subscribe({ canal: 'email' });
+            smtp.rechazar = smtp.intentos + 2;
+            const [delivery] = notifier.notifyAlert(newAlert());
+
+            await drain();
+            const first = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(first.estado, 'pendiente');
+            assert.strictEqual(first.intentos, 1);
+            assert.match(first.error, /451/);
+            const firstDelay = new Date(first.proximoIntento) - new Date(first.actualizada);
+            assert.ok(firstDelay > 0 && firstDelay <= RETRY_SECONDS * 1000, `espera ${firstDelay} ms`);
+
+            // Antes del próximo intento no se vuelve a enviar
+            await notifier.processQueue();
+            assert.strictEqual(repos.notifications.findDelivery(delivery.id).intentos, 1);
+
+            await wait(RETRY_SECONDS * 1000 + 20);
+            await notifier.processQueue();
+            const second = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(second.estado, 'pendiente');
+            assert.strictEqual(second.intentos, 2);
+            const secondDelay = new Date(second.proximoIntento) - new Date(second.actualizada);
+            assert.ok(secondDelay > RETRY_SECONDS * 1000 && secondDelay <= 2 * RETRY_SECONDS * 1000, `espera ${secondDelay} ms`);
+
+            await wait(2 * RETRY_SECONDS * 1000 + 20);
+            await notifier.processQueue();
+            const sent = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(sent.estado, 'enviada');
+            assert.strictEqual(sent.intentos, 3);
+            assert.strictEqual(sent.error, null);
+        });
+
+        it('deja la entrega fallida al agotar los intentos y la reencola con retry', async function () {
+            subscribe({ canal: 'email' });
+            smtp.rechazar = smtp.intentos + 3;
+            const [delivery] = notifier.notifyAlert(newAlert());
+
+            await drain();
+            await wait(RETRY_SECONDS * 1000 + 20);
+            await notifier.processQueue();
+            await wait(2 * RETRY_SECONDS * 1000 + 20);
+            await notifier.processQueue();
+
+            const failed = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(failed.estado, 'fallida');
+            assert.strictEqual(failed.intentos, 3);
+            assert.strictEqual(failed.proximoIntento, null);
+
+            assert.strictEqual(notifier.retry(failed).estado, 'pendiente');
+            await drain();
+            const sent = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(sent.estado, 'enviada');
+            assert.strictEqual(sent.intentos, 1);
+        });
+    });
+
+    describe('webhook', function () {
+        it('firma el cuerpo con el secreto de la regla y el receptor lo verifica', async function () {
+            const subscription = webhookSubscription('firmado');
+            const alert = newAlert();
+            const [delivery] = notifier.notifyAlert(alert);
+
+            await drain();
+            assert.strictEqual(repos.notifications.findDelivery(delivery.id).estado, 'enviada');
+
+            const recibido = receiver.recibidos.filter(item => item.ruta === '/firmado').pop();
+            assert.ok(recibido.valida);
+            assert.strictEqual(recibido.headers['x-trazanet-evento'], 'alerta');
+            assert.strictEqual(recibido.headers['x-trazanet-entrega'], String(delivery.id));
+            assert.strictEqual(recibido.body.entregaId, delivery.id);
+            assert.strictEqual(recibido.body.alertas[0].id, alert.id);
+
+            // La firma cubre el timestamp: el mismo cuerpo con otro timestamp no la verifica
+            const timestamp = recibido.headers['x-trazanet-timestamp'];
+            const body = JSON.stringify(recibido.body);
+            assert.strictEqual(recibido.headers['x-trazanet-firma'], 'sha256=' + signWebhook(subscription.webhook.secreto, timestamp, body));
+            assert.notStrictEqual(recibido.headers['x-trazanet-firma'], 'sha256=' + signWebhook(subscription.webhook.secreto, String(timestamp - 1), body));
+        });
+
+        it('cuenta como fallo la respuesta del receptor que no verifica la firma', async function () {
+            webhookSubscription('otro-secreto', 'secreto-distinto');
+            const [delivery] = notifier.notifyAlert(newAlert());
+
+            await drain();
+            const failed = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(receiver.recibidos.filter(item => item.ruta === '/otro-secreto').pop().valida, false);
+            assert.strictEqual(failed.estado, 'pendiente');
+            assert.strictEqual(failed.intentos, 1);
+            assert.match(failed.error, /401/);
+        });
+
+        it('reintenta el webhook que responde 5xx con una firma nueva', async function () {
+            webhookSubscription('reintento');
+            receiver.fallar = 1;
+            const [delivery] = notifier.notifyAlert(newAlert());
+
+            await drain();
+            assert.strictEqual(repos.notifications.findDelivery(delivery.id).estado, 'pendiente');
+            await wait(RETRY_SECONDS * 1000 + 20);
+            await notifier.processQueue();
+
+            const sent = repos.notifications.findDelivery(delivery.id);
+            assert.strictEqual(sent.estado, 'enviada');
+            assert.strictEqual(sent.intentos, 2);
+            const recibidos = receiver.recibidos.filter(item => item.ruta === '/reintento');
+            assert.strictEqual(recibidos.length, 2);
+            assert.ok(recibidos.every(item => item.valida));
+        });
+    });
+
+    describe('resumen', function () {
+        it('agrupa las alertas de la regla en un solo correo al cumplirse el intervalo', async function () {
+            subscribe({ canal: 'email', modo: 'resumen', intervaloResumenMin: 5 });
+            const mensajes = smtp.mensajes.length;
+            const alerts = [newAlert(), newAlert({ severidad: 'media', mensaje: 'Desviación de peso de 7%' }), newAlert()];
+            const waiting = alerts.map(alert => notifier.notifyAlert(alert)[0]);
+            assert.ok(waiting.every(delivery => delivery.estado === 'resumen'));
+
+            // Antes del intervalo no se envía nada
+            await drain();
+            assert.strictEqual(notifier.flushDigests(new Date().toISOString()), 0);
+            assert.strictEqual(smtp.mensajes.length, mensajes);
+
+            const later = new Date(Date.now() + 6 * 60 * 1000).toISOString();
+            assert.strictEqual(notifier.flushDigests(later), 1);
+            await drain();
+
+            const grouped = waiting.map(delivery => repos.notifications.findDelivery(delivery.id));
+            assert.ok(grouped.every(delivery => delivery.estado === 'agrupada'));
+            const resumen = repos.notifications.findDelivery(grouped[0].resumenId);
+            assert.ok(grouped.every(delivery => delivery.resumenId === resumen.id));
+            assert.strictEqual(resumen.evento, 'resumen');
+            assert.strictEqual(resumen.estado, 'enviada');
+            assert.deepStrictEqual(resumen.alertas.map(alerta => alerta.id), alerts.map(alert => alert.id));
+
+            assert.strictEqual(smtp.mensajes.length, mensajes + 1);
+            const mensaje = readMessage(smtp.mensajes[smtp.mensajes.length - 1]);
+            assert.match(mensaje.headers, /Subject: \[TrazaNet\] Resumen: 3 alertas nuevas/);
+            assert.strictEqual(mensaje.texto.split('\n').filter(line => line.startsWith('- [')).length, 3);
+            assert.match(mensaje.texto, /- \[media\] Excursión de temperatura — lote LOTE-001: Desviación de peso de 7%/);
+
+            // Las alertas agrupadas no vuelven a salir en el resumen siguiente
+            assert.strictEqual(notifier.flushDigests(later), 0);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Pruebas del aislamiento entre empresas en los repositorios (lib/repositories.js) con una base en memoria:
+ * los registros de una empresa no se leen, listan ni eliminan con el RUC de otra
+ */
+
+const assert = require('assert');
+const { openDatabase } = require('../lib/database');
+const { createRepositories } = require('../lib/repositories');
+const { createLedger } = require('../lib/ledger');
+
+const RUC_A = '20601234567';
+const RUC_B = '20509876543';
+
+describe('Aislamiento entre empresas', function () {
+    let repos;
+
+    // Función para crear un lote de una empresa
+    function crearLote(id, ruc) {
+        return repos.batches.create({ id, ruc, fileName: `${id}.csv`, savedFileName: `${id}-guardado.csv`, date: new Date().toISOString(), status: 'Procesado' });
+    }
+
+    beforeEach(function () {
+        repos = createRepositories(openDatabase(':memory:'));
+        crearLote('LOTE-A1', RUC_A);
+        crearLote('LOTE-A2', RUC_A);
+        crearLote('LOTE-B1', RUC_B);
+    });
+
+    it('trata el lote de otra empresa como inexistente', function () {
+        assert.strictEqual(repos.batches.findById('LOTE-A1', RUC_A).ruc, RUC_A);
+        assert.strictEqual(repos.batches.findById('LOTE-A1', RUC_B), null);
+        assert.strictEqual(repos.batches.findBySavedFileName('LOTE-A1-guardado.csv', RUC_B), null);
+    });
+
+    it('lista solo los lotes de la empresa', function () {
+        assert.deepStrictEqual(repos.batches.list({ ruc: RUC_A }).map(batch => batch.id).sort(), ['LOTE-A1', 'LOTE-A2']);
+        assert.deepStrictEqual(repos.batches.list({ ruc: RUC_B }).map(batch => batch.id), ['LOTE-B1']);
+    });
+
+    it('separa las certificaciones y no elimina las de otra empresa', function () {
+        repos.certifications.create({ id: 'cert-a', ruc: RUC_A, name: 'GlobalG.A.P.', createdAt: new Date().toISOString() });
+
+        assert.strictEqual(repos.certifications.list(RUC_B).length, 0);
+        assert.strictEqual(repos.certifications.findById('cert-a', RUC_B), null);
+        assert.strictEqual(repos.certifications.remove('cert-a', RUC_B), false);
+        assert.ok(repos.certifications.findById('cert-a', RUC_A));
+    });
+
+    it('separa las alertas y sus contadores', function () {
+        const alerta = repos.alerts.create({
+            ruc: RUC_A,
+            origen: 'auditoria',
+            origenId: 'a-1',
+            loteId: 'LOTE-A1',
+            tipo: 'temperatura',
+            severidad: 'alta',
+            estado: 'abierta',
+            fecha: new Date().toISOString()
+        });
+
+        assert.strictEqual(repos.alerts.findById(alerta.id, RUC_B), null);
+        assert.strictEqual(repos.alerts.list({ ruc: RUC_B }).total, 0);
+        assert.strictEqual(repos.alerts.listActive(RUC_B).length, 0);
+        assert.deepStrictEqual(repos.alerts.countByStatus(RUC_B), {});
+        assert.strictEqual(repos.alerts.list({ ruc: RUC_A }).total, 1);
+    });
+
+    it('separa los envíos', function () {
+        const envio = repos.shipments.create({
+            ruc: RUC_A,
+            vehiculo: 'ABC-123',
+            estado: 'en_transito',
+            salida: '2024-03-01T08:00:00.000Z',
+            llegadaEstimada: '2024-03-01T14:00:00.000Z',
+            lotes: [{ loteId: 'LOTE-A1' }]
+        });
+
+        assert.strictEqual(repos.shipments.findById(envio.id, RUC_B), null);
+        assert.strictEqual(repos.shipments.list(RUC_B).length, 0);
+        assert.strictEqual(repos.shipments.findById(envio.id, RUC_A).vehiculo, 'ABC-123');
+    });
+
+    it('separa las entradas del ledger de cada empresa', function () {
+        const ledger = createLedger(repos);
+        ledger.append({ tipo: 'carga', ruc: RUC_A, referencia: 'LOTE-A1', datos: {} });
+        ledger.append({ tipo: 'carga', ruc: RUC_B, referencia: 'LOTE-B1', datos: {} });
+
+        assert.strictEqual(repos.ledger.listByReference('LOTE-A1', RUC_B).length, 0);
+        assert.deepStrictEqual(repos.ledger.listEntries({ ruc: RUC_B }).data.map(entry => entry.referencia), ['LOTE-B1']);
+    });
+
+    it('busca las credenciales dentro de la empresa indicada', function () {
+        repos.users.create({ id: 'u-a', ruc: RUC_A, username: 'admin', passwordHash: 'hash-a', role: 'admin' });
+
+        assert.strictEqual(repos.users.findCredentials(RUC_B, 'admin'), null);
+        assert.strictEqual(repos.users.findCredentials(RUC_A, 'admin').user.id, 'u-a');
+        assert.strictEqual(repos.users.list({ ruc: RUC_B }).total, 0);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Verificación completa del ledger de TrazaNet
+ * Recalcula el hash y el enlace de cada entrada, la raíz Merkle y el hash de cada bloque, informa las
+ * entradas cuyo lote o archivo ya no existe y verifica cada lote contra sus entradas (registro, archivo en
+ * uploads/ y filas)
+ *
+ * Uso: npm run verify                 (cadena completa y todos los lotes)
+ *      npm run verify -- --solo-cadena (solo entradas y bloques)
+ *      npm run verify -- --lote <id>   (cadena completa y un lote)
+ * Termina con código 1 si encuentra discrepancias
+ */
+
+const path = require('path');
+const { openDatabase } = require('./lib/database');
+const { createRepositories } = require('./lib/repositories');
+const { createVerifier } = require('./lib/integrity');
+const custody = require('./lib/custodyEvents');
+
+const args = process.argv.slice(2);
+const soloCadena = args.includes('--solo-cadena');
+const loteIndex = args.indexOf('--lote');
+const loteId = loteIndex !== -1 ? args[loteIndex + 1] : null;
+
+const DB_FILE = process.env.TRAZANET_DB_FILE || path.join(__dirname, 'data', 'trazanet.db');
+const repos = createRepositories(openDatabase(DB_FILE));
+
+// Las firmas de custodia se verifican con las claves guardadas en la base (custody-keys). Una base que el
+// servidor todavía no actualizó tiene sus eventos firmados con la clave de los tokens
+let signingKeys = null;
+if (!repos.settings.get(custody.SIGNING_KEYS_SETTING)) {
+    const secret = process.env.TRAZANET_AUTH_SECRET || repos.settings.get('auth-secret');
+    if (!secret) {
+        console.log('⚠️ No hay claves de firma de custodia; las firmas de custodia se informarán como inválidas');
+    }
+    signingKeys = { claves: secret ? { [custody.LEGACY_KEY_ID]: { secreto: secret } } : {} };
+}
+
+const verifier = createVerifier(repos, { signingKeys, uploadsDir: path.join(__dirname, 'uploads') });
+
+// Función para imprimir una discrepancia con el campo o archivo que cambió
+function printDiscrepancy(item) {
+    const donde = [
+        item.bloque !== undefined ? `bloque #${item.bloque}` : null,
+        item.secuencia !== undefined ? `entrada #${item.secuencia}` : null,
+        item.evento !== undefined ? `evento #${item.evento}` : null,
+        item.archivo || null
+    ]
+        .filter(Boolean)
+        .join(', ');
+    console.log(`   ✗ [${item.ambito}] ${item.campo || '-'}${donde ? ` (${donde})` : ''}: ${item.mensaje}`);
+    if (item.esperado !== undefined || item.actual !== undefined) {
+        console.log(`       esperado: ${JSON.stringify(item.esperado)}  actual: ${JSON.stringify(item.actual)}`);
+    }
+}
+
+console.log('=== CADENA DEL LEDGER ===');
+const cadena = verifier.verifyLedger();
+console.log(`Entradas: ${cadena.entradas}  Bloques: ${cadena.bloques}  Pendientes: ${cadena.pendientes}`);
+cadena.discrepancias.forEach(printDiscrepancy);
+cadena.advertencias.forEach(item => console.log(`   ⚠️ [${item.ambito}] entrada #${item.secuencia}: ${item.mensaje}`));
+console.log(cadena.valido ? '✅ Cadena íntegra' : `❌ ${cadena.discrepancias.length} discrepancias en la cadena`);
+
+let lotesConDiscrepancias = 0;
+if (!soloCadena) {
+    const batches = loteId
+        ? [repos.batches.findById(loteId)].filter(Boolean)
+        : repos.batches.list();
+
+    if (loteId && batches.length === 0) {
+        console.log(`\n❌ Lote no encontrado: ${loteId}`);
+        process.exit(1);
+    }
+
+    console.log('\n=== LOTES ===');
+    batches.forEach(batch => {
+        const report = verifier.verifyBatch(batch);
+        if (report.verificado) {
+            console.log(`✅ ${batch.id} (${batch.fileName})${report.advertencias.length ? ` — ${report.advertencias.length} advertencias` : ''}`);
+            return;
+        }
+        lotesConDiscrepancias++;
+        console.log(`❌ ${batch.id} (${batch.fileName}): ${report.discrepancias.length} discrepancias`);
+        report.discrepancias.forEach(printDiscrepancy);
+    });
+    console.log(`\nLotes verificados: ${batches.length}  Con discrepancias: ${lotesConDiscrepancias}`);
+}
+
+process.exit(cadena.valido && lotesConDiscrepancias === 0 ? 0 : 1);